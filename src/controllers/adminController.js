@@ -0,0 +1,529 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Note = require('../models/Note');
+const Quiz = require('../models/Quiz');
+const Evidence = require('../models/Evidence');
+const ProcessingJob = require('../models/ProcessingJob');
+const usageService = require('../services/usageService');
+const evidenceService = require('../services/evidenceService');
+const tokenService = require('../services/tokenService');
+
+const MODERATION_TARGETS = {
+  notes: { model: Note, label: 'Note', idFields: ['noteId'] },
+  quizzes: { model: Quiz, label: 'Quiz', idFields: ['quizId', 'id'] }
+};
+
+const parsePaging = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt
+});
+
+/**
+ * List users with optional search and filters
+ * @route GET /api/admin/users
+ * @access Admin (users:read)
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { search, role, active } = req.query;
+    const { page, limit, skip } = parsePaging(req.query);
+
+    const query = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }, { name: pattern }];
+    }
+    if (role) query.role = role;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const [users, total] = await Promise.all([
+      User.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      users: users.map(formatUser),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users'
+    });
+  }
+};
+
+/**
+ * Get one user with their storage and AI usage
+ * @route GET /api/admin/users/:id
+ * @access Admin (users:read)
+ */
+const getUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id'
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const [usage, sessions] = await Promise.all([
+      usageService.getUserUsage(user._id),
+      tokenService.listSessions(user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      user: formatUser(user),
+      usage,
+      activeSessions: sessions.length
+    });
+
+  } catch (error) {
+    console.error('❌ Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user'
+    });
+  }
+};
+
+/**
+ * Activate/deactivate a user or change their role. Deactivating signs them out everywhere.
+ * @route PATCH /api/admin/users/:id
+ * @access Admin (users:manage)
+ */
+const updateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive, role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id'
+      });
+    }
+
+    if (isActive === undefined && role === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update (expected isActive or role)'
+      });
+    }
+
+    if (String(id) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own status or role'
+      });
+    }
+
+    const allowedRoles = User.schema.path('role').enumValues;
+    if (role !== undefined && !allowedRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Valid roles: ${allowedRoles.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (isActive !== undefined) user.isActive = isActive === true || isActive === 'true';
+    if (role !== undefined) user.role = role;
+    await user.save();
+
+    let revokedSessions = 0;
+    if (!user.isActive) {
+      revokedSessions = await tokenService.revokeAllSessions(user._id, { reason: 'revoked' });
+    }
+
+    console.log(`🛡️ Admin ${req.user.username} updated user ${user.username}: active=${user.isActive}, role=${user.role}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User updated successfully',
+      user: formatUser(user),
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('❌ Admin update user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+};
+
+/**
+ * Storage and AI usage for a user
+ * @route GET /api/admin/users/:id/usage
+ * @access Admin (usage:read)
+ */
+const getUserUsage = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user id'
+      });
+    }
+
+    if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const usage = await usageService.getUserUsage(id);
+
+    res.status(200).json({
+      success: true,
+      usage
+    });
+
+  } catch (error) {
+    console.error('❌ Admin user usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user usage'
+    });
+  }
+};
+
+/**
+ * Processing jobs by status, failed jobs by default
+ * @route GET /api/admin/jobs
+ * @access Admin (jobs:read)
+ */
+const listJobs = async (req, res) => {
+  try {
+    const { status = 'failed', userId } = req.query;
+    const { page, limit, skip } = parsePaging(req.query);
+
+    const query = { status };
+    if (userId) query.userId = String(userId);
+
+    const [jobs, total] = await Promise.all([
+      ProcessingJob.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      ProcessingJob.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      jobs: jobs.map(job => ({
+        ...job.toStatus(),
+        userId: job.userId,
+        errorHistory: job.errorHistory
+      })),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin list jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list processing jobs'
+    });
+  }
+};
+
+/**
+ * Public notes or quizzes awaiting moderation, or hidden ones with ?hidden=true
+ * @route GET /api/admin/moderation/:type
+ * @access Moderator (content:moderate)
+ */
+const listModeratedContent = async (req, res) => {
+  try {
+    const target = MODERATION_TARGETS[req.params.type];
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown content type. Valid types: ${Object.keys(MODERATION_TARGETS).join(', ')}`
+      });
+    }
+
+    const { page, limit, skip } = parsePaging(req.query);
+    const query = req.query.hidden === 'true'
+      ? { 'moderation.hidden': true }
+      : { isPublic: true };
+
+    const [items, total] = await Promise.all([
+      target.model.find(query).sort({ updatedAt: -1 }).skip(skip).limit(limit).lean(),
+      target.model.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      type: req.params.type,
+      items,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin list content error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list content'
+    });
+  }
+};
+
+/**
+ * Hide public content (unpublishes it and stops the owner re-publishing) or lift the hide
+ * @route PATCH /api/admin/moderation/:type/:id
+ * @body  { action: 'hide' | 'restore', reason }
+ * @access Moderator (content:moderate)
+ */
+const moderateContent = async (req, res) => {
+  try {
+    const target = MODERATION_TARGETS[req.params.type];
+    if (!target) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown content type. Valid types: ${Object.keys(MODERATION_TARGETS).join(', ')}`
+      });
+    }
+
+    const { action, reason } = req.body;
+    if (!['hide', 'restore'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: "Action must be 'hide' or 'restore'"
+      });
+    }
+
+    const { id } = req.params;
+    const idQuery = target.idFields.map(field => ({ [field]: id }));
+    if (mongoose.Types.ObjectId.isValid(id)) idQuery.push({ _id: id });
+
+    const item = await target.model.findOne({ $or: idQuery });
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `${target.label} not found`
+      });
+    }
+
+    if (action === 'hide') {
+      item.isPublic = false;
+      item.moderation = {
+        hidden: true,
+        reason: reason || 'Removed by moderator',
+        moderatedBy: req.user._id,
+        moderatedAt: new Date()
+      };
+    } else {
+      // Restoring lets the owner publish again; it does not re-publish on their behalf
+      item.moderation = {
+        hidden: false,
+        reason,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date()
+      };
+    }
+    await item.save();
+
+    console.log(`🛡️ ${req.user.username} ${action === 'hide' ? 'hid' : 'restored'} ${target.label.toLowerCase()} ${item._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${target.label} ${action === 'hide' ? 'hidden' : 'restored'} successfully`,
+      item: {
+        id: item._id,
+        title: item.title,
+        owner: item.userId,
+        isPublic: item.isPublic,
+        moderation: item.moderation
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin moderate content error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to moderate content'
+    });
+  }
+};
+
+/**
+ * Evidence across all users, most recent first (moved from /api/evidence)
+ * @route GET /api/admin/evidence
+ * @access Admin (evidence:debug)
+ */
+const listEvidence = async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePaging(req.query);
+    const query = req.query.userId ? { userId: String(req.query.userId) } : {};
+
+    const [evidence, total] = await Promise.all([
+      Evidence.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Evidence.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      evidence,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin list evidence error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list evidence'
+    });
+  }
+};
+
+/**
+ * Evidence summary across all users (moved from /api/evidence/debug/summary)
+ * @route GET /api/admin/evidence/summary
+ * @access Admin (evidence:debug)
+ */
+const getEvidenceSummary = async (req, res) => {
+  try {
+    const [stats, evidenceByMethod, evidenceByProfile, evidenceByImage, recentEvidence] = await Promise.all([
+      evidenceService.getGlobalEvidenceStats(),
+      Evidence.aggregate([
+        { $group: { _id: '$ocrMethod', count: { $sum: 1 } } }
+      ]),
+      // OCR accuracy per preprocessing profile: confidence and how often users had to correct it
+      Evidence.aggregate([
+        { $match: { 'metadata.preprocessingProfile': { $exists: true } } },
+        {
+          $group: {
+            _id: '$metadata.preprocessingProfile',
+            count: { $sum: 1 },
+            avgConfidence: { $avg: '$ocrConfidence' },
+            corrected: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$corrections', []] } }, 0] }, 1, 0] } },
+            autoDetected: { $sum: { $cond: ['$metadata.profileDetected', 1, 0] } }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      Evidence.aggregate([
+        {
+          $group: {
+            _id: '$originalImageId',
+            count: { $sum: 1 },
+            sampleText: { $first: '$text' }
+          }
+        },
+        { $sort: { count: -1 } },
+        { $limit: 5 }
+      ]),
+      Evidence.find({})
+        .sort({ createdAt: -1 })
+        .limit(3)
+        .select('originalImageId imageUrl text ocrMethod createdAt')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      summary: {
+        ...stats,
+        evidenceByMethod,
+        evidenceByProfile,
+        evidenceByImage,
+        recentEvidence
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin evidence summary error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get evidence summary'
+    });
+  }
+};
+
+/**
+ * Platform overview: users, processing jobs and public content
+ * @route GET /api/admin/stats
+ * @access Admin (usage:read)
+ */
+const getStats = async (req, res) => {
+  try {
+    const [usersByRole, activeUsers, totalUsers, jobsByStatus, publicNotes, publicQuizzes] = await Promise.all([
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+      User.countDocuments({ isActive: true }),
+      User.countDocuments({}),
+      ProcessingJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Note.countDocuments({ isPublic: true }),
+      Quiz.countDocuments({ isPublic: true })
+    ]);
+
+    const toCounts = rows => rows.reduce((counts, row) => {
+      counts[row._id] = row.count;
+      return counts;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      stats: {
+        users: { total: totalUsers, active: activeUsers, byRole: toCounts(usersByRole) },
+        jobs: toCounts(jobsByStatus),
+        publicContent: { notes: publicNotes, quizzes: publicQuizzes }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get stats'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUser,
+  getUserUsage,
+  listJobs,
+  listModeratedContent,
+  moderateContent,
+  listEvidence,
+  getEvidenceSummary,
+  getStats
+};
@@ -2,6 +2,7 @@ const Bookmark = require('../models/Bookmark');
 const Session = require('../models/Session');
 const Quiz = require('../models/Quiz');
 const Evidence = require('../models/Evidence');
+const { evidenceOwnerFilter } = require('../utils/ownership');
 
 /**
  * Create a new bookmark
@@ -18,18 +19,7 @@ const createBookmark = async (req, res) => {
     
     switch (refType) {
       case 'session':
-        // Primary: enforce ownership
-        refContent = await Session.findOne({ sessionId: refId, userId: req.user._id });
-        // Fallback: allow session lookup by sessionId only (e.g., created without auth during dev)
-        if (!refContent) {
-          refContent = await Session.findOne({ sessionId: refId });
-          if (refContent) {
-            console.warn(
-              '[bookmarks] session fallback hit: found session by sessionId without matching userId',
-              { refId, requestUserId: String(req.user?._id || '') }
-            );
-          }
-        }
+        refContent = await Session.findOneOwned(req.user._id, { sessionId: refId });
         if (refContent) {
           contentSnapshot = JSON.stringify({
             title: refContent.title,
@@ -51,7 +41,7 @@ const createBookmark = async (req, res) => {
         }
         break;
       case 'evidence':
-        refContent = await Evidence.findOne({ _id: refId });
+        refContent = await Evidence.findOne(await evidenceOwnerFilter(req.user._id, { _id: refId }));
         if (refContent) {
           contentSnapshot = JSON.stringify({
             text: refContent.text.substring(0, 200), // First 200 chars
@@ -1,10 +1,16 @@
 const Calendar = require('../models/Calendar');
+const StudyPlan = require('../models/StudyPlan');
+const studyPlanService = require('../services/studyPlanService');
+const schedulingService = require('../services/schedulingService');
+const timerService = require('../services/timerService');
 const { v4: uuidv4 } = require('uuid');
 
 /**
  * Create a new calendar task
  * @route POST /api/calendar
  * @access Private
+ * `onConflict` (reject | shift | allow, default reject) decides what happens when the task
+ * overlaps an existing one: a 409, a move to the next free slot, or saving it anyway.
  */
 const createTask = async (req, res) => {
   try {
@@ -23,11 +29,19 @@ const createTask = async (req, res) => {
       tags,
       recurring,
       reminders,
-      metadata
+      metadata,
+      onConflict = 'reject'
     } = req.body;
 
     const userId = req.user._id;
 
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({
+        success: false,
+        error: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+      });
+    }
+
     // Validate required fields
     if (!title || !subject || !topic || !startDate) {
       return res.status(400).json({
@@ -88,18 +102,9 @@ const createTask = async (req, res) => {
     });
 
     // Check for conflicts
-    const conflict = await newTask.hasConflict();
+    const { conflict, shifted } = await handleConflict(newTask, onConflict, req.user);
     if (conflict) {
-      return res.status(409).json({
-        success: false,
-        error: 'Task conflicts with existing schedule',
-        conflictingTask: {
-          id: conflict.id,
-          title: conflict.title,
-          startDate: conflict.startDate,
-          endDate: conflict.endDate
-        }
-      });
+      return conflictResponse(res, conflict, 'Task conflicts with existing schedule');
     }
 
     await newTask.save();
@@ -107,8 +112,9 @@ const createTask = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: 'Task created successfully',
-      task: newTask
+      message: shifted ? 'Task created in the next free slot' : 'Task created successfully',
+      task: newTask,
+      ...(shifted ? { shifted } : {})
     });
 
   } catch (error) {
@@ -147,17 +153,9 @@ const getTasks = async (req, res) => {
     // Build query
     const query = { userId };
     
-    if (status) query.status = status;
     if (subject) query.subject = subject;
     if (topic) query.topic = topic;
     if (priority) query.priority = priority;
-    if (isCompleted !== undefined) query.isCompleted = isCompleted === 'true';
-    
-    if (startDate || endDate) {
-      query.startDate = {};
-      if (startDate) query.startDate.$gte = new Date(startDate);
-      if (endDate) query.startDate.$lte = new Date(endDate);
-    }
     
     if (search) {
       query.$or = [
@@ -168,6 +166,43 @@ const getTasks = async (req, res) => {
       ];
     }
 
+    // With a date range, recurring tasks are expanded into their occurrences;
+    // status filters then apply per occurrence
+    if (startDate || endDate) {
+      const occurrences = (await Calendar.findInRange(
+        userId,
+        startDate ? new Date(startDate) : null,
+        endDate ? new Date(endDate) : null,
+        query,
+        { populate: true }
+      )).filter(task => {
+        if (status && task.status !== status) return false;
+        if (isCompleted !== undefined && task.isCompleted !== (isCompleted === 'true')) return false;
+        return true;
+      });
+
+      const direction = sortOrder === 'desc' ? -1 : 1;
+      occurrences.sort((a, b) => (a[sortBy] > b[sortBy] ? 1 : a[sortBy] < b[sortBy] ? -1 : 0) * direction);
+
+      const totalTasks = occurrences.length;
+      const totalPages = Math.ceil(totalTasks / limit);
+
+      return res.status(200).json({
+        success: true,
+        tasks: occurrences.slice((page - 1) * limit, page * limit),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalTasks,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      });
+    }
+
+    if (status) query.status = status;
+    if (isCompleted !== undefined) query.isCompleted = isCompleted === 'true';
+
     // Build sort
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -237,16 +272,122 @@ const getTaskById = async (req, res) => {
   }
 };
 
+/**
+ * Resolve the occurrence an edit targets. Non-recurring tasks and `scope=all` edits target the task itself.
+ * @returns {{scope: string, occurrence: Date|null, error: string|null}}
+ */
+const resolveScope = (task, scope = 'all', occurrenceDate) => {
+  if (!task.recurring?.enabled || scope === 'all') {
+    return { scope: 'all', occurrence: null, error: null };
+  }
+
+  if (!['this', 'following'].includes(scope)) {
+    return { error: 'scope must be one of: this, following, all' };
+  }
+  if (!occurrenceDate || !task.isOccurrenceStart(occurrenceDate)) {
+    return { error: 'occurrenceDate must be the original start of one of the task\'s occurrences' };
+  }
+
+  const occurrence = new Date(occurrenceDate);
+
+  // "This and following" from the first occurrence is the whole series
+  if (scope === 'following' && occurrence.getTime() === task.startDate.getTime()) {
+    return { scope: 'all', occurrence: null, error: null };
+  }
+  return { scope, occurrence, error: null };
+};
+
+const CONFLICT_MODES = ['reject', 'shift', 'allow'];
+
+const conflictSummary = (conflict) => ({
+  id: conflict.id,
+  title: conflict.title,
+  startDate: conflict.startDate,
+  endDate: conflict.endDate
+});
+
+/**
+ * Apply an onConflict mode to an unsaved task. With `shift`, an overlapping task is moved
+ * to the next free slot (respecting the user's quiet hours and daily maximum). A recurring
+ * task is checked over all its upcoming occurrences; `occurrenceDate` marks the task as one
+ * moved occurrence of its series (see Calendar#hasConflict).
+ * @returns {Promise<{conflict?: Object, shifted?: Object}>} `conflict` when it must be rejected
+ */
+const handleConflict = async (task, mode, user, { occurrenceDate = null } = {}) => {
+  if (mode === 'allow') return {};
+
+  const conflict = await task.hasConflict({ occurrenceDate });
+  if (!conflict) return {};
+  if (mode !== 'shift') return { conflict };
+
+  const slot = await schedulingService.nextFreeSlot(task.userId, {
+    startDate: task.startDate,
+    duration: Math.round((task.endDate - task.startDate) / 60000),
+    preferences: schedulingService.preferencesFor(user),
+    excludeId: task._id,
+    excludeOccurrence: occurrenceDate
+  });
+  if (!slot) return { conflict };
+
+  const shifted = {
+    from: task.startDate,
+    to: slot.startDate,
+    conflictingTask: conflictSummary(conflict)
+  };
+  task.startDate = slot.startDate;
+  task.endDate = slot.endDate;
+
+  // The slot is free for the first occurrence; later ones of a series may still clash
+  if (task.recurring?.enabled) {
+    const remaining = await task.hasConflict();
+    if (remaining) return { conflict: remaining };
+  }
+  return { shifted };
+};
+
+const conflictResponse = (res, conflict, message = 'Updated schedule conflicts with existing tasks') => {
+  return res.status(409).json({
+    success: false,
+    error: message,
+    conflictingTask: conflictSummary(conflict)
+  });
+};
+
+/**
+ * Apply task fields to a document; the recurrence rule is merged so exceptions survive
+ */
+const applyTaskUpdate = (task, updateData) => {
+  const { recurring, ...fields } = updateData;
+  task.set(fields);
+
+  // Moving the start keeps the task's length
+  if (fields.startDate && !fields.endDate) {
+    task.endDate = new Date(task.startDate.getTime() + task.duration * 60000);
+  }
+
+  if (recurring) {
+    const { exceptions, splitFrom, ...rule } = recurring;
+    Object.entries(rule).forEach(([key, value]) => task.set(`recurring.${key}`, value));
+  }
+  return task;
+};
+
 /**
  * Update a task
  * @route PUT /api/calendar/:id
  * @access Private
+ * Recurring tasks accept `scope` (this | following | all, default all) and `occurrenceDate`
+ * (the occurrence's original start) in the body. `onConflict` works as in createTask.
  */
 const updateTask = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
-    const updateData = req.body;
+    const { scope, occurrenceDate, onConflict = 'reject', ...updateData } = req.body;
+
+    delete updateData.userId;
+    delete updateData._id;
+    delete updateData.id;
 
     // Find the task
     const task = await Calendar.findOne({ _id: id, userId });
@@ -257,44 +398,126 @@ const updateTask = async (req, res) => {
       });
     }
 
+    if (!CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({
+        success: false,
+        error: `onConflict must be one of: ${CONFLICT_MODES.join(', ')}`
+      });
+    }
+
+    const target = resolveScope(task, scope, occurrenceDate);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        error: target.error
+      });
+    }
+
+    if (target.scope === 'this') {
+      // A moved occurrence is checked for conflicts as a one-off task at its new time
+      let shifted = null;
+      if (updateData.startDate || updateData.endDate || updateData.duration) {
+        const current = task.buildOccurrence(target.occurrence);
+        const startDate = new Date(updateData.startDate || current.startDate);
+        const endDate = updateData.endDate
+          ? new Date(updateData.endDate)
+          : new Date(startDate.getTime() + (updateData.duration || task.duration) * 60000);
+        const moved = new Calendar({ ...task.toObject(), _id: task._id, recurring: { enabled: false }, startDate, endDate });
+
+        const result = await handleConflict(moved, onConflict, req.user, { occurrenceDate: target.occurrence });
+        if (result.conflict) {
+          return conflictResponse(res, result.conflict);
+        }
+        if (result.shifted) {
+          shifted = result.shifted;
+          updateData.startDate = moved.startDate;
+          updateData.endDate = moved.endDate;
+        }
+      }
+
+      await task.updateOccurrence(target.occurrence, updateData);
+      await task.populate('userId', 'username email');
+
+      return res.status(200).json({
+        success: true,
+        message: shifted ? 'Occurrence moved to the next free slot' : 'Occurrence updated successfully',
+        task,
+        occurrence: task.buildOccurrence(target.occurrence),
+        ...(shifted ? { shifted } : {})
+      });
+    }
+
+    if (target.scope === 'following') {
+      const following = task.splitAt(target.occurrence);
+      const seriesStart = following.startDate;
+      applyTaskUpdate(following, updateData);
+      following.realignExceptions(seriesStart);
+
+      let shifted = null;
+      if (updateData.startDate || updateData.endDate) {
+        const result = await handleConflict(following, onConflict, req.user);
+        if (result.conflict) {
+          return conflictResponse(res, result.conflict);
+        }
+        if (result.shifted) {
+          shifted = result.shifted;
+          following.realignExceptions(shifted.from);
+        }
+      }
+
+      await task.save();
+      await following.save();
+      await following.populate('userId', 'username email');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Task updated from this occurrence onwards',
+        task: following,
+        previousTaskId: task.id,
+        ...(shifted ? { shifted } : {})
+      });
+    }
+
     // Check for conflicts if dates are being updated
+    let shifted = null;
     if (updateData.startDate || updateData.endDate) {
-      const tempTask = new Calendar({
-        ...task.toObject(),
-        ...updateData,
-        _id: task._id
-      });
-      
-      const conflict = await tempTask.hasConflict();
+      const tempTask = applyTaskUpdate(new Calendar({ ...task.toObject(), _id: task._id }), updateData);
+
+      const { conflict, shifted: moved } = await handleConflict(tempTask, onConflict, req.user);
       if (conflict) {
-        return res.status(409).json({
-          success: false,
-          error: 'Updated schedule conflicts with existing tasks',
-          conflictingTask: {
-            id: conflict.id,
-            title: conflict.title,
-            startDate: conflict.startDate,
-            endDate: conflict.endDate
-          }
-        });
+        return conflictResponse(res, conflict);
+      }
+      if (moved) {
+        shifted = moved;
+        updateData.startDate = tempTask.startDate;
+        updateData.endDate = tempTask.endDate;
       }
     }
 
     // Update the task
-    const updatedTask = await Calendar.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('userId', 'username email');
+    const previousStart = task.startDate;
+    applyTaskUpdate(task, updateData);
+    if (task.recurring?.enabled) {
+      task.realignExceptions(previousStart);
+    }
+    await task.save();
+    await task.populate('userId', 'username email');
 
     res.status(200).json({
       success: true,
-      message: 'Task updated successfully',
-      task: updatedTask
+      message: shifted ? 'Task moved to the next free slot' : 'Task updated successfully',
+      task,
+      ...(shifted ? { shifted } : {})
     });
 
   } catch (error) {
     console.error('❌ Update task error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to update task',
@@ -307,10 +530,13 @@ const updateTask = async (req, res) => {
  * Delete a task
  * @route DELETE /api/calendar/:id
  * @access Private
+ * For recurring tasks, `?scope=this&occurrenceDate=` skips one occurrence and
+ * `?scope=following&occurrenceDate=` ends the series before it.
  */
 const deleteTask = async (req, res) => {
   try {
     const { id } = req.params;
+    const { scope, occurrenceDate } = req.query;
     const userId = req.user._id;
 
     const task = await Calendar.findOne({ _id: id, userId });
@@ -321,6 +547,30 @@ const deleteTask = async (req, res) => {
       });
     }
 
+    const target = resolveScope(task, scope, occurrenceDate);
+    if (target.error) {
+      return res.status(400).json({
+        success: false,
+        error: target.error
+      });
+    }
+
+    if (target.scope === 'this') {
+      await task.skipOccurrence(target.occurrence);
+      return res.status(200).json({
+        success: true,
+        message: 'Occurrence skipped'
+      });
+    }
+
+    if (target.scope === 'following') {
+      await task.endSeriesBefore(target.occurrence).save();
+      return res.status(200).json({
+        success: true,
+        message: 'Series ended before this occurrence'
+      });
+    }
+
     await Calendar.findByIdAndDelete(id);
 
     res.status(200).json({
@@ -345,7 +595,7 @@ const deleteTask = async (req, res) => {
 const markTaskCompleted = async (req, res) => {
   try {
     const { id } = req.params;
-    const { actualDuration } = req.body;
+    const { actualDuration, occurrenceDate } = req.body;
     const userId = req.user._id;
 
     const task = await Calendar.findOne({ _id: id, userId });
@@ -356,6 +606,22 @@ const markTaskCompleted = async (req, res) => {
       });
     }
 
+    if (occurrenceDate) {
+      if (!task.isOccurrenceStart(occurrenceDate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'occurrenceDate must be the original start of one of the task\'s occurrences'
+        });
+      }
+
+      await task.markOccurrenceCompleted(occurrenceDate, actualDuration);
+      return res.status(200).json({
+        success: true,
+        message: 'Occurrence marked as completed',
+        occurrence: task.buildOccurrence(occurrenceDate)
+      });
+    }
+
     await task.markCompleted(actualDuration);
     await task.populate('userId', 'username email');
 
@@ -382,9 +648,10 @@ const markTaskCompleted = async (req, res) => {
 const markTaskIncomplete = async (req, res) => {
   try {
     const { id } = req.params;
+    const { occurrenceDate } = req.body;
     const userId = req.user._id;
 
-    const task = await Calendar.findOne({ _id: id, userId });
+    let task = await Calendar.findOne({ _id: id, userId });
     if (!task) {
       return res.status(404).json({
         success: false,
@@ -392,13 +659,45 @@ const markTaskIncomplete = async (req, res) => {
       });
     }
 
+    if (occurrenceDate) {
+      if (!task.isOccurrenceStart(occurrenceDate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'occurrenceDate must be the original start of one of the task\'s occurrences'
+        });
+      }
+
+      await task.markOccurrenceIncomplete(occurrenceDate);
+      return res.status(200).json({
+        success: true,
+        message: 'Occurrence marked as incomplete',
+        occurrence: task.buildOccurrence(occurrenceDate)
+      });
+    }
+
     await task.markIncomplete();
+
+    // A study plan block that is not done any more gets a new slot before the exam
+    let rebalanced = null;
+    if (task.studyPlanId) {
+      try {
+        const plan = await StudyPlan.findOneOwned(userId, { planId: task.studyPlanId, status: 'active' });
+        if (plan) {
+          rebalanced = await studyPlanService.rebalance(plan);
+          task = await Calendar.findById(task._id) || task;
+        }
+      } catch (error) {
+        console.error('❌ Study plan rebalance error:', error.message);
+      }
+    }
+
     await task.populate('userId', 'username email');
 
     res.status(200).json({
       success: true,
       message: 'Task marked as incomplete',
-      task
+      task,
+      ...(rebalanced ? { studyPlan: rebalanced } : {})
     });
 
   } catch (error) {
@@ -430,12 +729,15 @@ const getWeeklyProgress = async (req, res) => {
       startDate.setHours(0, 0, 0, 0);
     }
 
-    const progress = await Calendar.getWeeklyProgress(userId, startDate);
-    
     // Format the response
     const weekEnd = new Date(startDate);
     weekEnd.setDate(weekEnd.getDate() + 7);
 
+    const [progress, studyTime] = await Promise.all([
+      Calendar.getWeeklyProgress(userId, startDate),
+      timerService.plannedVsActual(userId, startDate, weekEnd)
+    ]);
+
     res.status(200).json({
       success: true,
       period: {
@@ -452,7 +754,8 @@ const getWeeklyProgress = async (req, res) => {
         completedTime: 0,
         completionRate: 0,
         progressPercentage: 0
-      }
+      },
+      studyTime
     });
 
   } catch (error) {
@@ -484,12 +787,15 @@ const getMonthlyProgress = async (req, res) => {
       startDate.setHours(0, 0, 0, 0);
     }
 
-    const progress = await Calendar.getMonthlyProgress(userId, startDate);
-    
     // Format the response
     const monthEnd = new Date(startDate);
     monthEnd.setMonth(monthEnd.getMonth() + 1);
 
+    const [progress, studyTime] = await Promise.all([
+      Calendar.getMonthlyProgress(userId, startDate),
+      timerService.plannedVsActual(userId, startDate, monthEnd)
+    ]);
+
     res.status(200).json({
       success: true,
       period: {
@@ -506,7 +812,8 @@ const getMonthlyProgress = async (req, res) => {
         completedTime: 0,
         completionRate: 0,
         progressPercentage: 0
-      }
+      },
+      studyTime
     });
 
   } catch (error) {
@@ -527,7 +834,10 @@ const getOverallProgress = async (req, res) => {
   try {
     const userId = req.user._id;
 
-    const progress = await Calendar.getUserProgress(userId);
+    const [progress, studyTime] = await Promise.all([
+      Calendar.getUserProgress(userId),
+      timerService.plannedVsActual(userId)
+    ]);
 
     res.status(200).json({
       success: true,
@@ -543,7 +853,8 @@ const getOverallProgress = async (req, res) => {
         completionRate: 0,
         progressPercentage: 0,
         efficiency: 0
-      }
+      },
+      studyTime
     });
 
   } catch (error) {
@@ -0,0 +1,292 @@
+const { v4: uuidv4 } = require('uuid');
+const Calendar = require('../models/Calendar');
+const User = require('../models/User');
+const icalService = require('../services/icalService');
+
+const MAX_IMPORT_EVENTS = parseInt(process.env.ICAL_IMPORT_MAX_EVENTS, 10) || 1000;
+
+const feedUrl = (req, token) => {
+  const base = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${base}/api/calendar/feed/${token}.ics`;
+};
+
+const sendCalendar = (res, body, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  return res.status(200).send(body);
+};
+
+/**
+ * Export the user's tasks as an iCalendar file
+ * @route GET /api/calendar/export.ics
+ * @access Private
+ */
+const exportCalendar = async (req, res) => {
+  try {
+    const { subject, startDate, endDate } = req.query;
+    const filter = {};
+    if (subject) filter.subject = subject;
+
+    // Series that started before the range still repeat into it, so only bound plain tasks by start
+    if (startDate || endDate) {
+      const range = {};
+      if (startDate) range.$gte = new Date(startDate);
+      if (endDate) range.$lt = new Date(endDate);
+      filter.$or = [
+        { 'recurring.enabled': true, ...(endDate ? { startDate: { $lt: new Date(endDate) } } : {}) },
+        { 'recurring.enabled': { $ne: true }, startDate: range }
+      ];
+    }
+
+    const tasks = await Calendar.findOwned(req.user._id, filter).sort({ startDate: 1 });
+    const body = icalService.exportTasks(tasks, { name: `${req.user.username}'s study calendar`, email: req.user.email });
+
+    return sendCalendar(res, body, 'study-calendar.ics');
+  } catch (error) {
+    console.error('❌ Export calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export calendar'
+    });
+  }
+};
+
+/**
+ * Subscribable feed authenticated by the secret in the URL (calendar apps can't send tokens)
+ * @route GET /api/calendar/feed/:token.ics
+ * @access Public (secret URL)
+ */
+const getCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findByCalendarFeedToken(req.params.token);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found'
+      });
+    }
+
+    const tasks = await Calendar.findOwned(user._id).sort({ startDate: 1 });
+    res.set('Cache-Control', 'private, max-age=300');
+    return sendCalendar(res, icalService.exportTasks(tasks, { name: `${user.username}'s study calendar`, email: user.email }));
+  } catch (error) {
+    console.error('❌ Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed'
+    });
+  }
+};
+
+/**
+ * Whether the user has a feed URL (the URL itself is only shown when created)
+ * @route GET /api/calendar/feed
+ * @access Private
+ */
+const getFeedStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+calendarFeedToken');
+
+    res.status(200).json({
+      success: true,
+      enabled: Boolean(user?.calendarFeedToken),
+      createdAt: user?.calendarFeedToken ? user.calendarFeedCreatedAt : null
+    });
+  } catch (error) {
+    console.error('❌ Get feed status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get calendar feed status'
+    });
+  }
+};
+
+/**
+ * Create (or rotate) the secret feed URL
+ * @route POST /api/calendar/feed
+ * @access Private
+ */
+const createFeed = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const token = user.createCalendarFeedToken();
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created. Any previous feed URL no longer works.',
+      url: feedUrl(req, token),
+      createdAt: user.calendarFeedCreatedAt
+    });
+  } catch (error) {
+    console.error('❌ Create feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar feed'
+    });
+  }
+};
+
+/**
+ * Disable the feed URL
+ * @route DELETE /api/calendar/feed
+ * @access Private
+ */
+const deleteFeed = async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user._id },
+      { $unset: { calendarFeedToken: 1, calendarFeedCreatedAt: 1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Calendar feed disabled'
+    });
+  } catch (error) {
+    console.error('❌ Delete feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable calendar feed'
+    });
+  }
+};
+
+/**
+ * Find a task previously imported with (or exported as) this UID
+ */
+const findByUid = (userId, uid) => {
+  const taskId = icalService.taskIdFromUid(uid);
+  return Calendar.findOneOwned(userId, taskId ? { $or: [{ icalUid: uid }, { id: taskId }] } : { icalUid: uid });
+};
+
+/**
+ * Import an .ics file (multipart field `file`, a text/calendar body, or JSON `{ "ics": "..." }`)
+ * Events whose UID was already imported are skipped, or updated with `?overwrite=true`.
+ * @route POST /api/calendar/import
+ * @access Private
+ */
+const importCalendar = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const overwrite = req.query.overwrite === 'true' || req.body?.overwrite === true;
+    const text = req.file
+      ? req.file.buffer.toString('utf8')
+      : typeof req.body === 'string' ? req.body : req.body?.ics;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide an .ics file in the "file" field, a text/calendar body or { "ics": "..." }'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = icalService.parse(text);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (parsed.events.length > MAX_IMPORT_EVENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `Calendar has ${parsed.events.length} events; at most ${MAX_IMPORT_EVENTS} can be imported at once`
+      });
+    }
+
+    const summary = { created: 0, updated: 0, skipped: 0, occurrencesUpdated: 0, warnings: [...parsed.warnings] };
+    const masters = parsed.events.filter(event => !event.recurrenceId);
+    const overrides = parsed.events.filter(event => event.recurrenceId);
+    const seen = new Set();
+    const imported = new Set();
+
+    for (const event of masters) {
+      if (!event.uid) {
+        event.uid = `${uuidv4()}@import`;
+      }
+      if (seen.has(event.uid)) {
+        summary.skipped += 1;
+        continue;
+      }
+      seen.add(event.uid);
+
+      const { task: data, warnings } = icalService.eventToTask(event);
+      summary.warnings.push(...warnings);
+      if (!data) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const existing = await findByUid(userId, event.uid);
+      if (existing && !overwrite) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      try {
+        if (existing) {
+          const { icalUid, ...fields } = data;
+          existing.set(fields);
+          await existing.save();
+          summary.updated += 1;
+        } else {
+          await Calendar.create({ ...data, id: `task_${uuidv4()}`, userId });
+          summary.created += 1;
+        }
+        imported.add(event.uid);
+      } catch (error) {
+        summary.skipped += 1;
+        summary.warnings.push(`"${data.title}" could not be saved: ${error.message}`);
+      }
+    }
+
+    // Moved, retitled or cancelled single occurrences of the series imported above
+    for (const event of overrides) {
+      if (!imported.has(event.uid)) continue;
+
+      const series = await findByUid(userId, event.uid);
+      if (!series || !series.isOccurrenceStart(event.recurrenceId)) {
+        summary.warnings.push(`Occurrence ${event.recurrenceId.toISOString()} of "${event.summary || event.uid}" has no matching series, skipped`);
+        continue;
+      }
+
+      await series.updateOccurrence(event.recurrenceId, {
+        startDate: event.start,
+        endDate: event.end,
+        title: event.summary,
+        status: event.status === 'CANCELLED' ? 'cancelled' : undefined
+      });
+      summary.occurrencesUpdated += 1;
+    }
+
+    console.log(`📅 Imported calendar for user ${userId}: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped`);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${summary.created + summary.updated} of ${masters.length} events`,
+      ...summary
+    });
+  } catch (error) {
+    console.error('❌ Import calendar error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import calendar',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  exportCalendar,
+  getCalendarFeed,
+  getFeedStatus,
+  createFeed,
+  deleteFeed,
+  importCalendar
+};
@@ -2,16 +2,17 @@ const ChatHistoryEntry = require('../models/ChatHistoryEntry');
 const Session = require('../models/Session');
 const Evidence = require('../models/Evidence');
 const nlpService = require('../services/nlpService');
-const dashscopeService = require('../services/dashscopeService');
+const llmGateway = require('../services/llm');
+const vectorIndexService = require('../services/vector');
+const citationService = require('../services/citationService');
+const conversationMemoryService = require('../services/conversationMemoryService');
+const { findImageEvidence } = require('../utils/ownership');
 const ApiResponse = require('../utils/apiResponse');
 const TitleGenerator = require('../utils/titleGenerator');
-const axios = require('axios');
 
 class ChatController {
   constructor() {
-    this.openRouterApiKey = process.env.OPENROUTER_API_KEY;
-    this.openRouterApiUrl = 'https://openrouter.ai/api/v1/chat/completions';
-    this.visionModel = 'qwen/qwen2.5-vl-32b-instruct:free';
+    this.systemPrompt = "You are an AI study assistant. Use the provided context to answer questions accurately and helpfully. If you don't know something, say so rather than making things up.";
     
     // Cache for chat responses
     this.responseCache = new Map();
@@ -23,12 +24,12 @@ class ChatController {
    */
   async getChatHistory(req, res) {
     try {
-      const userId = req.user?._id || req.query.userId || 'dev-user-123';
+      const userId = req.user._id;
       
       console.log(`📚 Fetching chat history for user ${userId}`);
 
       // Get chat history entries
-      const historyEntries = await ChatHistoryEntry.find({ userId })
+      const historyEntries = await ChatHistoryEntry.findOwned(userId)
         .sort({ createdAt: -1 })
         .limit(50);
 
@@ -59,29 +60,35 @@ class ChatController {
     const startTime = Date.now();
     
     try {
-      const { userId, message, imageId, sessionId, options = {} } = req.body;
-      const actualUserId = userId || req.user?._id || 'dev-user-123';
+      const { message, imageId, sessionId, options = {} } = req.body;
+      const actualUserId = req.user._id;
       
-      if (!message) {
+      if (typeof message !== 'string' || !message.trim()) {
         return res.status(400).json(ApiResponse.error('message is required'));
       }
 
       console.log(`💬 RAG Chat request from user ${actualUserId}: ${message.substring(0, 100)}...`);
 
-      // Check cache first
+      // New conversations get a session id up front so the client can send follow-ups to it
+      const chatSessionId = sessionId || this.generateSessionId();
+
+      // Follow-ups depend on the conversation, so only the first message of a conversation is cached
       const cacheKey = this.generateCacheKey(actualUserId, message, imageId, sessionId);
-      const cachedResponse = this.getFromCache(cacheKey);
+      const cachedResponse = sessionId ? null : this.getFromCache(cacheKey);
       if (cachedResponse) {
         console.log('📋 Using cached chat response');
+        // A cached answer still starts a new conversation of its own
+        this.saveChatHistoryWithTitleAsync(actualUserId, chatSessionId, 'user', message, cachedResponse.content, cachedResponse.citations);
         return res.json(ApiResponse.success('Chat response generated (from cache)', {
           response: cachedResponse,
+          sessionId: chatSessionId,
           processingTime: Date.now() - startTime,
           fromCache: true
         }));
       }
 
       // 1. Retrieve context from database
-      const context = await this.retrieveContext(actualUserId, imageId, sessionId);
+      const context = await this.retrieveContext(actualUserId, imageId, sessionId, message);
       
       // 2. Generate RAG-enhanced response
       let response = await this.generateRAGResponse(message, context, options);
@@ -92,11 +99,13 @@ class ChatController {
         response = this.generateFallbackResponse(message, context);
       }
       
-      // 3. Save chat history with auto-generated title (async)
-      this.saveChatHistoryWithTitleAsync(actualUserId, sessionId, 'user', message, response.content);
+      // 3. Save chat history with auto-generated title and record evidence references (async)
+      this.saveChatHistoryWithTitleAsync(actualUserId, chatSessionId, 'user', message, response.content, response.citations);
       
       // 4. Cache the response
-      this.setCache(cacheKey, response);
+      if (!sessionId) {
+        this.setCache(cacheKey, response);
+      }
       
       const processingTime = Date.now() - startTime;
       
@@ -104,6 +113,8 @@ class ChatController {
     
       return res.json(ApiResponse.success('Chat response generated successfully', {
         response: response,
+        sessionId: chatSessionId,
+        rewrittenQuery: context.rewrittenQuery,
         processingTime,
         method: response.method || 'rag-enhanced'
       }));
@@ -115,49 +126,188 @@ class ChatController {
   }
 
   /**
-   * Retrieve context for RAG-based responses
+   * Streaming RAG chat response over Server-Sent Events
    */
-  async retrieveContext(userId, imageId, sessionId) {
+  async chatWithRAGStream(req, res) {
+    const startTime = Date.now();
+    const { message, imageId, sessionId, options = {} } = req.body;
+    const actualUserId = req.user._id;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json(ApiResponse.error('message is required'));
+    }
+
+    const chatSessionId = sessionId || this.generateSessionId();
+
+    console.log(`💬 Streaming RAG Chat request from user ${actualUserId}: ${message.substring(0, 100)}...`);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+
+    let stream = null;
+    let clientClosed = false;
+    res.on('close', () => {
+      if (res.writableEnded) return;
+      clientClosed = true;
+      if (stream) {
+        stream.abort();
+      }
+    });
+
+    const sendEvent = (event, data) => {
+      if (!clientClosed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    let content = '';
+    let method = 'text-rag-stream';
+    let model = null;
+    let provider = null;
+
+    try {
+      const context = await this.retrieveContext(actualUserId, imageId, sessionId, message);
+      sendEvent('start', {
+        sessionId: chatSessionId,
+        rewrittenQuery: context.rewrittenQuery,
+        processingTime: Date.now() - startTime
+      });
+
+      if (llmGateway.isTaskAvailable('chat-stream', 'stream')) {
+        try {
+          stream = await llmGateway.chatStream(this.buildRAGMessages(message, context), { ...this.pickModelOptions(options), task: 'chat-stream' });
+          model = stream.model;
+          provider = stream.provider;
+
+          for await (const delta of stream.stream) {
+            content += delta;
+            sendEvent('delta', { content: delta });
+          }
+        } catch (streamError) {
+          if (clientClosed) {
+            console.log('🔌 Client disconnected, streaming RAG aborted');
+            return;
+          }
+          console.error('Streaming RAG failed:', streamError.message);
+          // Only fall back if nothing was streamed yet, otherwise the client would see duplicated text
+          if (content) {
+            method = 'text-rag-stream-partial';
+          }
+        }
+      }
+
+      if (clientClosed) return;
+
+      // Fall back to the non-streaming pipeline and send it as a single delta
+      if (!content.trim()) {
+        console.log('🔄 Streaming unavailable, falling back to non-streaming RAG response');
+        let response = await this.generateRAGResponse(message, context, options);
+        if (!response || !response.content || response.content.trim() === '') {
+          response = this.generateFallbackResponse(message, context);
+        }
+        content = response.content;
+        method = response.method || 'rag-enhanced';
+        model = response.model;
+        provider = response.provider;
+        sendEvent('delta', { content });
+      }
+
+      const processingTime = Date.now() - startTime;
+      const citations = method.startsWith('fallback') ? [] : citationService.buildCitations(context.sources, content);
+
+      sendEvent('done', {
+        method,
+        provider,
+        model,
+        citations,
+        contextUsed: {
+          sessions: context.sessions.length,
+          evidence: context.evidence.length,
+          chatHistory: context.chatHistory.length,
+          hasImage: !!context.imageUrl
+        },
+        processingTime
+      });
+
+      // Save chat history only once the full answer is known
+      this.saveChatHistoryWithTitleAsync(actualUserId, chatSessionId, 'user', message, content, citations);
+
+      console.log(`✅ Streaming RAG Chat response completed in ${processingTime}ms`);
+    } catch (error) {
+      console.error('❌ Streaming RAG Chat error:', error);
+      sendEvent('error', { message: 'Failed to generate chat response' });
+    } finally {
+      res.end();
+    }
+  }
+
+  /**
+   * Retrieve context for RAG-based responses. The session's conversation memory is loaded
+   * first so follow-up questions can be rewritten into standalone queries; evidence then
+   * comes from the image when one is given, otherwise from a vector search over the user's
+   * evidence, and is ranked into numbered sources for the (rewritten) question.
+   */
+  async retrieveContext(userId, imageId, sessionId, message = '') {
     const context = {
       sessions: [],
       evidence: [],
+      sources: [],
       chatHistory: [],
+      conversationSummary: '',
+      rewrittenQuery: null,
       imageUrl: null
     };
 
     try {
+      // Conversation memory: rolling summary + recent messages of this session
+      const memory = await conversationMemoryService.getMemory(userId, sessionId);
+      context.chatHistory.push(...memory.turns);
+      context.conversationSummary = memory.summary;
+
+      let searchQuery = message;
+      if (message) {
+        const rewrite = await conversationMemoryService.rewriteQuery(message, memory);
+        searchQuery = rewrite.query;
+        if (rewrite.rewritten) {
+          context.rewrittenQuery = rewrite.query;
+        }
+      }
+
       // Get recent sessions
       if (sessionId) {
-        const session = await Session.findOne({ sessionId, userId });
+        const session = await Session.findOneOwned(userId, { sessionId });
         if (session) {
           context.sessions.push(session);
         }
       } else {
         // Get recent sessions for user
-        const recentSessions = await Session.find({ userId })
+        const recentSessions = await Session.findOwned(userId)
           .sort({ createdAt: -1 })
           .limit(3);
         context.sessions.push(...recentSessions);
       }
 
-      // Get evidence related to image
+      // Get evidence related to image (none when the image belongs to someone else)
       if (imageId) {
-        const evidence = await Evidence.find({ originalImageId: imageId });
+        const evidence = await findImageEvidence(userId, imageId) || [];
         context.evidence.push(...evidence);
         
         // Get image URL from first evidence record
         if (evidence.length > 0) {
           context.imageUrl = evidence[0].imageUrl;
         }
+      } else if (searchQuery) {
+        context.evidence.push(...await this.searchEvidence(userId, searchQuery));
       }
 
-      // Get recent chat history
-      const chatHistory = await ChatHistoryEntry.find({ userId })
-        .sort({ createdAt: -1 })
-        .limit(10);
-      context.chatHistory.push(...chatHistory);
+      context.sources = citationService.rankEvidence(searchQuery, context.evidence);
 
-      console.log(`📚 Retrieved context: ${context.sessions.length} sessions, ${context.evidence.length} evidence, ${context.chatHistory.length} chat entries`);
+      console.log(`📚 Retrieved context: ${context.sessions.length} sessions, ${context.evidence.length} evidence (${context.sources.length} sources), ${context.chatHistory.length} chat entries`);
       
       return context;
 
@@ -168,280 +318,108 @@ class ChatController {
   }
 
   /**
-   * Generate RAG-enhanced response
+   * Evidence from any of the user's files that is relevant to the question
    */
-  async generateRAGResponse(message, context, options = {}) {
+  async searchEvidence(userId, message) {
     try {
-      // If we have image context, use vision model
-      if (context.imageUrl && this.openRouterApiKey) {
-        console.log('🖼️ Using vision model for RAG response');
-        return await this.generateVisionRAGResponse(message, context, options);
-      }
-      
-      // Otherwise use text-based RAG with DashScope primary + OpenRouter fallback
-      console.log('📝 Using text-based RAG response with DashScope primary + OpenRouter fallback');
-      return await this.generateTextRAGResponseWithFallback(message, context, options);
-      
+      const hits = await vectorIndexService.search(userId, message, { types: ['evidence'], limit: 20 });
+      if (hits.length === 0) return [];
+
+      const evidence = await Evidence.find({ _id: { $in: hits.map(hit => hit.id) }, status: { $ne: 'archived' } });
+      const order = new Map(hits.map((hit, index) => [hit.id, index]));
+      return evidence.sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)));
     } catch (error) {
-      console.error('RAG response generation failed:', error);
-      
-      // Try DashScope fallback if available
-      if (dashscopeService.isAvailable()) {
-        console.log('🔄 Trying DashScope fallback for RAG...');
-        try {
-          const fallbackResponse = await dashscopeService.processRAG(message, context, null, options);
-          if (fallbackResponse.success) {
-            return {
-              content: fallbackResponse.response,
-              method: 'dashscope-fallback',
-              model: fallbackResponse.model,
-              contextUsed: {
-                sessions: context.sessions?.length || 0,
-                evidence: context.evidence?.length || 0,
-                chatHistory: context.chatHistory?.length || 0,
-                hasImage: false
-              }
-            };
-          }
-        } catch (fallbackError) {
-          console.error('DashScope fallback also failed:', fallbackError);
-        }
-      }
-      
-      return this.generateFallbackResponse(message, context);
+      console.error('Evidence search failed:', error.message);
+      return [];
     }
   }
 
   /**
-   * Generate vision-based RAG response
+   * Generate RAG-enhanced response through the LLM gateway
    */
-  async generateVisionRAGResponse(message, context, options = {}) {
-    try {
-      const prompt = this.buildVisionRAGPrompt(message, context);
-      
-      const messages = [
-        {
-          role: 'user',
-          content: [
-            { type: 'text', text: prompt },
-            { type: 'image_url', image_url: { url: context.imageUrl } }
-          ]
-        }
-      ];
-
-      const response = await axios.post(this.openRouterApiUrl, {
-        model: this.visionModel,
-        messages: messages,
-        max_tokens: 1000,
-        temperature: 0.7,
-        top_p: 0.9
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openRouterApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://your-app-domain.com',
-          'X-Title': 'AI Study Helper'
-        },
-        timeout: 30000
-      });
-
-      if (response.data && response.data.choices && response.data.choices[0]) {
-        const content = response.data.choices[0].message.content;
-        
-        // Validate content is not empty
-        if (!content || content.trim() === '') {
-          console.log('⚠️ Vision model returned empty content, using fallback');
-          return this.generateFallbackResponse(message, context);
-        }
-        
-        return {
-          content: content.trim(),
-          method: 'vision-rag',
-          model: this.visionModel,
-          contextUsed: {
-            sessions: context.sessions.length,
-            evidence: context.evidence.length,
-            chatHistory: context.chatHistory.length,
-            hasImage: !!context.imageUrl
-          }
-        };
+  async generateRAGResponse(message, context, options = {}) {
+    // If we have image context, use vision model
+    if (context.imageUrl) {
+      try {
+        console.log('🖼️ Using vision model for RAG response');
+        const result = await llmGateway.vision(
+          this.buildVisionRAGPrompt(message, context),
+          [context.imageUrl],
+          { maxTokens: 1000, temperature: 0.7, ...this.pickModelOptions(options), task: 'chat-vision' }
+        );
+        return this.formatRAGResult(result, 'vision-rag', context);
+      } catch (error) {
+        console.error('Vision RAG response failed, trying text-based RAG:', error.message);
       }
-      
-      console.log('⚠️ Invalid response from vision model, using fallback');
-      return this.generateFallbackResponse(message, context);
-      
+    }
+
+    try {
+      console.log('📝 Using text-based RAG response');
+      const result = await llmGateway.chat(
+        this.buildRAGMessages(message, context),
+        { maxTokens: 1000, temperature: 0.7, ...this.pickModelOptions(options), task: 'chat' }
+      );
+      return this.formatRAGResult(result, 'text-rag', context);
     } catch (error) {
-      console.error('Vision RAG response failed:', error);
-      
-      // Try DashScope fallback if available
-      if (dashscopeService.isAvailable()) {
-        console.log('🔄 Trying DashScope vision fallback for RAG...');
-        try {
-          // Get image buffer from context if available
-          let imageBuffer = null;
-          if (context.imageUrl) {
-            try {
-              const imageResponse = await axios.get(context.imageUrl, { responseType: 'arraybuffer' });
-              imageBuffer = Buffer.from(imageResponse.data);
-            } catch (imageError) {
-              console.log('Could not fetch image for DashScope fallback');
-            }
-          }
-          
-          const fallbackResponse = await dashscopeService.processRAG(message, context, imageBuffer, options);
-          if (fallbackResponse.success) {
-            return {
-              content: fallbackResponse.response,
-              method: 'dashscope-vision-fallback',
-              model: fallbackResponse.model,
-              contextUsed: {
-                sessions: context.sessions?.length || 0,
-                evidence: context.evidence?.length || 0,
-                chatHistory: context.chatHistory?.length || 0,
-                hasImage: !!imageBuffer
-              }
-            };
-          }
-        } catch (fallbackError) {
-          console.error('DashScope vision fallback also failed:', fallbackError);
-        }
-      }
-      
-      console.log('🔄 Using basic fallback response due to error');
+      console.error('RAG response generation failed:', error.message);
+      console.log('🔄 Using fallback response due to error');
       return this.generateFallbackResponse(message, context);
     }
   }
 
   /**
-   * Generate text-based RAG response
+   * Only sampling settings from the request body reach the gateway
    */
-  async generateTextRAGResponse(message, context, options = {}) {
-    try {
-      const prompt = this.buildTextRAGPrompt(message, context);
-      
-      const response = await axios.post(this.openRouterApiUrl, {
-        model: 'meta-llama/llama-3.2-11b-instruct:free',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-        top_p: 0.9
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openRouterApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://your-app-domain.com',
-          'X-Title': 'AI Study Helper'
-        },
-        timeout: 30000
-      });
+  pickModelOptions(options = {}) {
+    const picked = {};
+    ['maxTokens', 'temperature', 'topP'].forEach(key => {
+      if (typeof options[key] === 'number') picked[key] = options[key];
+    });
+    return picked;
+  }
 
-      if (response.data && response.data.choices && response.data.choices[0]) {
-        const content = response.data.choices[0].message.content;
-        
-        // Validate content is not empty
-        if (!content || content.trim() === '') {
-          console.log('⚠️ Text model returned empty content, using fallback');
-          return this.generateFallbackResponse(message, context);
-        }
-        
-        return {
-          content: content.trim(),
-          method: 'text-rag',
-          model: 'meta-llama/llama-3.2-11b-instruct:free',
-          contextUsed: {
-            sessions: context.sessions.length,
-            evidence: context.evidence.length,
-            chatHistory: context.chatHistory.length,
-            hasImage: false
-          }
-        };
-      }
-      
-      console.log('⚠️ Invalid response from text model, using fallback');
-      return this.generateFallbackResponse(message, context);
-      
-  } catch (error) {
-      console.error('Text RAG response failed:', error);
-      console.log('🔄 Using fallback response due to error');
-      return this.generateFallbackResponse(message, context);
-    }
+  /**
+   * System + user messages for text RAG
+   */
+  buildRAGMessages(message, context) {
+    return [
+      { role: 'system', content: this.systemPrompt },
+      { role: 'user', content: this.buildTextRAGPrompt(message, context) }
+    ];
   }
 
   /**
-   * Generate text-based RAG response with DashScope primary + OpenRouter fallback
+   * Shape a gateway result into the chat response format
    */
-  async generateTextRAGResponseWithFallback(message, context, options = {}) {
-    try {
-      // 1. Try DashScope primary
-      const dashscopeResponse = await dashscopeService.processRAG(message, context, null, options);
-      if (dashscopeResponse.success) {
-        console.log('✅ DashScope primary response successful');
-        return {
-          content: dashscopeResponse.response,
-          method: 'dashscope-primary',
-          model: dashscopeResponse.model,
-          contextUsed: {
-            sessions: context.sessions?.length || 0,
-            evidence: context.evidence?.length || 0,
-            chatHistory: context.chatHistory?.length || 0,
-            hasImage: false
-          }
-        };
+  formatRAGResult(result, method, context) {
+    return {
+      content: result.content,
+      method,
+      provider: result.provider,
+      model: result.model,
+      fallbackUsed: result.fallbackUsed,
+      citations: citationService.buildCitations(context.sources, result.content),
+      contextUsed: {
+        sessions: context.sessions?.length || 0,
+        evidence: context.evidence?.length || 0,
+        chatHistory: context.chatHistory?.length || 0,
+        hasImage: method === 'vision-rag'
       }
+    };
+  }
 
-      // 2. If DashScope fails, try OpenRouter fallback
-      console.log('🔄 DashScope primary failed, trying OpenRouter fallback...');
-      const prompt = this.buildTextRAGPrompt(message, context);
-      const openRouterResponse = await axios.post(this.openRouterApiUrl, {
-        model: 'meta-llama/llama-3.2-11b-instruct:free',
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7,
-        top_p: 0.9
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openRouterApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://your-app-domain.com',
-          'X-Title': 'AI Study Helper'
-        },
-        timeout: 30000
-      });
-
-      if (openRouterResponse.data && openRouterResponse.data.choices && openRouterResponse.data.choices[0]) {
-        const content = openRouterResponse.data.choices[0].message.content;
-        
-        // Validate content is not empty
-        if (!content || content.trim() === '') {
-          console.log('⚠️ OpenRouter fallback returned empty content, using fallback');
-          return this.generateFallbackResponse(message, context);
-        }
-        
-        return {
-          content: content.trim(),
-          method: 'openrouter-fallback',
-          model: 'meta-llama/llama-3.2-11b-instruct:free',
-          contextUsed: {
-            sessions: context.sessions?.length || 0,
-            evidence: context.evidence?.length || 0,
-            chatHistory: context.chatHistory?.length || 0,
-            hasImage: false
-          }
-        };
-      }
-      
-      console.log('⚠️ Both DashScope and OpenRouter fallback failed, using fallback');
-      return this.generateFallbackResponse(message, context);
-      
-    } catch (error) {
-      console.error('Text RAG response with fallback failed:', error);
-      console.log('🔄 Using fallback response due to error');
-      return this.generateFallbackResponse(message, context);
+  /**
+   * Earlier-conversation summary followed by the recent messages as a dialogue
+   */
+  formatConversation(context) {
+    const lines = [];
+    if (context.conversationSummary) {
+      lines.push(`Summary of earlier conversation: ${context.conversationSummary}`);
     }
+    context.chatHistory.forEach(ch => {
+      lines.push(`${ch.role === 'assistant' ? 'Assistant' : 'User'}: ${ch.text}`);
+    });
+    return lines.join('\n') || 'This is the start of the conversation.';
   }
 
   /**
@@ -452,29 +430,23 @@ class ChatController {
       `Session: ${s.title}\nConcepts: ${s.nodes.map(n => n.content).join(', ')}`
     ).join('\n\n');
     
-    const evidenceInfo = context.evidence.map(ev => 
-      `Evidence: ${ev.text} (confidence: ${ev.ocrConfidence})`
-    ).join('\n');
+    const evidenceInfo = citationService.formatSources(context.sources);
     
-    const chatHistory = context.chatHistory
-      .filter(ch => ch.role === 'user')
-      .slice(0, 3)
-      .map(ch => `User: ${ch.text}`)
-      .join('\n');
+    const chatHistory = this.formatConversation(context);
 
     return `You are an AI study assistant with access to educational content from images and previous conversations.
 
-**CONTEXT FROM IMAGE:**
+**CONTEXT FROM IMAGE (numbered sources):**
 ${evidenceInfo}
 
 **PREVIOUS STUDY SESSIONS:**
 ${sessionInfo}
 
-**RECENT CONVERSATION HISTORY:**
+**CONVERSATION SO FAR:**
 ${chatHistory}
 
 **CURRENT USER QUESTION:**
-${message}
+${message}${context.rewrittenQuery ? `\n(Interpreted as: ${context.rewrittenQuery})` : ''}
 
 **INSTRUCTIONS:**
 - Use the image content and context to provide accurate, helpful responses
@@ -482,6 +454,8 @@ ${message}
 - Be educational and supportive
 - Keep responses concise but informative
 - If the question is about the image content, analyze what you see carefully
+- Cite the numbered sources that support each claim, e.g. [1] or [2][3]
+- Only cite sources you actually used; say so if the sources do not answer the question
 
 **RESPONSE:**`;
   }
@@ -494,35 +468,31 @@ ${message}
       `Session: ${s.title}\nConcepts: ${s.nodes.map(n => n.content).join(', ')}`
     ).join('\n\n');
     
-    const evidenceInfo = context.evidence.map(ev => 
-      `Evidence: ${ev.text} (confidence: ${ev.ocrConfidence})`
-    ).join('\n');
+    const evidenceInfo = citationService.formatSources(context.sources);
     
-    const chatHistory = context.chatHistory
-      .filter(ch => ch.role === 'user')
-      .slice(0, 3)
-      .map(ch => `User: ${ch.text}`)
-      .join('\n');
+    const chatHistory = this.formatConversation(context);
 
     return `You are an AI study assistant with access to educational content and previous conversations.
 
-**EXTRACTED CONTENT:**
+**EXTRACTED CONTENT (numbered sources):**
 ${evidenceInfo}
 
 **PREVIOUS STUDY SESSIONS:**
 ${sessionInfo}
 
-**RECENT CONVERSATION HISTORY:**
+**CONVERSATION SO FAR:**
 ${chatHistory}
 
 **CURRENT USER QUESTION:**
-${message}
+${message}${context.rewrittenQuery ? `\n(Interpreted as: ${context.rewrittenQuery})` : ''}
 
 **INSTRUCTIONS:**
 - Use the extracted content and context to provide accurate, helpful responses
 - Reference specific concepts from the study sessions when relevant
 - Be educational and supportive
 - Keep responses concise but informative
+- Cite the numbered sources that support each claim, e.g. [1] or [2][3]
+- Only cite sources you actually used; say so if the sources do not answer the question
 
 **RESPONSE:**`;
   }
@@ -537,6 +507,7 @@ ${message}
       return {
         content: `I can see you have some study content available. Based on the context, I'd be happy to help you with "${message}". Could you please provide more specific details about what you'd like to know?`,
         method: 'fallback-with-context',
+        citations: [],
         contextUsed: {
           sessions: context.sessions.length,
           evidence: context.evidence.length,
@@ -548,6 +519,7 @@ ${message}
       return {
         content: `I'd be happy to help you with "${message}"! To provide the best assistance, please upload an image of your study materials so I can analyze the content and give you more specific, contextual help.`,
         method: 'fallback-no-context',
+        citations: [],
         contextUsed: {
           sessions: 0,
           evidence: 0,
@@ -572,15 +544,17 @@ ${message}
       });
       
       await chatEntry.save();
+      vectorIndexService.indexInBackground('chat', chatEntry);
     } catch (error) {
       console.error('Failed to save chat history:', error);
     }
   }
 
   /**
-   * Save chat history with auto-generated title asynchronously
+   * Save chat history with auto-generated title asynchronously.
+   * Cited evidence is linked to the assistant entry and its reference count incremented.
    */
-  async saveChatHistoryWithTitleAsync(userId, sessionId, role, userMessage, assistantResponse) {
+  async saveChatHistoryWithTitleAsync(userId, sessionId, role, userMessage, assistantResponse, citations = []) {
     try {
       // Validate inputs before saving
       if (!userMessage || userMessage.trim() === '') {
@@ -593,10 +567,10 @@ ${message}
         return;
       }
 
-      const sessionIdToUse = sessionId || `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const sessionIdToUse = sessionId || this.generateSessionId();
 
       // Save user message
-      await ChatHistoryEntry.create({
+      const userEntry = await ChatHistoryEntry.create({
         userId,
         sessionId: sessionIdToUse,
         role: 'user',
@@ -607,16 +581,25 @@ ${message}
       });
 
       // Save assistant response
-      await ChatHistoryEntry.create({
+      const citedEvidenceIds = [...new Set(citations.map(citation => String(citation.evidenceId)))];
+      const assistantEntry = await ChatHistoryEntry.create({
         userId,
         sessionId: sessionIdToUse,
         role: 'assistant',
         text: assistantResponse.trim(),
         content: assistantResponse.trim(), // Add content field as required
         messageType: 'rag_response',
+        context: { evidenceIds: citedEvidenceIds },
+        relatedContent: { relatedEvidenceIds: citedEvidenceIds },
         timestamp: new Date()
       });
 
+      await citationService.recordReferences(citations, 'chat', assistantEntry._id);
+      conversationMemoryService.updateMemory(userId, sessionIdToUse);
+
+      vectorIndexService.indexInBackground('chat', userEntry);
+      vectorIndexService.indexInBackground('chat', assistantEntry);
+
       console.log('💾 Chat history saved with auto-generated title');
     } catch (error) {
       console.error('❌ Error saving chat history:', error);
@@ -628,21 +611,12 @@ ${message}
    */
   async clearChatHistory(req, res) {
     try {
-      const { userId, sessionId } = req.body;
-      
-      if (!userId) {
-        return res.status(400).json({
-          success: false,
-          error: 'userId is required'
-        });
-      }
+      const userId = req.user._id;
+      const { sessionId } = req.body;
 
-      const query = { userId };
-      if (sessionId) {
-        query.sessionId = sessionId;
-      }
-
-      const result = await ChatHistoryEntry.deleteMany(query);
+      const query = sessionId ? { sessionId } : {};
+      const result = await ChatHistoryEntry.deleteMany(ChatHistoryEntry.ownerFilter(userId, query));
+      vectorIndexService.pruneInBackground(userId, 'chat');
     
     res.status(200).json({
       success: true,
@@ -659,6 +633,10 @@ ${message}
   }
   }
 
+  generateSessionId() {
+    return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Cache management
    */
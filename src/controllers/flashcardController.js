@@ -0,0 +1,425 @@
+const Flashcard = require('../models/Flashcard');
+const Quiz = require('../models/Quiz');
+const MindMap = require('../models/MindMap');
+const { findImageEvidence } = require('../utils/ownership');
+
+const CARD_SOURCES = ['evidence', 'quiz', 'mindmap'];
+
+/**
+ * Generate flashcards from an image's evidence, quizzes and mind maps
+ * @route POST /api/flashcards/generate
+ * @access Private
+ */
+const generateFlashcards = async (req, res) => {
+  try {
+    const { imageId, sources = CARD_SOURCES, tags = [] } = req.body;
+
+    if (!imageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image ID is required'
+      });
+    }
+
+    if (!Array.isArray(sources) || !Array.isArray(tags)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Sources and tags must be arrays'
+      });
+    }
+
+    const selectedSources = sources.filter(source => CARD_SOURCES.includes(source));
+    if (selectedSources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Sources must include at least one of: ${CARD_SOURCES.join(', ')}`
+      });
+    }
+
+    console.log(`🃏 Generating flashcards for image ${imageId} from ${selectedSources.join(', ')}`);
+
+    let cards = [];
+
+    if (selectedSources.includes('evidence')) {
+      const evidence = (await findImageEvidence(req.user._id, imageId) || [])
+        .filter(item => item.status !== 'archived');
+      cards = cards.concat(evidence.flatMap(buildEvidenceCards));
+    }
+
+    if (selectedSources.includes('quiz')) {
+      const quizzes = await Quiz.find({ imageId, userId: String(req.user._id) });
+      cards = cards.concat(quizzes.flatMap(buildQuizCards));
+    }
+
+    if (selectedSources.includes('mindmap')) {
+      const mindMaps = await MindMap.find({ imageId, userId: req.user._id });
+      cards = cards.concat(mindMaps.flatMap(buildMindMapCards));
+    }
+
+    if (cards.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No content found to build flashcards from. Please process the image first.'
+      });
+    }
+
+    // Upsert by source key so regenerating keeps existing scheduling
+    const result = await Flashcard.bulkWrite(cards.map(card => ({
+      updateOne: {
+        filter: { userId: req.user._id, 'source.key': card.source.key },
+        update: {
+          $setOnInsert: {
+            ...card,
+            cardId: `card_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            userId: req.user._id,
+            tags: [...new Set([...(card.tags || []), ...tags])]
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    const flashcards = await Flashcard.find({ userId: req.user._id, originalImageId: imageId })
+      .sort({ 'scheduling.dueDate': 1 });
+
+    res.status(201).json({
+      success: true,
+      message: `Created ${result.upsertedCount} new flashcards`,
+      created: result.upsertedCount,
+      totalCards: flashcards.length,
+      flashcards
+    });
+  } catch (error) {
+    console.error('Generate flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate flashcards'
+    });
+  }
+};
+
+/**
+ * Create a flashcard manually
+ * @route POST /api/flashcards
+ * @access Private
+ */
+const createFlashcard = async (req, res) => {
+  try {
+    const { front, back, originalImageId, topic, tags } = req.body;
+
+    if (!front || !back) {
+      return res.status(400).json({
+        success: false,
+        error: 'Front and back are required'
+      });
+    }
+
+    const flashcard = new Flashcard({
+      userId: req.user._id,
+      front,
+      back,
+      originalImageId,
+      topic,
+      tags: tags || [],
+      source: { type: 'manual' }
+    });
+
+    await flashcard.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Flashcard created successfully',
+      flashcard
+    });
+  } catch (error) {
+    console.error('Create flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create flashcard'
+    });
+  }
+};
+
+/**
+ * Get all flashcards for the user
+ * @route GET /api/flashcards
+ * @access Private
+ */
+const getFlashcards = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, imageId, sourceType, status = 'active' } = req.query;
+
+    const filter = { userId: req.user._id };
+    if (imageId) filter.originalImageId = imageId;
+    if (sourceType) filter['source.type'] = sourceType;
+    if (status) filter.status = status;
+
+    const flashcards = await Flashcard.find(filter)
+      .sort({ 'scheduling.dueDate': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Flashcard.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      flashcards,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalFlashcards: total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get flashcards'
+    });
+  }
+};
+
+/**
+ * Get flashcards due for review today
+ * @route GET /api/flashcards/due
+ * @access Private
+ */
+const getDueFlashcards = async (req, res) => {
+  try {
+    const { limit = 50, imageId } = req.query;
+
+    const endOfToday = new Date();
+    endOfToday.setHours(23, 59, 59, 999);
+
+    const flashcards = await Flashcard.getDue(req.user._id, {
+      until: endOfToday,
+      limit: Number(limit),
+      originalImageId: imageId
+    });
+
+    res.status(200).json({
+      success: true,
+      flashcards,
+      dueCount: flashcards.length
+    });
+  } catch (error) {
+    console.error('Get due flashcards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get due flashcards'
+    });
+  }
+};
+
+/**
+ * Record a review grade (0-5) for a flashcard
+ * @route POST /api/flashcards/:cardId/review
+ * @access Private
+ */
+const reviewFlashcard = async (req, res) => {
+  try {
+    const grade = Number(req.body.grade);
+
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'Grade must be an integer between 0 and 5'
+      });
+    }
+
+    const flashcard = await Flashcard.findOne({ cardId: req.params.cardId, userId: req.user._id });
+
+    if (!flashcard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flashcard not found'
+      });
+    }
+
+    await flashcard.review(grade);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review recorded',
+      flashcard,
+      nextReview: flashcard.scheduling.dueDate
+    });
+  } catch (error) {
+    console.error('Review flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record review'
+    });
+  }
+};
+
+/**
+ * Update a flashcard
+ * @route PUT /api/flashcards/:cardId
+ * @access Private
+ */
+const updateFlashcard = async (req, res) => {
+  try {
+    const { front, back, topic, tags, status } = req.body;
+
+    const flashcard = await Flashcard.findOneAndUpdate(
+      { cardId: req.params.cardId, userId: req.user._id },
+      { front, back, topic, tags, status },
+      { new: true, runValidators: true }
+    );
+
+    if (!flashcard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flashcard not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Flashcard updated successfully',
+      flashcard
+    });
+  } catch (error) {
+    console.error('Update flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update flashcard'
+    });
+  }
+};
+
+/**
+ * Delete a flashcard
+ * @route DELETE /api/flashcards/:cardId
+ * @access Private
+ */
+const deleteFlashcard = async (req, res) => {
+  try {
+    const flashcard = await Flashcard.findOneAndDelete({ cardId: req.params.cardId, userId: req.user._id });
+
+    if (!flashcard) {
+      return res.status(404).json({
+        success: false,
+        error: 'Flashcard not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Flashcard deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete flashcard error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete flashcard'
+    });
+  }
+};
+
+/**
+ * Build cards from definition-like and formula lines in an evidence record
+ */
+const buildEvidenceCards = (evidence) => {
+  const lines = String(evidence.text || '')
+    .split(/\n|(?<=[.!?])\s+/)
+    .map(line => line.trim())
+    .filter(line => line.length >= 8);
+
+  const cards = [];
+  lines.forEach((line, index) => {
+    let front = null;
+    let back = null;
+
+    const definition = line.match(/^(.{2,80}?)\s+(is|are|refers to|means)\s+(.{8,})$/i);
+    const labelled = line.match(/^([^:]{2,60}):\s*(.{8,})$/);
+    const formula = line.match(/^([^=]{1,40}?)\s*=\s*(.+)$/);
+
+    if (formula) {
+      front = `What is the formula for ${formula[1].trim()}?`;
+      back = line;
+    } else if (labelled) {
+      front = `Define: ${labelled[1].trim()}`;
+      back = labelled[2].trim();
+    } else if (definition) {
+      front = `What ${definition[2].toLowerCase()} ${definition[1].trim()}?`;
+      back = definition[3].trim();
+    }
+
+    if (front && back) {
+      cards.push({
+        front,
+        back,
+        originalImageId: evidence.originalImageId,
+        source: {
+          type: 'evidence',
+          key: `evidence:${evidence._id}:${index}`,
+          evidenceId: evidence._id
+        }
+      });
+    }
+  });
+
+  return cards;
+};
+
+/**
+ * Build one card per quiz question
+ */
+const buildQuizCards = (quiz) => {
+  return quiz.questions.map(question => {
+    const options = question.options && question.options.length > 0
+      ? `\n\n${question.options.join('\n')}`
+      : '';
+
+    return {
+      front: `${question.question}${options}`,
+      back: question.explanation
+        ? `${question.correctAnswer}\n\n${question.explanation}`
+        : question.correctAnswer,
+      originalImageId: quiz.imageId,
+      topic: question.topic,
+      tags: quiz.tags || [],
+      source: {
+        type: 'quiz',
+        key: `quiz:${quiz.id}:${question.id}`,
+        quizId: quiz.id,
+        questionId: question.id
+      }
+    };
+  });
+};
+
+/**
+ * Build cards from mind map nodes that carry an explanation
+ */
+const buildMindMapCards = (mindMap) => {
+  return mindMap.nodes
+    .filter(node => node.description || node.content)
+    .map(node => ({
+      front: node.type === 'formula' ? `State the formula: ${node.title}` : `Explain: ${node.title}`,
+      back: node.description || node.content,
+      originalImageId: node.metadata?.sourceImageId || mindMap.imageId,
+      topic: mindMap.topic,
+      tags: mindMap.tags || [],
+      source: {
+        type: 'mindmap',
+        key: `mindmap:${mindMap.mindMapId}:${node.id}`,
+        mindMapId: mindMap.mindMapId,
+        nodeId: node.id
+      }
+    }));
+};
+
+module.exports = {
+  generateFlashcards,
+  createFlashcard,
+  getFlashcards,
+  getDueFlashcards,
+  reviewFlashcard,
+  updateFlashcard,
+  deleteFlashcard
+};
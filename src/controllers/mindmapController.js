@@ -1,5 +1,8 @@
-const Evidence = require('../models/Evidence');
-const dashscopeService = require('../services/dashscopeService');
+const MindMap = require('../models/MindMap');
+const MindMapVersion = require('../models/MindMapVersion');
+const llmGateway = require('../services/llm');
+const vectorIndexService = require('../services/vector');
+const { findImageEvidence } = require('../utils/ownership');
 const { v4: uuidv4 } = require('uuid');
 
 // Main mindmap generation function
@@ -7,16 +10,12 @@ const generateMindmap = async (req, res) => {
   try {
     const { imageId } = req.params;
     const { options = {} } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = req.user._id;
 
     console.log(`🧠 Generating mindmap for image ${imageId}`);
 
     // Get evidence records for this image
-    const evidence = await Evidence.find({ 
-      $or: [
-        { originalImageId: imageId }
-      ]
-    }).sort({ createdAt: -1 });
+    const evidence = await findImageEvidence(userId, imageId);
 
     if (!evidence || evidence.length === 0) {
       return res.status(404).json({
@@ -38,30 +37,27 @@ const generateMindmap = async (req, res) => {
       });
     }
 
-    // Generate mindmap using DashScope
+    // Generate mindmap through the LLM gateway
     const mindmapPrompt = `Create a structured mindmap from this text. Return JSON with nodes and subNodes. Text: ${textContent.substring(0, 1500)}`;
 
-    const mindmapResult = await dashscopeService.processRAG(
-      mindmapPrompt,
-      [{ text: textContent.substring(0, 1000) }],
-      null,
-      { maxTokens: 1500, temperature: 0.3 }
-    );
-
-    if (!mindmapResult.success) {
-      throw new Error(`Mindmap generation failed: ${mindmapResult.error}`);
-    }
-
     // Parse AI response and create mindmap structure
     let mindmapData = createFallbackMindmap(textContent);
     
     try {
-      const jsonMatch = mindmapResult.response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        mindmapData = JSON.parse(jsonMatch[0]);
-      }
-    } catch (parseError) {
-      console.log('Using fallback mindmap structure');
+      const mindmapResult = await llmGateway.completeWithContext(
+        mindmapPrompt,
+        [textContent.substring(0, 1000)],
+        {
+          task: 'mindmap',
+          maxTokens: 1500,
+          temperature: 0.3,
+          validate: ({ content }) => JSON.parse(content.match(/\{[\s\S]*\}/)[0])
+        }
+      );
+      mindmapData = mindmapResult.parsed;
+      mindmapData.method = mindmapResult.provider;
+    } catch (llmError) {
+      console.log('Using fallback mindmap structure:', llmError.message);
     }
 
     // Add metadata
@@ -70,9 +66,15 @@ const generateMindmap = async (req, res) => {
     mindmapData.generatedAt = new Date();
     mindmapData.evidenceCount = evidence.length;
 
+    // Persist the map so node edits and version history have something durable to work on
+    const mindMap = await saveGeneratedMindmap(imageId, userId, mindmapData, evidence);
+    mindmapData.mindMapId = mindMap.mindMapId;
+    mindmapData.revision = mindMap.metadata.revision;
+
     res.status(200).json({
       success: true,
       mindmap: mindmapData,
+      saved: true,
       message: 'Mindmap generated successfully'
     });
 
@@ -90,13 +92,17 @@ const generateMindmap = async (req, res) => {
 const getMindmap = async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = req.user._id;
+
+    const mindMap = await findUserMindMap(imageId, userId);
+    if (mindMap) {
+      return res.status(200).json({
+        success: true,
+        mindmap: mindMap.exportAsTree()
+      });
+    }
 
-    const evidence = await Evidence.find({ 
-      $or: [
-        { originalImageId: imageId }
-      ]
-    }).sort({ createdAt: -1 });
+    const evidence = await findImageEvidence(userId, imageId);
 
     if (!evidence || evidence.length === 0) {
       return res.status(404).json({
@@ -134,15 +140,11 @@ const explainNode = async (req, res) => {
   try {
     const { imageId, nodeId } = req.params;
     const { question = '' } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = req.user._id;
 
     console.log(`🤖 Explaining node ${nodeId} for image ${imageId}`);
 
-    const evidence = await Evidence.find({ 
-      $or: [
-        { originalImageId: imageId }
-      ]
-    }).sort({ createdAt: -1 });
+    const evidence = await findImageEvidence(userId, imageId);
 
     if (!evidence || evidence.length === 0) {
       return res.status(404).json({
@@ -160,19 +162,14 @@ const explainNode = async (req, res) => {
     const explanationPrompt = question || 
       `Explain "${nodeId}" in exactly 3 lines maximum. Be concise and clear.`;
 
-    const explanationResult = await dashscopeService.processRAG(
+    const explanationResult = await llmGateway.completeWithContext(
       explanationPrompt,
-      [{ text: textContent.substring(0, 1500) }],
-      null,
-      { maxTokens: 300, temperature: 0.5 } // Reduced tokens for conciseness
+      [textContent.substring(0, 1500)],
+      { task: 'mindmap', maxTokens: 300, temperature: 0.5 } // Reduced tokens for conciseness
     );
 
-    if (!explanationResult.success) {
-      throw new Error(`Explanation generation failed: ${explanationResult.error}`);
-    }
-
     // Ensure explanation is limited to 3 lines
-    let conciseExplanation = explanationResult.response;
+    let conciseExplanation = explanationResult.content;
     const lines = conciseExplanation.split('\n').filter(line => line.trim().length > 0);
     if (lines.length > 3) {
       conciseExplanation = lines.slice(0, 3).join('\n');
@@ -211,15 +208,11 @@ const explainMindmap = async (req, res) => {
   try {
     const { imageId } = req.params;
     const { question = '' } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = req.user._id;
 
     console.log(`🧠 Explaining entire mindmap for image ${imageId}`);
 
-    const evidence = await Evidence.find({ 
-      $or: [
-        { originalImageId: imageId }
-      ]
-    }).sort({ createdAt: -1 });
+    const evidence = await findImageEvidence(userId, imageId);
 
     if (!evidence || evidence.length === 0) {
       return res.status(404).json({
@@ -237,19 +230,14 @@ const explainMindmap = async (req, res) => {
     const explanationPrompt = question || 
       `Provide a comprehensive overview of this entire mindmap in exactly 3 lines. Explain the main concepts and their relationships.`;
 
-    const explanationResult = await dashscopeService.processRAG(
+    const explanationResult = await llmGateway.completeWithContext(
       explanationPrompt,
-      [{ text: textContent.substring(0, 2000) }],
-      null,
-      { maxTokens: 400, temperature: 0.4 } // Balanced tokens for overview
+      [textContent.substring(0, 2000)],
+      { task: 'mindmap', maxTokens: 400, temperature: 0.4 } // Balanced tokens for overview
     );
 
-    if (!explanationResult.success) {
-      throw new Error(`Mindmap explanation failed: ${explanationResult.error}`);
-    }
-
     // Ensure explanation is limited to 3 lines
-    let conciseExplanation = explanationResult.response;
+    let conciseExplanation = explanationResult.content;
     const lines = conciseExplanation.split('\n').filter(line => line.trim().length > 0);
     if (lines.length > 3) {
       conciseExplanation = lines.slice(0, 3).join('\n');
@@ -288,7 +276,6 @@ const addNode = async (req, res) => {
   try {
     const { imageId } = req.params;
     const { label, type = 'sub', description = '', parentNodeId = null } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
 
     if (!label) {
       return res.status(400).json({
@@ -297,21 +284,44 @@ const addNode = async (req, res) => {
       });
     }
 
-    const newNode = {
-      id: uuidv4(),
-      label,
-      type,
-      description,
-      parentNodeId,
-      imageId,
-      userId,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    const mindMap = await loadEditableMindMap(req, res);
+    if (!mindMap) return;
+
+    const parent = parentNodeId ? mindMap.getNode(parentNodeId) : null;
+    if (parentNodeId && !parent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Parent node not found'
+      });
+    }
+
+    let node;
+    try {
+      node = mindMap.addNode({
+        id: uuidv4(),
+        title: label,
+        description,
+        parents: parent ? [parent.id] : [],
+        metadata: { sourceImageId: imageId, processingMethod: 'manual' }
+      });
+    } catch (limitError) {
+      return res.status(400).json({
+        success: false,
+        error: limitError.message
+      });
+    }
+
+    if (parent) {
+      parent.children.push(node.id);
+      mindMap.addEdge({ source: parent.id, target: node.id, type: 'contains' });
+    }
+
+    await commitMindMapChange(mindMap, 'node-added');
 
     res.status(201).json({
       success: true,
-      node: newNode,
+      node: formatNode(mindMap, mindMap.getNode(node.id), type),
+      revision: mindMap.metadata.revision,
       message: 'Node added successfully'
     });
 
@@ -326,24 +336,57 @@ const addNode = async (req, res) => {
 
 const updateNode = async (req, res) => {
   try {
-    const { imageId, nodeId } = req.params;
-    const { label, type, description, parentNodeId } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
-
-    const updatedNode = {
-      id: nodeId,
-      label: label || `Updated Node ${nodeId}`,
-      type: type || 'main',
-      description: description || 'Updated description',
-      parentNodeId,
-      imageId,
-      userId,
-      updatedAt: new Date()
-    };
+    const { nodeId } = req.params;
+    const { label, description, parentNodeId } = req.body;
+
+    const mindMap = await loadEditableMindMap(req, res);
+    if (!mindMap) return;
+
+    const node = mindMap.getNode(nodeId);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        error: 'Node not found'
+      });
+    }
+
+    if (label !== undefined) node.title = label;
+    if (description !== undefined) node.description = description;
+
+    // Re-parent the node when a different parent is requested (null moves it to the top level)
+    const currentParentId = node.parents[0] || null;
+    if (parentNodeId !== undefined && parentNodeId !== currentParentId) {
+      const newParent = parentNodeId ? mindMap.getNode(parentNodeId) : null;
+      if (parentNodeId && !newParent) {
+        return res.status(404).json({
+          success: false,
+          error: 'Parent node not found'
+        });
+      }
+      if (newParent && isDescendant(mindMap, nodeId, newParent.id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A node cannot be moved under one of its own sub-nodes'
+        });
+      }
+
+      mindMap.nodes.forEach(other => {
+        other.children = other.children.filter(id => id !== nodeId);
+      });
+      mindMap.edges = mindMap.edges.filter(edge => !(edge.target === nodeId && edge.type === 'contains'));
+      node.parents = newParent ? [newParent.id] : [];
+      if (newParent) {
+        newParent.children.push(nodeId);
+        mindMap.addEdge({ source: newParent.id, target: nodeId, type: 'contains' });
+      }
+    }
+
+    await commitMindMapChange(mindMap, 'node-updated');
 
     res.status(200).json({
       success: true,
-      node: updatedNode,
+      node: formatNode(mindMap, mindMap.getNode(nodeId)),
+      revision: mindMap.metadata.revision,
       message: 'Node updated successfully'
     });
 
@@ -358,13 +401,27 @@ const updateNode = async (req, res) => {
 
 const deleteNode = async (req, res) => {
   try {
-    const { imageId, nodeId } = req.params;
-    const userId = req.user?._id || 'dev-user-123';
+    const { nodeId } = req.params;
+
+    const mindMap = await loadEditableMindMap(req, res);
+    if (!mindMap) return;
+
+    if (!mindMap.getNode(nodeId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Node not found'
+      });
+    }
+
+    const removedIds = mindMap.removeNode(nodeId);
+    await commitMindMapChange(mindMap, 'node-deleted');
 
     res.status(200).json({
       success: true,
       message: `Node ${nodeId} deleted successfully`,
-      deletedNodeId: nodeId
+      deletedNodeId: nodeId,
+      deletedNodeIds: removedIds,
+      revision: mindMap.metadata.revision
     });
 
   } catch (error) {
@@ -379,22 +436,25 @@ const deleteNode = async (req, res) => {
 const getNodeDetails = async (req, res) => {
   try {
     const { imageId, nodeId } = req.params;
-    const userId = req.user?._id || 'dev-user-123';
 
-    const nodeInfo = {
-      id: nodeId,
-      imageId,
-      userId,
-      label: `Node ${nodeId}`,
-      type: 'main',
-      description: 'Node description',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    const mindMap = await loadEditableMindMap(req, res);
+    if (!mindMap) return;
+
+    const node = mindMap.getNode(nodeId);
+    if (!node) {
+      return res.status(404).json({
+        success: false,
+        error: 'Node not found'
+      });
+    }
 
     res.status(200).json({
       success: true,
-      node: nodeInfo
+      node: {
+        ...formatNode(mindMap, node),
+        imageId,
+        connectedNodes: mindMap.getConnectedNodes(nodeId).map(n => ({ id: n.id, label: n.title }))
+      }
     });
 
   } catch (error) {
@@ -406,6 +466,201 @@ const getNodeDetails = async (req, res) => {
   }
 };
 
+// List saved versions of a mindmap
+const getMindmapVersions = async (req, res) => {
+  try {
+    const mindMap = await loadEditableMindMap(req, res);
+    if (!mindMap) return;
+
+    const versions = await MindMapVersion.listVersions(mindMap.mindMapId);
+
+    res.status(200).json({
+      success: true,
+      mindMapId: mindMap.mindMapId,
+      currentRevision: mindMap.metadata.revision,
+      versions
+    });
+
+  } catch (error) {
+    console.error('❌ Get mindmap versions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve mindmap versions'
+    });
+  }
+};
+
+// Restore an earlier version (recorded as a new version so the restore itself can be undone)
+const restoreMindmapVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version, 10);
+
+    const mindMap = await loadEditableMindMap(req, res);
+    if (!mindMap) return;
+
+    const saved = await MindMapVersion.findOne({ mindMapId: mindMap.mindMapId, version });
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.params.version} not found`
+      });
+    }
+
+    const { title, topic, description, nodes, edges, layout, settings } = saved.snapshot;
+    mindMap.set({ title, topic, description, nodes, edges, layout, settings });
+    await commitMindMapChange(mindMap, 'restored');
+
+    res.status(200).json({
+      success: true,
+      mindmap: mindMap.exportAsTree(),
+      restoredFrom: version,
+      message: `Mindmap restored to version ${version}`
+    });
+
+  } catch (error) {
+    console.error('❌ Restore mindmap version error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore mindmap version'
+    });
+  }
+};
+
+// Find the most recent persisted mindmap for an image owned by the user
+const findUserMindMap = (imageId, userId) => {
+  return MindMap.findOneOwned(userId, { imageId }).sort({ updatedAt: -1 });
+};
+
+// Load the caller's persisted mindmap for editing, sending an error response when unavailable
+const loadEditableMindMap = async (req, res) => {
+  const mindMap = await findUserMindMap(req.params.imageId, req.user._id);
+  if (!mindMap) {
+    res.status(404).json({
+      success: false,
+      error: 'No saved mindmap for this image. Please generate one first.'
+    });
+    return null;
+  }
+
+  return mindMap;
+};
+
+// Save a change and record it in the version history. The snapshot is taken from the
+// stored map, which also holds edits other requests saved since this one loaded it.
+const commitMindMapChange = async (mindMap, reason) => {
+  await mindMap.save();
+  await mindMap.bumpRevision();
+
+  const stored = await MindMap.findById(mindMap._id);
+  await MindMapVersion.record(stored, reason);
+  vectorIndexService.indexInBackground('mindmap_node', stored);
+  return mindMap;
+};
+
+// Create or replace the persisted mindmap for an image from generated data
+const saveGeneratedMindmap = async (imageId, userId, mindmapData, evidence) => {
+  const { nodes, edges } = buildGraphFromTree(mindmapData.nodes || [], imageId);
+  const title = mindmapData.title || 'Generated Mindmap';
+  const processingMethod = mindmapData.method === 'fallback' ? 'text-based' : 'vision-enhanced';
+
+  let mindMap = await findUserMindMap(imageId, userId);
+  const reason = mindMap ? 'regenerated' : 'generated';
+
+  if (!mindMap) {
+    mindMap = new MindMap({
+      userId,
+      imageId,
+      title,
+      topic: mindmapData.topic || title,
+      subject: mindmapData.subject || 'General',
+      metadata: {
+        createdBy: String(userId),
+        sourceType: 'ai-generated',
+        processingMethod
+      }
+    });
+  }
+
+  mindMap.set({
+    title,
+    description: mindmapData.description,
+    nodes,
+    edges,
+    'settings.maxNodes': Math.max(mindMap.settings?.maxNodes || 50, nodes.length),
+    'metadata.processingMethod': processingMethod
+  });
+  nodes.forEach(node => {
+    const nodeDoc = mindMap.getNode(node.id);
+    nodeDoc.metadata.evidenceIds = evidence.slice(0, 10).map(ev => ev._id);
+  });
+
+  return commitMindMapChange(mindMap, reason);
+};
+
+// Flatten a main/sub node tree into MindMap nodes and 'contains' edges
+const buildGraphFromTree = (treeNodes, imageId) => {
+  const nodes = [];
+  const edges = [];
+  const nodeTypes = ['concept', 'definition', 'example', 'formula', 'diagram', 'process', 'fact'];
+  const usedIds = new Set();
+
+  const visit = (treeNode, parentId, depth, index) => {
+    let id = String(treeNode.id || `${parentId || 'node'}-${index + 1}`);
+    while (usedIds.has(id)) id = `${id}-${uuidv4().substr(0, 4)}`;
+    usedIds.add(id);
+
+    const children = treeNode.subNodes || treeNode.children || [];
+    const node = {
+      id,
+      title: String(treeNode.label || treeNode.title || treeNode.name || `Node ${index + 1}`),
+      description: String(treeNode.description || '').substring(0, 1000),
+      type: nodeTypes.includes(treeNode.type) ? treeNode.type : 'concept',
+      position: { x: index * 220, y: depth * 150 },
+      children: [],
+      parents: parentId ? [parentId] : [],
+      metadata: { sourceImageId: imageId, processingMethod: 'ai-generated' }
+    };
+    nodes.push(node);
+
+    if (parentId) {
+      edges.push({ id: `edge-${parentId}-${id}`, source: parentId, target: id, type: 'contains' });
+    }
+
+    if (Array.isArray(children)) {
+      children
+        .filter(child => child && typeof child === 'object')
+        .forEach((child, childIndex) => node.children.push(visit(child, id, depth + 1, childIndex)));
+    }
+
+    return id;
+  };
+
+  treeNodes
+    .filter(treeNode => treeNode && typeof treeNode === 'object')
+    .forEach((treeNode, index) => visit(treeNode, null, 0, index));
+
+  return { nodes, edges };
+};
+
+// Check whether candidateId sits in the subtree below nodeId
+const isDescendant = (mindMap, nodeId, candidateId) => {
+  const node = mindMap.getNode(nodeId);
+  if (!node) return false;
+  return node.children.some(childId => childId === candidateId || isDescendant(mindMap, childId, candidateId));
+};
+
+// Shape a MindMap node the way the node routes have always returned it
+const formatNode = (mindMap, node, type) => ({
+  id: node.id,
+  label: node.title,
+  type: type || (node.parents.length === 0 ? 'main' : 'sub'),
+  description: node.description || '',
+  parentNodeId: node.parents[0] || null,
+  subNodeIds: node.children,
+  imageId: mindMap.imageId,
+  userId: mindMap.userId
+});
+
 // Helper function to create fallback mindmap
 const createFallbackMindmap = (textContent) => {
   const words = textContent.split(/\s+/).filter(word => word.length > 3);
@@ -441,5 +696,7 @@ module.exports = {
   explainNode,
   explainMindmap,
   addNode,
-  getNodeDetails
+  getNodeDetails,
+  getMindmapVersions,
+  restoreMindmapVersion
 };
@@ -1,8 +1,33 @@
 const Note = require('../models/Note');
-const { cloudinary } = require('../services/cloudinaryService');
+const { getStorageProvider } = require('../services/storage');
+const vectorIndexService = require('../services/vector');
 const { v4: uuidv4 } = require('uuid');
 
-console.log('📝 Notes Controller: Using centralized Cloudinary service');
+console.log('📝 Notes Controller: Using configured storage provider');
+
+/**
+ * Public sharing is limited to accounts with a verified email address,
+ * and notes taken down by a moderator can't be made public again
+ */
+const rejectPublicSharing = (req, res, note = null) => {
+  if (note?.moderation?.hidden) {
+    res.status(403).json({
+      success: false,
+      error: 'This note was removed from public view by a moderator',
+      code: 'MODERATED'
+    });
+    return true;
+  }
+
+  if (req.user.emailVerified) return false;
+
+  res.status(403).json({
+    success: false,
+    error: 'Verify your email address before sharing notes publicly',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+  return true;
+};
 
 /**
  * Create a new note
@@ -31,26 +56,23 @@ const createNote = async (req, res) => {
       });
     }
 
+    if (isPublic && String(isPublic) !== 'false' && rejectPublicSharing(req, res)) return;
+
     // Handle image upload if provided
     let imageData = null;
     if (req.file) {
       try {
-        // Convert buffer to base64 for Cloudinary upload
-        const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-        
-        // Upload image to Cloudinary
-        const uploadResult = await cloudinary.uploader.upload(base64Image, {
-          folder: 'ai-study-helper/notes',
-          public_id: `note_${uuidv4()}`,
-          transformation: [
-            { quality: 'auto:good' },
-            { fetch_format: 'auto' }
-          ]
+        // Upload image through the configured storage provider
+        const uploadResult = await getStorageProvider().put(req.file.buffer, {
+          key: `ai-study-helper/notes/note_${uuidv4()}`,
+          resourceType: 'image',
+          contentType: req.file.mimetype,
+          originalName: req.file.originalname
         });
 
         imageData = {
-          url: uploadResult.secure_url,
-          publicId: uploadResult.public_id,
+          url: uploadResult.url,
+          publicId: uploadResult.key,
           alt: title || 'Note image'
         };
       } catch (uploadError) {
@@ -77,6 +99,7 @@ const createNote = async (req, res) => {
     });
 
     await note.save();
+    vectorIndexService.indexInBackground('note', note);
 
     // Populate user info
     await note.populate('userId', 'username email');
@@ -235,6 +258,8 @@ const updateNote = async (req, res) => {
     const { id } = req.params;
     const userId = req.user._id;
     const updateData = req.body;
+    // Moderation state is only changed through the admin API
+    delete updateData.moderation;
 
     // Find the note
     const note = await Note.findOne({ _id: id, userId });
@@ -245,30 +270,27 @@ const updateNote = async (req, res) => {
       });
     }
 
+    if (!note.isPublic && String(updateData.isPublic) === 'true' && rejectPublicSharing(req, res, note)) return;
+
     // Handle image update if new image provided
     if (req.file) {
       try {
         // Delete old image if exists
         if (note.image && note.image.publicId) {
-          await cloudinary.uploader.destroy(note.image.publicId);
+          await getStorageProvider().delete(note.image.publicId);
         }
 
-        // Convert buffer to base64 for Cloudinary upload
-        const base64Image = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-        
-        // Upload new image
-        const uploadResult = await cloudinary.uploader.upload(base64Image, {
-          folder: 'ai-study-helper/notes',
-          public_id: `note_${uuidv4()}`,
-          transformation: [
-            { quality: 'auto:good' },
-            { fetch_format: 'auto' }
-          ]
+        // Upload new image through the configured storage provider
+        const uploadResult = await getStorageProvider().put(req.file.buffer, {
+          key: `ai-study-helper/notes/note_${uuidv4()}`,
+          resourceType: 'image',
+          contentType: req.file.mimetype,
+          originalName: req.file.originalname
         });
 
         updateData.image = {
-          url: uploadResult.secure_url,
-          publicId: uploadResult.public_id,
+          url: uploadResult.url,
+          publicId: uploadResult.key,
           alt: updateData.title || note.title || 'Note image'
         };
       } catch (uploadError) {
@@ -286,6 +308,7 @@ const updateNote = async (req, res) => {
       updateData,
       { new: true, runValidators: true }
     ).populate('userId', 'username email');
+    vectorIndexService.indexInBackground('note', updatedNote);
 
     res.status(200).json({
       success: true,
@@ -328,17 +351,18 @@ const deleteNote = async (req, res) => {
       });
     }
 
-    // Delete associated image from Cloudinary if exists
+    // Delete associated image from storage if exists
     if (note.image && note.image.publicId) {
       try {
-        await cloudinary.uploader.destroy(note.image.publicId);
+        await getStorageProvider().delete(note.image.publicId);
       } catch (imageError) {
-        console.error('Failed to delete image from Cloudinary:', imageError);
+        console.error('Failed to delete image from storage:', imageError);
       }
     }
 
     // Delete the note
     await Note.findByIdAndDelete(id);
+    vectorIndexService.removeInBackground('note', note.noteId);
 
     res.status(200).json({
       success: true,
@@ -476,6 +500,8 @@ const toggleNotePublic = async (req, res) => {
       });
     }
 
+    if (!note.isPublic && rejectPublicSharing(req, res, note)) return;
+
     await note.togglePublic();
     await note.populate('userId', 'username email');
 
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+const invalidId = (res) => res.status(404).json({
+  success: false,
+  error: 'Notification not found'
+});
+
+/**
+ * Get the authenticated user's notifications, newest first
+ * @route GET /api/notifications
+ * @access Private
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { page = 1, limit = 20, unread, type } = req.query;
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const filter = {};
+    if (unread === 'true') filter.readAt = null;
+    if (type) filter.type = type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.findOwned(userId, filter)
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      Notification.countOwned(userId, filter),
+      Notification.countUnread(userId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage,
+        totalPages: Math.ceil(total / pageSize),
+        total,
+        hasNextPage: currentPage * pageSize < total,
+        hasPrevPage: currentPage > 1
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve notifications'
+    });
+  }
+};
+
+/**
+ * Number of unread notifications (for a badge)
+ * @route GET /api/notifications/unread-count
+ * @access Private
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      unreadCount
+    });
+  } catch (error) {
+    console.error('❌ Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to count notifications'
+    });
+  }
+};
+
+/**
+ * Mark one notification read or unread
+ * @route PATCH /api/notifications/:id/read
+ * @route PATCH /api/notifications/:id/unread
+ * @access Private
+ */
+const setReadState = (read) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+    const notification = await Notification.findOneAndUpdate(
+      Notification.ownerFilter(req.user._id, { _id: id }),
+      { $set: { readAt: read ? new Date() : null } },
+      { new: true }
+    );
+    if (!notification) return invalidId(res);
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    console.error('❌ Update notification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification'
+    });
+  }
+};
+
+const markAsRead = setReadState(true);
+const markAsUnread = setReadState(false);
+
+/**
+ * Mark all notifications read
+ * @route PATCH /api/notifications/read-all
+ * @access Private
+ */
+const markAllAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      Notification.ownerFilter(req.user._id, { readAt: null }),
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Marked ${result.modifiedCount} notifications as read`,
+      modifiedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notifications'
+    });
+  }
+};
+
+/**
+ * Delete a notification
+ * @route DELETE /api/notifications/:id
+ * @access Private
+ */
+const deleteNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) return invalidId(res);
+
+    const notification = await Notification.findOneAndDelete(Notification.ownerFilter(req.user._id, { _id: id }));
+    if (!notification) return invalidId(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    console.error('❌ Delete notification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete notification'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification
+};
@@ -7,148 +7,183 @@ const Session = require('../models/Session');
 const Quiz = require('../models/Quiz');
 const Evidence = require('../models/Evidence');
 const ChatHistoryEntry = require('../models/ChatHistoryEntry');
+const ProcessingJob = require('../models/ProcessingJob');
+const jobQueueService = require('../services/jobQueueService');
+const vectorIndexService = require('../services/vector');
+const { getStorageProvider } = require('../services/storage');
 const ApiResponse = require('../utils/apiResponse');
 const TitleGenerator = require('../utils/titleGenerator');
-const axios = require('axios');
+const { canAccessImage, findImageEvidence } = require('../utils/ownership');
 
 class ProcessController {
+  constructor() {
+    jobQueueService.registerHandler('process-file', this.runProcessFileJob.bind(this));
+  }
+
   /**
    * File upload and processing endpoint (supports images and PDFs)
-   * Only stores summary, doesn't generate mind map immediately
+   * Queues the work and returns a jobId immediately; poll /status/:imageId for progress
    */
   async processFile(req, res) {
-    const startTime = Date.now();
-    
     try {
-      const { imageId, userId, options = {} } = req.body;
-      const actualUserId = userId || req.user?._id || 'dev-user-123';
+      const { imageId, options = {} } = req.body;
+      const actualUserId = String(req.user._id);
       
       if (!imageId) {
         return res.status(400).json(ApiResponse.error('imageId is required'));
       }
 
-      console.log(`🚀 Starting file processing for user ${actualUserId}, file ${imageId}`);
-      
-      // 1. Get file buffer and metadata
-      const { fileBuffer, fileType, originalName } = await this.getFileBuffer(imageId);
-      if (!fileBuffer) {
+      const profiles = ocrService.getPreprocessingProfiles();
+      if (options.preprocessingProfile && !profiles.includes(options.preprocessingProfile)) {
+        return res.status(400).json(ApiResponse.error(`preprocessingProfile must be one of: ${profiles.join(', ')}`));
+      }
+
+      if (!(await canAccessImage(actualUserId, imageId))) {
         return res.status(404).json(ApiResponse.notFound('File not found'));
       }
 
-      let processingResult;
-      let evidenceRecords = [];
+      // Reuse an in-flight job for the same file instead of processing it twice
+      const existingJob = await ProcessingJob.getLatestForImage(imageId);
+      if (existingJob && !existingJob.isFinished && existingJob.isOwnedBy(actualUserId)) {
+        return res.status(202).json(ApiResponse.success('File is already being processed', existingJob.toStatus()));
+      }
 
-      // 2. Process based on file type
-      if (fileType === 'image') {
-        console.log('📸 Processing image file...');
-        const ocrResult = await ocrService.processImageOptimized(fileBuffer, {
-          originalImageId: imageId,
-          ...options
-        });
+      const job = await jobQueueService.enqueue('process-file', {
+        imageId,
+        userId: actualUserId,
+        options
+      });
 
-        if (!ocrResult.success) {
-          return res.status(500).json(ApiResponse.serverError('OCR processing failed', ocrResult.error));
-        }
+      return res.status(202).json(ApiResponse.success('File queued for processing', {
+        ...job.toStatus(),
+        statusUrl: `/api/process/status/${encodeURIComponent(imageId)}`,
+        message: 'Poll the status endpoint until status is done, then use /api/mindmap/:imageId and /api/quiz/:imageId.'
+      }));
 
-        evidenceRecords = ocrResult.evidence;
-        processingResult = {
-          method: 'ocr',
-          totalRegions: ocrResult.totalRegions,
-          averageConfidence: ocrResult.averageConfidence
-        };
+    } catch (error) {
+      console.error('❌ Failed to queue file processing:', error);
+      return res.status(500).json(ApiResponse.serverError('Failed to queue file processing', error));
+    }
+  }
 
-      } else if (fileType === 'pdf') {
-        console.log('📄 Processing PDF file...');
-        const pdfResult = await pdfService.processPDF(fileBuffer, {
-          originalImageId: imageId,
-          ...options
-        });
+  /**
+   * Job handler: OCR/PDF parsing → evidence → summary → session
+   */
+  async runProcessFileJob(job, ctx) {
+    const startTime = Date.now();
+    const { imageId, options = {} } = job;
+    const actualUserId = job.userId;
 
-        if (!pdfResult.success) {
-          return res.status(500).json(ApiResponse.serverError('PDF processing failed', pdfResult.error));
-        }
+    console.log(`🚀 Starting file processing for user ${actualUserId}, file ${imageId}`);
 
-        evidenceRecords = pdfResult.evidence;
-        processingResult = {
-          method: 'pdf-parse',
-          totalPages: pdfResult.totalPages,
-          totalRegions: pdfResult.totalRegions,
-          averageConfidence: pdfResult.averageConfidence,
-          metadata: pdfResult.metadata
-        };
+    // Clear evidence left behind by an earlier failed attempt so retries do not duplicate it
+    if (job.result?.evidenceIds?.length) {
+      await Evidence.deleteMany({ _id: { $in: job.result.evidenceIds } });
+      job.result.evidenceIds.forEach(id => vectorIndexService.removeInBackground('evidence', id));
+    }
 
-      } else {
-        return res.status(400).json(ApiResponse.error('Unsupported file type'));
-      }
+    // 1. Get file buffer and metadata
+    await ctx.stage('ocr', 10);
+    const file = await this.getFileBuffer(imageId);
+    if (!file || !file.fileBuffer) {
+      throw new jobQueueService.PermanentJobError('File not found');
+    }
+    const { fileBuffer, fileType, originalName } = file;
 
-      // 3. Save evidence records
-      console.log('💾 Saving evidence records...');
-      const savedEvidenceRecords = await this.saveEvidenceRecordsOptimized(evidenceRecords, imageId, actualUserId);
+    let processingResult;
+    let evidenceRecords = [];
 
-      // 4. Extract text for summary
-      const allText = savedEvidenceRecords.map(ev => ev.text).join(' ');
-      
-      // 5. Generate summary only (no mind map yet)
-      console.log('📝 Generating summary...');
-      const summary = await this.generateSummary(allText, savedEvidenceRecords);
+    // 2. Process based on file type
+    if (fileType === 'image') {
+      console.log('📸 Processing image file...');
+      const ocrResult = await ocrService.processImageOptimized(fileBuffer, {
+        originalImageId: imageId,
+        ...options
+      });
 
-      // 6. Generate embeddings for semantic search (async)
-      this.generateEmbeddingsAsync(allText, actualUserId, imageId);
+      if (!ocrResult.success) {
+        throw new Error(`OCR processing failed: ${ocrResult.error}`);
+      }
 
-      // 7. Create session for this file processing
-      const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      const session = new Session({
-        sessionId,
-        userId: actualUserId,
-        title: `Study Session from ${fileType === 'pdf' ? 'PDF' : 'Image'} ${originalName || imageId}`,
-        description: `Generated study session with ${savedEvidenceRecords.length} concepts from uploaded ${fileType}`,
-        tags: ['auto-generated', `${fileType}-processing`],
-        source: {
-          uploadFilename: originalName || imageId,
-          fileType: fileType,
-          fileUrl: `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/${fileType === 'pdf' ? 'raw' : 'image'}/upload/${imageId}`
-        },
-        status: 'active'
+      evidenceRecords = ocrResult.evidence;
+      processingResult = {
+        method: 'ocr',
+        totalRegions: ocrResult.totalRegions,
+        averageConfidence: ocrResult.averageConfidence
+      };
+
+    } else if (fileType === 'pdf') {
+      console.log('📄 Processing PDF file...');
+      const pdfResult = await pdfService.processPDF(fileBuffer, {
+        originalImageId: imageId,
+        ...options
       });
 
-      await session.save();
+      if (!pdfResult.success) {
+        throw new Error(`PDF processing failed: ${pdfResult.error}`);
+      }
 
-      // 8. Save processing result with summary
-      const finalProcessingResult = {
-        imageId,
-        userId: actualUserId,
-        sessionId: session.sessionId,
-        summary,
-        evidenceCount: savedEvidenceRecords.length,
-        processingTime: Date.now() - startTime,
-        status: 'completed',
-        createdAt: new Date(),
-        fileType: fileType,
-        ...processingResult
+      evidenceRecords = pdfResult.evidence;
+      processingResult = {
+        method: 'pdf-parse',
+        totalPages: pdfResult.totalPages,
+        sections: pdfResult.sections,
+        totalRegions: pdfResult.totalRegions,
+        averageConfidence: pdfResult.averageConfidence,
+        metadata: pdfResult.metadata
       };
 
-      // Return standardized response with summary and evidence only
-      return res.json(ApiResponse.success(`${fileType === 'pdf' ? 'PDF' : 'Image'} processed successfully`, {
-        imageId,
-        sessionId: session.sessionId,
-        summary,
-        evidence: savedEvidenceRecords.map(ev => ({
-          id: ev._id,
-          text: ev.text,
-          confidence: ev.confidence,
-          bbox: ev.bbox,
-          ocrMethod: 'qwen-vision-api' // Use consistent method name
-        })),
-        evidenceCount: evidenceRecords.length,
-        processingTime: Date.now() - startTime,
-        message: 'Image uploaded and processed. Session created. Use /api/mindmap/:imageId to generate mind map and /api/quiz/:imageId to generate quiz.'
-      }));
-
-    } catch (error) {
-      console.error('❌ Image processing error:', error);
-      return res.status(500).json(ApiResponse.serverError('Image processing failed', error));
+    } else {
+      throw new jobQueueService.PermanentJobError('Unsupported file type');
     }
+
+    // 3. Save evidence records
+    await ctx.stage('evidence', 50);
+    console.log('💾 Saving evidence records...');
+    const savedEvidenceRecords = await this.saveEvidenceRecordsOptimized(evidenceRecords, imageId, actualUserId);
+    await ctx.setResult({ evidenceIds: savedEvidenceRecords.map(ev => ev._id) });
+
+    // 4. Extract text for summary
+    const allText = savedEvidenceRecords.map(ev => ev.text).join(' ');
+    
+    // 5. Generate summary only (no mind map yet)
+    await ctx.stage('summary', 75);
+    console.log('📝 Generating summary...');
+    const summary = await this.generateSummary(allText, savedEvidenceRecords);
+
+    // 6. Generate embeddings for semantic search (async)
+    this.generateEmbeddingsAsync(allText, actualUserId, imageId);
+
+    // 7. Create session for this file processing
+    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    const session = new Session({
+      sessionId,
+      userId: actualUserId,
+      title: `Study Session from ${fileType === 'pdf' ? 'PDF' : 'Image'} ${originalName || imageId}`,
+      description: `Generated study session with ${savedEvidenceRecords.length} concepts from uploaded ${fileType}`,
+      tags: ['auto-generated', `${fileType}-processing`],
+      source: {
+        uploadFilename: originalName || imageId,
+        fileType: fileType,
+        fileUrl: getStorageProvider().getUrl(`ai-study-helper/${imageId}`, { resourceType: fileType === 'pdf' ? 'raw' : 'image' })
+      },
+      status: 'active'
+    });
+
+    await session.save();
+
+    // 8. Result stored on the job and returned by the status endpoint
+    return {
+      imageId,
+      sessionId: session.sessionId,
+      summary,
+      evidenceIds: savedEvidenceRecords.map(ev => ev._id),
+      evidenceCount: savedEvidenceRecords.length,
+      processingTime: Date.now() - startTime,
+      fileType,
+      ...processingResult
+    };
   }
 
   /**
@@ -157,7 +192,7 @@ class ProcessController {
   async generateMindMap(req, res) {
     try {
       const { imageId } = req.params;
-      const userId = req.user?._id || 'dev-user-123';
+      const userId = req.user._id;
 
       if (!imageId) {
         return res.status(400).json(ApiResponse.error('imageId is required'));
@@ -165,49 +200,9 @@ class ProcessController {
 
       console.log(`🧠 Generating mind map for image ${imageId}`);
 
-      // Debug: Check what evidence exists in the database
-      const allEvidence = await Evidence.find({}).limit(5);
-      console.log(`🔍 Total evidence records in DB: ${allEvidence.length}`);
-      if (allEvidence.length > 0) {
-        console.log(`📋 Sample evidence record:`, {
-          originalImageId: allEvidence[0].originalImageId,
-          imageUrl: allEvidence[0].imageUrl,
-          text: allEvidence[0].text.substring(0, 100) + '...'
-        });
-      }
-
-      // Fetch evidence for this image - use originalImageId field
-      let evidence = await Evidence.find({ originalImageId: imageId });
-      
+      const evidence = await findImageEvidence(userId, imageId);
       if (!evidence || evidence.length === 0) {
-        console.log(`⚠️ No evidence found for imageId: ${imageId}`);
-        console.log(`🔍 Trying alternative search methods...`);
-        
-        // Try alternative search methods
-        let alternativeEvidence = await Evidence.find({ 
-          $or: [
-            { originalImageId: imageId },
-            { imageUrl: { $regex: imageId, $options: 'i' } }
-          ]
-        });
-        
-        if (!alternativeEvidence || alternativeEvidence.length === 0) {
-          // Check if imageId might be a Cloudinary public ID
-          const cloudinaryId = imageId.replace('ai-study-helper/', '');
-          alternativeEvidence = await Evidence.find({ 
-            $or: [
-              { originalImageId: cloudinaryId },
-              { originalImageId: `ai-study-helper/${cloudinaryId}` }
-            ]
-          });
-        }
-        
-        if (!alternativeEvidence || alternativeEvidence.length === 0) {
-          return res.status(404).json(ApiResponse.notFound(`No evidence found for image: ${imageId}. Please ensure the image has been processed first.`));
-        }
-        
-        evidence = alternativeEvidence;
-        console.log(`✅ Found ${evidence.length} evidence records using alternative search`);
+        return res.status(404).json(ApiResponse.notFound(`No evidence found for image: ${imageId}. Please ensure the image has been processed first.`));
       }
 
       // Extract text content from evidence
@@ -238,7 +233,7 @@ class ProcessController {
       }
 
       // Check if file exists and get status
-      const status = await this.getFileStatus(imageId);
+      const status = await this.getFileStatus(imageId, req.user._id);
       
       if (!status) {
         return res.status(404).json(ApiResponse.notFound('File not found'));
@@ -253,69 +248,74 @@ class ProcessController {
   }
 
   /**
-   * Optimized file buffer retrieval with caching
+   * Get a processing job by ID
+   */
+  async getJob(req, res) {
+    try {
+      const job = await ProcessingJob.findOneOwned(req.user._id, { jobId: req.params.jobId });
+
+      if (!job) {
+        return res.status(404).json(ApiResponse.notFound('Job not found'));
+      }
+
+      return res.json(ApiResponse.success('Job retrieved successfully', job.toStatus()));
+
+    } catch (error) {
+      console.error('❌ Get job error:', error);
+      return res.status(500).json(ApiResponse.serverError('Failed to retrieve job', error));
+    }
+  }
+
+  /**
+   * Cancel a queued or running processing job
+   */
+  async cancelJob(req, res) {
+    try {
+      const job = await jobQueueService.cancel(req.params.jobId, req.user._id);
+
+      if (!job) {
+        return res.status(404).json(ApiResponse.notFound('Job not found'));
+      }
+
+      if (['done', 'failed'].includes(job.status)) {
+        return res.status(409).json(ApiResponse.error(`Job already ${job.status}`, null, 409));
+      }
+
+      return res.json(ApiResponse.success(
+        job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; job will stop after its current stage',
+        job.toStatus()
+      ));
+
+    } catch (error) {
+      console.error('❌ Cancel job error:', error);
+      return res.status(500).json(ApiResponse.serverError('Failed to cancel job', error));
+    }
+  }
+
+  /**
+   * Fetch a file buffer through the configured storage provider
    */
   async getFileBuffer(imageId) {
     try {
       console.log(`Fetching file buffer for ${imageId}`);
       
-      // Import cloudinary here to avoid circular dependencies
-      const cloudinary = require('cloudinary').v2;
-      
-      // Configure Cloudinary
-      cloudinary.config({
-        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-        api_key: process.env.CLOUDINARY_API_KEY,
-        api_secret: process.env.CLOUDINARY_API_SECRET
-      });
+      const storage = getStorageProvider();
       
       // Try multiple ID formats systematically
       const possibleIds = [
-        imageId, // Original ID as-is
-        `ai-study-helper/${imageId}`, // With folder prefix
-        imageId.replace('ai-study-helper/', '') // Without folder prefix
+        `ai-study-helper/${imageId.replace('ai-study-helper/', '')}`, // With folder prefix
+        imageId // Original ID as-is
       ];
       
-      console.log(`🔍 Trying multiple ID formats:`, possibleIds);
-      
       for (const currentId of possibleIds) {
-        try {
-          console.log(`🔄 Trying ID: ${currentId}`);
-          
-          // Try as image first
-          try {
-            const imageResult = await cloudinary.api.resource(currentId, { resource_type: 'image' });
-            console.log('✅ File found as image');
-            
-            const fileBuffer = await this.downloadFileBuffer(imageResult.secure_url);
-            return {
-              fileBuffer,
-              fileType: 'image',
-              originalName: imageResult.original_filename || imageId
-            };
-          } catch (imageError) {
-            console.log('❌ Not an image, trying as raw file...');
-            
-            // Try as raw file (PDF)
-            try {
-              const rawResult = await cloudinary.api.resource(currentId, { resource_type: 'raw' });
-              console.log('✅ File found as raw file (PDF)');
-              
-              const fileBuffer = await this.downloadFileBuffer(rawResult.secure_url);
-              return {
-                fileBuffer,
-                fileType: 'pdf',
-                originalName: rawResult.original_filename || imageId
-              };
-            } catch (rawError) {
-              console.log(`❌ ID ${currentId} failed for both types`);
-              continue; // Try next ID format
-            }
-          }
-          
-        } catch (idError) {
-          console.log(`❌ ID ${currentId} not found, trying next...`);
-          continue;
+        const file = await storage.get(currentId);
+        if (file) {
+          console.log(`✅ File found in ${storage.name} storage as ${file.resourceType}`);
+          return {
+            fileBuffer: file.buffer,
+            fileType: file.resourceType === 'raw' ? 'pdf' : 'image',
+            originalName: file.originalName || imageId
+          };
         }
       }
       
@@ -324,104 +324,11 @@ class ProcessController {
       return null;
       
     } catch (error) {
-      console.error('Failed to fetch file buffer:', {
-        request_options: error.request_options,
-        query_params: error.query_params,
-        error: error.error
-      });
+      console.error('Failed to fetch file buffer:', error.message);
       return null;
     }
   }
 
-  /**
-   * Download file buffer from URL
-   */
-  async downloadFileBuffer(fileUrl) {
-    try {
-      // Download the file buffer using axios with timeout
-      const response = await axios.get(fileUrl, {
-        responseType: 'arraybuffer',
-        timeout: 10000, // 10 second timeout
-        headers: {
-          'User-Agent': 'AI-Study-Helper/1.0'
-        }
-      });
-      
-      const buffer = Buffer.from(response.data);
-      console.log(`Successfully downloaded file buffer: ${buffer.length} bytes`);
-      
-      return buffer;
-    } catch (error) {
-      console.error('Failed to download file buffer:', error);
-      
-      // If it's a 401/403 error, try to get a signed URL from Cloudinary
-      if (error.response && (error.response.status === 401 || error.response.status === 403)) {
-        console.log('🔄 Access denied, trying to get signed URL...');
-        try {
-          // Extract file ID from URL and try to get a signed URL
-          const urlParts = fileUrl.split('/');
-          const fileName = urlParts[urlParts.length - 1];
-          const resourceType = fileUrl.includes('/raw/') ? 'raw' : 'image';
-          
-          // Get signed URL with transformation
-          const signedUrl = cloudinary.url(fileName, {
-            resource_type: resourceType,
-            sign_url: true,
-            type: 'upload',
-            secure: true,
-            folder: 'ai-study-helper' // Include folder for proper path
-          });
-          
-          console.log('🔑 Generated signed URL, retrying download...');
-          const signedResponse = await axios.get(signedUrl, {
-            responseType: 'arraybuffer',
-            timeout: 15000
-          });
-          
-          const signedBuffer = Buffer.from(signedResponse.data);
-          console.log(`✅ Successfully downloaded with signed URL: ${signedBuffer.length} bytes`);
-          return signedBuffer;
-          
-        } catch (signedError) {
-          console.error('❌ Signed URL also failed:', signedError.message);
-          
-          // Try one more approach: get the file directly via Cloudinary API
-          try {
-            console.log('🔄 Trying direct Cloudinary API download...');
-            const urlParts = fileUrl.split('/');
-            const fileName = urlParts[urlParts.length - 1];
-            const resourceType = fileUrl.includes('/raw/') ? 'raw' : 'image';
-            
-            // Get file info first
-            const fileInfo = await cloudinary.api.resource(fileName, { 
-              resource_type: resourceType,
-              type: 'upload'
-            });
-            
-            // Try to download using the secure URL with authentication
-            const directResponse = await axios.get(fileInfo.secure_url, {
-              responseType: 'arraybuffer',
-              timeout: 15000,
-              headers: {
-                'User-Agent': 'AI-Study-Helper/1.0'
-              }
-            });
-            
-            const directBuffer = Buffer.from(directResponse.data);
-            console.log(`✅ Successfully downloaded via direct API: ${directBuffer.length} bytes`);
-            return directBuffer;
-            
-          } catch (directError) {
-            console.error('❌ Direct API download also failed:', directError.message);
-            throw error; // Throw original error
-          }
-        }
-      }
-      
-      throw error;
-    }
-  }
-
   /**
    * Optimized evidence records saving with batch operations
    */
@@ -430,9 +337,10 @@ class ProcessController {
     
     // Batch create evidence records
     const evidencePromises = evidenceData.map(async (ev) => {
-      const fileUrl = ev.imageUrl || ev.fileUrl || `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/ai-study-helper/${imageId}`;
+      const fileUrl = ev.imageUrl || ev.fileUrl || getStorageProvider().getUrl(`ai-study-helper/${imageId}`);
       
       const evidence = new Evidence({
+        userId: String(userId),
         fileUrl: fileUrl,
         originalImageId: imageId,
         bbox: ev.bbox,
@@ -440,6 +348,7 @@ class ProcessController {
         ocrConfidence: ev.ocrConfidence,
         ocrMethod: ev.ocrMethod,
         contentType: ev.contentType,
+        latex: ev.latex,
         metadata: ev.metadata
       });
       
@@ -449,6 +358,7 @@ class ProcessController {
     // Wait for all evidence records to be saved
     const savedEvidence = await Promise.all(evidencePromises);
     evidenceRecords.push(...savedEvidence);
+    savedEvidence.forEach(ev => vectorIndexService.indexInBackground('evidence', ev, userId));
     
     return evidenceRecords;
   }
@@ -520,7 +430,11 @@ class ProcessController {
       summary += `🔍 Content Overview:\n${keyContent}\n\n`;
       
       if (evidence && evidence.length > 0) {
+        const chapters = this.topicsFromSections(evidence).map(topic => topic.name);
         summary += `📊 Evidence Records: ${evidence.length} sections identified\n`;
+        if (chapters.length > 0) {
+          summary += `📑 Chapters: ${chapters.slice(0, 5).join(', ')}${chapters.length > 5 ? ', ...' : ''}\n`;
+        }
         summary += `📝 Key Topics: ${this.extractKeyTopics(text)}\n`;
         summary += `🔬 Content Type: ${this.detectContentCategory(text)}`;
       }
@@ -617,14 +531,29 @@ class ProcessController {
     };
   }
 
-  async getFileStatus(imageId) {
-    // This should check your database
-    // For now, return mock status
-    return {
-      imageId,
-      status: 'completed',
-      processedAt: new Date().toISOString()
-    };
+  async getFileStatus(imageId, userId) {
+    if (!(await canAccessImage(userId, imageId))) {
+      return null;
+    }
+
+    const job = await ProcessingJob.findOneOwned(userId, { imageId }).sort({ createdAt: -1 });
+    if (job) {
+      return job.toStatus();
+    }
+
+    // Files processed before the job queue existed only have evidence records
+    const evidenceCount = await Evidence.countDocuments({ originalImageId: imageId });
+    if (evidenceCount > 0) {
+      return {
+        imageId,
+        status: 'done',
+        stage: 'done',
+        progress: 100,
+        result: { evidenceCount }
+      };
+    }
+
+    return null;
   }
 
   /**
@@ -641,6 +570,7 @@ class ProcessController {
       });
       
       await chatEntry.save();
+      vectorIndexService.indexInBackground('chat', chatEntry);
     } catch (error) {
       console.error('Failed to log chat history:', error);
     }
@@ -648,9 +578,11 @@ class ProcessController {
 
   async createMeaningfulMindMap(textContent, evidence) {
     try {
-      // Extract key concepts from the actual text content
-      const concepts = this.extractKeyConcepts(textContent);
-      const mainTopics = this.identifyMainTopics(concepts);
+      // Follow the document's headings when it has them, otherwise extract key concepts
+      const sectionTopics = this.topicsFromSections(evidence);
+      const mainTopics = sectionTopics.length > 0
+        ? sectionTopics
+        : this.identifyMainTopics(this.extractKeyConcepts(textContent));
       
       // Create root node with meaningful title
       const rootNode = { 
@@ -711,6 +643,27 @@ class ProcessController {
     }
   }
 
+  /**
+   * Main topics from PDF headings: top-level sections with their subsections, in document order
+   */
+  topicsFromSections(evidence = []) {
+    const topics = new Map();
+    const ordered = [...evidence].sort((a, b) =>
+      (a.metadata?.page || 0) - (b.metadata?.page || 0) || (a.bbox?.y || 0) - (b.bbox?.y || 0));
+
+    ordered.forEach(ev => {
+      const [chapter, subsection] = ev.metadata?.sectionPath || [];
+      if (!chapter) return;
+      if (!topics.has(chapter)) topics.set(chapter, new Set());
+      if (subsection) topics.get(chapter).add(subsection);
+    });
+
+    return [...topics.entries()].map(([name, subTopics]) => ({
+      name,
+      subTopics: [...subTopics]
+    }));
+  }
+
   /**
    * Extract key concepts from text content
    */
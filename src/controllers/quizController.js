@@ -1,13 +1,18 @@
-const Evidence = require('../models/Evidence');
 const Quiz = require('../models/Quiz');
-const dashscopeService = require('../services/dashscopeService');
+const QuizAttempt = require('../models/QuizAttempt');
+const llmGateway = require('../services/llm');
+const vectorIndexService = require('../services/vector');
+const formulaService = require('../services/formulaService');
+const { findImageEvidence } = require('../utils/ownership');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
 
 /**
  * Generate quiz from image/PDF content
  * @route POST /api/quiz/:imageId
  * @access Private
+ * `section` limits a PDF quiz to one chapter or subsection (a heading from its sectionPath).
+ * With 'numerical' in questionTypes, formulas found in the content get calculation questions
+ * (half the quiz, or all of it when 'numerical' is the only type).
  */
 const generateQuiz = async (req, res) => {
   try {
@@ -16,9 +21,10 @@ const generateQuiz = async (req, res) => {
       questionCount = 5, 
       difficulty = 'medium', 
       questionTypes = ['multiple-choice', 'true-false'],
-      topics = []
+      topics = [],
+      section
     } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = String(req.user._id);
 
     console.log(`🧪 Generating quiz for image ${imageId}`);
     console.log('🔍 Request params:', req.params);
@@ -33,12 +39,8 @@ const generateQuiz = async (req, res) => {
       });
     }
 
-    // Get evidence records for this image
-    const evidence = await Evidence.find({ 
-      $or: [
-        { originalImageId: imageId }
-      ]
-    }).sort({ createdAt: -1 });
+    // Get evidence records for this image (none when the image belongs to someone else)
+    let evidence = await findImageEvidence(userId, imageId);
 
     if (!evidence || evidence.length === 0) {
       return res.status(404).json({
@@ -47,11 +49,18 @@ const generateQuiz = async (req, res) => {
       });
     }
 
+    if (section) {
+      evidence = evidence.filter(ev => ev.metadata?.sectionPath?.includes(section));
+      if (evidence.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No content found under the heading "${section}"`
+        });
+      }
+    }
+
     // Extract text content from evidence
-    const textContent = evidence
-      .map(ev => ev.extractedText || ev.text)
-      .filter(text => text && text.length > 0)
-      .join('\n\n');
+    const textContent = evidenceToText(evidence);
 
     if (!textContent) {
       return res.status(400).json({
@@ -60,43 +69,57 @@ const generateQuiz = async (req, res) => {
       });
     }
 
-    // Generate quiz using DashScope (Primary) with OpenRouter fallback
+    // Calculation questions from the formulas in the content
+    const otherTypes = questionTypes.filter(type => type !== 'numerical');
+    let numericalQuestions = [];
+    if (questionTypes.includes('numerical')) {
+      const formulaEvidence = evidence.filter(ev => ev.contentType === 'formula' && ev.latex);
+      numericalQuestions = formulaService.buildNumericalQuestions(formulaEvidence, {
+        count: otherTypes.length > 0 ? Math.ceil(questionCount / 2) : questionCount,
+        difficulty,
+        constants: formulaService.extractConstants(evidence.map(ev => ev.text))
+      });
+      console.log(`🧮 Built ${numericalQuestions.length} numerical question(s) from ${formulaEvidence.length} formula(s)`);
+    }
+    const remainingCount = questionCount - numericalQuestions.length;
+
+    // Generate quiz through the LLM gateway (provider chain for the 'quiz' task)
     let quizData = null;
     let method = 'fallback';
     
-    // Try DashScope first
-    try {
-      console.log('🧪 Trying DashScope for quiz generation...');
-      quizData = await generateQuizWithDashScope(textContent, questionCount, difficulty, questionTypes, topics);
-      if (quizData) {
-        method = 'dashscope';
-        console.log('✅ DashScope quiz generation successful');
-      }
-    } catch (dashscopeError) {
-      console.log('❌ DashScope failed:', dashscopeError.message);
-    }
-
-    // If DashScope fails, try OpenRouter fallback
-    if (!quizData) {
+    if (remainingCount <= 0) {
+      quizData = {
+        title: 'Formula Practice Quiz',
+        description: 'Calculation questions using the formulas in your notes',
+        difficulty,
+        questions: []
+      };
+      method = 'formula';
+    } else {
       try {
-        console.log('🔄 Trying OpenRouter fallback for quiz generation...');
-        quizData = await generateQuizWithOpenRouter(textContent, questionCount, difficulty, questionTypes, topics);
-        if (quizData) {
-          method = 'openrouter-fallback';
-          console.log('✅ OpenRouter fallback successful');
-        }
-      } catch (openrouterError) {
-        console.log('❌ OpenRouter fallback failed:', openrouterError.message);
+        const types = otherTypes.length > 0 ? otherTypes : ['multiple-choice', 'true-false'];
+        const result = await generateQuizWithLLM(textContent, remainingCount, difficulty, types, topics);
+        quizData = result.quiz;
+        method = result.fallbackUsed ? `${result.provider}-fallback` : result.provider;
+        console.log(`✅ Quiz generated via ${result.provider}`);
+      } catch (llmError) {
+        console.log('❌ LLM quiz generation failed:', llmError.message);
       }
     }
 
-    // If both fail, use fallback quiz
+    // If every provider fails, use fallback quiz
     if (!quizData) {
       console.log('⚠️ All AI services failed, using fallback quiz');
-      quizData = createFallbackQuiz(textContent, questionCount, difficulty);
+      quizData = createFallbackQuiz(textContent, remainingCount, difficulty);
       method = 'fallback';
     }
 
+    if (numericalQuestions.length > 0) {
+      quizData.questions = [...quizData.questions, ...numericalQuestions]
+        .map((question, index) => ({ ...question, id: `q${index + 1}` }));
+      quizData.questionCount = quizData.questions.length;
+    }
+
     // Ensure all MCQ options are properly formatted with ABC labels
     quizData.questions = quizData.questions.map(question => {
       if (question.type === 'multiple-choice' && question.options) {
@@ -151,6 +174,7 @@ const generateQuiz = async (req, res) => {
       const quizDoc = new Quiz(quizToSave);
       await quizDoc.save();
       console.log('✅ Quiz saved to database with ID:', quizDoc._id);
+      vectorIndexService.indexInBackground('quiz_question', quizDoc);
       
       // Update the response with the saved quiz data
       quizData.databaseId = quizDoc._id;
@@ -184,11 +208,11 @@ const generateQuiz = async (req, res) => {
 const getQuiz = async (req, res) => {
   try {
     const { quizId } = req.params;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = req.user._id;
 
     console.log(`📚 Getting quiz ${quizId} for user ${userId}`);
 
-    const quiz = await Quiz.findOne({ id: quizId, userId });
+    const quiz = await Quiz.findOneOwned(userId, { $or: [{ id: quizId }, { quizId }] });
 
     if (!quiz) {
       return res.status(404).json({
@@ -219,8 +243,8 @@ const getQuiz = async (req, res) => {
 const submitQuiz = async (req, res) => {
   try {
     const { quizId } = req.params;
-    const { answers } = req.body;
-    const userId = req.user?._id || 'dev-user-123';
+    const { answers, timeTaken, startedAt } = req.body;
+    const userId = String(req.user._id);
 
     if (!answers || !Array.isArray(answers)) {
       return res.status(400).json({
@@ -229,20 +253,79 @@ const submitQuiz = async (req, res) => {
       });
     }
 
-    // In production, you'd validate answers against the stored quiz
-    // For now, we'll return a sample result
+    // Public quizzes can be taken by anyone; private ones only by their owner
+    const quiz = await Quiz.findOne({
+      $or: [{ id: quizId }, { quizId }],
+      $and: [{ $or: [Quiz.ownerFilter(userId), { isPublic: true }] }]
+    });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quiz not found'
+      });
+    }
+
+    if (quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quiz has no questions to submit'
+      });
+    }
+
+    const submittedAt = new Date();
+    const started = startedAt ? new Date(startedAt) : null;
+    if (started && (isNaN(started) || started > submittedAt)) {
+      return res.status(400).json({
+        success: false,
+        error: 'startedAt must be a valid date that is not in the future'
+      });
+    }
+
+    const hasTimeTaken = timeTaken !== undefined && timeTaken !== null && timeTaken !== '';
+    if (hasTimeTaken && !(Number.isFinite(Number(timeTaken)) && Number(timeTaken) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'timeTaken must be a non-negative number of seconds'
+      });
+    }
+
+    const gradedAnswers = gradeAnswers(quiz.questions, answers);
+    const correctAnswers = gradedAnswers.filter(answer => answer.isCorrect).length;
+    const totalQuestions = quiz.questions.length;
+    const score = Math.round((correctAnswers / totalQuestions) * 100);
+
+    let elapsed = null;
+    if (hasTimeTaken) elapsed = Number(timeTaken);
+    else if (started) elapsed = Math.round((submittedAt - started) / 1000);
+
+    const attempt = await QuizAttempt.create({
+      quizId: quiz.id,
+      userId,
+      answers: gradedAnswers,
+      totalQuestions,
+      correctAnswers,
+      score,
+      timeTaken: elapsed,
+      startedAt: started,
+      submittedAt
+    });
+
+    await quiz.updateStats(score);
+
+    const questionsById = new Map(quiz.questions.map(q => [q.id, q]));
     const results = {
-      quizId,
+      attemptId: attempt._id,
+      quizId: quiz.id,
       userId,
-      submittedAt: new Date(),
-      score: Math.floor(Math.random() * 100),
-      totalQuestions: answers.length,
-      correctAnswers: Math.floor(Math.random() * answers.length),
-      answers: answers.map((answer, index) => ({
-        questionId: `q${index + 1}`,
-        userAnswer: answer,
-        isCorrect: Math.random() > 0.5,
-        explanation: 'Sample explanation'
+      submittedAt,
+      score,
+      totalQuestions,
+      correctAnswers,
+      timeTaken: elapsed,
+      answers: gradedAnswers.map(answer => ({
+        ...answer,
+        explanation: questionsById.get(answer.questionId)?.explanation
       }))
     };
 
@@ -269,11 +352,11 @@ const submitQuiz = async (req, res) => {
 const getQuizAnalytics = async (req, res) => {
   try {
     const { quizId } = req.params;
-    const userId = req.user?._id || 'dev-user-123';
+    const userId = req.user._id;
 
     console.log(`📊 Getting analytics for quiz ${quizId}`);
 
-    const quiz = await Quiz.findOne({ id: quizId, userId });
+    const quiz = await Quiz.findOneOwned(userId, { $or: [{ id: quizId }, { quizId }] });
 
     if (!quiz) {
       return res.status(404).json({
@@ -282,6 +365,24 @@ const getQuizAnalytics = async (req, res) => {
       });
     }
 
+    const [questionStats, history] = await Promise.all([
+      QuizAttempt.getQuestionStats(quiz.id),
+      QuizAttempt.getHistory(quiz.id, String(userId))
+    ]);
+
+    const questions = quiz.questions.map(question => {
+      const stats = questionStats[question.id];
+      return {
+        questionId: question.id,
+        question: question.question,
+        topic: question.topic,
+        attempts: stats?.attempts || 0,
+        percentCorrect: stats?.attempts ? Math.round((stats.correct / stats.attempts) * 100) : null,
+        averageTime: stats?.averageTime ?? null,
+        mostCommonWrongAnswer: stats?.mostCommonWrongAnswer || null
+      };
+    });
+
     const analytics = {
       quizId,
       totalQuestions: quiz.questionCount,
@@ -290,7 +391,9 @@ const getQuizAnalytics = async (req, res) => {
       attempts: quiz.attempts || 0,
       averageScore: quiz.averageScore || 0,
       generatedAt: quiz.generatedAt,
-      method: quiz.method
+      method: quiz.method,
+      questions,
+      history
     };
 
     res.status(200).json({
@@ -307,6 +410,122 @@ const getQuizAnalytics = async (req, res) => {
   }
 };
 
+/**
+ * Normalize an answer for comparison (case, whitespace, trailing punctuation)
+ */
+/**
+ * Evidence text for the quiz prompt, with a heading line wherever the PDF section changes
+ * so questions can follow the chapter structure
+ */
+const evidenceToText = (evidence) => {
+  let previousPath = [];
+  const paged = evidence.some(ev => ev.metadata?.page);
+  const ordered = paged
+    ? [...evidence].sort((a, b) => (a.metadata?.page || 0) - (b.metadata?.page || 0) || a.bbox.y - b.bbox.y)
+    : evidence;
+
+  return ordered
+    .map(ev => {
+      const text = ev.contentType === 'formula' && ev.latex ? `Formula: $${ev.latex}$` : ev.extractedText || ev.text;
+      if (!text) return null;
+
+      const path = ev.metadata?.sectionPath || [];
+      const changedAt = path.findIndex((title, index) => previousPath[index] !== title);
+      previousPath = path;
+      if (changedAt === -1) return text;
+
+      const headings = path.slice(changedAt).map((title, index) => `${'#'.repeat(changedAt + index + 1)} ${title}`);
+      return `${headings.join('\n')}\n${text}`;
+    })
+    .filter(text => text && text.length > 0)
+    .join('\n\n');
+};
+
+const normalizeAnswer = (value) => {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[.!?]+$/, '')
+    .trim();
+};
+
+/**
+ * Check a submitted answer against a question's correct answer.
+ * Multiple-choice answers may be sent as the label ("A"), the full
+ * option ("A) Vapor pressure") or the option text ("Vapor pressure").
+ * Numerical answers count when they are within the question's tolerance.
+ */
+const isAnswerCorrect = (question, userAnswer) => {
+  const submitted = normalizeAnswer(userAnswer);
+  const expected = normalizeAnswer(question.correctAnswer);
+
+  if (!submitted) return false;
+  if (submitted === expected) return true;
+
+  if (question.type === 'numerical') {
+    return formulaService.isNumericAnswerCorrect(question, userAnswer);
+  }
+
+  if (question.type === 'multiple-choice') {
+    const labelMatch = expected.match(/^([a-z])\)\s*(.*)$/);
+    if (labelMatch) {
+      const [, label, text] = labelMatch;
+      return submitted === label || submitted === `${label})` || submitted === text;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * The answer in the form the grader compares: the option label ("B") for multiple-choice
+ * answers sent as a label, full option or option text; otherwise the normalised answer.
+ * Attempts store it so analytics group "b", "B" and "B) text" as one answer.
+ */
+const answerKey = (question, userAnswer) => {
+  const submitted = normalizeAnswer(userAnswer);
+  if (question.type !== 'multiple-choice') return submitted;
+
+  for (const option of question.options || []) {
+    const match = normalizeAnswer(option).match(/^([a-z])\)\s*(.*)$/);
+    if (match && submitted === match[2]) return match[1].toUpperCase();
+  }
+
+  const label = submitted.match(/^([a-z])(\)|$)/);
+  return label ? label[1].toUpperCase() : submitted;
+};
+
+/**
+ * Grade submitted answers against the stored quiz questions.
+ * Answers may be an array of raw values in question order, or objects
+ * of the form { questionId, answer, timeSpent }.
+ */
+const gradeAnswers = (questions, answers) => {
+  const byQuestionId = new Map();
+  answers.forEach((answer, index) => {
+    if (answer && typeof answer === 'object' && !Array.isArray(answer)) {
+      byQuestionId.set(answer.questionId || questions[index]?.id, answer);
+    } else if (questions[index]) {
+      byQuestionId.set(questions[index].id, { answer });
+    }
+  });
+
+  return questions.map(question => {
+    const submitted = byQuestionId.get(question.id) || {};
+    const userAnswer = submitted.answer ?? submitted.userAnswer ?? '';
+    const timeSpent = Number(submitted.timeSpent);
+
+    return {
+      questionId: question.id,
+      userAnswer: String(userAnswer),
+      normalizedAnswer: answerKey(question, userAnswer),
+      correctAnswer: question.correctAnswer,
+      isCorrect: isAnswerCorrect(question, userAnswer),
+      timeSpent: Number.isFinite(timeSpent) ? timeSpent : null
+    };
+  });
+};
+
 /**
  * Format quiz options with ABC labels
  */
@@ -423,9 +642,10 @@ const createFallbackQuiz = (textContent, questionCount = 5, difficulty = 'medium
 };
 
 /**
- * Generate quiz using DashScope
+ * Generate quiz through the LLM gateway
+ * @returns {Promise<{quiz, provider, fallbackUsed}>}
  */
-const generateQuizWithDashScope = async (textContent, questionCount, difficulty, questionTypes, topics) => {
+const generateQuizWithLLM = async (textContent, questionCount, difficulty, questionTypes, topics) => {
   const quizPrompt = `Generate a ${difficulty} difficulty quiz with ${questionCount} questions based on this content.
     
 Question types: ${questionTypes.join(', ')}
@@ -465,123 +685,36 @@ Return a JSON object with this structure:
 
 Content: ${textContent.substring(0, 2000)}`;
 
-  const quizResult = await dashscopeService.processRAG(
+  const result = await llmGateway.completeWithContext(
     quizPrompt,
-    [{ text: textContent.substring(0, 1500) }],
-    null,
-    { 
+    [textContent.substring(0, 1500)],
+    {
+      task: 'quiz',
       maxTokens: 2000, 
-      temperature: 0.3 
+      temperature: 0.3,
+      validate: ({ content }) => parseQuizResponse(content)
     }
   );
 
-  if (!quizResult.success) {
-    throw new Error(`DashScope quiz generation failed: ${quizResult.error}`);
-  }
-
-  // Parse AI response
-  try {
-    const jsonMatch = quizResult.response.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsedQuiz = JSON.parse(jsonMatch[0]);
-      
-      // Validate the parsed quiz structure
-      if (parsedQuiz.questions && Array.isArray(parsedQuiz.questions) && parsedQuiz.questions.length > 0) {
-        return parsedQuiz;
-      }
-    }
-    throw new Error('Invalid quiz structure from DashScope');
-  } catch (parseError) {
-    throw new Error(`Failed to parse DashScope response: ${parseError.message}`);
-  }
+  return { quiz: result.parsed, provider: result.provider, fallbackUsed: result.fallbackUsed };
 };
 
 /**
- * Generate quiz using OpenRouter fallback
+ * Parse and validate the quiz JSON in a model response
  */
-const generateQuizWithOpenRouter = async (textContent, questionCount, difficulty, questionTypes, topics) => {
-  const openRouterApiKey = process.env.OPENROUTER_API_KEY;
-  if (!openRouterApiKey) {
-    throw new Error('OpenRouter API key not configured');
+const parseQuizResponse = (content) => {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('No JSON object in quiz response');
   }
 
-  const quizPrompt = `Generate a ${difficulty} difficulty quiz with ${questionCount} questions based on this content.
-    
-Question types: ${questionTypes.join(', ')}
-Topics to focus on: ${topics.length > 0 ? topics.join(', ') : 'General topics from the content'}
-
-IMPORTANT: For multiple-choice questions, format ALL options with ABC labels like this:
-"options": [
-  "A) [First option]",
-  "B) [Second option]", 
-  "C) [Third option]",
-  "D) [Fourth option]"
-]
-
-Return a JSON object with this structure:
-{
-  "title": "Quiz Title",
-  "description": "Quiz description",
-  "difficulty": "${difficulty}",
-  "questionCount": ${questionCount},
-  "questions": [
-    {
-      "id": "q1",
-      "type": "multiple-choice",
-      "question": "Question text",
-      "options": [
-        "A) [Option A]",
-        "B) [Option B]",
-        "C) [Option C]",
-        "D) [Option D]"
-      ],
-      "correctAnswer": "A) [Option A]",
-      "explanation": "Why this is correct",
-      "topic": "Related topic"
-    }
-  ]
-}
-
-Content: ${textContent.substring(0, 2000)}`;
-
-  const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-    model: 'meta-llama/llama-3.2-11b-instruct:free',
-    messages: [
-      { role: 'user', content: quizPrompt }
-    ],
-    max_tokens: 2000,
-    temperature: 0.3,
-    top_p: 0.9
-  }, {
-    headers: {
-      'Authorization': `Bearer ${openRouterApiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': 'https://your-app-domain.com',
-      'X-Title': 'AI Study Helper'
-    },
-    timeout: 30000
-  });
-
-  if (response.data && response.data.choices && response.data.choices[0]) {
-    const content = response.data.choices[0].message.content;
-    
-    try {
-      const jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsedQuiz = JSON.parse(jsonMatch[0]);
-        
-        // Validate the parsed quiz structure
-        if (parsedQuiz.questions && Array.isArray(parsedQuiz.questions) && parsedQuiz.questions.length > 0) {
-          return parsedQuiz;
-        }
-      }
-      throw new Error('Invalid quiz structure from OpenRouter');
-    } catch (parseError) {
-      throw new Error(`Failed to parse OpenRouter response: ${parseError.message}`);
-    }
-  }
+  const parsedQuiz = JSON.parse(jsonMatch[0]);
   
-  throw new Error('Invalid response from OpenRouter');
+  // Validate the parsed quiz structure
+  if (!parsedQuiz.questions || !Array.isArray(parsedQuiz.questions) || parsedQuiz.questions.length === 0) {
+    throw new Error('Invalid quiz structure');
+  }
+  return parsedQuiz;
 };
 
 module.exports = {
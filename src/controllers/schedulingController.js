@@ -0,0 +1,176 @@
+const User = require('../models/User');
+const schedulingService = require('../services/schedulingService');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Suggest free slots for a task, best first
+ * @route GET /api/calendar/free-slots
+ * @access Private
+ * Query: duration (minutes), from, to (default: the next 7 days), preferredStart/preferredEnd
+ * ("HH:mm"), bufferMinutes, limit, excludeId (a task being moved). timezone, quietStart,
+ * quietEnd and maxStudyMinutesPerDay override the saved scheduling preferences.
+ */
+const getFreeSlots = async (req, res) => {
+  try {
+    const {
+      duration = 60,
+      from,
+      to,
+      preferredStart,
+      preferredEnd,
+      bufferMinutes = 0,
+      limit = 10,
+      excludeId
+    } = req.query;
+
+    const minutes = parseInt(duration, 10);
+    if (!(minutes >= 15 && minutes <= 480)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Duration must be between 15 and 480 minutes'
+      });
+    }
+
+    const windowStart = from ? new Date(from) : new Date();
+    const windowEnd = to ? new Date(to) : new Date(windowStart.getTime() + 7 * DAY_MS);
+    if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowEnd <= windowStart) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates with to after from'
+      });
+    }
+
+    if (windowEnd - windowStart > schedulingService.maxWindowDays * DAY_MS) {
+      return res.status(400).json({
+        success: false,
+        error: `The search window can be at most ${schedulingService.maxWindowDays} days`
+      });
+    }
+
+    const clocks = [req.query.quietStart, req.query.quietEnd, preferredStart, preferredEnd].filter(Boolean);
+    if (clocks.some(value => !CLOCK_PATTERN.test(value))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Quiet and preferred hours must be "HH:mm" times'
+      });
+    }
+
+    if (req.query.timezone && !isValidTimeZone(req.query.timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown time zone "${req.query.timezone}"`
+      });
+    }
+
+    const preferences = schedulingService.preferencesFor(req.user, {
+      timezone: req.query.timezone,
+      quietStart: req.query.quietStart,
+      quietEnd: req.query.quietEnd,
+      maxStudyMinutesPerDay: req.query.maxStudyMinutesPerDay
+    });
+
+    const slots = await schedulingService.findFreeSlots(req.user._id, {
+      duration: minutes,
+      from: windowStart,
+      to: windowEnd,
+      preferences,
+      preferredHours: preferredStart && preferredEnd ? { start: preferredStart, end: preferredEnd } : null,
+      excludeId: excludeId || null,
+      bufferMinutes: Math.max(0, parseInt(bufferMinutes, 10) || 0),
+      limit: Math.min(50, Math.max(1, parseInt(limit, 10) || 10))
+    });
+
+    res.status(200).json({
+      success: true,
+      slots,
+      preferences
+    });
+
+  } catch (error) {
+    console.error('❌ Get free slots error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find free slots'
+    });
+  }
+};
+
+/**
+ * Get the user's scheduling preferences
+ * @route GET /api/calendar/scheduling-preferences
+ * @access Private
+ */
+const getSchedulingPreferences = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    preferences: schedulingService.preferencesFor(req.user)
+  });
+};
+
+/**
+ * Update the user's scheduling preferences
+ * @route PUT /api/calendar/scheduling-preferences
+ * @access Private
+ * Body: timezone, quietHours ({ start, end } or null to disable), maxStudyMinutesPerDay (or null)
+ */
+const updateSchedulingPreferences = async (req, res) => {
+  try {
+    const { timezone, quietHours, maxStudyMinutesPerDay } = req.body;
+    const updates = {};
+
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown time zone "${timezone}"`
+        });
+      }
+      updates['preferences.scheduling.timezone'] = timezone;
+    }
+
+    if (quietHours !== undefined) {
+      if (quietHours !== null && (!CLOCK_PATTERN.test(quietHours.start) || !CLOCK_PATTERN.test(quietHours.end))) {
+        return res.status(400).json({
+          success: false,
+          error: 'quietHours must be { "start": "HH:mm", "end": "HH:mm" } or null'
+        });
+      }
+      // Equal start and end means no quiet hours
+      updates['preferences.scheduling.quietHours'] = quietHours || { start: '00:00', end: '00:00' };
+    }
+
+    if (maxStudyMinutesPerDay !== undefined) {
+      if (maxStudyMinutesPerDay !== null && !(maxStudyMinutesPerDay >= 15 && maxStudyMinutesPerDay <= 1440)) {
+        return res.status(400).json({
+          success: false,
+          error: 'maxStudyMinutesPerDay must be between 15 and 1440, or null'
+        });
+      }
+      updates['preferences.scheduling.maxStudyMinutesPerDay'] = maxStudyMinutesPerDay;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true, runValidators: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduling preferences updated',
+      preferences: schedulingService.preferencesFor(user)
+    });
+
+  } catch (error) {
+    console.error('❌ Update scheduling preferences error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update scheduling preferences'
+    });
+  }
+};
+
+module.exports = {
+  getFreeSlots,
+  getSchedulingPreferences,
+  updateSchedulingPreferences
+};
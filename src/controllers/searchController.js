@@ -2,16 +2,17 @@ const Session = require('../models/Session');
 const Quiz = require('../models/Quiz');
 const Evidence = require('../models/Evidence');
 const ChatHistoryEntry = require('../models/ChatHistoryEntry');
-const { generateEmbeddings, findSimilarContent, calculateCosineSimilarity } = require('../services/embedService');
+const VectorEntry = require('../models/VectorEntry');
+const vectorIndexService = require('../services/vector');
 
 /**
- * Semantic search across all user content
+ * Semantic search across evidence, notes, quiz questions, mind map nodes and chat turns
  * @route GET /api/search/semantic
  * @access Private
  */
 const semanticSearch = async (req, res) => {
   try {
-    const { q, type, limit = 10, threshold = 0.7 } = req.query;
+    const { q, type, types, imageId, limit = 10, threshold } = req.query;
     
     if (!q || !q.trim()) {
       return res.status(400).json({
@@ -20,149 +21,117 @@ const semanticSearch = async (req, res) => {
       });
     }
     
-    // Generate embeddings for search query
-    const queryEmbedding = await generateEmbeddings(q.trim());
-    
-    if (!queryEmbedding) {
-      return res.status(500).json({
+    // Accept a single ?type= or a comma-separated ?types= list
+    const searchTypes = vectorIndexService.parseTypes(types || type);
+    const unknownTypes = searchTypes.filter(t => !VectorEntry.SOURCE_TYPES.includes(t));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to process search query'
+        error: `Unknown search type: ${unknownTypes.join(', ')}. Valid types: ${VectorEntry.SOURCE_TYPES.join(', ')}`
       });
     }
     
-    // Search across different content types
-    const searchResults = [];
-    
-    // Search sessions
-    if (!type || type === 'session') {
-      const sessions = await Session.find({ userId: req.user._id });
-      for (const session of sessions) {
-        const sessionText = `${session.title} ${session.description} ${session.nodes.map(n => n.content).join(' ')}`;
-        const sessionEmbedding = await generateEmbeddings(sessionText);
-        
-        if (sessionEmbedding) {
-          const similarity = calculateCosineSimilarity(queryEmbedding, sessionEmbedding);
-          if (similarity >= threshold) {
-            searchResults.push({
-              type: 'session',
-              id: session.sessionId,
-              title: session.title,
-              description: session.description,
-              similarity,
-              content: sessionText.substring(0, 200),
-              metadata: {
-                nodeCount: session.nodes.length,
-                tags: session.tags,
-                createdAt: session.createdAt
-              }
-            });
-          }
-        }
-      }
+    const userId = req.user._id;
+    let results;
+    try {
+      results = await vectorIndexService.search(userId, q.trim(), {
+        types: searchTypes,
+        imageId,
+        limit,
+        threshold
+      });
+    } catch (searchError) {
+      console.error('Vector search failed:', searchError.message);
+      return res.status(503).json({
+        success: false,
+        error: 'Semantic search is temporarily unavailable'
+      });
     }
     
-    // Search quizzes
-    if (!type || type === 'quiz') {
-      const quizzes = await Quiz.find({ userId: req.user._id });
-      for (const quiz of quizzes) {
-        const quizText = `${quiz.title} ${quiz.description} ${quiz.questions.map(q => q.question).join(' ')}`;
-        const quizEmbedding = await generateEmbeddings(quizText);
-        
-        if (quizEmbedding) {
-          const similarity = calculateCosineSimilarity(queryEmbedding, quizEmbedding);
-          if (similarity >= threshold) {
-            searchResults.push({
-              type: 'quiz',
-              id: quiz.quizId,
-              title: quiz.title,
-              description: quiz.description,
-              similarity,
-              content: quizText.substring(0, 200),
-              metadata: {
-                questionCount: quiz.questions.length,
-                tags: quiz.tags,
-                createdAt: quiz.createdAt
-              }
-            });
-          }
-        }
-      }
+    // Content created before the index existed is picked up by a one-off background backfill
+    const status = await vectorIndexService.getStatus(userId);
+    if (status.entries === 0 && !status.reindexing) {
+      vectorIndexService.reindexUser(userId)
+        .catch(error => console.error('Background reindex failed:', error.message));
     }
     
-    // Search evidence
-    if (!type || type === 'evidence') {
-      const evidence = await Evidence.find({ userId: req.user._id });
-      for (const ev of evidence) {
-        const evidenceText = ev.text;
-        const evidenceEmbedding = await generateEmbeddings(evidenceText);
-        
-        if (evidenceEmbedding) {
-          const similarity = calculateCosineSimilarity(queryEmbedding, evidenceEmbedding);
-          if (similarity >= threshold) {
-            searchResults.push({
-              type: 'evidence',
-              id: ev._id,
-              title: `Evidence: ${ev.contentType}`,
-              description: evidenceText.substring(0, 100),
-              similarity,
-              content: evidenceText.substring(0, 200),
-              metadata: {
-                contentType: ev.contentType,
-                ocrConfidence: ev.ocrConfidence,
-                createdAt: ev.createdAt
-              }
-            });
-          }
-        }
+    res.status(200).json({
+      success: true,
+      query: q.trim(),
+      results,
+      totalResults: results.length,
+      searchType: searchTypes.length > 0 ? searchTypes : 'all',
+      threshold: Number.isFinite(parseFloat(threshold)) ? parseFloat(threshold) : vectorIndexService.similarityThreshold,
+      index: {
+        entries: status.entries,
+        indexing: status.reindexing || status.entries === 0
       }
-    }
+    });
     
-    // Search chat history
-    if (!type || type === 'chat') {
-      const chatEntries = await ChatHistoryEntry.find({ userId: req.user._id });
-      for (const entry of chatEntries) {
-        const chatText = entry.text;
-        const chatEmbedding = await generateEmbeddings(chatText);
-        
-        if (chatEmbedding) {
-          const similarity = calculateCosineSimilarity(queryEmbedding, chatEmbedding);
-          if (similarity >= threshold) {
-            searchResults.push({
-              type: 'chat',
-              id: entry._id,
-              title: `Chat: ${entry.messageType}`,
-              description: chatText.substring(0, 100),
-              similarity,
-              content: chatText.substring(0, 200),
-              metadata: {
-                messageType: entry.messageType,
-                role: entry.role,
-                createdAt: entry.createdAt
-              }
-            });
-          }
-        }
-      }
+  } catch (error) {
+    console.error('Semantic search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to perform semantic search'
+    });
+  }
+};
+
+/**
+ * Re-embed the user's content into the vector index
+ * @route POST /api/search/reindex
+ * @access Private
+ */
+const reindexContent = async (req, res) => {
+  try {
+    const { types, force = false } = req.body || {};
+    const reindexTypes = vectorIndexService.parseTypes(types);
+    const unknownTypes = reindexTypes.filter(t => !VectorEntry.SOURCE_TYPES.includes(t));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown content type: ${unknownTypes.join(', ')}. Valid types: ${VectorEntry.SOURCE_TYPES.join(', ')}`
+      });
     }
     
-    // Sort by similarity and limit results
-    searchResults.sort((a, b) => b.similarity - a.similarity);
-    const limitedResults = searchResults.slice(0, limit);
+    const summary = await vectorIndexService.reindexUser(req.user._id, {
+      types: reindexTypes,
+      force: force === true || force === 'true'
+    });
     
     res.status(200).json({
       success: true,
-      query: q.trim(),
-      results: limitedResults,
-      totalResults: searchResults.length,
-      searchType: type || 'all',
-      threshold
+      message: 'Content reindexed',
+      summary,
+      index: await vectorIndexService.getStatus(req.user._id)
     });
     
   } catch (error) {
-    console.error('Semantic search error:', error);
+    console.error('Reindex error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to perform semantic search'
+      error: 'Failed to reindex content'
+    });
+  }
+};
+
+/**
+ * Vector index status for the user
+ * @route GET /api/search/index
+ * @access Private
+ */
+const getIndexStatus = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      index: await vectorIndexService.getStatus(req.user._id)
+    });
+    
+  } catch (error) {
+    console.error('Get index status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get index status'
     });
   }
 };
@@ -536,6 +505,8 @@ const getSearchSuggestions = async (req, res) => {
 
 module.exports = {
   semanticSearch,
+  reindexContent,
+  getIndexStatus,
   textSearch,
   advancedSearch,
   getSearchSuggestions
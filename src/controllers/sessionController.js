@@ -1,6 +1,8 @@
 const Session = require('../models/Session');
 const ChatHistoryEntry = require('../models/ChatHistoryEntry');
 const nlpService = require('../services/nlpService');
+const vectorIndexService = require('../services/vector');
+const { getStorageProvider } = require('../services/storage');
 const ApiResponse = require('../utils/apiResponse');
 
 class SessionController {
@@ -10,7 +12,7 @@ class SessionController {
   async createSession(req, res) {
     try {
       const { title, description, imageId, initialContent, tags = [] } = req.body;
-      const userId = req.user?._id || 'dev-user-123';
+      const userId = req.user._id;
 
       // Generate session ID
       const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -30,7 +32,7 @@ class SessionController {
         tags: [...tags, 'auto-generated'],
         source: {
           uploadFilename: imageId,
-          imageUrl: imageId ? `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/${imageId}` : null
+          imageUrl: imageId ? getStorageProvider().getUrl(`ai-study-helper/${imageId}`) : null
         },
         status: 'active'
       });
@@ -58,7 +60,7 @@ class SessionController {
     try {
       const { sessionId } = req.params;
       const { role, text, messageType = 'text', metadata = {} } = req.body;
-      const userId = req.user?._id || 'dev-user-123';
+      const userId = req.user._id;
 
       // Validate session exists
       const session = await Session.findOne({ sessionId, userId });
@@ -110,7 +112,7 @@ class SessionController {
   async getSessionWithChat(req, res) {
     try {
       const { sessionId } = req.params;
-      const userId = req.user?._id || 'dev-user-123';
+      const userId = req.user._id;
 
       const session = await Session.findOne({ sessionId, userId });
       if (!session) {
@@ -153,7 +155,7 @@ class SessionController {
     try {
       const { sessionId } = req.params;
       const { title, description, tags } = req.body;
-      const userId = req.user?._id || 'dev-user-123';
+      const userId = req.user._id;
 
       const session = await Session.findOne({ sessionId, userId });
       if (!session) {
@@ -311,6 +313,7 @@ class SessionController {
       });
       
       await chatEntry.save();
+      vectorIndexService.indexInBackground('chat', chatEntry);
     } catch (error) {
       console.error('Failed to log chat history:', error);
     }
@@ -321,7 +324,7 @@ class SessionController {
    */
   async getAllSessions(req, res) {
     try {
-      const userId = req.user?._id || 'dev-user-123';
+      const userId = req.user._id;
       const sessions = await Session.find({ userId }).sort({ createdAt: -1 });
       
       const enhancedSessions = sessions.map(session => {
@@ -0,0 +1,311 @@
+const Calendar = require('../models/Calendar');
+const StudyPlan = require('../models/StudyPlan');
+const studyPlanService = require('../services/studyPlanService');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const clockMinutes = (value) => {
+  const [hour, minute] = value.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+const toStringArray = (value) => (Array.isArray(value) ? value : value ? [value] : [])
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const summarizeTasks = (tasks) => {
+  const summary = { total: tasks.length, completed: 0, missed: 0, upcoming: 0, plannedMinutes: 0, completedMinutes: 0 };
+  const now = new Date();
+
+  tasks.forEach(task => {
+    summary.plannedMinutes += task.duration;
+    if (task.isCompleted) {
+      summary.completed += 1;
+      summary.completedMinutes += task.actualDuration || task.duration;
+    } else if (task.status === 'cancelled') {
+      return;
+    } else if (task.endDate <= now) {
+      summary.missed += 1;
+    } else {
+      summary.upcoming += 1;
+    }
+  });
+
+  summary.completionRate = summary.total > 0 ? Math.round((summary.completed / summary.total) * 100) : 0;
+  return summary;
+};
+
+/**
+ * Generate a study plan and its calendar tasks
+ * @route POST /api/study-plans
+ * @access Private
+ * Body: subject, examDate, hoursPerDay, sessionIds and/or imageIds (and/or topics),
+ * optional blockMinutes, dayStart/dayEnd ("HH:mm"), timezone, startDate, title.
+ * With `preview: true` the schedule is returned without saving anything.
+ */
+const createStudyPlan = async (req, res) => {
+  try {
+    const {
+      subject,
+      examDate,
+      hoursPerDay = 2,
+      blockMinutes = 60,
+      dayStart = '18:00',
+      dayEnd = '22:00',
+      timezone = 'UTC',
+      startDate,
+      title,
+      preview = false
+    } = req.body;
+    const sessionIds = toStringArray(req.body.sessionIds);
+    const imageIds = toStringArray(req.body.imageIds);
+    const topics = toStringArray(req.body.topics);
+
+    if (!subject || !examDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subject and examDate are required'
+      });
+    }
+
+    if (sessionIds.length === 0 && imageIds.length === 0 && topics.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide sessionIds, imageIds or topics to plan'
+      });
+    }
+
+    const exam = new Date(examDate);
+    const start = startDate ? new Date(startDate) : new Date();
+    if (isNaN(exam.getTime()) || isNaN(start.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid examDate or startDate format'
+      });
+    }
+
+    if (exam <= start || exam <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'examDate must be in the future and after startDate'
+      });
+    }
+
+    if (!CLOCK_PATTERN.test(dayStart) || !CLOCK_PATTERN.test(dayEnd) || clockMinutes(dayEnd) <= clockMinutes(dayStart)) {
+      return res.status(400).json({
+        success: false,
+        error: 'dayStart and dayEnd must be "HH:mm" times with dayEnd after dayStart'
+      });
+    }
+
+    const dailyMinutes = Number(hoursPerDay) * 60;
+    if (!(dailyMinutes >= 15) || dailyMinutes > clockMinutes(dayEnd) - clockMinutes(dayStart)) {
+      return res.status(400).json({
+        success: false,
+        error: 'hoursPerDay must be at least 0.25 and fit between dayStart and dayEnd'
+      });
+    }
+
+    if (!(blockMinutes >= 15 && blockMinutes <= 240) || blockMinutes > dailyMinutes) {
+      return res.status(400).json({
+        success: false,
+        error: 'blockMinutes must be between 15 and 240 and no longer than a study day'
+      });
+    }
+
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown time zone "${timezone}"`
+      });
+    }
+
+    const { plan, tasks, unscheduled } = await studyPlanService.createPlan(req.user._id, {
+      subject,
+      title,
+      examDate: exam,
+      startDate: start,
+      hoursPerDay: Number(hoursPerDay),
+      blockMinutes: Number(blockMinutes),
+      dayStart,
+      dayEnd,
+      timezone,
+      sessionIds,
+      imageIds,
+      topics,
+      preview: preview === true || preview === 'true'
+    });
+
+    res.status(preview ? 200 : 201).json({
+      success: true,
+      message: preview
+        ? 'Study plan preview generated'
+        : `Study plan created with ${tasks.length} tasks`,
+      plan,
+      tasks,
+      unscheduled,
+      summary: summarizeTasks(tasks)
+    });
+
+  } catch (error) {
+    console.error('❌ Create study plan error:', error);
+    if (error.name === 'ValidationError' || error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create study plan',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the user's study plans
+ * @route GET /api/study-plans
+ * @access Private
+ */
+const getStudyPlans = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const plans = await StudyPlan.findOwned(req.user._id, filter).sort({ examDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      plans
+    });
+
+  } catch (error) {
+    console.error('❌ Get study plans error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get study plans'
+    });
+  }
+};
+
+/**
+ * Get a study plan with its tasks and progress
+ * @route GET /api/study-plans/:planId
+ * @access Private
+ */
+const getStudyPlan = async (req, res) => {
+  try {
+    const plan = await StudyPlan.findOneOwned(req.user._id, { planId: req.params.planId });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Study plan not found'
+      });
+    }
+
+    const tasks = await Calendar.findOwned(req.user._id, { studyPlanId: plan.planId }).sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      plan,
+      tasks,
+      summary: summarizeTasks(tasks)
+    });
+
+  } catch (error) {
+    console.error('❌ Get study plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get study plan'
+    });
+  }
+};
+
+/**
+ * Move missed blocks of a plan into the time left before the exam
+ * @route POST /api/study-plans/:planId/rebalance
+ * @access Private
+ */
+const rebalanceStudyPlan = async (req, res) => {
+  try {
+    const plan = await StudyPlan.findOneOwned(req.user._id, { planId: req.params.planId });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Study plan not found'
+      });
+    }
+
+    const { moved, unscheduled } = await studyPlanService.rebalance(plan);
+
+    res.status(200).json({
+      success: true,
+      message: moved > 0 ? `Moved ${moved} missed block(s)` : 'Nothing to rebalance',
+      moved,
+      unscheduled,
+      plan
+    });
+
+  } catch (error) {
+    console.error('❌ Rebalance study plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebalance study plan'
+    });
+  }
+};
+
+/**
+ * Delete a study plan and its open tasks (`?keepTasks=true` keeps the tasks)
+ * @route DELETE /api/study-plans/:planId
+ * @access Private
+ */
+const deleteStudyPlan = async (req, res) => {
+  try {
+    const plan = await StudyPlan.findOneOwned(req.user._id, { planId: req.params.planId });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Study plan not found'
+      });
+    }
+
+    let removedTasks = 0;
+    if (req.query.keepTasks !== 'true') {
+      // Completed blocks stay in the calendar as study history
+      const result = await Calendar.deleteMany(
+        Calendar.ownerFilter(req.user._id, { studyPlanId: plan.planId, isCompleted: false })
+      );
+      removedTasks = result.deletedCount;
+    }
+    await Calendar.updateMany(
+      Calendar.ownerFilter(req.user._id, { studyPlanId: plan.planId }),
+      { $set: { studyPlanId: null } }
+    );
+
+    await plan.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Study plan deleted',
+      removedTasks
+    });
+
+  } catch (error) {
+    console.error('❌ Delete study plan error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete study plan'
+    });
+  }
+};
+
+module.exports = {
+  createStudyPlan,
+  getStudyPlans,
+  getStudyPlan,
+  rebalanceStudyPlan,
+  deleteStudyPlan
+};
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const timerService = require('../services/timerService');
+
+const MODES = ['stopwatch', 'pomodoro'];
+
+// Timer with its live state (elapsed time, Pomodoro phase and countdown)
+const withState = (entry) => ({ ...entry.toJSON(), state: entry.snapshot() });
+
+const sendError = (res, error, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...(error.timer ? { timer: withState(error.timer) } : {})
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// The user's timer from the route, or null
+const findTimer = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return TimeEntry.findOneOwned(req.user._id, { _id: req.params.id });
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Timer not found'
+});
+
+/**
+ * Start a study timer
+ * @route POST /api/timers
+ * @access Private
+ * Body: taskId (with occurrenceDate for one occurrence of a recurring task), sessionId or
+ * quizId; subject/topic (taken from the task when omitted); mode (stopwatch | pomodoro);
+ * pomodoro { focusMinutes, shortBreakMinutes, longBreakMinutes, cyclesBeforeLongBreak,
+ * targetCycles }; notes. `stopActive: true` stops a running timer instead of failing with 409.
+ */
+const startTimer = async (req, res) => {
+  try {
+    const { taskId, occurrenceDate, sessionId, quizId, subject, mode = 'stopwatch' } = req.body;
+
+    if (!taskId && !sessionId && !quizId && !subject) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a taskId, sessionId, quizId or subject to time'
+      });
+    }
+
+    if (!MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `mode must be one of: ${MODES.join(', ')}`
+      });
+    }
+
+    if (taskId && !mongoose.Types.ObjectId.isValid(taskId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid taskId'
+      });
+    }
+
+    if (occurrenceDate && isNaN(new Date(occurrenceDate).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid occurrenceDate format'
+      });
+    }
+
+    const entry = await timerService.start(req.user._id, {
+      ...req.body,
+      mode,
+      stopActive: req.body.stopActive === true || req.body.stopActive === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Timer started',
+      timer: withState(entry)
+    });
+
+  } catch (error) {
+    console.error('❌ Start timer error:', error);
+    sendError(res, error, 'Failed to start timer');
+  }
+};
+
+/**
+ * Get the running or paused timer
+ * @route GET /api/timers/active
+ * @access Private
+ */
+const getActiveTimer = async (req, res) => {
+  try {
+    const entry = await timerService.getActive(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      timer: entry ? withState(entry) : null
+    });
+
+  } catch (error) {
+    console.error('❌ Get active timer error:', error);
+    sendError(res, error, 'Failed to get active timer');
+  }
+};
+
+/**
+ * Get time entries, newest first
+ * @route GET /api/timers
+ * @access Private
+ * Query: taskId, sessionId, quizId, subject, status, from, to, page, limit
+ */
+const getTimeEntries = async (req, res) => {
+  try {
+    const { taskId, sessionId, quizId, subject, status, from, to, page = 1, limit = 20 } = req.query;
+
+    // Stop a finished Pomodoro timer before listing
+    await timerService.getActive(req.user._id);
+
+    const filter = {};
+    if (taskId) filter.taskId = taskId;
+    if (sessionId) filter.sessionId = sessionId;
+    if (quizId) filter.quizId = quizId;
+    if (subject) filter.subject = subject;
+    if (status) filter.status = status;
+    if (from || to) {
+      filter.startedAt = {};
+      if (from) filter.startedAt.$gte = new Date(from);
+      if (to) filter.startedAt.$lt = new Date(to);
+    }
+
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+
+    const [entries, total] = await Promise.all([
+      TimeEntry.findOwned(req.user._id, filter)
+        .sort({ startedAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      TimeEntry.countOwned(req.user._id, filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      entries: entries.map(withState),
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get time entries error:', error);
+    sendError(res, error, 'Failed to get time entries');
+  }
+};
+
+/**
+ * Pause a running timer
+ * @route PATCH /api/timers/:id/pause
+ * @access Private
+ */
+const pauseTimer = async (req, res) => {
+  try {
+    const entry = await findTimer(req);
+    if (!entry) return notFound(res);
+
+    await timerService.refresh(entry);
+    await timerService.pause(entry);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer paused',
+      timer: withState(entry)
+    });
+
+  } catch (error) {
+    console.error('❌ Pause timer error:', error);
+    sendError(res, error, 'Failed to pause timer');
+  }
+};
+
+/**
+ * Resume a paused timer
+ * @route PATCH /api/timers/:id/resume
+ * @access Private
+ */
+const resumeTimer = async (req, res) => {
+  try {
+    const entry = await findTimer(req);
+    if (!entry) return notFound(res);
+
+    await timerService.refresh(entry);
+    await timerService.resume(entry);
+
+    res.status(200).json({
+      success: true,
+      message: 'Timer resumed',
+      timer: withState(entry)
+    });
+
+  } catch (error) {
+    console.error('❌ Resume timer error:', error);
+    sendError(res, error, 'Failed to resume timer');
+  }
+};
+
+/**
+ * Stop a timer and add its study minutes to the task's actual duration
+ * @route PATCH /api/timers/:id/stop
+ * @access Private
+ */
+const stopTimer = async (req, res) => {
+  try {
+    const entry = await findTimer(req);
+    if (!entry) return notFound(res);
+
+    await timerService.stop(entry);
+
+    res.status(200).json({
+      success: true,
+      message: `Timer stopped: ${Math.round(entry.focusSeconds / 60)} minute(s) recorded`,
+      timer: withState(entry)
+    });
+
+  } catch (error) {
+    console.error('❌ Stop timer error:', error);
+    sendError(res, error, 'Failed to stop timer');
+  }
+};
+
+/**
+ * Delete a time entry (its minutes are taken off the task again)
+ * @route DELETE /api/timers/:id
+ * @access Private
+ */
+const deleteTimeEntry = async (req, res) => {
+  try {
+    const entry = await findTimer(req);
+    if (!entry) return notFound(res);
+
+    await timerService.remove(entry);
+
+    res.status(200).json({
+      success: true,
+      message: 'Time entry deleted'
+    });
+
+  } catch (error) {
+    console.error('❌ Delete time entry error:', error);
+    sendError(res, error, 'Failed to delete time entry');
+  }
+};
+
+module.exports = {
+  startTimer,
+  getActiveTimer,
+  getTimeEntries,
+  pauseTimer,
+  resumeTimer,
+  stopTimer,
+  deleteTimeEntry
+};
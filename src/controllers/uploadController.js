@@ -1,12 +1,11 @@
 const multer = require('multer');
-const { cloudinary } = require('../services/cloudinaryService');
+const { getStorageProvider } = require('../services/storage');
+const { canAccessImage } = require('../utils/ownership');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
 const path = require('path');
 
-console.log('🚀 Upload Controller: Using centralized Cloudinary service');
-
-// Cloudinary is now configured centrally via cloudinaryService
+console.log('🚀 Upload Controller: Using configured storage provider');
 
 // Configure multer for memory storage
 const upload = multer({
@@ -50,8 +49,6 @@ const flexibleUpload = (req, res, next) => {
  */
 const uploadImage = async (req, res) => {
   try {
-    // Cloudinary is already configured via cloudinaryService
-
     if (!req.file) {
       console.error('❌ Upload error: No file provided in request');
       return res.status(400).json({
@@ -63,23 +60,13 @@ const uploadImage = async (req, res) => {
 
     const { originalname, buffer, mimetype } = req.file;
     const { sessionId, tags } = req.body;
-    const userId = req.user?._id || 'dev-user-123'; // Get userId from authenticated user or use default for development
+    const userId = req.user._id;
 
     // Generate unique filename
     const filename = `${uuidv4()}_${Date.now()}${path.extname(originalname)}`;
     
     let processedBuffer;
     let resourceType = 'image';
-    let uploadOptions = {
-      resource_type: 'image',
-      public_id: `${userId}_${filename}`,
-      folder: 'ai-study-helper',
-      tags: tags ? tags.split(',') : [],
-      transformation: [
-        { quality: 'auto:good' },
-        { fetch_format: 'auto' }
-      ]
-    };
 
     // Handle different file types
     if (mimetype.startsWith('image/')) {
@@ -88,76 +75,66 @@ const uploadImage = async (req, res) => {
     } else if (mimetype === 'application/pdf') {
       // For PDFs, we'll upload as raw file
       resourceType = 'raw';
-      uploadOptions = {
-        resource_type: 'raw',
-        public_id: `${userId}_${filename}`,
-        folder: 'ai-study-helper',
-        tags: tags ? tags.split(',') : [],
-        format: 'pdf'
-      };
       processedBuffer = buffer; // Use original buffer for PDFs
     }
     
-    // Upload to Cloudinary
-    const uploadResult = await cloudinary.uploader.upload_stream(
-      uploadOptions,
-      (error, result) => {
-        if (error) {
-          console.error('❌ Cloudinary upload error:', error);
-          return res.status(500).json({
-            success: false,
-            error: 'Failed to upload file',
-            details: error.message || 'Upload service error'
-          });
-        }
-        
-        try {
-          // Return success response
-          const responseData = {
-            id: `${userId}_${filename}`, // Clean ID without folder path
-            cloudinaryId: result.public_id, // Full Cloudinary ID for reference
-            url: result.secure_url,
-            size: result.bytes,
-            uploadedAt: new Date(),
-            userId: userId.toString(),
-            sessionId: sessionId || null,
-            tags: tags ? tags.split(',') : [],
-            fileType: mimetype.startsWith('image/') ? 'image' : 'pdf',
-            originalName: originalname
-          };
+    // Upload through the configured storage provider
+    const storage = getStorageProvider();
+    let result;
+    try {
+      result = await storage.put(processedBuffer, {
+        key: `ai-study-helper/${userId}_${filename}`,
+        resourceType,
+        contentType: resourceType === 'raw' ? mimetype : undefined,
+        format: resourceType === 'raw' ? 'pdf' : undefined,
+        tags: tags ? tags.split(',') : [],
+        originalName: originalname
+      });
+    } catch (uploadError) {
+      console.error(`❌ ${storage.name} upload error:`, uploadError);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to upload file',
+        details: uploadError.message || 'Upload service error'
+      });
+    }
 
-          // Add image-specific properties if it's an image
-          if (mimetype.startsWith('image/')) {
-            responseData.width = result.width;
-            responseData.height = result.height;
-            responseData.format = result.format;
-          }
+    // Return success response
+    const responseData = {
+      id: `${userId}_${filename}`, // Clean ID without folder path
+      cloudinaryId: result.key, // Full storage key for reference (kept for existing clients)
+      storageKey: result.key,
+      storageProvider: storage.name,
+      url: result.url,
+      size: result.size,
+      uploadedAt: new Date(),
+      userId: userId.toString(),
+      sessionId: sessionId || null,
+      tags: tags ? tags.split(',') : [],
+      fileType: mimetype.startsWith('image/') ? 'image' : 'pdf',
+      originalName: originalname
+    };
 
-          res.status(201).json({
-            success: true,
-            file: responseData
-          });
-        } catch (responseError) {
-          console.error('❌ Error sending response:', responseError);
-          res.status(500).json({
-            success: false,
-            error: 'Failed to process upload response'
-          });
-        }
-      }
-    );
+    // Add image-specific properties if it's an image
+    if (mimetype.startsWith('image/')) {
+      responseData.width = result.width;
+      responseData.height = result.height;
+      responseData.format = result.format;
+    }
 
-    // Pipe the processed buffer to Cloudinary
-    uploadResult.end(processedBuffer);
+    res.status(201).json({
+      success: true,
+      file: responseData
+    });
 
   } catch (error) {
     console.error('Upload error:', error);
     
     // Provide more specific error messages
-    if (error.message.includes('Cloudinary environment variables')) {
+    if (error.message.includes('Cloudinary environment variables') || error.message.includes('STORAGE_PROVIDER')) {
       return res.status(500).json({
         success: false,
-        error: 'Server configuration error: Cloudinary not configured'
+        error: 'Server configuration error: storage provider not configured'
       });
     }
     
@@ -203,37 +180,33 @@ const preprocessImage = async (buffer) => {
 const getImage = async (req, res) => {
   try {
     const { imageId } = req.params;
+
+    if (!(await canAccessImage(req.user._id, imageId))) {
+      throw new Error('File not found');
+    }
     
-    // Construct the full Cloudinary ID with folder
+    // Construct the full storage key with folder
     const fullImageId = `ai-study-helper/${imageId}`;
     
-    // Try to get file info from Cloudinary (try both image and raw)
-    let result;
-    let resourceType = 'image';
-    
-    try {
-      result = await cloudinary.api.resource(fullImageId, { resource_type: 'image' });
-    } catch (imageError) {
-      try {
-        result = await cloudinary.api.resource(fullImageId, { resource_type: 'raw' });
-        resourceType = 'raw';
-      } catch (rawError) {
-        throw new Error('File not found');
-      }
+    // Look up the file (image or raw PDF)
+    const result = await getStorageProvider().stat(fullImageId);
+    if (!result) {
+      throw new Error('File not found');
     }
     
     const responseData = {
       id: imageId, // Return the clean ID
-      cloudinaryId: result.public_id, // Full Cloudinary ID
-      url: result.secure_url,
-      size: result.bytes,
-      uploadedAt: result.created_at,
+      cloudinaryId: result.key, // Full storage key
+      storageKey: result.key,
+      url: result.url,
+      size: result.size,
+      uploadedAt: result.uploadedAt,
       tags: result.tags || [],
-      fileType: resourceType === 'raw' ? 'pdf' : 'image'
+      fileType: result.resourceType === 'raw' ? 'pdf' : 'image'
     };
 
     // Add image-specific properties if it's an image
-    if (resourceType === 'image') {
+    if (result.resourceType === 'image') {
       responseData.width = result.width;
       responseData.height = result.height;
       responseData.format = result.format;
@@ -260,34 +233,29 @@ const getImage = async (req, res) => {
 const deleteImage = async (req, res) => {
   try {
     const { imageId } = req.params;
+
+    if (!(await canAccessImage(req.user._id, imageId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found'
+      });
+    }
     
-    // Construct the full Cloudinary ID with folder
+    // Construct the full storage key with folder
     const fullImageId = `ai-study-helper/${imageId}`;
     
-    // Try to delete from Cloudinary (try both image and raw)
-    let result;
-    
-    try {
-      result = await cloudinary.uploader.destroy(fullImageId, { resource_type: 'image' });
-    } catch (imageError) {
-      try {
-        result = await cloudinary.uploader.destroy(fullImageId, { resource_type: 'raw' });
-      } catch (rawError) {
-        throw new Error('File not found');
-      }
-    }
-    
-    if (result.result === 'ok') {
-      res.status(200).json({
-        success: true,
-        message: 'File deleted successfully'
-      });
-    } else {
-      res.status(500).json({
+    const deleted = await getStorageProvider().delete(fullImageId);
+    if (!deleted) {
+      return res.status(404).json({
         success: false,
-        error: 'Failed to delete file'
+        error: 'File not found'
       });
     }
+    
+    res.status(200).json({
+      success: true,
+      message: 'File deleted successfully'
+    });
   } catch (error) {
     console.error('Delete file error:', error);
     res.status(500).json({
@@ -1,5 +1,23 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+
+/**
+ * Dev impersonation: with DEV_IMPERSONATION=true and NODE_ENV=development, requests without
+ * a token act as DEV_IMPERSONATE_USER (or the user named in an X-Impersonate-User header).
+ * It is never honoured in any other environment.
+ */
+const isImpersonationEnabled = () => {
+  return process.env.DEV_IMPERSONATION === 'true' && process.env.NODE_ENV === 'development';
+};
+
+const resolveImpersonatedUser = (req) => {
+  const identifier = String(req.headers['x-impersonate-user'] || process.env.DEV_IMPERSONATE_USER || 'dev@example.com');
+  const query = mongoose.Types.ObjectId.isValid(identifier)
+    ? { _id: identifier }
+    : { email: identifier.toLowerCase() };
+  return User.findOne(query).select('-password');
+};
 
 /**
  * Verify JWT token and attach user to request
@@ -9,6 +27,20 @@ const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
     
+    if (!token && isImpersonationEnabled()) {
+      const user = await resolveImpersonatedUser(req);
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          success: false,
+          error: 'Impersonated user not found (run POST /api/auth/dev-login first)'
+        });
+      }
+      
+      req.user = user;
+      req.impersonated = true;
+      return next();
+    }
+    
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -17,7 +49,15 @@ const authenticateToken = async (req, res, next) => {
     }
     
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = tokenService.verifyAccessToken(token);
+    
+    // Tokens are tied to a login session, which may have been logged out or revoked
+    if (!(await tokenService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked'
+      });
+    }
     
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
@@ -37,6 +77,7 @@ const authenticateToken = async (req, res, next) => {
     
     // Attach user to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
     
   } catch (error) {
@@ -71,10 +112,13 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user && user.isActive) {
-        req.user = user;
+      const decoded = tokenService.verifyAccessToken(token);
+      if (await tokenService.isSessionActive(decoded.sid)) {
+        const user = await User.findById(decoded.userId).select('-password');
+        if (user && user.isActive) {
+          req.user = user;
+          req.sessionId = decoded.sid;
+        }
       }
     }
     
@@ -86,9 +130,28 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Check if user has required role (for future use)
+ * Permissions granted to each role. Admins hold every permission.
  */
-const requireRole = (roles) => {
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['content:moderate'],
+  admin: ['*']
+};
+
+const hasPermission = (user, permission) => {
+  const permissions = ROLE_PERMISSIONS[user?.role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Allow the request when the user has any of the given roles or permissions.
+ * Entries containing ':' are permissions (e.g. 'users:manage'), anything else is a role.
+ *   router.get('/users', authorize('users:read'), listUsers)
+ *   router.get('/debug', authorize('admin'), debugSummary)
+ */
+const authorize = (...requirements) => {
+  const required = requirements.flat();
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -96,20 +159,33 @@ const requireRole = (roles) => {
         error: 'Authentication required'
       });
     }
-    
-    if (!roles.includes(req.user.role)) {
+
+    const allowed = required.some(requirement => requirement.includes(':')
+      ? hasPermission(req.user, requirement)
+      : req.user.role === requirement);
+
+    if (!allowed) {
       return res.status(403).json({
         success: false,
         error: 'Insufficient permissions'
       });
     }
-    
+
     next();
   };
 };
 
+/**
+ * Check if user has one of the required roles
+ */
+const requireRole = (roles) => authorize(roles);
+
 module.exports = {
   authenticateToken,
   optionalAuth,
-  requireRole
+  authorize,
+  hasPermission,
+  isImpersonationEnabled,
+  requireRole,
+  ROLE_PERMISSIONS
 };
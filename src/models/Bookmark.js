@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const bookmarkSchema = new mongoose.Schema({
   userId: {
@@ -131,4 +132,6 @@ bookmarkSchema.statics.search = function(userId, query, limit = 20) {
   .limit(limit);
 };
 
+bookmarkSchema.plugin(ownership);
+
 module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -1,4 +1,53 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+const { MAX_OCCURRENCES, occurrenceStarts, occurrenceIndex } = require('../utils/recurrence');
+
+// How far ahead a recurring task's occurrences are checked for conflicts
+const CONFLICT_HORIZON_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Per-occurrence changes to a recurring task, keyed by the occurrence's original start
+const occurrenceExceptionSchema = new mongoose.Schema({
+  originalStart: {
+    type: Date,
+    required: true
+  },
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the occurrence was moved
+  startDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  isCompleted: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  actualDuration: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
 
 const calendarSchema = new mongoose.Schema({
   id: {
@@ -96,10 +145,25 @@ const calendarSchema = new mongoose.Schema({
     type: String,
     ref: 'Quiz'
   },
+  // Study plan that generated this task, and what the block is for
+  studyPlanId: {
+    type: String,
+    ref: 'StudyPlan',
+    default: null
+  },
+  planBlock: {
+    type: String,
+    enum: ['learn', 'review', 'final-review']
+  },
   tags: [{
     type: String,
     trim: true
   }],
+  // UID of the iCalendar event this task was imported from
+  icalUid: {
+    type: String,
+    default: null
+  },
   recurring: {
     enabled: {
       type: Boolean,
@@ -121,6 +185,12 @@ const calendarSchema = new mongoose.Schema({
     endDate: {
       type: Date,
       default: null
+    },
+    exceptions: [occurrenceExceptionSchema],
+    // Task id of the series this one was split from ("this and following" edits)
+    splitFrom: {
+      type: String,
+      default: null
     }
   },
   reminders: [{
@@ -132,7 +202,7 @@ const calendarSchema = new mongoose.Schema({
     },
     type: {
       type: String,
-      enum: ['notification', 'email', 'sms'],
+      enum: ['notification', 'email', 'sms', 'webhook'],
       default: 'notification'
     },
     sent: {
@@ -169,6 +239,8 @@ calendarSchema.index({ userId: 1, status: 1 });
 calendarSchema.index({ userId: 1, subject: 1 });
 calendarSchema.index({ userId: 1, isCompleted: 1 });
 calendarSchema.index({ startDate: 1, endDate: 1 });
+calendarSchema.index({ userId: 1, icalUid: 1 });
+calendarSchema.index({ studyPlanId: 1, startDate: 1 });
 
 // Virtual for end date calculation
 calendarSchema.virtual('calculatedEndDate').get(function() {
@@ -185,25 +257,24 @@ calendarSchema.virtual('progressPercentage').get(function() {
   return 0;
 });
 
-// Virtual for formatted duration
-calendarSchema.virtual('formattedDuration').get(function() {
-  const hours = Math.floor(this.duration / 60);
-  const minutes = this.duration % 60;
+const formatDuration = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
   if (hours > 0) {
     return `${hours}h ${minutes}m`;
   }
   return `${minutes}m`;
+};
+
+// Virtual for formatted duration
+calendarSchema.virtual('formattedDuration').get(function() {
+  return formatDuration(this.duration);
 });
 
 // Virtual for formatted actual duration
 calendarSchema.virtual('formattedActualDuration').get(function() {
   if (!this.actualDuration) return 'Not started';
-  const hours = Math.floor(this.actualDuration / 60);
-  const minutes = this.actualDuration % 60;
-  if (hours > 0) {
-    return `${hours}h ${minutes}m`;
-  }
-  return `${minutes}m`;
+  return formatDuration(this.actualDuration);
 });
 
 // Pre-save middleware to set end date if not provided
@@ -212,6 +283,13 @@ calendarSchema.pre('save', function(next) {
     this.endDate = this.calculatedEndDate;
   }
   
+  // A rescheduled task reminds again for its new time
+  if (!this.isNew && this.isModified('startDate')) {
+    this.reminders.forEach(reminder => {
+      reminder.sent = false;
+    });
+  }
+  
   // Update completedAt when marking as completed
   if (this.isCompleted && !this.completedAt) {
     this.completedAt = new Date();
@@ -225,21 +303,32 @@ calendarSchema.pre('save', function(next) {
   next();
 });
 
-// Method to check if session conflicts with existing ones
-calendarSchema.methods.hasConflict = async function() {
-  const Calendar = this.constructor;
-  const conflictingSession = await Calendar.findOne({
-    userId: this.userId,
-    _id: { $ne: this._id },
-    status: { $ne: 'cancelled' },
-    $or: [
-      {
-        startDate: { $lt: this.endDate },
-        endDate: { $gt: this.startDate }
-      }
-    ]
-  });
-  return conflictingSession;
+/**
+ * First task or recurring occurrence that overlaps this task, or null. A recurring task is
+ * checked occurrence by occurrence from its start (or now) up to CONFLICT_HORIZON_MS ahead.
+ * With `occurrenceDate`, this document stands in for that one occurrence of its stored
+ * series, so the series' other occurrences still count as conflicts.
+ */
+calendarSchema.methods.hasConflict = async function({ occurrenceDate = null } = {}) {
+  const exclude = { excludeId: this._id, excludeOccurrence: occurrenceDate };
+
+  if (!this.recurring?.enabled) {
+    const [conflict] = await this.constructor.findConflicts(this.userId, this.startDate, this.endDate, { ...exclude, limit: 1 });
+    return conflict || null;
+  }
+
+  const from = new Date(Math.max(this.startDate.getTime(), Date.now()));
+  const occurrences = this.getOccurrences(from, new Date(from.getTime() + CONFLICT_HORIZON_MS))
+    .filter(occurrence => occurrence.status !== 'cancelled');
+  if (occurrences.length === 0) return null;
+
+  const lastEnd = new Date(Math.max(...occurrences.map(occurrence => occurrence.endDate.getTime())));
+  const others = await this.constructor.findConflicts(this.userId, occurrences[0].startDate, lastEnd, exclude);
+  for (const occurrence of occurrences) {
+    const conflict = others.find(other => other.startDate < occurrence.endDate && other.endDate > occurrence.startDate);
+    if (conflict) return conflict;
+  }
+  return null;
 };
 
 // Method to mark task as completed
@@ -247,7 +336,8 @@ calendarSchema.methods.markCompleted = function(actualDuration = null) {
   this.isCompleted = true;
   this.status = 'completed';
   this.completedAt = new Date();
-  if (actualDuration !== null) {
+  // Timer minutes take precedence over a manually entered duration
+  if (actualDuration !== null && !this.actualDuration) {
     this.actualDuration = actualDuration;
   }
   return this.save();
@@ -258,191 +348,415 @@ calendarSchema.methods.markIncomplete = function() {
   this.isCompleted = false;
   this.status = 'planned';
   this.completedAt = null;
-  this.actualDuration = 0;
   return this.save();
 };
 
+/**
+ * Add tracked study minutes to the task, or to one occurrence of a recurring task.
+ * Applied with $inc so timers stopping at the same time all count; totals never go below 0.
+ */
+calendarSchema.methods.addActualTime = async function(minutes, occurrenceDate = null) {
+  const Calendar = this.constructor;
+
+  if (occurrenceDate && this.recurring?.enabled) {
+    const originalStart = new Date(occurrenceDate);
+    const byStart = { 'exception.originalStart': originalStart };
+
+    await Calendar.updateOne(
+      { _id: this._id, 'recurring.exceptions.originalStart': { $ne: originalStart } },
+      { $push: { 'recurring.exceptions': { originalStart } } }
+    );
+    await Calendar.updateOne(
+      { _id: this._id },
+      { $inc: { 'recurring.exceptions.$[exception].actualDuration': minutes } },
+      { arrayFilters: [byStart] }
+    );
+    if (minutes < 0) {
+      await Calendar.updateOne(
+        { _id: this._id },
+        { $set: { 'recurring.exceptions.$[exception].actualDuration': 0 } },
+        { arrayFilters: [{ ...byStart, 'exception.actualDuration': { $lt: 0 } }] }
+      );
+    }
+
+    // Mirror the stored exceptions without marking them for the next save
+    const updated = await Calendar.findById(this._id, { 'recurring.exceptions': 1 });
+    this.set('recurring.exceptions', updated.recurring.exceptions);
+    this.unmarkModified('recurring.exceptions');
+    return this;
+  }
+
+  await Calendar.updateOne({ _id: this._id }, { $inc: { actualDuration: minutes } });
+  if (minutes < 0) {
+    await Calendar.updateOne({ _id: this._id, actualDuration: { $lt: 0 } }, { $set: { actualDuration: 0 } });
+  }
+
+  const updated = await Calendar.findById(this._id, { actualDuration: 1 });
+  this.set('actualDuration', updated.actualDuration);
+  this.unmarkModified('actualDuration');
+  return this;
+};
+
+// Whether a recurring task has an occurrence starting exactly at `date`
+calendarSchema.methods.isOccurrenceStart = function(date) {
+  return Boolean(this.recurring?.enabled) && occurrenceIndex(this.startDate, this.recurring, date) !== -1;
+};
+
+calendarSchema.methods.getException = function(occurrenceDate) {
+  const time = new Date(occurrenceDate).getTime();
+  return this.recurring.exceptions.find(exception => exception.originalStart.getTime() === time) || null;
+};
+
+/**
+ * Plain task object for one occurrence, with the occurrence's exception applied
+ */
+calendarSchema.methods.buildOccurrence = function(originalStart, base = this.toJSON()) {
+  const exception = this.getException(originalStart);
+  const startDate = exception?.startDate || new Date(originalStart);
+  const endDate = exception?.endDate || new Date(startDate.getTime() + (this.endDate - this.startDate));
+  const isCompleted = Boolean(exception?.isCompleted);
+  const actualDuration = exception?.actualDuration || 0;
+
+  let status = 'planned';
+  if (isCompleted) status = 'completed';
+  else if (exception?.cancelled || this.status === 'cancelled') status = 'cancelled';
+
+  return {
+    ...base,
+    recurring: { ...base.recurring, exceptions: undefined },
+    title: exception?.title || this.title,
+    notes: exception?.notes ?? this.notes,
+    startDate,
+    endDate,
+    calculatedEndDate: endDate,
+    status,
+    isCompleted,
+    completedAt: exception?.completedAt || null,
+    actualDuration,
+    formattedActualDuration: actualDuration ? formatDuration(actualDuration) : 'Not started',
+    progressPercentage: isCompleted ? 100 : 0,
+    isOccurrence: true,
+    occurrenceDate: new Date(originalStart),
+    isException: Boolean(exception)
+  };
+};
+
+/**
+ * Occurrences of a recurring task starting in [from, to), sorted by start.
+ * Moved occurrences are placed at their new time.
+ */
+calendarSchema.methods.getOccurrences = function(from = null, to = null, { limit = MAX_OCCURRENCES } = {}) {
+  if (!this.recurring?.enabled) return [];
+
+  const base = this.toJSON();
+  const inRange = (date) => (!from || date >= from) && (!to || date < to);
+  const occurrences = [];
+
+  // Leave room for occurrences that turn out to have been moved elsewhere
+  const starts = occurrenceStarts(this.startDate, this.recurring, from, to, limit + this.recurring.exceptions.length);
+  starts.forEach(({ start }) => {
+    if (!this.getException(start)?.startDate) {
+      occurrences.push(this.buildOccurrence(start, base));
+    }
+  });
+
+  this.recurring.exceptions.forEach(exception => {
+    if (exception.startDate && inRange(exception.startDate) && this.isOccurrenceStart(exception.originalStart)) {
+      occurrences.push(this.buildOccurrence(exception.originalStart, base));
+    }
+  });
+
+  return occurrences
+    .sort((a, b) => a.startDate - b.startDate)
+    .slice(0, limit);
+};
+
+/**
+ * Change a single occurrence (move, skip, complete, retitle)
+ */
+calendarSchema.methods.updateOccurrence = function(occurrenceDate, changes = {}) {
+  const originalStart = new Date(occurrenceDate);
+  let exception = this.getException(originalStart);
+  if (!exception) {
+    this.recurring.exceptions.push({ originalStart });
+    exception = this.recurring.exceptions[this.recurring.exceptions.length - 1];
+  }
+
+  if (changes.startDate) {
+    exception.startDate = new Date(changes.startDate);
+  }
+  if (changes.endDate || changes.duration || changes.startDate) {
+    const startDate = exception.startDate || originalStart;
+    exception.endDate = changes.endDate
+      ? new Date(changes.endDate)
+      : new Date(startDate.getTime() + (changes.duration || this.duration) * 60000);
+  }
+  if (changes.title !== undefined) exception.title = changes.title;
+  if (changes.notes !== undefined) exception.notes = changes.notes;
+
+  if (changes.status === 'cancelled') {
+    exception.cancelled = true;
+  } else if (changes.status === 'planned' || changes.status === 'in-progress') {
+    exception.cancelled = false;
+    exception.isCompleted = false;
+    exception.completedAt = null;
+  }
+
+  if (changes.isCompleted !== undefined || changes.status === 'completed') {
+    exception.isCompleted = changes.isCompleted !== undefined ? Boolean(changes.isCompleted) : true;
+    exception.completedAt = exception.isCompleted ? (exception.completedAt || new Date()) : null;
+    if (exception.isCompleted) exception.cancelled = false;
+  }
+  if (changes.actualDuration !== undefined && changes.actualDuration !== null) {
+    exception.actualDuration = changes.actualDuration;
+  }
+
+  return this.save();
+};
+
+calendarSchema.methods.skipOccurrence = function(occurrenceDate) {
+  return this.updateOccurrence(occurrenceDate, { status: 'cancelled' });
+};
+
+calendarSchema.methods.markOccurrenceCompleted = function(occurrenceDate, actualDuration = null) {
+  // Keep minutes the occurrence's timers already recorded
+  const tracked = this.getException(occurrenceDate)?.actualDuration;
+  return this.updateOccurrence(occurrenceDate, { isCompleted: true, actualDuration: tracked ? null : actualDuration });
+};
+
+calendarSchema.methods.markOccurrenceIncomplete = function(occurrenceDate) {
+  return this.updateOccurrence(occurrenceDate, { isCompleted: false });
+};
+
+/**
+ * End the series just before an occurrence; exceptions from it onwards are dropped
+ */
+calendarSchema.methods.endSeriesBefore = function(occurrenceDate) {
+  const cutoff = new Date(occurrenceDate);
+  const index = occurrenceIndex(this.startDate, this.recurring, cutoff);
+
+  this.recurring.endDate = new Date(cutoff.getTime() - 1);
+  if (this.recurring.endAfter && index !== -1) {
+    this.recurring.endAfter = index;
+  }
+  this.recurring.exceptions = this.recurring.exceptions.filter(exception => exception.originalStart < cutoff);
+  return this;
+};
+
+/**
+ * Split a series for a "this and following" edit: this task ends before the occurrence and
+ * the returned (unsaved) task continues the series from it.
+ */
+calendarSchema.methods.splitAt = function(occurrenceDate) {
+  const Calendar = this.constructor;
+  const start = new Date(occurrenceDate);
+  const index = occurrenceIndex(this.startDate, this.recurring, start);
+  const data = this.toObject({ virtuals: false });
+
+  delete data._id;
+  delete data.createdAt;
+  delete data.updatedAt;
+  delete data.__v;
+
+  const following = new Calendar({
+    ...data,
+    id: `task_${crypto.randomUUID()}`,
+    startDate: start,
+    endDate: new Date(start.getTime() + (this.endDate - this.startDate)),
+    status: this.status === 'cancelled' ? 'cancelled' : 'planned',
+    isCompleted: false,
+    completedAt: null,
+    actualDuration: 0,
+    reminders: data.reminders.map(({ time, type }) => ({ time, type })),
+    recurring: {
+      ...data.recurring,
+      endAfter: data.recurring.endAfter ? data.recurring.endAfter - index : null,
+      exceptions: data.recurring.exceptions.filter(exception => exception.originalStart >= start),
+      splitFrom: this.id
+    }
+  });
+
+  this.endSeriesBefore(start);
+  return following;
+};
+
+/**
+ * Keep exceptions attached to the right occurrences after the series start or rule changed
+ */
+calendarSchema.methods.realignExceptions = function(previousStartDate) {
+  const shift = this.startDate - new Date(previousStartDate);
+
+  this.recurring.exceptions.forEach(exception => {
+    exception.originalStart = new Date(exception.originalStart.getTime() + shift);
+  });
+  this.recurring.exceptions = this.recurring.exceptions.filter(exception => this.isOccurrenceStart(exception.originalStart));
+  return this;
+};
+
+/**
+ * Tasks starting in [from, to) with recurring tasks expanded into their occurrences,
+ * sorted by start. Either bound may be null. `filter` applies to the stored tasks.
+ */
+calendarSchema.statics.findInRange = async function(userId, from = null, to = null, filter = {}, options = {}) {
+  const { limit = MAX_OCCURRENCES, populate = false } = options;
+  const startDate = {};
+  if (from) startDate.$gte = from;
+  if (to) startDate.$lt = to;
+
+  const singleQuery = this.findOwned(userId, {
+    ...filter,
+    'recurring.enabled': { $ne: true },
+    ...(from || to ? { startDate } : {})
+  }).sort({ startDate: 1 }).limit(limit);
+
+  const seriesQuery = this.findOwned(userId, {
+    ...filter,
+    'recurring.enabled': true,
+    ...(to ? { startDate: { $lt: to } } : {})
+  });
+
+  if (populate) {
+    singleQuery.populate('userId', 'username email');
+    seriesQuery.populate('userId', 'username email');
+  }
+
+  const [single, series] = await Promise.all([singleQuery, seriesQuery]);
+  const occurrences = series.flatMap(task => task.getOccurrences(from, to, { limit }));
+
+  return [...single, ...occurrences].sort((a, b) => a.startDate - b.startDate);
+};
+
+/**
+ * Every task and recurring occurrence on the calendar, for all-time totals. Series without an
+ * end are expanded up to now, or up to their last changed occurrence if that is later.
+ */
+calendarSchema.statics.findAllScheduled = async function(userId, filter = {}, now = new Date()) {
+  const [single, series] = await Promise.all([
+    this.findOwned(userId, { ...filter, 'recurring.enabled': { $ne: true } }),
+    this.findOwned(userId, { ...filter, 'recurring.enabled': true })
+  ]);
+
+  const occurrences = series.flatMap(task => {
+    if (task.recurring.endAfter || task.recurring.endDate) return task.getOccurrences();
+
+    const lastChanged = Math.max(...task.recurring.exceptions.map(exception => exception.originalStart.getTime() + 1));
+    return task.getOccurrences(null, new Date(Math.max(now.getTime(), lastChanged)));
+  });
+
+  return [...single, ...occurrences].filter(task => task.status !== 'cancelled');
+};
+
+// Longest time a series occurrence can start before a range and still overlap it
+const MAX_OVERLAP_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Tasks and recurring occurrences overlapping [startDate, endDate), earliest first.
+ * `excludeId` leaves out a task (a whole series); with `excludeOccurrence` only that
+ * occurrence of the `excludeId` series is left out.
+ */
+calendarSchema.statics.findConflicts = async function(userId, startDate, endDate, { excludeId = null, excludeOccurrence = null, limit = MAX_OCCURRENCES } = {}) {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  const exclude = excludeId && !excludeOccurrence ? { _id: { $ne: excludeId } } : {};
+  const isExcluded = (occurrence) => Boolean(excludeOccurrence)
+    && String(occurrence._id) === String(excludeId)
+    && occurrence.occurrenceDate.getTime() === new Date(excludeOccurrence).getTime();
+
+  const [single, series] = await Promise.all([
+    this.findOwned(userId, {
+      ...exclude,
+      'recurring.enabled': { $ne: true },
+      status: { $ne: 'cancelled' },
+      startDate: { $lt: end },
+      endDate: { $gt: start }
+    }).sort({ startDate: 1 }).limit(limit),
+    this.findOwned(userId, {
+      ...exclude,
+      'recurring.enabled': true,
+      status: { $ne: 'cancelled' },
+      startDate: { $lt: end }
+    })
+  ]);
+
+  const occurrences = series.flatMap(task => task
+    .getOccurrences(new Date(start.getTime() - MAX_OVERLAP_LOOKBACK_MS), end)
+    .filter(occurrence => occurrence.status !== 'cancelled' && occurrence.endDate > start && !isExcluded(occurrence)));
+
+  return [...single, ...occurrences]
+    .sort((a, b) => a.startDate - b.startDate)
+    .slice(0, limit);
+};
+
 // Method to get upcoming sessions
-calendarSchema.statics.getUpcoming = function(userId, limit = 10) {
-  return this.find({
-    userId,
-    startDate: { $gte: new Date() },
-    status: { $in: ['planned', 'in-progress'] }
-  })
-  .sort({ startDate: 1 })
-  .limit(limit);
+calendarSchema.statics.getUpcoming = async function(userId, limit = 10) {
+  const active = ['planned', 'in-progress'];
+  const tasks = await this.findInRange(userId, new Date(), null, { status: { $in: active } }, { limit });
+  return tasks.filter(task => active.includes(task.status)).slice(0, limit);
 };
 
 // Method to get sessions by date range
-calendarSchema.statics.getByDateRange = function(userId, startDate, endDate) {
-  return this.find({
-    userId,
-    startDate: { $gte: startDate },
-    endDate: { $lte: endDate },
-    status: { $ne: 'cancelled' }
-  }).sort({ startDate: 1 });
+calendarSchema.statics.getByDateRange = async function(userId, startDate, endDate) {
+  const tasks = await this.findInRange(userId, startDate, endDate, { status: { $ne: 'cancelled' } });
+  return tasks.filter(task => task.status !== 'cancelled' && task.endDate <= endDate);
 };
 
-// Method to get weekly progress statistics
-calendarSchema.statics.getWeeklyProgress = function(userId, weekStart) {
+/**
+ * Progress totals over tasks and occurrences (same shape as the aggregation results)
+ */
+const summarizeProgress = (tasks) => {
+  if (tasks.length === 0) return [];
+
+  const totals = tasks.reduce((sum, task) => {
+    sum.totalTasks += 1;
+    sum.totalPlannedDuration += task.duration;
+    sum.totalActualDuration += task.actualDuration || 0;
+    if (task.isCompleted) {
+      sum.completedTasks += 1;
+      sum.completedTime += task.duration;
+    }
+    return sum;
+  }, { totalTasks: 0, completedTasks: 0, totalPlannedDuration: 0, totalActualDuration: 0, completedTime: 0 });
+
+  return [{
+    ...totals,
+    totalPlannedTime: totals.totalPlannedDuration,
+    completionRate: (totals.completedTasks / totals.totalTasks) * 100,
+    progressPercentage: totals.totalPlannedDuration ? (totals.completedTime / totals.totalPlannedDuration) * 100 : 0
+  }];
+};
+
+// Method to get weekly progress statistics (each occurrence of a recurring task counts once)
+calendarSchema.statics.getWeeklyProgress = async function(userId, weekStart) {
   const weekEnd = new Date(weekStart);
   weekEnd.setDate(weekEnd.getDate() + 7);
-  
-  return this.aggregate([
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        startDate: { $gte: weekStart, $lt: weekEnd },
-        status: { $ne: 'cancelled' }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalTasks: { $sum: 1 },
-        completedTasks: { $sum: { $cond: ['$isCompleted', 1, 0] } },
-        totalPlannedDuration: { $sum: '$duration' },
-        totalActualDuration: { $sum: { $ifNull: ['$actualDuration', 0] } },
-        totalPlannedTime: { $sum: '$duration' },
-        completedTime: { $sum: { $cond: ['$isCompleted', '$duration', 0] } }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        totalTasks: 1,
-        completedTasks: 1,
-        totalPlannedDuration: 1,
-        totalActualDuration: 1,
-        totalPlannedTime: 1,
-        completedTime: 1,
-        completionRate: {
-          $multiply: [
-            { $divide: ['$completedTasks', '$totalTasks'] },
-            100
-          ]
-        },
-        progressPercentage: {
-          $multiply: [
-            { $divide: ['$completedTime', '$totalPlannedTime'] },
-            100
-          ]
-        }
-      }
-    }
-  ]);
+
+  const tasks = await this.findInRange(userId, weekStart, weekEnd, { status: { $ne: 'cancelled' } });
+  return summarizeProgress(tasks.filter(task => task.status !== 'cancelled'));
 };
 
-// Method to get monthly progress statistics
-calendarSchema.statics.getMonthlyProgress = function(userId, monthStart) {
+// Method to get monthly progress statistics (each occurrence of a recurring task counts once)
+calendarSchema.statics.getMonthlyProgress = async function(userId, monthStart) {
   const monthEnd = new Date(monthStart);
   monthEnd.setMonth(monthEnd.getMonth() + 1);
-  
-  return this.aggregate([
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        startDate: { $gte: monthStart, $lt: monthEnd },
-        status: { $ne: 'cancelled' }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalTasks: { $sum: 1 },
-        completedTasks: { $sum: { $cond: ['$isCompleted', 1, 0] } },
-        totalPlannedDuration: { $sum: '$duration' },
-        totalActualDuration: { $sum: { $ifNull: ['$actualDuration', 0] } },
-        totalPlannedTime: { $sum: '$duration' },
-        completedTime: { $sum: { $cond: ['$isCompleted', '$duration', 0] } }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        totalTasks: 1,
-        completedTasks: 1,
-        totalPlannedDuration: 1,
-        totalActualDuration: 1,
-        totalPlannedTime: 1,
-        completedTime: 1,
-        completionRate: {
-          $multiply: [
-            { $divide: ['$completedTasks', '$totalTasks'] },
-            100
-          ]
-        },
-        progressPercentage: {
-          $multiply: [
-            { $divide: ['$completedTime', '$totalPlannedTime'] },
-            100
-          ]
-        }
-      }
-    }
-  ]);
+
+  const tasks = await this.findInRange(userId, monthStart, monthEnd, { status: { $ne: 'cancelled' } });
+  return summarizeProgress(tasks.filter(task => task.status !== 'cancelled'));
 };
 
-// Method to get overall user progress
-calendarSchema.statics.getUserProgress = function(userId) {
-  return this.aggregate([
-    {
-      $match: {
-        userId: new mongoose.Types.ObjectId(userId),
-        status: { $ne: 'cancelled' }
-      }
-    },
-    {
-      $group: {
-        _id: null,
-        totalTasks: { $sum: 1 },
-        completedTasks: { $sum: { $cond: ['$isCompleted', 1, 0] } },
-        totalPlannedDuration: { $sum: '$duration' },
-        totalActualDuration: { $sum: { $ifNull: ['$actualDuration', 0] } },
-        totalPlannedTime: { $sum: '$duration' },
-        completedTime: { $sum: { $cond: ['$isCompleted', '$duration', 0] } },
-        subjects: { $addToSet: '$subject' },
-        topics: { $addToSet: '$topic' }
-      }
-    },
-    {
-      $project: {
-        _id: 0,
-        totalTasks: 1,
-        completedTasks: 1,
-        totalPlannedDuration: 1,
-        totalActualDuration: 1,
-        totalPlannedTime: 1,
-        completedTime: 1,
-        subjects: 1,
-        topics: 1,
-        completionRate: {
-          $multiply: [
-            { $divide: ['$completedTasks', '$totalTasks'] },
-            100
-          ]
-        },
-        progressPercentage: {
-          $multiply: [
-            { $divide: ['$completedTime', '$totalPlannedTime'] },
-            100
-          ]
-        },
-        efficiency: {
-          $cond: [
-            { $gt: ['$totalActualDuration', 0] },
-            {
-              $multiply: [
-                { $divide: ['$totalPlannedDuration', '$totalActualDuration'] },
-                100
-              ]
-            },
-            0
-          ]
-        }
-      }
-    }
-  ]);
+// Method to get overall user progress (each occurrence of a recurring task counts once)
+calendarSchema.statics.getUserProgress = async function(userId) {
+  const tasks = await this.findAllScheduled(userId, { status: { $ne: 'cancelled' } });
+  const [progress] = summarizeProgress(tasks);
+  if (!progress) return [];
+
+  return [{
+    ...progress,
+    subjects: [...new Set(tasks.map(task => task.subject))],
+    topics: [...new Set(tasks.map(task => task.topic))],
+    efficiency: progress.totalActualDuration > 0
+      ? (progress.totalPlannedDuration / progress.totalActualDuration) * 100
+      : 0
+  }];
 };
 
 // Method to get tasks by subject with progress
@@ -490,4 +804,28 @@ calendarSchema.statics.getTasksBySubject = function(userId, subject) {
   ]);
 };
 
+/**
+ * Planned and actual minutes per subject, counting each occurrence of a recurring task.
+ * Without a range, every task and occurrence on the calendar counts (see findAllScheduled).
+ * @returns {Promise<Array<{subject, plannedMinutes, actualMinutes, tasks}>>}
+ */
+calendarSchema.statics.getSubjectTime = async function(userId, from = null, to = null) {
+  const filter = { status: { $ne: 'cancelled' } };
+  const tasks = from || to
+    ? (await this.findInRange(userId, from, to, filter)).filter(task => task.status !== 'cancelled')
+    : await this.findAllScheduled(userId, filter);
+
+  const bySubject = new Map();
+  tasks.forEach(task => {
+    const entry = bySubject.get(task.subject) || { subject: task.subject, plannedMinutes: 0, actualMinutes: 0, tasks: 0 };
+    entry.plannedMinutes += task.duration;
+    entry.actualMinutes += task.actualDuration || 0;
+    entry.tasks += 1;
+    bySubject.set(task.subject, entry);
+  });
+  return [...bySubject.values()];
+};
+
+calendarSchema.plugin(ownership);
+
 module.exports = mongoose.model('Calendar', calendarSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const chatHistoryEntrySchema = new mongoose.Schema({
   userId: {
@@ -128,10 +129,10 @@ chatHistoryEntrySchema.statics.getConversationContext = async function(userId, s
     query.sessionId = sessionId;
   }
   
-  return await this.find(query)
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .sort({ createdAt: 1 }); // Return in chronological order
+  const entries = await this.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit);
+  return entries.reverse(); // Return in chronological order
 };
 
 // Method to get semantic context (similar messages)
@@ -190,4 +191,6 @@ chatHistoryEntrySchema.statics.getComprehensiveChatHistory = async function(user
     .populate('relatedContent.sessionIds', 'title description');
 };
 
+chatHistoryEntrySchema.plugin(ownership);
+
 module.exports = mongoose.model('ChatHistoryEntry', chatHistoryEntrySchema);
@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const evidenceSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    index: true
+  },
   fileUrl: {
     type: String,
     required: true
@@ -33,9 +38,12 @@ const evidenceSchema = new mongoose.Schema({
   },
   contentType: {
     type: String,
-    enum: ['text', 'equation', 'diagram', 'mixed'],
+    enum: ['text', 'equation', 'diagram', 'mixed', 'formula'],
     default: 'text'
   },
+  latex: {
+    type: String // LaTeX of a 'formula' record
+  },
   metadata: {
     language: { type: String, default: 'en' },
     rotation: { type: Number, default: 0 },
@@ -44,9 +52,30 @@ const evidenceSchema = new mongoose.Schema({
       applied: { type: Boolean, default: true },
       parameters: { type: mongoose.Schema.Types.Mixed }
     }],
+    preprocessingProfile: { type: String }, // 'printed', 'handwriting', 'whiteboard', 'screenshot', 'low-light' or 'none'
+    profileDetected: { type: Boolean }, // Picked by auto-detection rather than requested
     regionType: { type: String }, // 'header', 'body', 'caption', 'equation'
+    page: { type: Number }, // 1-based page number for PDF evidence
+    sectionPath: [{ type: String }], // Headings above the evidence, outermost first
+    headingLevel: { type: Number }, // Level of the innermost heading (0 before the first one)
+    variables: [{ type: String }], // Variables of a formula in LaTeX, e.g. 'T_{b}'
     lineCount: { type: Number },
-    wordCount: { type: Number }
+    wordCount: { type: Number },
+    // OCR lines inside the bbox, with their words, in pixels of the original image
+    lines: [{
+      _id: false,
+      text: { type: String },
+      bbox: { x: Number, y: Number, width: Number, height: Number },
+      confidence: { type: Number },
+      words: [{
+        _id: false,
+        text: { type: String },
+        bbox: { x: Number, y: Number, width: Number, height: Number },
+        confidence: { type: Number }
+      }]
+    }],
+    imageWidth: { type: Number },
+    imageHeight: { type: Number }
   },
   corrections: [{
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -114,8 +143,8 @@ evidenceSchema.methods.getConfidenceLevel = function() {
   return 'very_low';
 };
 
-// Method to get bounding box as normalized coordinates (0-1)
-evidenceSchema.methods.getNormalizedBbox = function(imageWidth, imageHeight) {
+// Method to get bounding box as normalized coordinates (0-1); defaults to the stored image size
+evidenceSchema.methods.getNormalizedBbox = function(imageWidth = this.metadata?.imageWidth, imageHeight = this.metadata?.imageHeight) {
   return {
     x: this.bbox.x / imageWidth,
     y: this.bbox.y / imageHeight,
@@ -124,4 +153,6 @@ evidenceSchema.methods.getNormalizedBbox = function(imageWidth, imageHeight) {
   };
 };
 
+evidenceSchema.plugin(ownership);
+
 module.exports = mongoose.model('Evidence', evidenceSchema);
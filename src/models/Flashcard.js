@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const flashcardSchema = new mongoose.Schema({
+  cardId: {
+    type: String,
+    unique: true,
+    default: function() {
+      return `card_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  front: {
+    type: String,
+    required: [true, 'Card front is required'],
+    trim: true,
+    maxlength: [2000, 'Card front cannot exceed 2000 characters']
+  },
+  back: {
+    type: String,
+    required: [true, 'Card back is required'],
+    trim: true,
+    maxlength: [5000, 'Card back cannot exceed 5000 characters']
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['evidence', 'quiz', 'mindmap', 'manual'],
+      default: 'manual'
+    },
+    // Stable key of the generating item (evidence id, quizId:questionId, mindMapId:nodeId)
+    // so regenerating from the same material does not create duplicates
+    key: { type: String },
+    evidenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Evidence' },
+    quizId: { type: String },
+    questionId: { type: String },
+    mindMapId: { type: String },
+    nodeId: { type: String }
+  },
+  originalImageId: {
+    type: String,
+    index: true
+  },
+  topic: {
+    type: String,
+    trim: true
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  scheduling: {
+    easeFactor: { type: Number, default: 2.5, min: 1.3 },
+    interval: { type: Number, default: 0 }, // days
+    repetitions: { type: Number, default: 0 },
+    lapses: { type: Number, default: 0 },
+    dueDate: { type: Date, default: Date.now },
+    lastReviewedAt: { type: Date }
+  },
+  reviewHistory: [{
+    grade: { type: Number, min: 0, max: 5, required: true },
+    reviewedAt: { type: Date, default: Date.now },
+    interval: { type: Number },
+    easeFactor: { type: Number }
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'archived'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+flashcardSchema.index({ userId: 1, 'scheduling.dueDate': 1 });
+flashcardSchema.index({ userId: 1, 'source.key': 1 }, { unique: true, partialFilterExpression: { 'source.key': { $type: 'string' } } });
+flashcardSchema.index({ userId: 1, originalImageId: 1 });
+
+// Virtual for whether the card is due now
+flashcardSchema.virtual('isDue').get(function() {
+  return this.status === 'active' && this.scheduling.dueDate <= new Date();
+});
+
+/**
+ * Apply an SM-2 review to the card.
+ * Grades 0-2 are lapses (card restarts), 3-5 are successful recalls.
+ */
+flashcardSchema.methods.review = function(grade, reviewedAt = new Date()) {
+  const scheduling = this.scheduling;
+
+  if (grade < 3) {
+    scheduling.repetitions = 0;
+    scheduling.interval = 1;
+    scheduling.lapses += 1;
+  } else {
+    if (scheduling.repetitions === 0) {
+      scheduling.interval = 1;
+    } else if (scheduling.repetitions === 1) {
+      scheduling.interval = 6;
+    } else {
+      scheduling.interval = Math.round(scheduling.interval * scheduling.easeFactor);
+    }
+    scheduling.repetitions += 1;
+  }
+
+  const easeFactor = scheduling.easeFactor + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+  scheduling.easeFactor = Math.max(1.3, Math.round(easeFactor * 100) / 100);
+  scheduling.lastReviewedAt = reviewedAt;
+  scheduling.dueDate = new Date(reviewedAt.getTime() + scheduling.interval * DAY_MS);
+
+  this.reviewHistory.push({
+    grade,
+    reviewedAt,
+    interval: scheduling.interval,
+    easeFactor: scheduling.easeFactor
+  });
+
+  return this.save();
+};
+
+// Static method to get cards due for review up to a given date
+flashcardSchema.statics.getDue = function(userId, options = {}) {
+  const { until = new Date(), limit = 50, originalImageId } = options;
+  const query = {
+    userId,
+    status: 'active',
+    'scheduling.dueDate': { $lte: until }
+  };
+
+  if (originalImageId) query.originalImageId = originalImageId;
+
+  return this.find(query)
+    .sort({ 'scheduling.dueDate': 1 })
+    .limit(limit);
+};
+
+flashcardSchema.plugin(ownership);
+
+module.exports = mongoose.model('Flashcard', flashcardSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const nodeSchema = new mongoose.Schema({
   id: {
@@ -308,6 +309,10 @@ const mindMapSchema = new mongoose.Schema({
     modificationCount: {
       type: Number,
       default: 0
+    },
+    revision: {
+      type: Number,
+      default: 0
     }
   },
   statistics: {
@@ -340,6 +345,7 @@ const mindMapSchema = new mongoose.Schema({
 mindMapSchema.index({ userId: 1, createdAt: -1 });
 mindMapSchema.index({ userId: 1, subject: 1 });
 mindMapSchema.index({ userId: 1, tags: 1 });
+mindMapSchema.index({ imageId: 1, userId: 1 });
 mindMapSchema.index({ topic: 'text', title: 'text', description: 'text' });
 
 // Pre-save middleware to update statistics
@@ -434,6 +440,76 @@ mindMapSchema.methods.getConnectedNodes = function(nodeId) {
   return this.nodes.filter(node => connectedIds.has(node.id));
 };
 
+// Method to remove a node together with its sub-nodes and connecting edges
+mindMapSchema.methods.removeNode = function(nodeId) {
+  const toRemove = new Set();
+  const collect = (id) => {
+    if (toRemove.has(id)) return;
+    toRemove.add(id);
+    const node = this.nodes.find(n => n.id === id);
+    if (node) node.children.forEach(collect);
+  };
+  collect(nodeId);
+
+  this.nodes = this.nodes.filter(node => !toRemove.has(node.id));
+  this.edges = this.edges.filter(edge => !toRemove.has(edge.source) && !toRemove.has(edge.target));
+  this.nodes.forEach(node => {
+    node.children = node.children.filter(id => !toRemove.has(id));
+    node.parents = node.parents.filter(id => !toRemove.has(id));
+    node.connections = node.connections.filter(conn => !toRemove.has(conn.targetId));
+  });
+
+  return [...toRemove];
+};
+
+// Method to bump the revision counter after a change has been saved. The counter is
+// incremented in the database, so concurrent edits each get their own revision.
+mindMapSchema.methods.bumpRevision = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { 'metadata.revision': 1, 'metadata.modificationCount': 1 },
+      $set: { 'metadata.lastModified': new Date() }
+    },
+    { new: true, projection: { metadata: 1 } }
+  );
+
+  // Mirror the stored counters without marking them for the next save
+  ['revision', 'modificationCount', 'lastModified'].forEach(field => {
+    this.set(`metadata.${field}`, updated.metadata[field]);
+    this.unmarkModified(`metadata.${field}`);
+  });
+  return this.metadata.revision;
+};
+
+// Method to export as a main/sub node tree (format used by the mind map UI)
+mindMapSchema.methods.exportAsTree = function() {
+  const toTreeNode = (node, depth) => ({
+    id: node.id,
+    label: node.title,
+    type: depth === 0 ? 'main' : 'sub',
+    description: node.description || '',
+    subNodes: node.children
+      .map(childId => this.getNode(childId))
+      .filter(Boolean)
+      .map(child => toTreeNode(child, depth + 1))
+  });
+
+  return {
+    id: this.mindMapId,
+    mindMapId: this.mindMapId,
+    title: this.title,
+    imageId: this.imageId,
+    nodes: this.nodes
+      .filter(node => node.parents.length === 0)
+      .map(node => toTreeNode(node, 0)),
+    revision: this.metadata.revision,
+    method: this.metadata.processingMethod,
+    generatedAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
 // Method to export as JSON
 mindMapSchema.methods.exportAsJSON = function() {
   return {
@@ -454,4 +530,6 @@ mindMapSchema.methods.exportAsJSON = function() {
   };
 };
 
+mindMapSchema.plugin(ownership);
+
 module.exports = mongoose.model('MindMap', mindMapSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+const MAX_VERSIONS_PER_MAP = 50;
+
+const mindMapVersionSchema = new mongoose.Schema({
+  mindMapId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    enum: ['generated', 'regenerated', 'node-added', 'node-updated', 'node-deleted', 'restored'],
+    required: true
+  },
+  // Full copy of the editable parts of the mind map at this version
+  snapshot: {
+    title: { type: String },
+    topic: { type: String },
+    description: { type: String },
+    nodes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    edges: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    layout: { type: mongoose.Schema.Types.Mixed },
+    settings: { type: mongoose.Schema.Types.Mixed }
+  },
+  statistics: {
+    totalNodes: { type: Number, default: 0 },
+    totalConnections: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+mindMapVersionSchema.index({ mindMapId: 1, version: -1 }, { unique: true });
+
+// Static method to record the current state of a mind map as a new version
+mindMapVersionSchema.statics.record = async function(mindMap, reason) {
+  const plain = mindMap.toObject({ virtuals: false });
+
+  const version = await this.create({
+    mindMapId: mindMap.mindMapId,
+    userId: mindMap.userId,
+    version: mindMap.metadata.revision,
+    reason,
+    snapshot: {
+      title: plain.title,
+      topic: plain.topic,
+      description: plain.description,
+      nodes: plain.nodes,
+      edges: plain.edges,
+      layout: plain.layout,
+      settings: plain.settings
+    },
+    statistics: {
+      totalNodes: plain.nodes.length,
+      totalConnections: plain.edges.length
+    }
+  });
+
+  // Keep the history bounded
+  const stale = await this.find({ mindMapId: mindMap.mindMapId })
+    .sort({ version: -1 })
+    .skip(MAX_VERSIONS_PER_MAP)
+    .select('_id');
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(v => v._id) } });
+  }
+
+  return version;
+};
+
+// Static method to list versions of a mind map without the heavy snapshot payload
+mindMapVersionSchema.statics.listVersions = function(mindMapId) {
+  return this.find({ mindMapId })
+    .sort({ version: -1 })
+    .select('version reason statistics createdAt');
+};
+
+mindMapVersionSchema.plugin(ownership);
+
+module.exports = mongoose.model('MindMapVersion', mindMapVersionSchema);
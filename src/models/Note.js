@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const noteSchema = new mongoose.Schema({
   noteId: {
@@ -48,6 +49,23 @@ const noteSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when a moderator takes public content down
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    }
+  },
   isPinned: {
     type: Boolean,
     default: false
@@ -232,4 +250,6 @@ noteSchema.methods.togglePublic = function() {
   return this.save();
 };
 
+noteSchema.plugin(ownership);
+
 module.exports = mongoose.model('Note', noteSchema);
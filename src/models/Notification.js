@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'system'],
+    default: 'system'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // What the notification is about, for linking in the frontend
+  data: {
+    taskId: String,
+    occurrenceDate: Date,
+    startDate: Date,
+    reminderId: String
+  },
+  // Channel the notification was (or will be) delivered through besides the inbox
+  channel: {
+    type: String,
+    enum: ['in_app', 'email', 'webhook'],
+    default: 'in_app'
+  },
+  // One notification per reminder firing; a duplicate insert means it was already handled
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  delivery: {
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    }
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ 'delivery.status': 1, updatedAt: 1 });
+
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.dedupeKey;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Number of unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countOwned(userId, { readAt: null });
+};
+
+notificationSchema.plugin(ownership);
+
+module.exports = mongoose.model('Notification', notificationSchema);
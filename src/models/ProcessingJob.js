@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+const ACTIVE_STAGES = ['ocr', 'evidence', 'summary'];
+
+const processingJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    unique: true,
+    default: function() {
+      return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+  },
+  type: {
+    type: String,
+    enum: ['process-file'],
+    default: 'process-file'
+  },
+  imageId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', ...ACTIVE_STAGES, 'done', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  lastError: {
+    type: String
+  },
+  errorHistory: [{
+    attempt: { type: Number },
+    stage: { type: String },
+    message: { type: String },
+    occurredAt: { type: Date, default: Date.now }
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+processingJobSchema.index({ status: 1, nextRunAt: 1 });
+processingJobSchema.index({ imageId: 1, createdAt: -1 });
+processingJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for whether the job has reached a final state
+processingJobSchema.virtual('isFinished').get(function() {
+  return ['done', 'failed', 'cancelled'].includes(this.status);
+});
+
+// Static method to atomically claim the next runnable job for a worker
+processingJobSchema.statics.claimNext = function(workerId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { status: 'queued', nextRunAt: { $lte: now }, cancelRequested: false },
+    {
+      $set: { status: 'ocr', progress: 5, lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+// Static method to recover jobs whose worker died mid-run (lock older than timeout).
+// Cancelled jobs are closed, and jobs that used up their attempts (a job that keeps
+// crashing its worker never reaches the retry logic) fail; the rest are requeued.
+processingJobSchema.statics.releaseStaleLocks = async function(lockTimeoutMs) {
+  const now = new Date();
+  const stale = { status: { $in: ACTIVE_STAGES }, lockedAt: { $lt: new Date(now.getTime() - lockTimeoutMs) } };
+  const unlock = { lockedAt: null, lockedBy: null };
+
+  const cancelled = await this.updateMany(
+    { ...stale, cancelRequested: true },
+    { $set: { ...unlock, status: 'cancelled', finishedAt: now } }
+  );
+  const failed = await this.updateMany(
+    { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { ...unlock, status: 'failed', finishedAt: now, lastError: 'Worker stopped responding while processing the job' } }
+  );
+  const requeued = await this.updateMany(
+    stale,
+    { $set: { ...unlock, status: 'queued', nextRunAt: now } }
+  );
+
+  return {
+    cancelled: cancelled.modifiedCount,
+    failed: failed.modifiedCount,
+    requeued: requeued.modifiedCount
+  };
+};
+
+// Static method to get the latest job for a file
+processingJobSchema.statics.getLatestForImage = function(imageId) {
+  return this.findOne({ imageId }).sort({ createdAt: -1 });
+};
+
+// Method to produce the public status view of a job
+processingJobSchema.methods.toStatus = function() {
+  return {
+    jobId: this.jobId,
+    imageId: this.imageId,
+    status: this.status,
+    stage: this.status,
+    progress: this.progress,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    nextRunAt: this.status === 'queued' ? this.nextRunAt : undefined,
+    cancelRequested: this.cancelRequested,
+    error: this.status === 'failed' ? this.lastError : undefined,
+    result: this.status === 'done' ? this.result : undefined,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+processingJobSchema.statics.ACTIVE_STAGES = ACTIVE_STAGES;
+
+processingJobSchema.plugin(ownership);
+
+module.exports = mongoose.model('ProcessingJob', processingJobSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const questionSchema = new mongoose.Schema({
   id: {
@@ -7,7 +8,7 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['multiple-choice', 'true-false', 'fill-in-blank', 'short-answer'],
+    enum: ['multiple-choice', 'true-false', 'fill-in-blank', 'short-answer', 'numerical'],
     default: 'multiple-choice'
   },
   question: {
@@ -36,6 +37,12 @@ const questionSchema = new mongoose.Schema({
     type: String,
     enum: ['easy', 'medium', 'hard'],
     default: 'medium'
+  },
+  formula: {
+    type: String // LaTeX a numerical question substitutes values into
+  },
+  tolerance: {
+    type: Number // Relative error accepted for a numerical answer
   }
 });
 
@@ -103,7 +110,7 @@ const quizSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['ai-generated', 'fallback', 'manual', 'dashscope', 'openrouter-fallback'],
+    enum: ['ai-generated', 'fallback', 'manual', 'dashscope', 'dashscope-fallback', 'openrouter', 'openrouter-fallback', 'mock', 'mock-fallback', 'formula'],
     default: 'ai-generated'
   },
   topics: {
@@ -118,6 +125,23 @@ const quizSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when a moderator takes public content down
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    }
+  },
   attempts: {
     type: Number,
     default: 0
@@ -166,15 +190,18 @@ quizSchema.virtual('stats').get(function() {
   };
 });
 
-// Method to update quiz statistics
+// Method to update quiz statistics. A single pipeline update, so submissions that
+// arrive together are all counted in attempts and the running average.
 quizSchema.methods.updateStats = function(score) {
-  this.attempts += 1;
-  
-  // Calculate new average score
-  const totalScore = this.averageScore * (this.attempts - 1) + score;
-  this.averageScore = totalScore / this.attempts;
-  
-  return this.save();
+  const attempts = { $ifNull: ['$attempts', 0] };
+  const totalScore = { $multiply: [{ $ifNull: ['$averageScore', 0] }, attempts] };
+
+  return this.constructor.updateOne({ _id: this._id }, [{
+    $set: {
+      attempts: { $add: [attempts, 1] },
+      averageScore: { $divide: [{ $add: [totalScore, score] }, { $add: [attempts, 1] }] }
+    }
+  }]);
 };
 
 // Method to add tags
@@ -228,4 +255,6 @@ quizSchema.statics.getStats = function(userId) {
   ]);
 };
 
+quizSchema.plugin(ownership);
+
 module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+const attemptAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  userAnswer: {
+    type: String,
+    default: ''
+  },
+  normalizedAnswer: {
+    type: String // the option label for multiple choice, as compared by the grader
+  },
+  correctAnswer: {
+    type: String,
+    required: true
+  },
+  isCorrect: {
+    type: Boolean,
+    required: true
+  },
+  timeSpent: {
+    type: Number, // seconds spent on this question, if the client reports it
+    default: null
+  }
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+  quizId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  answers: {
+    type: [attemptAnswerSchema],
+    default: []
+  },
+  totalQuestions: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  correctAnswers: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  timeTaken: {
+    type: Number, // seconds
+    default: null
+  },
+  startedAt: {
+    type: Date
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+quizAttemptSchema.index({ quizId: 1, userId: 1, submittedAt: -1 });
+
+// Static method to get a user's attempt history for a quiz
+quizAttemptSchema.statics.getHistory = function(quizId, userId, limit = 20) {
+  return this.find({ quizId, userId })
+    .sort({ submittedAt: -1 })
+    .limit(limit)
+    .select('score correctAnswers totalQuestions timeTaken submittedAt');
+};
+
+// Static method to get per-question statistics across all attempts of a quiz
+quizAttemptSchema.statics.getQuestionStats = async function(quizId) {
+  const [totals, wrongAnswers] = await Promise.all([
+    this.aggregate([
+      { $match: { quizId } },
+      { $unwind: '$answers' },
+      {
+        $group: {
+          _id: '$answers.questionId',
+          attempts: { $sum: 1 },
+          correct: { $sum: { $cond: ['$answers.isCorrect', 1, 0] } },
+          averageTime: { $avg: '$answers.timeSpent' }
+        }
+      }
+    ]),
+    this.aggregate([
+      { $match: { quizId } },
+      { $unwind: '$answers' },
+      { $match: { 'answers.isCorrect': false, 'answers.userAnswer': { $ne: '' } } },
+      {
+        $group: {
+          // Attempts saved before answers were normalised fall back to the raw answer
+          _id: {
+            questionId: '$answers.questionId',
+            answer: { $ifNull: ['$answers.normalizedAnswer', '$answers.userAnswer'] }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { count: -1 } }
+    ])
+  ]);
+
+  const stats = {};
+  totals.forEach(row => {
+    stats[row._id] = {
+      attempts: row.attempts,
+      correct: row.correct,
+      averageTime: row.averageTime,
+      mostCommonWrongAnswer: null
+    };
+  });
+
+  // Results are sorted by count, so the first hit per question is the most common
+  wrongAnswers.forEach(row => {
+    const entry = stats[row._id.questionId];
+    if (entry && !entry.mostCommonWrongAnswer) {
+      entry.mostCommonWrongAnswer = { answer: row._id.answer, count: row.count };
+    }
+  });
+
+  return stats;
+};
+
+quizAttemptSchema.plugin(ownership);
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * One refresh token in a login session. Each refresh rotates the token: the old document
+ * is revoked with reason 'rotated' and a new one joins the same family, so a family is
+ * one signed-in device. Only a SHA-256 hash of the token is stored.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  familyId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ipAddress: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replacedBy: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'revoked', 'reuse_detected', 'logout_all']
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ userId: 1, revokedAt: 1, expiresAt: 1 });
+
+// Expired tokens are no longer useful for reuse detection after a day
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+refreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
 
 const sessionSchema = new mongoose.Schema({
   sessionId: {
@@ -97,6 +98,13 @@ const sessionSchema = new mongoose.Schema({
     messageType: { type: String, default: 'text' },
     metadata: { type: Object, default: {} }
   }],
+  // Rolling summary of chat messages older than the verbatim window (see conversationMemoryService)
+  memory: {
+    summary: { type: String, default: '' },
+    summarizedUntil: { type: Date },
+    summarizedMessages: { type: Number, default: 0 },
+    updatedAt: { type: Date }
+  },
   // Optional source info to generate meaningful titles
   source: {
     uploadFilename: { type: String },
@@ -142,4 +150,6 @@ sessionSchema.methods.computeDisplayTitle = function() {
   return `Study Session ${this.sessionId}`;
 };
 
+sessionSchema.plugin(ownership);
+
 module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+// One topic the plan schedules, with the material it came from
+const planTopicSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sessionId: String,
+  mindMapId: String,
+  quizId: String,
+  imageId: String,
+  // Quiz accuracy on this topic (0-1), null when it has not been quizzed
+  accuracy: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null
+  },
+  // Number of learning blocks; weak topics get more
+  blocks: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
+const studyPlanSchema = new mongoose.Schema({
+  planId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `plan_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  examDate: {
+    type: Date,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  hoursPerDay: {
+    type: Number,
+    required: true,
+    min: 0.25,
+    max: 12
+  },
+  // Length of one learning block in minutes; review blocks are half as long
+  blockMinutes: {
+    type: Number,
+    min: 15,
+    max: 240,
+    default: 60
+  },
+  // Daily study window, wall-clock "HH:mm" in `timezone`
+  dayStart: {
+    type: String,
+    default: '18:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  dayEnd: {
+    type: String,
+    default: '22:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  sessionIds: [String],
+  imageIds: [String],
+  topics: [planTopicSchema],
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'archived'],
+    default: 'active'
+  },
+  // Blocks that could not be placed before the exam at the last (re)build
+  unscheduled: [{
+    topic: String,
+    kind: String
+  }],
+  lastRebalancedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+studyPlanSchema.index({ userId: 1, status: 1, examDate: 1 });
+
+studyPlanSchema.plugin(ownership);
+
+module.exports = mongoose.model('StudyPlan', studyPlanSchema);
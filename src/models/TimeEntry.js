@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+// A stretch of running time; pauses are the gaps between segments
+const segmentSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const timeEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What was studied: a calendar task (or one occurrence of it), a session or a quiz
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Calendar',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  quizId: {
+    type: String,
+    default: null
+  },
+  subject: {
+    type: String,
+    trim: true,
+    default: 'General'
+  },
+  topic: {
+    type: String,
+    trim: true
+  },
+  mode: {
+    type: String,
+    enum: ['stopwatch', 'pomodoro'],
+    default: 'stopwatch'
+  },
+  pomodoro: {
+    focusMinutes: {
+      type: Number,
+      min: 1,
+      max: 120,
+      default: 25
+    },
+    shortBreakMinutes: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 5
+    },
+    longBreakMinutes: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 15
+    },
+    cyclesBeforeLongBreak: {
+      type: Number,
+      min: 1,
+      max: 12,
+      default: 4
+    },
+    // Stop automatically after this many focus cycles
+    targetCycles: {
+      type: Number,
+      min: 1,
+      max: 24,
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'stopped'],
+    default: 'running'
+  },
+  segments: [segmentSchema],
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+  // Running time including Pomodoro breaks
+  activeSeconds: {
+    type: Number,
+    default: 0
+  },
+  // Study time: running time minus Pomodoro breaks
+  focusSeconds: {
+    type: Number,
+    default: 0
+  },
+  completedCycles: {
+    type: Number,
+    default: 0
+  },
+  // Minutes added to the task's actualDuration when the timer stopped
+  rolledUpMinutes: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+timeEntrySchema.index({ userId: 1, status: 1 });
+// One running or paused timer per user, even when two starts race
+timeEntrySchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['running', 'paused'] } } }
+);
+timeEntrySchema.index({ userId: 1, startedAt: -1 });
+timeEntrySchema.index({ taskId: 1 });
+
+timeEntrySchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Running milliseconds up to `now`
+timeEntrySchema.methods.activeMs = function(now = new Date()) {
+  return this.segments.reduce((sum, segment) => sum + ((segment.end || now) - segment.start), 0);
+};
+
+/**
+ * Where a Pomodoro timer is after `activeMs` of running time. Cycles are focus followed
+ * by a short break, with a long break after every `cyclesBeforeLongBreak` cycles.
+ * @returns {{phase, cycle, completedCycles, focusMs, phaseRemainingMs, doneAtMs}}
+ */
+timeEntrySchema.methods.pomodoroState = function(activeMs) {
+  const { focusMinutes, shortBreakMinutes, longBreakMinutes, cyclesBeforeLongBreak, targetCycles } = this.pomodoro;
+  const focus = focusMinutes * 60000;
+  let elapsed = 0;
+  let focusMs = 0;
+
+  for (let cycle = 1; ; cycle++) {
+    if (activeMs < elapsed + focus) {
+      return {
+        phase: 'focus',
+        cycle,
+        completedCycles: cycle - 1,
+        focusMs: focusMs + (activeMs - elapsed),
+        phaseRemainingMs: elapsed + focus - activeMs,
+        doneAtMs: null
+      };
+    }
+    elapsed += focus;
+    focusMs += focus;
+
+    if (targetCycles && cycle >= targetCycles) {
+      return { phase: 'done', cycle, completedCycles: cycle, focusMs, phaseRemainingMs: 0, doneAtMs: elapsed };
+    }
+
+    const longBreak = cycle % cyclesBeforeLongBreak === 0;
+    const breakMs = (longBreak ? longBreakMinutes : shortBreakMinutes) * 60000;
+    if (activeMs < elapsed + breakMs) {
+      return {
+        phase: longBreak ? 'long_break' : 'short_break',
+        cycle,
+        completedCycles: cycle,
+        focusMs,
+        phaseRemainingMs: elapsed + breakMs - activeMs,
+        doneAtMs: null
+      };
+    }
+    elapsed += breakMs;
+  }
+};
+
+/**
+ * Current timer state for clients (phase and countdown for Pomodoro timers)
+ */
+timeEntrySchema.methods.snapshot = function(now = new Date()) {
+  const activeMs = this.activeMs(now);
+  const state = {
+    status: this.status,
+    elapsedSeconds: Math.floor(activeMs / 1000),
+    focusSeconds: Math.floor(activeMs / 1000)
+  };
+
+  if (this.mode === 'pomodoro') {
+    const pomodoro = this.pomodoroState(activeMs);
+    state.focusSeconds = Math.floor(pomodoro.focusMs / 1000);
+    state.phase = pomodoro.phase;
+    state.cycle = pomodoro.cycle;
+    state.completedCycles = pomodoro.completedCycles;
+    state.phaseRemainingSeconds = Math.ceil(pomodoro.phaseRemainingMs / 1000);
+  }
+  return state;
+};
+
+// Store the totals computed from the segments
+timeEntrySchema.methods.recalculate = function(now = new Date()) {
+  const activeMs = this.activeMs(now);
+  this.activeSeconds = Math.floor(activeMs / 1000);
+
+  if (this.mode === 'pomodoro') {
+    const pomodoro = this.pomodoroState(activeMs);
+    this.focusSeconds = Math.floor(pomodoro.focusMs / 1000);
+    this.completedCycles = pomodoro.completedCycles;
+  } else {
+    this.focusSeconds = this.activeSeconds;
+  }
+  return this;
+};
+
+/**
+ * When a Pomodoro timer with a cycle target finished, the moment it did; otherwise null
+ */
+timeEntrySchema.methods.finishedAt = function(now = new Date()) {
+  if (this.mode !== 'pomodoro' || !this.pomodoro.targetCycles || this.status !== 'running') return null;
+
+  const state = this.pomodoroState(this.activeMs(now));
+  if (state.phase !== 'done') return null;
+  return new Date(now.getTime() - (this.activeMs(now) - state.doneAtMs));
+};
+
+timeEntrySchema.methods.pause = function(now = new Date()) {
+  const current = this.segments[this.segments.length - 1];
+  if (current && !current.end) current.end = now;
+  this.status = 'paused';
+  return this.recalculate(now);
+};
+
+timeEntrySchema.methods.resume = function(now = new Date()) {
+  this.segments.push({ start: now });
+  this.status = 'running';
+  return this;
+};
+
+timeEntrySchema.methods.stop = function(now = new Date()) {
+  const current = this.segments[this.segments.length - 1];
+  if (current && !current.end) current.end = now;
+  this.status = 'stopped';
+  this.stoppedAt = now;
+  return this.recalculate(now);
+};
+
+/**
+ * Tracked study minutes per subject for entries started in [from, to) (all time without a range)
+ * @returns {Promise<Array<{subject, trackedMinutes, entries}>>}
+ */
+timeEntrySchema.statics.trackedBySubject = function(userId, from = null, to = null) {
+  const startedAt = {};
+  if (from) startedAt.$gte = from;
+  if (to) startedAt.$lt = to;
+
+  return this.aggregate([
+    { $match: this.ownerFilter(userId, from || to ? { startedAt } : {}) },
+    {
+      $group: {
+        _id: '$subject',
+        focusSeconds: { $sum: '$focusSeconds' },
+        entries: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        subject: '$_id',
+        trackedMinutes: { $round: [{ $divide: ['$focusSeconds', 60] }, 0] },
+        entries: 1
+      }
+    }
+  ]);
+};
+
+timeEntrySchema.plugin(ownership);
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -32,9 +35,44 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Single-use tokens are stored as SHA-256 hashes and cleared once used
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Secret for the subscribable calendar feed URL (hashed like the tokens above)
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+  calendarFeedCreatedAt: {
+    type: Date
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'moderator', 'admin'],
     default: 'user'
   },
   lastLogin: {
@@ -50,6 +88,32 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['beginner', 'intermediate', 'advanced'],
       default: 'intermediate'
+    },
+    // Used when suggesting free calendar slots and auto-shifting conflicting tasks
+    scheduling: {
+      timezone: {
+        type: String,
+        default: 'UTC'
+      },
+      // Wall-clock "HH:mm" range with no study; may wrap past midnight
+      quietHours: {
+        start: {
+          type: String,
+          default: '22:00',
+          match: /^([01]\d|2[0-3]):[0-5]\d$/
+        },
+        end: {
+          type: String,
+          default: '07:00',
+          match: /^([01]\d|2[0-3]):[0-5]\d$/
+        }
+      },
+      maxStudyMinutesPerDay: {
+        type: Number,
+        min: 15,
+        max: 1440,
+        default: null
+      }
     }
   }
 }, {
@@ -78,7 +142,61 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.calendarFeedToken;
   return user;
 };
 
+// Issue a new email verification token; returns the raw token to mail out
+userSchema.methods.createEmailVerificationToken = function(ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + ttlMs);
+  return token;
+};
+
+// Issue a new password reset token, replacing any earlier one
+userSchema.methods.createPasswordResetToken = function(ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + ttlMs);
+  return token;
+};
+
+// Atomically mark the owner of a valid verification token as verified (the token can't be used twice)
+userSchema.statics.consumeEmailVerificationToken = function(token) {
+  return this.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+    {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+      $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Atomically claim a valid reset token; the caller then sets the new password
+userSchema.statics.consumePasswordResetToken = function(token) {
+  return this.findOneAndUpdate(
+    { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Issue a new calendar feed secret; the previous feed URL stops working
+userSchema.methods.createCalendarFeedToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.calendarFeedToken = hashToken(token);
+  this.calendarFeedCreatedAt = new Date();
+  return token;
+};
+
+userSchema.statics.findByCalendarFeedToken = function(token) {
+  return this.findOne({ calendarFeedToken: hashToken(token), isActive: true });
+};
+
 module.exports = mongoose.model('User', userSchema);
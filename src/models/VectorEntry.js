@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const ownership = require('./plugins/ownership');
+
+const SOURCE_TYPES = ['evidence', 'note', 'quiz_question', 'mindmap_node', 'chat'];
+
+// One embedded chunk of user content; the HNSW index on disk is rebuilt from these
+const vectorEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: SOURCE_TYPES,
+    required: true
+  },
+  sourceId: {
+    type: String,
+    required: true
+  },
+  chunkKey: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  contentHash: {
+    type: String,
+    required: true
+  },
+  vector: {
+    type: [Number],
+    required: true
+  },
+  model: {
+    type: String
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+vectorEntrySchema.index({ userId: 1, sourceType: 1 });
+vectorEntrySchema.index({ sourceType: 1, sourceId: 1 });
+
+vectorEntrySchema.statics.SOURCE_TYPES = SOURCE_TYPES;
+
+// Per-type entry counts for a user
+vectorEntrySchema.statics.countByType = async function(userId) {
+  const rows = await this.aggregate([
+    { $match: { userId: String(userId) } },
+    { $group: { _id: '$sourceType', count: { $sum: 1 } } }
+  ]);
+
+  return SOURCE_TYPES.reduce((counts, type) => {
+    counts[type] = rows.find(row => row._id === type)?.count || 0;
+    return counts;
+  }, {});
+};
+
+vectorEntrySchema.plugin(ownership);
+
+module.exports = mongoose.model('VectorEntry', vectorEntrySchema);
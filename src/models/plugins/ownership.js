@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Mongoose plugin for per-user documents.
+ *
+ * Models store their owner as either an ObjectId or a String; these helpers cast the
+ * caller's id to whichever the schema uses so controllers never build owner filters by hand:
+ *   Quiz.findOneOwned(req.user._id, { quizId })
+ *   Note.find(filter).ownedBy(req.user._id)
+ *   Note.ownerFilter(req.user._id, { isPinned: true })
+ */
+module.exports = function ownership(schema, { field = 'userId' } = {}) {
+  const castOwner = (userId) => {
+    const value = userId?._id || userId;
+    if (!value) {
+      throw new Error('An owner id is required to query owned documents');
+    }
+
+    if (schema.path(field).instance === 'ObjectId') {
+      if (!mongoose.Types.ObjectId.isValid(String(value))) {
+        throw new Error(`Invalid owner id: ${value}`);
+      }
+      return new mongoose.Types.ObjectId(String(value));
+    }
+    return String(value);
+  };
+
+  schema.statics.castOwner = castOwner;
+
+  schema.statics.ownerFilter = function(userId, filter = {}) {
+    return { ...filter, [field]: castOwner(userId) };
+  };
+
+  schema.statics.findOwned = function(userId, filter = {}, projection, options) {
+    return this.find(this.ownerFilter(userId, filter), projection, options);
+  };
+
+  schema.statics.findOneOwned = function(userId, filter = {}, projection, options) {
+    return this.findOne(this.ownerFilter(userId, filter), projection, options);
+  };
+
+  schema.statics.countOwned = function(userId, filter = {}) {
+    return this.countDocuments(this.ownerFilter(userId, filter));
+  };
+
+  schema.query.ownedBy = function(userId) {
+    return this.where({ [field]: castOwner(userId) });
+  };
+
+  schema.methods.isOwnedBy = function(userId) {
+    const owner = this.get(field);
+    return Boolean(owner) && String(owner._id || owner) === String(userId?._id || userId);
+  };
+};
@@ -0,0 +1,91 @@
+const express = require('express');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const {
+  listUsers,
+  getUser,
+  updateUser,
+  getUserUsage,
+  listJobs,
+  listModeratedContent,
+  moderateContent,
+  listEvidence,
+  getEvidenceSummary,
+  getStats
+} = require('../controllers/adminController');
+
+const router = express.Router();
+
+// Every admin route needs a real account; permissions are checked per route
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/admin/stats
+ * @desc    Platform overview: users, processing jobs and public content
+ * @access  Admin
+ */
+router.get('/stats', authorize('usage:read'), getStats);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users (?search=, ?role=, ?active=, ?page=, ?limit=)
+ * @access  Admin
+ */
+router.get('/users', authorize('users:read'), listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with storage and AI usage
+ * @access  Admin
+ */
+router.get('/users/:id', authorize('users:read'), getUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id
+ * @desc    Activate/deactivate a user or change their role
+ * @access  Admin
+ */
+router.patch('/users/:id', authorize('users:manage'), updateUser);
+
+/**
+ * @route   GET /api/admin/users/:id/usage
+ * @desc    Per-user storage and AI usage
+ * @access  Admin
+ */
+router.get('/users/:id/usage', authorize('usage:read'), getUserUsage);
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    Processing jobs by status (failed by default)
+ * @access  Admin
+ */
+router.get('/jobs', authorize('jobs:read'), listJobs);
+
+/**
+ * @route   GET /api/admin/moderation/:type
+ * @desc    Public notes or quizzes (?hidden=true for content already taken down)
+ * @access  Moderator, Admin
+ */
+router.get('/moderation/:type', authorize('content:moderate'), listModeratedContent);
+
+/**
+ * @route   PATCH /api/admin/moderation/:type/:id
+ * @desc    Hide or restore a public note or quiz
+ * @access  Moderator, Admin
+ */
+router.patch('/moderation/:type/:id', authorize('content:moderate'), moderateContent);
+
+/**
+ * @route   GET /api/admin/evidence
+ * @desc    Evidence across all users (?userId= to filter)
+ * @access  Admin
+ */
+router.get('/evidence', authorize('evidence:debug'), listEvidence);
+
+/**
+ * @route   GET /api/admin/evidence/summary
+ * @desc    Evidence summary across all users for debugging
+ * @access  Admin
+ */
+router.get('/evidence/summary', authorize('evidence:debug'), getEvidenceSummary);
+
+module.exports = router;
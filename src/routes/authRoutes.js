@@ -1,10 +1,29 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const tokenService = require('../services/tokenService');
+const mailService = require('../services/mail');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+/**
+ * Create a fresh verification token for the user and mail it out
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await user.save();
+
+  mailService.sendInBackground(user.email, 'emailVerification', {
+    username: user.username,
+    token,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  });
+};
+
 /**
  * @route   POST /api/auth/register
  * @desc    Register a new user
@@ -45,24 +64,22 @@ router.post('/register', async (req, res) => {
     });
 
     await newUser.save();
+    await sendVerificationEmail(newUser);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: newUser._id },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await tokenService.issueTokens(newUser, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your address.',
       user: {
         id: newUser._id,
         username: newUser.username,
         email: newUser.email,
-        role: newUser.role
+        role: newUser.role,
+        emailVerified: newUser.emailVerified
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -117,12 +134,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await tokenService.issueTokens(user, req);
 
     res.status(200).json({
       success: true,
@@ -131,9 +144,10 @@ router.post('/login', async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -169,17 +183,14 @@ router.post('/dev-login', async (req, res) => {
         password: 'dev123', // Will be hashed by the pre-save hook
         name: 'Development User',
         isActive: true,
+        emailVerified: true,
         role: 'user'
       });
       await devUser.save();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: devUser._id },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '7d' }
-    );
+    // Start a session: short-lived access token plus rotating refresh token
+    const tokens = await tokenService.issueTokens(devUser, req);
 
     res.status(200).json({
       success: true,
@@ -188,9 +199,10 @@ router.post('/dev-login', async (req, res) => {
         id: devUser._id,
         username: devUser.username,
         email: devUser.email,
-        role: devUser.role
+        role: devUser.role,
+        emailVerified: devUser.emailVerified
       },
-      token
+      ...tokens
     });
 
   } catch (error) {
@@ -203,49 +215,371 @@ router.post('/dev-login', async (req, res) => {
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user info
- * @access  Private
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @access  Public (requires refresh token)
  */
-router.get('/me', async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const { refreshToken } = req.body;
 
-    if (!token) {
-      return res.status(401).json({
+    if (!refreshToken) {
+      return res.status(400).json({
         success: false,
-        error: 'No token provided'
+        error: 'Refresh token is required'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-    const user = await User.findById(decoded.userId).select('-password');
+    const { userId, tokens } = await tokenService.rotate(refreshToken, req);
 
+    const user = await User.findById(userId).select('-password');
     if (!user || !user.isActive) {
+      await tokenService.revokeFamily(tokens.sessionId, 'revoked');
       return res.status(401).json({
         success: false,
-        error: 'Invalid token'
+        error: 'User account is deactivated'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        reason: error.reason
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh token'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    End the current session (access token or refresh token); { all: true } ends every session
+ * @access  Public (requires access or refresh token)
+ */
+router.post('/logout', optionalAuth, async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body || {};
+
+    if (req.user && all) {
+      const revoked = await tokenService.revokeAllSessions(req.user._id);
+      return res.status(200).json({
+        success: true,
+        message: `Logged out of ${revoked} session(s)`
+      });
+    }
+
+    if (req.user && req.sessionId) {
+      await tokenService.revokeSession(req.user._id, req.sessionId, 'logout');
+    } else if (refreshToken) {
+      await tokenService.revokeByRefreshToken(refreshToken);
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Access token or refresh token is required'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to logout'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is signed in on
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      sessions
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device, keeping the current session
+ * @access  Private
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllSessions(req.user._id, {
+      exceptSessionId: req.sessionId,
+      reason: 'revoked'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Revoked ${revoked} other session(s)`,
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one session (sign out a device)
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeSession(req.user._id, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+      current: req.params.sessionId === req.sessionId
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is required'
+      });
+    }
+
+    const user = await User.consumeEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
       });
     }
 
     res.status(200).json({
       success: true,
+      message: 'Email verified successfully',
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
 
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(401).json({
+    console.error('Email verification error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid token'
+      error: 'Failed to verify email'
     });
   }
 });
 
+/**
+ * @route   POST /api/auth/verify-email/resend
+ * @desc    Send a new verification email to the current user
+ * @access  Private
+ */
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification email'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken(PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+      await user.save();
+
+      mailService.sendInBackground(user.email, 'passwordReset', {
+        username: user.username,
+        token,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start password reset'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token; signs out every session
+ * @access  Public
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and new password are required'
+      });
+    }
+
+    // Check before consuming the token so a rejected password doesn't burn it
+    if (String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.consumePasswordResetToken(token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // The reset link proves the user controls the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await tokenService.revokeAllSessions(user._id, { reason: 'revoked' });
+    mailService.sendInBackground(user.email, 'passwordChanged', { username: user.username });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset password'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user info
+ * @access  Private
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    user: {
+      id: req.user._id,
+      username: req.user.username,
+      email: req.user.email,
+      role: req.user.role,
+      emailVerified: req.user.emailVerified
+    },
+    sessionId: req.sessionId
+  });
+});
+
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
 const { 
   createTask,
   getTasks,
@@ -16,15 +17,94 @@ const {
   getTasksByDateRange,
   bulkUpdateStatus
 } = require('../controllers/calendarController');
+const {
+  exportCalendar,
+  getCalendarFeed,
+  getFeedStatus,
+  createFeed,
+  deleteFeed,
+  importCalendar
+} = require('../controllers/calendarSyncController');
+const {
+  getFreeSlots,
+  getSchedulingPreferences,
+  updateSchedulingPreferences
+} = require('../controllers/schedulingController');
 
 const router = express.Router();
 
+// .ics uploads are read in memory
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }
+});
+const icsBody = express.text({ type: ['text/calendar', 'text/plain'], limit: '2mb' });
+
+/**
+ * @route   GET /api/calendar/feed/:token.ics
+ * @desc    Subscribable iCalendar feed (the secret URL is the credential)
+ * @access  Public
+ */
+router.get('/feed/:token.ics', getCalendarFeed);
+
 // Apply authentication middleware
-if (process.env.NODE_ENV === 'development') {
-  router.use(optionalAuth);
-} else {
-  router.use(authenticateToken);
-}
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/calendar/free-slots
+ * @desc    Ranked free slots for a task (?duration=&from=&to=&preferredStart=&preferredEnd=)
+ * @access  Private
+ */
+router.get('/free-slots', getFreeSlots);
+
+/**
+ * @route   GET /api/calendar/scheduling-preferences
+ * @desc    Get quiet hours, daily study maximum and time zone
+ * @access  Private
+ */
+router.get('/scheduling-preferences', getSchedulingPreferences);
+
+/**
+ * @route   PUT /api/calendar/scheduling-preferences
+ * @desc    Update quiet hours, daily study maximum and time zone
+ * @access  Private
+ */
+router.put('/scheduling-preferences', updateSchedulingPreferences);
+
+/**
+ * @route   GET /api/calendar/export.ics
+ * @desc    Download tasks as an iCalendar file (?subject=, ?startDate=, ?endDate=)
+ * @access  Private
+ */
+router.get('/export.ics', exportCalendar);
+
+/**
+ * @route   POST /api/calendar/import
+ * @desc    Import events from an .ics file (?overwrite=true updates events imported before)
+ * @access  Private
+ */
+router.post('/import', icsUpload.single('file'), icsBody, importCalendar);
+
+/**
+ * @route   GET /api/calendar/feed
+ * @desc    Whether a subscription feed URL exists
+ * @access  Private
+ */
+router.get('/feed', getFeedStatus);
+
+/**
+ * @route   POST /api/calendar/feed
+ * @desc    Create or rotate the secret subscription feed URL
+ * @access  Private
+ */
+router.post('/feed', createFeed);
+
+/**
+ * @route   DELETE /api/calendar/feed
+ * @desc    Disable the subscription feed URL
+ * @access  Private
+ */
+router.delete('/feed', deleteFeed);
 
 /**
  * @route   POST /api/calendar
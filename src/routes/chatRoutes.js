@@ -1,33 +1,32 @@
 const express = require('express');
 const chatController = require('../controllers/chatController');
-const { optionalAuth } = require('../middleware/auth');
+const ChatHistoryEntry = require('../models/ChatHistoryEntry');
+const llmGateway = require('../services/llm');
+const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 
-// 🔧 TEMPORARILY DISABLED AUTH for testing
-// router.use(optionalAuth);
-
 /**
  * @route   GET /api/chat/history
  * @desc    Get chat history with auto-generated titles
- * @access  Public (for development testing)
+ * @access  Private
  */
-router.get('/history', chatController.getChatHistory.bind(chatController));
+router.get('/history', authenticateToken, chatController.getChatHistory.bind(chatController));
 
 /**
  * @route   GET /api/chat/history/image/:imageId
  * @desc    Get chat history filtered by specific image context
- * @access  Public (for development testing)
+ * @access  Private
  */
-router.get('/history/image/:imageId', async (req, res) => {
+router.get('/history/image/:imageId', authenticateToken, async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user?._id || req.query.userId || 'dev-user-123';
+    const userId = req.user._id;
     const { limit = 20 } = req.query;
 
     console.log(`📚 Fetching chat history for image ${imageId} and user ${userId}`);
 
-    const historyEntries = await chatController.ChatHistoryEntry.getChatHistoryByImage(
+    const historyEntries = await ChatHistoryEntry.getChatHistoryByImage(
       userId, 
       imageId, 
       parseInt(limit)
@@ -74,20 +73,17 @@ router.get('/history/image/:imageId', async (req, res) => {
 /**
  * @route   GET /api/chat/history/session/:sessionId
  * @desc    Get chat history for a specific session
- * @access  Public (for development testing)
+ * @access  Private
  */
-router.get('/history/session/:sessionId', async (req, res) => {
+router.get('/history/session/:sessionId', authenticateToken, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const userId = req.user?._id || req.query.userId || 'dev-user-123';
+    const userId = req.user._id;
     const { limit = 50 } = req.query;
 
     console.log(`📚 Fetching chat history for session ${sessionId} and user ${userId}`);
 
-    const historyEntries = await chatController.ChatHistoryEntry.find({
-      userId,
-      sessionId
-    })
+    const historyEntries = await ChatHistoryEntry.findOwned(userId, { sessionId })
     .sort({ createdAt: -1 })
     .limit(parseInt(limit))
     .populate('context.evidenceIds', 'text imageUrl ocrConfidence')
@@ -134,16 +130,23 @@ router.get('/history/session/:sessionId', async (req, res) => {
 /**
  * @route   POST /api/chat/rag
  * @desc    RAG-based chat response with image context
- * @access  Public (for development testing)
+ * @access  Private
+ */
+router.post('/rag', authenticateToken, chatController.chatWithRAG.bind(chatController));
+
+/**
+ * @route   POST /api/chat/rag/stream
+ * @desc    RAG-based chat response streamed as Server-Sent Events
+ * @access  Private
  */
-router.post('/rag', chatController.chatWithRAG.bind(chatController));
+router.post('/rag/stream', authenticateToken, chatController.chatWithRAGStream.bind(chatController));
 
 /**
  * @route   DELETE /api/chat/history
  * @desc    Clear chat history
- * @access  Public (for development testing)
+ * @access  Private
  */
-router.delete('/history', chatController.clearChatHistory.bind(chatController));
+router.delete('/history', authenticateToken, chatController.clearChatHistory.bind(chatController));
 
 /**
  * @route   GET /api/chat/health
@@ -164,16 +167,20 @@ router.get('/health', (req, res) => {
       'Comprehensive message metadata',
       'Intent and topic detection',
       'Cached responses for performance',
-      'Multi-modal context retrieval'
+      'Streaming responses over Server-Sent Events',
+      'Multi-modal context retrieval',
+      'Provider chain with circuit breaking'
     ],
     endpoints: {
       'GET /history': 'Get general chat history',
       'GET /history/image/:imageId': 'Get chat history by image context',
       'GET /history/session/:sessionId': 'Get chat history by session',
       'POST /rag': 'RAG-based chat with context',
+      'POST /rag/stream': 'RAG-based chat streamed as Server-Sent Events',
       'DELETE /history': 'Clear chat history',
       'GET /health': 'Service health check'
-    }
+    },
+    llm: llmGateway.getStatus()
   });
 });
 
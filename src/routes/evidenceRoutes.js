@@ -1,6 +1,7 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const Evidence = require('../models/Evidence');
+const { evidenceOwnerFilter, findImageEvidence } = require('../utils/ownership');
 const ApiResponse = require('../utils/apiResponse');
 
 const router = express.Router();
@@ -15,10 +16,9 @@ router.use(authenticateToken);
  */
 router.get('/', async (req, res) => {
   try {
-    const userId = req.user?._id || 'dev-user-123';
-    
-    // Get evidence records (for debugging, show all for now)
-    const evidence = await Evidence.find({}).sort({ createdAt: -1 }).limit(50);
+    const evidence = await Evidence.find(await evidenceOwnerFilter(req.user._id))
+      .sort({ createdAt: -1 })
+      .limit(50);
     
     return res.json(ApiResponse.success('Evidence retrieved successfully', evidence));
     
@@ -30,13 +30,12 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/evidence/:imageId
- * @desc    Get evidence records for a specific image
+ * @desc    Get evidence records for a specific image, with its formulas as LaTeX
  * @access  Private
  */
 router.get('/:imageId', async (req, res) => {
   try {
     const { imageId } = req.params;
-    const userId = req.user?._id || 'dev-user-123';
     
     if (!imageId) {
       return res.status(400).json(ApiResponse.error('imageId is required'));
@@ -44,31 +43,8 @@ router.get('/:imageId', async (req, res) => {
     
     console.log(`🔍 Searching for evidence with imageId: ${imageId}`);
     
-    // Try multiple search strategies
-    let evidence = await Evidence.find({ originalImageId: imageId });
-    
-    if (!evidence || evidence.length === 0) {
-      console.log(`⚠️ No evidence found with originalImageId: ${imageId}`);
-      
-      // Try alternative search methods
-      evidence = await Evidence.find({ 
-        $or: [
-          { originalImageId: imageId },
-          { imageUrl: { $regex: imageId, $options: 'i' } }
-        ]
-      });
-      
-      if (!evidence || evidence.length === 0) {
-        // Check if imageId might be a Cloudinary public ID
-        const cloudinaryId = imageId.replace('ai-study-helper/', '');
-        evidence = await Evidence.find({ 
-          $or: [
-            { originalImageId: cloudinaryId },
-            { originalImageId: `ai-study-helper/${cloudinaryId}` }
-          ]
-        });
-      }
-    }
+    // Matches both bare and folder-prefixed ids; null when the image belongs to someone else
+    const evidence = await findImageEvidence(req.user._id, imageId);
     
     if (!evidence || evidence.length === 0) {
       return res.status(404).json(ApiResponse.notFound(`No evidence found for image: ${imageId}`));
@@ -86,8 +62,21 @@ router.get('/:imageId', async (req, res) => {
         imageUrl: ev.imageUrl,
         ocrConfidence: ev.ocrConfidence,
         ocrMethod: ev.ocrMethod,
+        contentType: ev.contentType,
+        latex: ev.latex,
         createdAt: ev.createdAt
-      }))
+      })),
+      formulas: evidence
+        .filter(ev => ev.contentType === 'formula')
+        .map(ev => ({
+          id: ev._id,
+          latex: ev.latex,
+          text: ev.text,
+          variables: ev.metadata?.variables || [],
+          bbox: ev.bbox,
+          page: ev.metadata?.page,
+          ocrConfidence: ev.ocrConfidence
+        }))
     }));
     
   } catch (error) {
@@ -96,54 +85,4 @@ router.get('/:imageId', async (req, res) => {
   }
 });
 
-/**
- * @route   GET /api/evidence/debug/summary
- * @desc    Get a summary of all evidence records for debugging
- * @access  Private
- */
-router.get('/debug/summary', async (req, res) => {
-  try {
-    const userId = req.user?._id || 'dev-user-123';
-    
-    // Get summary statistics
-    const totalEvidence = await Evidence.countDocuments({});
-    const evidenceByMethod = await Evidence.aggregate([
-      {
-        $group: {
-          _id: '$ocrMethod',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-    
-    const evidenceByImage = await Evidence.aggregate([
-      {
-        $group: {
-          _id: '$originalImageId',
-          count: { $sum: 1 },
-          sampleText: { $first: '$text' }
-        }
-      },
-      { $sort: { count: -1 } },
-      { $limit: 5 }
-    ]);
-    
-    const recentEvidence = await Evidence.find({})
-      .sort({ createdAt: -1 })
-      .limit(3)
-      .select('originalImageId imageUrl text ocrMethod createdAt');
-    
-    return res.json(ApiResponse.success('Evidence summary retrieved successfully', {
-      totalEvidence,
-      evidenceByMethod,
-      evidenceByImage,
-      recentEvidence
-    }));
-    
-  } catch (error) {
-    console.error('❌ Get evidence summary error:', error);
-    return res.status(500).json(ApiResponse.serverError('Failed to retrieve evidence summary', error));
-  }
-});
-
 module.exports = router;
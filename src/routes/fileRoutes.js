@@ -0,0 +1,45 @@
+const express = require('express');
+const { getStorageProvider } = require('../services/storage');
+
+const router = express.Router();
+
+/**
+ * @route   GET /files/*
+ * @desc    Serve a file stored by the local storage provider.
+ *          Requires ?expires=&signature= when LOCAL_STORAGE_PRIVATE=true
+ * @access  Public (or signed URL)
+ */
+router.get('/*', async (req, res) => {
+  try {
+    const storage = getStorageProvider();
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (key.endsWith('.meta.json')) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    if ((storage.isPrivate || signature) && !storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ success: false, error: 'Invalid or expired file signature' });
+    }
+
+    const file = await storage.get(key);
+    if (!file) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Length', file.size);
+    res.set('Cache-Control', storage.isPrivate ? 'private, max-age=0' : 'public, max-age=86400');
+    return res.send(file.buffer);
+
+  } catch (error) {
+    if (error.message.startsWith('Invalid storage key')) {
+      return res.status(400).json({ success: false, error: 'Invalid file path' });
+    }
+    console.error('❌ Serve file error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to read file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  generateFlashcards,
+  createFlashcard,
+  getFlashcards,
+  getDueFlashcards,
+  reviewFlashcard,
+  updateFlashcard,
+  deleteFlashcard
+} = require('../controllers/flashcardController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/flashcards/generate
+ * @desc    Generate flashcards from an image's evidence, quizzes and mind maps
+ * @access  Private
+ */
+router.post('/generate', generateFlashcards);
+
+/**
+ * @route   GET /api/flashcards/due
+ * @desc    Get flashcards due for review today
+ * @access  Private
+ */
+router.get('/due', getDueFlashcards);
+
+/**
+ * @route   POST /api/flashcards
+ * @desc    Create a flashcard manually
+ * @access  Private
+ */
+router.post('/', createFlashcard);
+
+/**
+ * @route   GET /api/flashcards
+ * @desc    Get all flashcards for the authenticated user
+ * @access  Private
+ */
+router.get('/', getFlashcards);
+
+/**
+ * @route   POST /api/flashcards/:cardId/review
+ * @desc    Record a 0-5 review grade and reschedule the card
+ * @access  Private
+ */
+router.post('/:cardId/review', reviewFlashcard);
+
+/**
+ * @route   PUT /api/flashcards/:cardId
+ * @desc    Update a flashcard
+ * @access  Private
+ */
+router.put('/:cardId', updateFlashcard);
+
+/**
+ * @route   DELETE /api/flashcards/:cardId
+ * @desc    Delete a flashcard
+ * @access  Private
+ */
+router.delete('/:cardId', deleteFlashcard);
+
+module.exports = router;
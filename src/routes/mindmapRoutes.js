@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { 
   generateMindmap, 
   getMindmap, 
@@ -8,17 +8,15 @@ const {
   explainNode,
   explainMindmap,
   addNode,
-  getNodeDetails
+  getNodeDetails,
+  getMindmapVersions,
+  restoreMindmapVersion
 } = require('../controllers/mindmapController');
 
 const router = express.Router();
 
 // Apply authentication middleware
-if (process.env.NODE_ENV === 'development') {
-  router.use(optionalAuth);
-} else {
-  router.use(authenticateToken);
-}
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/mindmap/:imageId
@@ -34,6 +32,20 @@ router.post('/:imageId', generateMindmap);
  */
 router.get('/:imageId', getMindmap);
 
+/**
+ * @route   GET /api/mindmap/:imageId/versions
+ * @desc    List saved versions of the mindmap
+ * @access  Private
+ */
+router.get('/:imageId/versions', getMindmapVersions);
+
+/**
+ * @route   POST /api/mindmap/:imageId/versions/:version/restore
+ * @desc    Restore an earlier version of the mindmap
+ * @access  Private
+ */
+router.post('/:imageId/versions/:version/restore', restoreMindmapVersion);
+
 /**
  * @route   GET /api/mindmap/:imageId/node/:nodeId
  * @desc    Get specific node details
@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { 
   createNote, 
   getNotes, 
@@ -33,11 +33,7 @@ const noteImageUpload = multer({
 const router = express.Router();
 
 // Apply authentication middleware
-if (process.env.NODE_ENV === 'development') {
-  router.use(optionalAuth);
-} else {
-  router.use(authenticateToken);
-}
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/notes
@@ -0,0 +1,59 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getNotifications,
+  getUnreadCount,
+  markAsRead,
+  markAsUnread,
+  markAllAsRead,
+  deleteNotification
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    Get the user's notifications (?unread=true, ?type=reminder)
+ * @access  Private
+ */
+router.get('/', getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', getUnreadCount);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', markAllAsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', markAsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/unread
+ * @desc    Mark a notification as unread
+ * @access  Private
+ */
+router.patch('/:id/unread', markAsUnread);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', deleteNotification);
+
+module.exports = router;
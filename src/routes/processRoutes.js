@@ -1,24 +1,38 @@
 const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
 const processController = require('../controllers/processController');
 
 const router = express.Router();
 
-// 🔧 TEMPORARILY DISABLED AUTH for testing
-// No authentication required for development testing
-// router.use(optionalAuth); // Commented out for now
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/process
- * @desc    Process file (image or PDF) through OCR/NLP → embeddings pipeline
- * @access  Public (for development testing)
+ * @desc    Queue a file (image or PDF) for the OCR/NLP → embeddings pipeline
+ * @access  Private
  */
 router.post('/', processController.processFile.bind(processController));
 
 /**
  * @route   GET /api/process/status/:imageId
  * @desc    Get processing status for a file
- * @access  Public (for development testing)
+ * @access  Private
  */
 router.get('/status/:imageId', processController.getProcessingStatus.bind(processController));
 
+/**
+ * @route   GET /api/process/jobs/:jobId
+ * @desc    Get a processing job by ID
+ * @access  Private
+ */
+router.get('/jobs/:jobId', processController.getJob.bind(processController));
+
+/**
+ * @route   POST /api/process/jobs/:jobId/cancel
+ * @desc    Cancel a queued or running processing job
+ * @access  Private
+ */
+router.post('/jobs/:jobId/cancel', processController.cancelJob.bind(processController));
+
 module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, hasPermission } = require('../middleware/auth');
+const Quiz = require('../models/Quiz');
 const { 
   generateQuiz, 
   getQuiz, 
@@ -10,11 +11,7 @@ const {
 const router = express.Router();
 
 // Apply authentication middleware
-if (process.env.NODE_ENV === 'development') {
-  router.use(optionalAuth);
-} else {
-  router.use(authenticateToken);
-}
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/quiz/:imageId
@@ -68,11 +65,9 @@ router.get('/:quizId', async (req, res) => {
 router.get('/detail/:quizId', async (req, res) => {
   try {
     const { quizId } = req.params;
-    const requestingUserId = req.user?._id || 'dev-user-123';
     
-    // Get quiz from database
-    const Quiz = require('../models/Quiz');
-    const quiz = await Quiz.findOne({ id: quizId });
+    // Only the owner's quizzes are visible
+    const quiz = await Quiz.findOneOwned(req.user._id, { id: quizId });
     
     if (!quiz) {
       return res.status(404).json({
@@ -81,19 +76,11 @@ router.get('/detail/:quizId', async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (process.env.NODE_ENV === 'development' || requestingUserId === quiz.userId) {
-      res.status(200).json({
-        success: true,
-        quiz,
-        message: 'Quiz retrieved successfully'
-      });
-    } else {
-      res.status(403).json({
-        success: false,
-        error: 'Access denied. You can only view your own quizzes.'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      quiz,
+      message: 'Quiz retrieved successfully'
+    });
     
   } catch (error) {
     console.error('❌ Get quiz detail error:', error);
@@ -112,11 +99,9 @@ router.get('/detail/:quizId', async (req, res) => {
 router.get('/id/:quizId', async (req, res) => {
   try {
     const { quizId } = req.params;
-    const requestingUserId = req.user?._id || 'dev-user-123';
     
-    // Get quiz from database
-    const Quiz = require('../models/Quiz');
-    const quiz = await Quiz.findOne({ id: quizId });
+    // Only the owner's quizzes are visible
+    const quiz = await Quiz.findOneOwned(req.user._id, { id: quizId });
     
     if (!quiz) {
       return res.status(404).json({
@@ -125,19 +110,11 @@ router.get('/id/:quizId', async (req, res) => {
       });
     }
     
-    // Check access permissions
-    if (process.env.NODE_ENV === 'development' || requestingUserId === quiz.userId) {
-      res.status(200).json({
-        success: true,
-        quiz,
-        message: 'Quiz retrieved successfully'
-      });
-    } else {
-      res.status(403).json({
-        success: false,
-        error: 'Access denied. You can only view your own quizzes.'
-      });
-    }
+    res.status(200).json({
+      success: true,
+      quiz,
+      message: 'Quiz retrieved successfully'
+    });
     
   } catch (error) {
     console.error('❌ Get quiz by ID error:', error);
@@ -170,15 +147,10 @@ router.get('/:quizId/analytics', getQuizAnalytics);
 router.get('/user/:userId', async (req, res) => {
   try {
     const { userId } = req.params;
-    const requestingUserId = req.user?._id || 'dev-user-123';
-    
-    // In production, you'd verify the requesting user has permission to view this user's quizzes
-    // For now, we'll allow access if it's the same user or in development mode
     
-    if (process.env.NODE_ENV === 'development' || requestingUserId === userId) {
-      // Get all quizzes for this user from the Quiz model
-      const Quiz = require('../models/Quiz');
-      const quizzes = await Quiz.find({ userId })
+    // Users can list their own quizzes; admins can list anyone's
+    if (String(req.user._id) === userId || hasPermission(req.user, 'users:read')) {
+      const quizzes = await Quiz.findOwned(userId)
         .sort({ createdAt: -1 })
         .select('-questions') // Don't include full questions for list view
         .limit(50);
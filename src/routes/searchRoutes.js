@@ -2,6 +2,8 @@ const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
 const {
   semanticSearch,
+  reindexContent,
+  getIndexStatus,
   textSearch,
   advancedSearch,
   getSearchSuggestions
@@ -14,11 +16,26 @@ router.use(authenticateToken);
 
 /**
  * @route   GET /api/search/semantic
- * @desc    Perform semantic search across user content
+ * @desc    Vector search across evidence, notes, quiz questions, mind map nodes and chat turns
+ *          (?types=note,quiz_question&imageId=...&limit=10&threshold=0.7)
  * @access  Private
  */
 router.get('/semantic', semanticSearch);
 
+/**
+ * @route   POST /api/search/reindex
+ * @desc    Re-embed the user's content into the vector index
+ * @access  Private
+ */
+router.post('/reindex', reindexContent);
+
+/**
+ * @route   GET /api/search/index
+ * @desc    Get vector index status for the user
+ * @access  Private
+ */
+router.get('/index', getIndexStatus);
+
 /**
  * @route   GET /api/search/text
  * @desc    Perform text-based search across user content
@@ -56,7 +56,7 @@ router.post('/:id/like', async (req, res) => {
 // Get a specific session
 router.get('/:sessionId', async (req, res) => {
   try {
-    const session = await Session.findOne({ sessionId: req.params.sessionId });
+    const session = await Session.findOneOwned(req.user._id, { sessionId: req.params.sessionId });
     if (!session) {
       return res.status(404).json({ success: false, error: 'Session not found' });
     }
@@ -97,7 +97,7 @@ router.get('/:sessionId/reopen', async (req, res) => {
 router.get('/mindmap/latest', async (req, res) => {
   try {
     const latestSession = await Session.findOne(
-      { userId: req.user?._id || 'dev-user-123' },
+      { userId: req.user._id },
       {},
       { sort: { createdAt: -1 } }
     );
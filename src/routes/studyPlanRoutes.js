@@ -0,0 +1,51 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  createStudyPlan,
+  getStudyPlans,
+  getStudyPlan,
+  rebalanceStudyPlan,
+  deleteStudyPlan
+} = require('../controllers/studyPlanController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/study-plans
+ * @desc    Generate a study plan and its calendar tasks (`preview: true` to only lay it out)
+ * @access  Private
+ */
+router.post('/', createStudyPlan);
+
+/**
+ * @route   GET /api/study-plans
+ * @desc    Get the user's study plans (?status=active)
+ * @access  Private
+ */
+router.get('/', getStudyPlans);
+
+/**
+ * @route   GET /api/study-plans/:planId
+ * @desc    Get a study plan with its tasks and progress
+ * @access  Private
+ */
+router.get('/:planId', getStudyPlan);
+
+/**
+ * @route   POST /api/study-plans/:planId/rebalance
+ * @desc    Move missed blocks into the time left before the exam
+ * @access  Private
+ */
+router.post('/:planId/rebalance', rebalanceStudyPlan);
+
+/**
+ * @route   DELETE /api/study-plans/:planId
+ * @desc    Delete a study plan and its open tasks (?keepTasks=true keeps them)
+ * @access  Private
+ */
+router.delete('/:planId', deleteStudyPlan);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  startTimer,
+  getActiveTimer,
+  getTimeEntries,
+  pauseTimer,
+  resumeTimer,
+  stopTimer,
+  deleteTimeEntry
+} = require('../controllers/timerController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   POST /api/timers
+ * @desc    Start a stopwatch or Pomodoro timer for a task, session or quiz
+ * @access  Private
+ */
+router.post('/', startTimer);
+
+/**
+ * @route   GET /api/timers/active
+ * @desc    Get the running or paused timer
+ * @access  Private
+ */
+router.get('/active', getActiveTimer);
+
+/**
+ * @route   GET /api/timers
+ * @desc    Get time entries (?taskId=&subject=&from=&to=)
+ * @access  Private
+ */
+router.get('/', getTimeEntries);
+
+/**
+ * @route   PATCH /api/timers/:id/pause
+ * @desc    Pause a running timer
+ * @access  Private
+ */
+router.patch('/:id/pause', pauseTimer);
+
+/**
+ * @route   PATCH /api/timers/:id/resume
+ * @desc    Resume a paused timer
+ * @access  Private
+ */
+router.patch('/:id/resume', resumeTimer);
+
+/**
+ * @route   PATCH /api/timers/:id/stop
+ * @desc    Stop a timer and add its minutes to the task's actual duration
+ * @access  Private
+ */
+router.patch('/:id/stop', stopTimer);
+
+/**
+ * @route   DELETE /api/timers/:id
+ * @desc    Delete a time entry and take its minutes off the task
+ * @access  Private
+ */
+router.delete('/:id', deleteTimeEntry);
+
+module.exports = router;
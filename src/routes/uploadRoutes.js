@@ -1,16 +1,11 @@
 const express = require('express');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { uploadImage, getImage, deleteImage, upload, flexibleUpload } = require('../controllers/uploadController');
 
 const router = express.Router();
 
 // Apply authentication middleware to all routes
-// For development, we'll use optional auth to allow testing without tokens
-if (process.env.NODE_ENV === 'development') {
-  router.use(optionalAuth);
-} else {
-  router.use(authenticateToken);
-}
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/upload
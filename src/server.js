@@ -32,12 +32,15 @@ const requiredEnvVars = [
   'MONGO_URI',
   'JWT_SECRET',
   'OPENROUTER_API_KEY',
-  'HF_API_KEY',
-  'CLOUDINARY_CLOUD_NAME',
-  'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET'
+  'HF_API_KEY'
 ];
 
+// Cloudinary credentials are only needed when it is the storage provider
+const storageProvider = require('./services/storage').getProviderName();
+if (storageProvider === 'cloudinary') {
+  requiredEnvVars.push('CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET');
+}
+
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
@@ -158,15 +161,26 @@ app.use('/api/calendar', require('./routes/calendarRoutes'));
 app.use('/api/upload', require('./routes/uploadRoutes'));
 app.use('/api/sessions', require('./routes/sessionRoutes'));
 app.use('/api/evidence', require('./routes/evidenceRoutes'));
+app.use('/api/flashcards', require('./routes/flashcardRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+app.use('/api/study-plans', require('./routes/studyPlanRoutes'));
+app.use('/api/timers', require('./routes/timerRoutes'));
 
 // Notes API routes
 app.use('/api/notes', require('./routes/notesRoutes'));
 
-// Direct mindmap endpoint for frontend compatibility
-app.get('/mindmap', async (req, res) => {
+// Files stored by the local storage provider
+if (storageProvider === 'local') {
+  app.use('/files', require('./routes/fileRoutes'));
+}
+
+// Direct mindmap endpoint for frontend compatibility: the caller's latest session
+app.get('/mindmap', require('./middleware/auth').authenticateToken, async (req, res) => {
   try {
     const Session = require('./models/Session');
-    const latestSession = await Session.findOne(
+    const latestSession = await Session.findOneOwned(
+      req.user._id,
       {},
       {},
       { sort: { createdAt: -1 } }
@@ -218,15 +232,43 @@ app.get('/health', (req, res) => {
 // Connect DB
 connectDB();
 
+// Start the background worker for /api/process jobs (disable on serverless hosts)
+if (process.env.JOB_WORKER_ENABLED !== 'false') {
+  require('./services/jobQueueService').start();
+}
+
+// Send Calendar reminders (safe to run on several instances: each reminder fires once)
+if (process.env.REMINDER_SCHEDULER_ENABLED !== 'false') {
+  require('./services/reminderScheduler').start();
+}
+
+// Move missed study plan blocks into the time left before each exam
+if (process.env.STUDY_PLAN_REBALANCE_ENABLED !== 'false') {
+  require('./services/studyPlanService').start();
+}
+
+// Write pending vector index changes before the process exits
+process.once('SIGTERM', () => {
+  require('./services/vector').flush()
+    .catch(error => console.error('Failed to flush vector indexes:', error.message))
+    .finally(() => process.exit(0));
+});
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🔍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔑 JWT Secret: ${process.env.JWT_SECRET ? 'Set' : 'NOT SET'}`);
+  if (process.env.DEV_IMPERSONATION === 'true') {
+    console.log(require('./middleware/auth').isImpersonationEnabled()
+      ? `⚠️ Dev impersonation ON: requests without a token act as ${process.env.DEV_IMPERSONATE_USER || 'dev@example.com'}`
+      : '⚠️ DEV_IMPERSONATION ignored (only honoured when NODE_ENV=development)');
+  }
   console.log(`🌐 MongoDB: ${process.env.MONGO_URI ? 'Configured' : 'NOT CONFIGURED'}`);
   console.log(`🤖 OpenRouter: ${process.env.OPENROUTER_API_KEY ? 'Configured' : 'NOT CONFIGURED'}`);
   console.log(`🤗 Hugging Face: ${process.env.HF_API_KEY ? 'Configured' : 'NOT CONFIGURED'}`);
+  console.log(`🗄️ Storage: ${storageProvider}`);
   console.log(`☁️ Cloudinary: ${process.env.CLOUDINARY_CLOUD_NAME ? 'Configured' : 'NOT CONFIGURED'}`);
   console.log(`🔑 OpenAI: ${process.env.DASHSCOPE_API_KEY ? 'Configured' : 'NOT CONFIGURED'}`);
 });
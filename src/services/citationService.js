@@ -0,0 +1,163 @@
+const Evidence = require('../models/Evidence');
+const { chunkText } = require('./vector/sources');
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'what', 'which', 'who', 'how', 'why', 'when',
+  'does', 'did', 'can', 'could', 'this', 'that', 'with', 'from', 'about', 'into', 'is', 'of',
+  'to', 'in', 'on', 'a', 'an', 'it', 'its', 'be', 'do', 'me', 'my', 'you', 'your', 'please', 'explain'
+]);
+
+/**
+ * Turns retrieved Evidence records into numbered, query-ranked sources for RAG prompts
+ * and maps the [n] markers in an answer back to the evidence regions they came from.
+ */
+class CitationService {
+  constructor() {
+    this.maxSources = parseInt(process.env.RAG_MAX_SOURCES, 10) || 8;
+    this.chunkSize = 600;
+    this.snippetLength = 200;
+
+    // BM25 parameters
+    this.k1 = 1.2;
+    this.b = 0.75;
+  }
+
+  tokenize(text) {
+    return (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+  }
+
+  /**
+   * Split evidence into chunks and rank them against the query with BM25, weighted by OCR confidence.
+   * Chunks sharing no terms with the query (e.g. "summarise this") keep their reading order.
+   * @returns {Array<{number, evidence, text, score}>}
+   */
+  rankEvidence(query, evidenceRecords, options = {}) {
+    const maxSources = options.maxSources || this.maxSources;
+
+    const chunks = [];
+    evidenceRecords.forEach(evidence => {
+      chunkText(evidence.text, this.chunkSize).forEach((text, chunkIndex) => {
+        chunks.push({ evidence, text, chunkIndex, tokens: this.tokenize(text) });
+      });
+    });
+    if (chunks.length === 0) return [];
+
+    const queryTokens = [...new Set(this.tokenize(query))];
+    const averageLength = chunks.reduce((sum, chunk) => sum + chunk.tokens.length, 0) / chunks.length || 1;
+
+    const documentFrequency = new Map();
+    queryTokens.forEach(token => {
+      documentFrequency.set(token, chunks.filter(chunk => chunk.tokens.includes(token)).length);
+    });
+
+    chunks.forEach((chunk, position) => {
+      let score = 0;
+      queryTokens.forEach(token => {
+        const frequency = chunk.tokens.filter(t => t === token).length;
+        if (frequency === 0) return;
+
+        const df = documentFrequency.get(token);
+        const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        const lengthNorm = 1 - this.b + this.b * (chunk.tokens.length / averageLength);
+        score += idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+      });
+
+      const confidence = typeof chunk.evidence.ocrConfidence === 'number' ? chunk.evidence.ocrConfidence : 1;
+      chunk.score = score * (0.5 + 0.5 * confidence);
+      chunk.position = position;
+    });
+
+    // Matching chunks first, best score first; the rest fill remaining slots in reading order
+    const ranked = [
+      ...chunks.filter(chunk => chunk.score > 0).sort((a, b) => b.score - a.score || a.position - b.position),
+      ...chunks.filter(chunk => chunk.score === 0)
+    ];
+
+    return ranked.slice(0, maxSources).map((chunk, index) => ({
+      number: index + 1,
+      evidence: chunk.evidence,
+      text: chunk.text,
+      chunkIndex: chunk.chunkIndex,
+      score: Math.round(chunk.score * 1000) / 1000
+    }));
+  }
+
+  /**
+   * Numbered source list for the prompt
+   */
+  formatSources(sources) {
+    if (sources.length === 0) {
+      return 'No extracted content available.';
+    }
+
+    return sources.map(source => {
+      const page = this.getPage(source.evidence);
+      const location = page ? ` (page ${page})` : '';
+      return `[${source.number}]${location} ${source.text}`;
+    }).join('\n');
+  }
+
+  /**
+   * Source numbers referenced in an answer, e.g. "[2]" or "[1, 3]"
+   */
+  extractCitedNumbers(answer) {
+    const numbers = new Set();
+    const markers = String(answer || '').match(/\[(\d+(?:\s*[,;]\s*\d+)*)\]/g) || [];
+
+    markers.forEach(marker => {
+      marker.replace(/[[\]]/g, '').split(/[,;]/).forEach(value => {
+        const number = parseInt(value.trim(), 10);
+        if (number > 0) numbers.add(number);
+      });
+    });
+
+    return numbers;
+  }
+
+  /**
+   * Citations for the sources the answer referenced. If the answer has no [n] markers
+   * (fallback responses, models that ignore the instruction) every source is returned,
+   * since the answer was still generated from them.
+   */
+  buildCitations(sources, answer) {
+    const cited = this.extractCitedNumbers(answer);
+    const used = cited.size > 0
+      ? sources.filter(source => cited.has(source.number))
+      : sources;
+
+    return used.map(source => ({
+      index: source.number,
+      evidenceId: source.evidence._id,
+      imageId: source.evidence.originalImageId,
+      bbox: source.evidence.bbox,
+      page: this.getPage(source.evidence),
+      snippet: source.text.length > this.snippetLength
+        ? `${source.text.substring(0, this.snippetLength)}...`
+        : source.text,
+      confidence: source.evidence.ocrConfidence,
+      cited: cited.has(source.number)
+    }));
+  }
+
+  getPage(evidence) {
+    return evidence.metadata?.page || null;
+  }
+
+  /**
+   * Record that each cited evidence record was used in an answer
+   */
+  async recordReferences(citations, referenceType, referenceId) {
+    const evidenceIds = [...new Set(citations.map(citation => String(citation.evidenceId)))];
+    if (evidenceIds.length === 0) return;
+
+    try {
+      const records = await Evidence.find({ _id: { $in: evidenceIds } });
+      await Promise.all(records.map(evidence => evidence.incrementReference(referenceType, String(referenceId))));
+    } catch (error) {
+      console.error('Failed to record evidence references:', error.message);
+    }
+  }
+}
+
+module.exports = new CitationService();
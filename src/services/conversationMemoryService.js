@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const ChatHistoryEntry = require('../models/ChatHistoryEntry');
+const llmGateway = require('./llm');
+const TitleGenerator = require('../utils/titleGenerator');
+
+// Signals that a message leans on earlier turns ("explain the second one more", "why is that?")
+const FOLLOW_UP_PATTERN = /\b(it|its|that|this|these|those|they|them|their|he|she|one|ones|former|latter|above|previous|same|again|more|else|another|first|second|third|last|next|other)\b|^(and|but|so|also|what about|how about|why|then)\b/i;
+
+/**
+ * Per-session conversation memory for RAG chat.
+ *
+ * The last few messages of a session are passed to the model verbatim; anything older
+ * is folded into a rolling summary stored on the Session, so long conversations keep
+ * their context without growing the prompt. Follow-up questions are rewritten into
+ * standalone queries before retrieval.
+ */
+class ConversationMemoryService {
+  constructor() {
+    this.recentMessageLimit = parseInt(process.env.CHAT_MEMORY_RECENT_MESSAGES, 10) || 6;
+    this.summaryBatchSize = parseInt(process.env.CHAT_MEMORY_SUMMARY_BATCH, 10) || 4;
+    this.maxSummaryLength = 1500;
+    this.summarizing = new Set();
+  }
+
+  /**
+   * Rolling summary plus the most recent messages (chronological) for a session
+   * @returns {Promise<{summary: string, turns: Array}>}
+   */
+  async getMemory(userId, sessionId) {
+    const memory = { summary: '', turns: [] };
+    if (!sessionId) return memory;
+
+    try {
+      const [session, turns] = await Promise.all([
+        Session.findOne({ sessionId, userId }).select('memory'),
+        ChatHistoryEntry.getConversationContext(userId, sessionId, this.recentMessageLimit)
+      ]);
+
+      memory.summary = session?.memory?.summary || '';
+      memory.turns = turns;
+    } catch (error) {
+      console.error('Failed to load conversation memory:', error.message);
+    }
+
+    return memory;
+  }
+
+  /**
+   * Fold messages that have dropped out of the verbatim window into the session summary.
+   * Runs after each exchange is saved; does nothing until enough messages have aged out.
+   */
+  async updateMemory(userId, sessionId) {
+    const key = `${userId}:${sessionId}`;
+    if (!sessionId || this.summarizing.has(key)) return null;
+    this.summarizing.add(key);
+
+    try {
+      const session = await Session.findOne({ sessionId, userId }).select('memory');
+      const memory = session?.memory || {};
+
+      const query = { userId, sessionId };
+      if (memory.summarizedUntil) {
+        query.createdAt = { $gt: memory.summarizedUntil };
+      }
+
+      const pending = await ChatHistoryEntry.find(query).sort({ createdAt: 1, _id: 1 });
+      const aged = pending.slice(0, Math.max(0, pending.length - this.recentMessageLimit));
+      if (aged.length < this.summaryBatchSize) return null;
+
+      const summary = await this.summarize(memory.summary || '', aged);
+      await this.saveSummary(userId, sessionId, {
+        summary,
+        summarizedUntil: aged[aged.length - 1].createdAt,
+        summarizedMessages: (memory.summarizedMessages || 0) + aged.length,
+        updatedAt: new Date()
+      }, aged.find(turn => turn.role === 'user')?.text);
+
+      console.log(`🧠 Folded ${aged.length} messages into the summary for session ${sessionId}`);
+      return summary;
+    } catch (error) {
+      console.error('Failed to update conversation memory:', error.message);
+      return null;
+    } finally {
+      this.summarizing.delete(key);
+    }
+  }
+
+  /**
+   * Chat-only sessions have no Session document yet; create one to hold the summary
+   */
+  async saveSummary(userId, sessionId, memory, firstQuestion) {
+    const update = { $set: { memory } };
+
+    if (mongoose.Types.ObjectId.isValid(String(userId))) {
+      update.$setOnInsert = {
+        title: TitleGenerator.generateChatTitle(firstQuestion) || 'New Chat',
+        description: 'Chat conversation',
+        tags: ['chat'],
+        status: 'active'
+      };
+      await Session.updateOne({ sessionId, userId }, update, { upsert: true });
+    } else {
+      await Session.updateOne({ sessionId, userId }, update);
+    }
+  }
+
+  async summarize(previousSummary, turns) {
+    const transcript = this.formatTurns(turns);
+
+    try {
+      const result = await llmGateway.chat([
+        {
+          role: 'system',
+          content: 'You maintain the running summary of a tutoring conversation between a student and a study assistant.'
+        },
+        {
+          role: 'user',
+          content: `Update the running summary with the new messages. Keep the topics covered, questions asked, key answers and anything the student struggled with. Use at most 150 words and return only the summary.
+
+Current summary:
+${previousSummary || '(none yet)'}
+
+New messages:
+${transcript}
+
+Updated summary:`
+        }
+      ], { task: 'summary', maxTokens: 300, temperature: 0.3 });
+
+      return result.content.trim().substring(0, this.maxSummaryLength);
+    } catch (error) {
+      console.error('Summary generation failed, using extractive summary:', error.message);
+      return this.extractiveSummary(previousSummary, turns);
+    }
+  }
+
+  /**
+   * Keep the student's questions when no model is available, dropping the oldest first
+   */
+  extractiveSummary(previousSummary, turns) {
+    const questions = turns
+      .filter(turn => turn.role === 'user')
+      .map(turn => `- Asked: ${turn.text.substring(0, 150)}`);
+
+    const lines = [...String(previousSummary || '').split('\n').filter(Boolean), ...questions];
+    while (lines.length > 1 && lines.join('\n').length > this.maxSummaryLength) {
+      lines.shift();
+    }
+    return lines.join('\n');
+  }
+
+  formatTurns(turns) {
+    return turns
+      .map(turn => `${turn.role === 'assistant' ? 'Assistant' : 'User'}: ${turn.text.substring(0, 800)}`)
+      .join('\n');
+  }
+
+  isFollowUp(message) {
+    const words = message.trim().split(/\s+/);
+    return words.length <= 4 || FOLLOW_UP_PATTERN.test(message);
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone query using the conversation so far
+   * @returns {Promise<{query: string, rewritten: boolean, method: string}>}
+   */
+  async rewriteQuery(message, memory) {
+    if (!memory.turns.length || !this.isFollowUp(message)) {
+      return { query: message, rewritten: false, method: 'none' };
+    }
+
+    try {
+      const result = await llmGateway.chat([
+        {
+          role: 'system',
+          content: 'You rewrite follow-up questions from a study chat into standalone questions for a search engine.'
+        },
+        {
+          role: 'user',
+          content: `Rewrite the follow-up question as a single standalone question that can be understood without the conversation. Resolve pronouns and references like "the second one". If it is already standalone, return it unchanged. Return only the question.
+
+${memory.summary ? `Earlier conversation summary:\n${memory.summary}\n\n` : ''}Recent conversation:
+${this.formatTurns(memory.turns)}
+
+Follow-up question: ${message}
+
+Standalone question:`
+        }
+      ], {
+        task: 'query-rewrite',
+        maxTokens: 100,
+        temperature: 0,
+        validate: result => {
+          const query = result.content.split('\n')[0].replace(/^["']|["']$/g, '').trim();
+          if (!query || query.length > 500) {
+            throw new Error('Unusable rewrite');
+          }
+          return query;
+        }
+      });
+
+      console.log(`✏️ Rewrote follow-up "${message.substring(0, 60)}" → "${result.parsed.substring(0, 100)}"`);
+      return { query: result.parsed, rewritten: result.parsed !== message, method: result.provider };
+    } catch (error) {
+      console.error('Query rewrite failed, expanding with the previous question:', error.message);
+
+      // Without a model, retrieval still benefits from the previous question's terms
+      const lastQuestion = [...memory.turns].reverse().find(turn => turn.role === 'user');
+      return lastQuestion
+        ? { query: `${message} ${lastQuestion.text}`.substring(0, 500), rewritten: true, method: 'expanded' }
+        : { query: message, rewritten: false, method: 'none' };
+    }
+  }
+}
+
+module.exports = new ConversationMemoryService();
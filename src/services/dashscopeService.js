@@ -1,31 +1,18 @@
-const OpenAI = require('openai');
+const llmGateway = require('./llm');
+const { extractFormula } = require('../utils/latex');
 
+/**
+ * DashScope-specific helpers. Model calls go through the LLM gateway
+ * (src/services/llm), which owns retries, rate limiting and circuit breaking.
+ */
 class DashScopeService {
   constructor() {
     // Check if DashScope API key is available
     if (!process.env.DASHSCOPE_API_KEY) {
       console.log('⚠️  DashScope API key not configured. Service will not be available.');
-      this.client = null;
-    } else {
-      this.client = new OpenAI({
-        apiKey: process.env.DASHSCOPE_API_KEY,
-        baseURL: "https://dashscope-intl.aliyuncs.com/compatible-mode/v1"
-      });
     }
     
     this.model = "qwen-vl-max";
-    this.maxRetries = 3;
-    this.timeout = 60000; // 60 seconds
-    
-    // Token limiting configuration
-    this.defaultMaxTokens = 2000;
-    this.minTokens = 10;
-    this.maxTokens = 8000;
-    
-    // Rate limiting
-    this.requestsPerMinute = 60;
-    this.requestCount = 0;
-    this.lastResetTime = Date.now();
   }
 
   /**
@@ -33,64 +20,22 @@ class DashScopeService {
    */
   async processImageOCR(imageBuffer, options = {}) {
     try {
-      if (!this.client) {
-        return {
-          success: false,
-          error: 'DashScope service not configured',
-          method: 'qwen-vl-fallback'
-        };
-      }
-
-      // Validate API key
-      if (!this.validateApiKey()) {
-        return {
-          success: false,
-          error: 'Invalid API key format',
-          method: 'qwen-vl-fallback'
-        };
-      }
-
-      // Check rate limiting
-      if (!this.checkRateLimit()) {
-        return {
-          success: false,
-          error: 'Rate limit exceeded. Please try again later.',
-          method: 'qwen-vl-fallback'
-        };
-      }
-
       console.log('🔄 Using DashScope Qwen-VL as OCR fallback...');
       
-      // Validate and normalize options
-      const validatedOptions = this.validateTokenLimits(options);
-      
       // Convert buffer to base64
       const base64Image = imageBuffer.toString('base64');
       const dataUrl = `data:image/jpeg;base64,${base64Image}`;
       
       const prompt = options.prompt || "Please extract all the text content from this image. Return only the extracted text without any additional explanations or formatting.";
       
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "user",
-            content: [
-              { type: "text", text: prompt },
-              { 
-                type: "image_url", 
-                image_url: { url: dataUrl }
-              }
-            ]
-          }
-        ],
-        stream: false,
-        top_p: validatedOptions.topP,
-        temperature: validatedOptions.temperature,
-        max_tokens: validatedOptions.maxTokens
+      const completion = await llmGateway.vision(prompt, [dataUrl], {
+        task: 'ocr-fallback',
+        maxTokens: options.maxTokens,
+        temperature: options.temperature,
+        topP: options.topP
       });
 
-      const extractedText = completion.choices[0].message.content;
+      const extractedText = completion.content;
       
       // Debug logging
       console.log('🔍 Extracted text from DashScope:', extractedText);
@@ -150,186 +95,6 @@ class DashScopeService {
     }
   }
 
-  /**
-   * RAG (Retrieval-Augmented Generation) with Qwen-VL
-   */
-  async processRAG(query, context, imageBuffer = null, options = {}) {
-    try {
-      if (!this.client) {
-        return {
-          success: false,
-          error: 'DashScope service not configured',
-          method: 'qwen-vl-rag'
-        };
-      }
-
-      // Validate API key
-      if (!this.validateApiKey()) {
-        return {
-          success: false,
-          error: 'Invalid API key format',
-          method: 'qwen-vl-rag'
-        };
-      }
-
-      // Check rate limiting
-      if (!this.checkRateLimit()) {
-        return {
-          success: false,
-          error: 'Rate limit exceeded. Please try again later.',
-          method: 'qwen-vl-rag'
-        };
-      }
-
-      console.log('🔄 Using DashScope Qwen-VL for RAG processing...');
-      
-      // Validate and normalize options
-      const validatedOptions = this.validateTokenLimits(options);
-      
-      let messages = [
-        {
-          role: "system",
-          content: "You are an AI study assistant. Use the provided context to answer questions accurately and helpfully. If you don't know something, say so rather than making things up."
-        }
-      ];
-
-      // Add context if provided
-      if (context && context.length > 0) {
-        const contextText = context.map(item => item.text || item.content).join('\n\n');
-        messages.push({
-          role: "user",
-          content: `Context information:\n${contextText}\n\nQuestion: ${query}`
-        });
-      } else {
-        messages.push({
-          role: "user",
-          content: query
-        });
-      }
-
-      // Add image if provided
-      if (imageBuffer) {
-        const base64Image = imageBuffer.toString('base64');
-        const dataUrl = `data:image/jpeg;base64,${base64Image}`;
-        
-        // Modify the last message to include image
-        const lastMessage = messages[messages.length - 1];
-        lastMessage.content = [
-          { type: "text", text: lastMessage.content },
-          { 
-            type: "image_url", 
-            image_url: { url: dataUrl }
-          }
-        ];
-      }
-
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        stream: false,
-        top_p: validatedOptions.topP,
-        temperature: validatedOptions.temperature,
-        max_tokens: validatedOptions.maxTokens
-      });
-
-      const response = completion.choices[0].message.content;
-
-      return {
-        success: true,
-        method: 'qwen-vl-rag',
-        response: response,
-        model: this.model,
-        usage: completion.usage
-      };
-
-    } catch (error) {
-      console.error('DashScope RAG processing failed:', error);
-      return {
-        success: false,
-        error: error.message,
-        method: 'qwen-vl-rag'
-      };
-    }
-  }
-
-  /**
-   * Stream RAG response for real-time chat
-   */
-  async processRAGStream(query, context, imageBuffer = null, options = {}) {
-    try {
-      if (!this.client) {
-        throw new Error('DashScope service not configured');
-      }
-
-      // Validate API key
-      if (!this.validateApiKey()) {
-        throw new Error('Invalid API key format');
-      }
-
-      // Check rate limiting
-      if (!this.checkRateLimit()) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      }
-
-      console.log('🔄 Using DashScope Qwen-VL for streaming RAG processing...');
-      
-      // Validate and normalize options
-      const validatedOptions = this.validateTokenLimits(options);
-      
-      let messages = [
-        {
-          role: "system",
-          content: "You are an AI study assistant. Use the provided context to answer questions accurately and helpfully. If you don't know something, say so rather than making things up."
-        }
-      ];
-
-      // Add context if provided
-      if (context && context.length > 0) {
-        const contextText = context.map(item => item.text || item.content).join('\n\n');
-        messages.push({
-          role: "user",
-          content: `Context information:\n${contextText}\n\nQuestion: ${query}`
-        });
-      } else {
-        messages.push({
-          role: "user",
-          content: query
-        });
-      }
-
-      // Add image if provided
-      if (imageBuffer) {
-        const base64Image = imageBuffer.toString('base64');
-        const dataUrl = `data:image/jpeg;base64,${base64Image}`;
-        
-        // Modify the last message to include image
-        const lastMessage = messages[messages.length - 1];
-        lastMessage.content = [
-          { type: "text", text: lastMessage.content },
-          { 
-            type: "image_url", 
-            image_url: { url: dataUrl }
-          }
-        ];
-      }
-
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        stream: true,
-        top_p: validatedOptions.topP,
-        temperature: validatedOptions.temperature,
-        max_tokens: validatedOptions.maxTokens
-      });
-
-      return completion;
-
-    } catch (error) {
-      console.error('DashScope streaming RAG failed:', error);
-      throw error;
-    }
-  }
-
   /**
    * Generate evidence records from extracted text
    */
@@ -502,27 +267,13 @@ class DashScopeService {
   }
 
   /**
-   * Extract formulas from text
+   * Extract formulas from text, one per line (e.g. "ΔTb = kb × m", "π = cST", "F = ma")
    */
   extractFormulas(text) {
-    const formulas = [];
-    
-    // Look for mathematical expressions
-    const mathPatterns = [
-      /ΔT[bf]\s*=\s*[k][bf]\s*[m]/g,  // ΔTb = kb m, ΔTf = kf m
-      /π\s*=\s*cST/g,                   // π = cST
-      /[k][bf]\s*=\s*[^,\n]+/g,         // kb = ..., kf = ...
-      /R\s*=\s*0\.0821/g                // R = 0.0821
-    ];
-    
-    mathPatterns.forEach(pattern => {
-      const matches = text.match(pattern);
-      if (matches) {
-        formulas.push(...matches);
-      }
-    });
-    
-    return formulas;
+    return text
+      .split('\n')
+      .map(line => extractFormula(line))
+      .filter(Boolean);
   }
 
   /**
@@ -568,75 +319,16 @@ class DashScopeService {
     return !!process.env.DASHSCOPE_API_KEY;
   }
 
-  /**
-   * Validate and normalize token limits
-   */
-  validateTokenLimits(options = {}) {
-    let maxTokens = options.maxTokens || this.defaultMaxTokens;
-    
-    // Ensure tokens are within bounds
-    maxTokens = Math.max(this.minTokens, Math.min(this.maxTokens, maxTokens));
-    
-    return {
-      maxTokens,
-      temperature: Math.max(0, Math.min(2, options.temperature || 0.7)),
-      topP: Math.max(0, Math.min(1, options.topP || 0.8))
-    };
-  }
-
-  /**
-   * Check rate limiting
-   */
-  checkRateLimit() {
-    const now = Date.now();
-    
-    // Reset counter if a minute has passed
-    if (now - this.lastResetTime > 60000) {
-      this.requestCount = 0;
-      this.lastResetTime = now;
-    }
-    
-    // Check if we're over the limit
-    if (this.requestCount >= this.requestsPerMinute) {
-      return false;
-    }
-    
-    this.requestCount++;
-    return true;
-  }
-
-  /**
-   * Validate API key format
-   */
-  validateApiKey() {
-    const apiKey = process.env.DASHSCOPE_API_KEY;
-    if (!apiKey) return false;
-    
-    // Basic validation - DashScope keys typically start with 'sk-'
-    return apiKey.startsWith('sk-') && apiKey.length > 10;
-  }
-
   /**
    * Get service status
    */
   getStatus() {
+    const { providers } = llmGateway.getStatus();
     return {
       available: this.isAvailable(),
-      apiKeyValid: this.validateApiKey(),
       model: this.model,
       baseURL: "https://dashscope-intl.aliyuncs.com/compatible-mode/v1",
-      maxRetries: this.maxRetries,
-      timeout: this.timeout,
-      tokenLimits: {
-        min: this.minTokens,
-        max: this.maxTokens,
-        default: this.defaultMaxTokens
-      },
-      rateLimiting: {
-        requestsPerMinute: this.requestsPerMinute,
-        currentRequests: this.requestCount,
-        timeUntilReset: Math.max(0, 60000 - (Date.now() - this.lastResetTime))
-      }
+      gateway: providers.dashscope
     };
   }
 }
@@ -143,12 +143,24 @@ class EvidenceService {
   }
 
   /**
-   * Get evidence statistics
+   * Get evidence statistics for one user
    */
-  async getEvidenceStats(userId = null) {
+  async getEvidenceStats(userId) {
+    if (!userId) {
+      throw new Error('userId is required for evidence statistics');
+    }
+    return this.aggregateEvidenceStats({ userId: String(userId) });
+  }
+
+  /**
+   * Evidence statistics across all users (admin only)
+   */
+  async getGlobalEvidenceStats() {
+    return this.aggregateEvidenceStats({});
+  }
+
+  async aggregateEvidenceStats(query) {
     try {
-      const query = userId ? { userId } : {};
-      
       const stats = await Evidence.aggregate([
         { $match: query },
         {
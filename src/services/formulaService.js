@@ -0,0 +1,174 @@
+const { extractFormula, toLatex, latexToText, variableKey, parseLatex, parseEquation, evaluate } = require('../utils/latex');
+
+// "R = 0.0821 L atm/mol K", "NA = 6.02 × 10^23": a name, a number and optional units
+const CONSTANT_PATTERN = /^(.+?)\s*=\s*(-?\d+(?:\.\d+)?)(?:\s*[×x*]\s*10\^?\(?(-?\d+)\)?)?(?:\s+(.*))?$/;
+
+// Random values per difficulty: range and decimal places
+const VALUE_RANGES = {
+  easy: { min: 1, max: 10, decimals: 0 },
+  medium: { min: 0.5, max: 20, decimals: 1 },
+  hard: { min: 0.1, max: 100, decimals: 2 }
+};
+
+const MAX_ATTEMPTS = 10;
+const ANSWER_TOLERANCE = 0.01;
+const SIGNIFICANT_FIGURES = 3;
+
+const formatNumber = (value) => String(Number(value.toPrecision(SIGNIFICANT_FIGURES)));
+
+// Half a unit in the last significant figure of `value`, the error its rounding allows
+const roundingError = (value) => {
+  if (value === 0) return 0;
+  return 0.5 * Math.pow(10, Math.floor(Math.log10(Math.abs(value))) - (SIGNIFICANT_FIGURES - 1));
+};
+
+/**
+ * Numerical quiz questions from formula evidence: values are substituted into a formula and
+ * the student works out the remaining variable.
+ */
+class FormulaService {
+  /**
+   * Constants defined in the notes ("kb = 0.52", "R = 0.0821 L atm/mol K"), keyed by
+   * variable key, so questions use the notes' own values for them
+   */
+  extractConstants(texts = []) {
+    const constants = new Map();
+
+    texts.filter(Boolean).forEach(text => {
+      text.split('\n').forEach(line => {
+        const constant = this.parseConstant(extractFormula(line));
+        if (constant && !constants.has(constant.key)) {
+          constants.set(constant.key, constant);
+        }
+      });
+    });
+
+    return constants;
+  }
+
+  /**
+   * `formula` as a constant definition, or null when it is not one
+   */
+  parseConstant(formula) {
+    const match = formula?.match(CONSTANT_PATTERN);
+    if (!match) return null;
+
+    const [, name, mantissa, exponent, units] = match;
+    try {
+      const variable = parseLatex(toLatex(name));
+      if (variable.type !== 'var') return null;
+
+      const value = parseFloat(mantissa) * (exponent ? Math.pow(10, parseInt(exponent, 10)) : 1);
+      return { key: variableKey(variable.name), name: name.trim(), value, units: units?.trim() || '' };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Up to `count` numerical questions from evidence records with contentType 'formula'.
+   * Easy questions ask for the formula's left-hand side; harder ones may hide any variable
+   * that appears once, so the formula has to be rearranged.
+   */
+  buildNumericalQuestions(formulaEvidence, { count = 5, difficulty = 'medium', constants = new Map() } = {}) {
+    const formulas = formulaEvidence
+      .filter(ev => ev.latex && !this.parseConstant(ev.text))
+      .map(ev => ({ evidence: ev, equation: parseEquation(ev.latex) }))
+      .filter(({ equation }) => equation?.target && equation.variables.length > 1);
+
+    const questions = [];
+    for (let index = 0; questions.length < count && index < count * MAX_ATTEMPTS && formulas.length > 0; index++) {
+      const { evidence, equation } = formulas[index % formulas.length];
+      const question = this.buildQuestion(evidence, equation, difficulty, constants);
+      if (question && !questions.some(existing => existing.question === question.question)) {
+        questions.push(question);
+      }
+    }
+
+    return questions;
+  }
+
+  buildQuestion(evidence, equation, difficulty, constants) {
+    const range = VALUE_RANGES[difficulty] || VALUE_RANGES.medium;
+    const [target, ...inputs] = equation.variables;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const values = {};
+      inputs.forEach(name => {
+        const key = variableKey(name);
+        const constant = constants.get(key);
+        values[key] = constant ? constant.value : this.randomValue(range);
+      });
+
+      let result;
+      try {
+        result = evaluate(equation.rhs, values);
+      } catch (error) {
+        return null;
+      }
+      if (!Number.isFinite(result) || result === 0 || Math.abs(result) > 1e9) continue;
+      values[variableKey(target)] = result;
+
+      // Rearranging: ask for an input that appears once instead of the left-hand side
+      const solvable = inputs.filter(name => !constants.has(variableKey(name)) && this.countOccurrences(equation.rhs, name) === 1);
+      const unknown = difficulty !== 'easy' && solvable.length > 0 && Math.random() < 0.5
+        ? solvable[Math.floor(Math.random() * solvable.length)]
+        : target;
+
+      const formulaText = latexToText(evidence.latex);
+      const givens = equation.variables
+        .filter(name => name !== unknown)
+        .map(name => {
+          const constant = constants.get(variableKey(name));
+          // Only the computed left-hand side needs rounding
+          const value = name === target ? formatNumber(values[variableKey(name)]) : String(values[variableKey(name)]);
+          return `${latexToText(name)} = ${value}${constant?.units ? ` ${constant.units}` : ''}`;
+        });
+      const unknownText = latexToText(unknown);
+      const answer = formatNumber(values[variableKey(unknown)]);
+
+      return {
+        type: 'numerical',
+        question: `Using ${formulaText}, calculate ${unknownText} when ${givens.join(', ')}. Give your answer to 3 significant figures.`,
+        correctAnswer: answer,
+        explanation: unknown === target
+          ? `Substitute the values into ${formulaText}: ${unknownText} = ${answer}.`
+          : `Rearrange ${formulaText} for ${unknownText} and substitute the values: ${unknownText} = ${answer}.`,
+        topic: evidence.metadata?.sectionPath?.slice(-1)[0] || 'Formulas',
+        difficulty,
+        formula: evidence.latex,
+        tolerance: ANSWER_TOLERANCE
+      };
+    }
+
+    return null;
+  }
+
+  randomValue({ min, max, decimals }) {
+    const value = min + Math.random() * (max - min);
+    return Number(value.toFixed(decimals)) || min;
+  }
+
+  countOccurrences(node, name) {
+    if (node.type === 'var') return node.name === name ? 1 : 0;
+    return ['arg', 'index', 'left', 'right']
+      .filter(child => node[child])
+      .reduce((sum, child) => sum + this.countOccurrences(node[child], name), 0);
+  }
+
+  /**
+   * Whether a submitted answer is within the question's relative tolerance of the answer,
+   * or within the rounding error of the answer's 3 significant figures if that is larger.
+   * Units and thousands separators after the number are ignored.
+   */
+  isNumericAnswerCorrect(question, userAnswer) {
+    const submitted = parseFloat(String(userAnswer ?? '').replace(/,/g, '').trim());
+    const expected = parseFloat(question.correctAnswer);
+    if (!Number.isFinite(submitted) || !Number.isFinite(expected)) return false;
+
+    const tolerance = question.tolerance ?? ANSWER_TOLERANCE;
+    return Math.abs(submitted - expected) <= Math.max(Math.abs(expected) * tolerance, roundingError(expected));
+  }
+}
+
+module.exports = new FormulaService();
@@ -0,0 +1,440 @@
+/**
+ * iCalendar (RFC 5545) export and import for Calendar tasks.
+ *
+ * Times are written in UTC. Recurring tasks become one VEVENT with an RRULE; skipped
+ * occurrences are listed in EXDATE and moved or retitled occurrences become extra VEVENTs
+ * with a RECURRENCE-ID, which is how Google Calendar and Outlook represent them too.
+ */
+
+const { zonedTimeToDate } = require('../utils/timezone');
+
+const PRODUCT_ID = '-//AI Study Helper//Study Calendar//EN';
+const UID_DOMAIN = process.env.ICAL_UID_DOMAIN || 'ai-study-helper';
+
+const FREQUENCIES = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' };
+const PATTERNS = { DAILY: 'daily', WEEKLY: 'weekly', MONTHLY: 'monthly' };
+
+// RFC 5545 priority: 1 highest, 9 lowest, 0 undefined
+const PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const MAX_REMINDER_MINUTES = 1440;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatUtc = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => String(value ?? '')
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+/**
+ * Fold a content line to 75 octets without splitting multi-byte characters
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Split a string on a separator that is not backslash-escaped
+ */
+const splitEscaped = (value, separator) => {
+  const items = [];
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i += 1;
+    } else if (value[i] === separator) {
+      items.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  items.push(current);
+  return items;
+};
+
+/**
+ * Parse DATE or DATE-TIME values (UTC, floating or with TZID)
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+const parseDateValue = (value, params = {}) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const parts = [year, month, day, hour || 0, minute || 0, second || 0].map(Number);
+
+  if (!hour) {
+    return { date: new Date(parts[0], parts[1] - 1, parts[2]), allDay: true };
+  }
+  if (utc) {
+    return { date: new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5])), allDay: false };
+  }
+  return { date: zonedTimeToDate(parts, params.TZID), allDay: false };
+};
+
+/**
+ * Minutes before the start for a VALARM trigger such as -PT15M or -P1D; null for triggers after the start
+ */
+const parseTrigger = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = (Number(weeks || 0) * 7 * 24 * 60) + (Number(days || 0) * 24 * 60) + (Number(hours || 0) * 60) + Number(minutes || 0);
+  if (sign !== '-' && total !== 0) return null;
+  return total;
+};
+
+/**
+ * Unfold and split an iCalendar document into {name, params, value} lines
+ */
+const parseLines = (text) => {
+  return String(text)
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      let inQuotes = false;
+      let colon = -1;
+      for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+          colon = i;
+          break;
+        }
+      }
+      if (colon === -1) return null;
+
+      const [name, ...rawParams] = line.slice(0, colon).split(';');
+      const params = {};
+      rawParams.forEach(param => {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+      });
+
+      return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+    })
+    .filter(Boolean);
+};
+
+class ICalService {
+  uidFor(task) {
+    return task.icalUid || `${task.id}@${UID_DOMAIN}`;
+  }
+
+  /**
+   * Task id encoded in a UID this service exported, or null for foreign UIDs
+   */
+  taskIdFromUid(uid) {
+    const suffix = `@${UID_DOMAIN}`;
+    return uid && uid.endsWith(suffix) ? uid.slice(0, -suffix.length) : null;
+  }
+
+  buildRRule(recurring) {
+    const rule = [`FREQ=${FREQUENCIES[recurring.pattern]}`];
+    if (recurring.interval && recurring.interval > 1) rule.push(`INTERVAL=${recurring.interval}`);
+    if (recurring.endAfter) {
+      rule.push(`COUNT=${recurring.endAfter}`);
+    } else if (recurring.endDate) {
+      rule.push(`UNTIL=${formatUtc(recurring.endDate)}`);
+    }
+    return rule.join(';');
+  }
+
+  // EMAIL alarms need a SUMMARY and an ATTENDEE to send to (RFC 5545 3.6.6)
+  buildAlarms(task, email) {
+    return (task.reminders || []).flatMap(reminder => {
+      const description = `DESCRIPTION:${escapeText(`Reminder (${reminder.type})`)}`;
+      const trigger = `TRIGGER:-PT${reminder.time}M`;
+
+      if (reminder.type === 'email' && email) {
+        return [
+          'BEGIN:VALARM',
+          'ACTION:EMAIL',
+          description,
+          `SUMMARY:${escapeText(`Reminder: ${task.title}`)}`,
+          `ATTENDEE:mailto:${email}`,
+          trigger,
+          'END:VALARM'
+        ];
+      }
+
+      return ['BEGIN:VALARM', 'ACTION:DISPLAY', description, trigger, 'END:VALARM'];
+    });
+  }
+
+  buildEvent(task, now, email) {
+    const categories = [task.subject, ...(task.tags || [])].filter(Boolean);
+    const description = [task.topic && `Topic: ${task.topic}`, task.notes].filter(Boolean).join('\n\n');
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${this.uidFor(task)}`,
+      `DTSTAMP:${formatUtc(now)}`,
+      `DTSTART:${formatUtc(task.startDate)}`,
+      `DTEND:${formatUtc(task.endDate)}`,
+      `SUMMARY:${escapeText(task.title)}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+    lines.push(`PRIORITY:${PRIORITIES[task.priority] || 0}`);
+    lines.push(`STATUS:${task.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    if (task.topic) lines.push(`X-STUDY-TOPIC:${escapeText(task.topic)}`);
+    if (task.createdAt) lines.push(`CREATED:${formatUtc(task.createdAt)}`);
+    if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatUtc(task.updatedAt)}`);
+
+    const exceptions = task.recurring?.enabled ? task.recurring.exceptions || [] : [];
+    if (task.recurring?.enabled) {
+      lines.push(`RRULE:${this.buildRRule(task.recurring)}`);
+
+      const skipped = exceptions.filter(exception => exception.cancelled && !exception.isCompleted);
+      if (skipped.length > 0) {
+        lines.push(`EXDATE:${skipped.map(exception => formatUtc(exception.originalStart)).join(',')}`);
+      }
+    }
+
+    lines.push(...this.buildAlarms(task, email), 'END:VEVENT');
+
+    // Moved or retitled occurrences
+    exceptions
+      .filter(exception => !exception.cancelled && (exception.startDate || exception.title))
+      .forEach(exception => {
+        const duration = task.endDate - task.startDate;
+        const startDate = exception.startDate || exception.originalStart;
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${this.uidFor(task)}`,
+          `DTSTAMP:${formatUtc(now)}`,
+          `RECURRENCE-ID:${formatUtc(exception.originalStart)}`,
+          `DTSTART:${formatUtc(startDate)}`,
+          `DTEND:${formatUtc(exception.endDate || new Date(new Date(startDate).getTime() + duration))}`,
+          `SUMMARY:${escapeText(exception.title || task.title)}`,
+          ...(categories.length > 0 ? [`CATEGORIES:${categories.map(escapeText).join(',')}`] : []),
+          'STATUS:CONFIRMED',
+          ...this.buildAlarms(task, email),
+          'END:VEVENT'
+        );
+      });
+
+    return lines;
+  }
+
+  /**
+   * Serialize tasks into an iCalendar document
+   */
+  exportTasks(tasks, { name = 'Study Calendar', email } = {}) {
+    const now = new Date();
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`,
+      ...tasks.flatMap(task => this.buildEvent(task, now, email)),
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Parse the VEVENTs of an iCalendar document
+   * @returns {{events: Array, warnings: string[]}}
+   */
+  parse(text) {
+    const lines = parseLines(text);
+    if (!lines.some(line => line.name === 'BEGIN' && line.value.toUpperCase() === 'VCALENDAR')) {
+      throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+    }
+
+    const events = [];
+    const warnings = [];
+    let event = null;
+    let alarm = null;
+
+    for (const { name, params, value } of lines) {
+      if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+        event = { categories: [], exdates: [], alarms: [], params: {} };
+      } else if (name === 'END' && value.toUpperCase() === 'VEVENT') {
+        if (event) events.push(event);
+        event = null;
+      } else if (!event) {
+        continue;
+      } else if (name === 'BEGIN' && value.toUpperCase() === 'VALARM') {
+        alarm = {};
+      } else if (name === 'END' && value.toUpperCase() === 'VALARM') {
+        if (alarm) event.alarms.push(alarm);
+        alarm = null;
+      } else if (alarm) {
+        if (name === 'TRIGGER' && params.VALUE !== 'DATE-TIME' && params.RELATED !== 'END') alarm.minutes = parseTrigger(value);
+        if (name === 'ACTION') alarm.action = value.toUpperCase();
+      } else {
+        switch (name) {
+          case 'UID': event.uid = value.trim(); break;
+          case 'SUMMARY': event.summary = unescapeText(value); break;
+          case 'DESCRIPTION': event.description = unescapeText(value); break;
+          case 'STATUS': event.status = value.trim().toUpperCase(); break;
+          case 'PRIORITY': event.priority = parseInt(value, 10); break;
+          case 'RRULE': event.rrule = value.trim(); break;
+          case 'X-STUDY-TOPIC': event.topic = unescapeText(value); break;
+          case 'CATEGORIES':
+            event.categories.push(...splitEscaped(value, ',').map(unescapeText).map(item => item.trim()).filter(Boolean));
+            break;
+          case 'EXDATE':
+            value.split(',').forEach(item => {
+              const parsed = parseDateValue(item, params);
+              if (parsed) event.exdates.push(parsed.date);
+            });
+            break;
+          case 'DTSTART':
+          case 'DTEND':
+          case 'RECURRENCE-ID': {
+            const parsed = parseDateValue(value, params);
+            if (!parsed) {
+              warnings.push(`Unreadable ${name} "${value}"`);
+              break;
+            }
+            const key = { DTSTART: 'start', DTEND: 'end', 'RECURRENCE-ID': 'recurrenceId' }[name];
+            event[key] = parsed.date;
+            if (name === 'DTSTART') event.allDay = parsed.allDay;
+            break;
+          }
+          case 'DURATION':
+            event.durationMinutes = parseTrigger(`-${value.replace(/^[+-]/, '')}`);
+            break;
+          default:
+            break;
+        }
+      }
+    }
+
+    return { events, warnings };
+  }
+
+  /**
+   * Recurrence rule of an event in the Calendar model's terms
+   * @returns {{recurring: object|null, warning: string|null}}
+   */
+  parseRRule(rrule) {
+    if (!rrule) return { recurring: null, warning: null };
+
+    const parts = Object.fromEntries(rrule.split(';').map(part => {
+      const [key, ...rest] = part.split('=');
+      return [key.toUpperCase(), rest.join('=')];
+    }));
+
+    const pattern = PATTERNS[parts.FREQ];
+    if (!pattern) {
+      return { recurring: null, warning: `unsupported repeat rule FREQ=${parts.FREQ}, imported as a single event` };
+    }
+
+    const recurring = {
+      enabled: true,
+      pattern,
+      interval: parseInt(parts.INTERVAL, 10) || 1,
+      endAfter: parseInt(parts.COUNT, 10) || null,
+      endDate: parts.UNTIL ? parseDateValue(parts.UNTIL)?.date || null : null
+    };
+
+    const unsupported = Object.keys(parts).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST'].includes(key));
+    const warning = unsupported.length > 0
+      ? `repeat rule parts ${unsupported.join(', ')} are not supported; repeats ${pattern} from the first occurrence`
+      : null;
+
+    return { recurring, warning };
+  }
+
+  /**
+   * Calendar task fields for a parsed (master) event
+   * @returns {{task: object|null, warnings: string[]}}
+   */
+  eventToTask(event) {
+    const warnings = [];
+    const label = event.summary || event.uid || 'event';
+
+    if (!event.start) {
+      return { task: null, warnings: [`"${label}" has no start time, skipped`] };
+    }
+
+    let end = event.end;
+    if (!end && event.durationMinutes) end = new Date(event.start.getTime() + event.durationMinutes * 60000);
+    if (!end) end = new Date(event.start.getTime() + (event.allDay ? 24 * 60 : 60) * 60000);
+
+    const minutes = Math.round((end - event.start) / 60000);
+    const duration = Math.min(Math.max(minutes, 15), 480);
+    if (duration !== minutes) {
+      warnings.push(`"${label}" lasts ${minutes} minutes; planned duration set to ${duration}`);
+    }
+
+    const { recurring, warning } = this.parseRRule(event.rrule);
+    if (warning) warnings.push(`"${label}": ${warning}`);
+
+    const priority = Object.entries(PRIORITIES).find(([, value]) => value === event.priority)?.[0]
+      || (event.priority >= 1 && event.priority <= 4 ? 'high' : event.priority >= 6 ? 'low' : 'medium');
+
+    const reminders = event.alarms
+      .filter(alarm => alarm.minutes !== null && alarm.minutes !== undefined)
+      .map(alarm => ({
+        time: Math.min(alarm.minutes, MAX_REMINDER_MINUTES),
+        type: alarm.action === 'EMAIL' ? 'email' : 'notification'
+      }));
+
+    const [subject, ...tags] = event.categories;
+    const title = (event.summary || 'Imported event').trim();
+
+    return {
+      task: {
+        icalUid: event.uid,
+        title,
+        subject: subject || 'Imported',
+        topic: event.topic || title,
+        startDate: event.start,
+        endDate: end,
+        duration,
+        priority,
+        status: event.status === 'CANCELLED' ? 'cancelled' : 'planned',
+        notes: event.description ? event.description.replace(/^Topic: .*(\n\n)?/, '').substring(0, 1000) : undefined,
+        tags,
+        reminders,
+        recurring: recurring
+          ? { ...recurring, exceptions: event.exdates.map(originalStart => ({ originalStart, cancelled: true })) }
+          : { enabled: false }
+      },
+      warnings
+    };
+  }
+}
+
+module.exports = new ICalService();
@@ -0,0 +1,235 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const ProcessingJob = require('../models/ProcessingJob');
+
+/**
+ * Error type for failures that retrying will not fix (missing file, unsupported type)
+ */
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Thrown inside a handler when the job was cancelled between stages
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobQueueService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.running = false;
+    this.activeJobs = 0;
+    this.timer = null;
+
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+    this.lockTimeoutMs = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+    this.retryBaseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || 5000;
+  }
+
+  /**
+   * Register the handler that runs jobs of a given type.
+   * The handler receives (job, ctx) where ctx.stage(name, progress) records
+   * progress and throws JobCancelledError if cancellation was requested.
+   */
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Add a job to the queue
+   */
+  async enqueue(type, data) {
+    const job = new ProcessingJob({
+      type,
+      imageId: data.imageId,
+      userId: String(data.userId),
+      options: data.options || {},
+      maxAttempts: data.maxAttempts || 3
+    });
+
+    await job.save();
+    console.log(`📥 Queued ${type} job ${job.jobId} for ${job.imageId}`);
+    return job;
+  }
+
+  /**
+   * Request cancellation. Queued jobs are cancelled immediately,
+   * running jobs stop at the next stage boundary.
+   */
+  async cancel(jobId, userId) {
+    const query = { jobId };
+    if (userId) query.userId = String(userId);
+
+    const job = await ProcessingJob.findOne(query);
+    if (!job || job.isFinished) return job;
+
+    if (job.status === 'queued') {
+      job.status = 'cancelled';
+      job.finishedAt = new Date();
+    }
+    job.cancelRequested = true;
+    await job.save();
+
+    console.log(`🛑 Cancellation requested for job ${jobId}`);
+    return job;
+  }
+
+  /**
+   * Start the polling worker loop
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    console.log(`👷 Job worker ${this.workerId} started (poll ${this.pollIntervalMs}ms, concurrency ${this.concurrency})`);
+    this.scheduleTick(0);
+  }
+
+  /**
+   * Stop polling; jobs already running finish on their own
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  scheduleTick(delay = this.pollIntervalMs) {
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.tick(), delay);
+    // Do not keep the process alive just for polling
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async tick() {
+    try {
+      const released = await ProcessingJob.releaseStaleLocks(this.lockTimeoutMs);
+      if (released.failed || released.cancelled) {
+        console.warn(`⚠️ Stale jobs closed: ${released.failed} failed after their last attempt, ${released.cancelled} cancelled`);
+      }
+
+      while (this.running && this.activeJobs < this.concurrency) {
+        const job = await ProcessingJob.claimNext(this.workerId);
+        if (!job) break;
+
+        this.activeJobs += 1;
+        this.runJob(job)
+          .catch(error => console.error(`Job ${job.jobId} could not record its outcome:`, error.message))
+          .finally(() => {
+            this.activeJobs -= 1;
+          });
+      }
+    } catch (error) {
+      console.error('Job worker poll failed:', error.message);
+    } finally {
+      this.scheduleTick();
+    }
+  }
+
+  /**
+   * Run a claimed job through its handler and record the outcome
+   */
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    if (!job.startedAt) job.startedAt = new Date();
+
+    // Saves only apply while this claim holds the lock. Once it has been released as stale
+    // and the job claimed again, they fail with DocumentNotFoundError and this run stops.
+    job.$where = { lockedBy: this.workerId, attempts: job.attempts };
+
+    // Each stage and result refreshes lockedAt, so long jobs are not released as stale
+    const ctx = {
+      stage: async (stage, progress) => {
+        const latest = await ProcessingJob.findById(job._id).select('cancelRequested');
+        if (latest?.cancelRequested) {
+          throw new JobCancelledError();
+        }
+        job.status = stage;
+        job.progress = progress;
+        job.lockedAt = new Date();
+        await job.save();
+      },
+      setResult: async (partial) => {
+        job.result = { ...(job.result || {}), ...partial };
+        job.markModified('result');
+        job.lockedAt = new Date();
+        await job.save();
+      }
+    };
+
+    try {
+      if (!handler) {
+        throw new PermanentJobError(`No handler registered for job type ${job.type}`);
+      }
+
+      console.log(`⚙️ Running job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+      const result = await handler(job, ctx);
+
+      job.status = 'done';
+      job.progress = 100;
+      job.result = { ...(job.result || {}), ...(result || {}) };
+      job.markModified('result');
+      job.finishedAt = new Date();
+      job.lockedAt = null;
+      job.lockedBy = null;
+      await job.save();
+
+      console.log(`✅ Job ${job.jobId} completed`);
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  async handleFailure(job, error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) {
+      console.warn(`⚠️ Job ${job.jobId} lost its lock to another attempt, stopping this one`);
+      return;
+    }
+
+    job.lockedAt = null;
+    job.lockedBy = null;
+
+    if (error instanceof JobCancelledError) {
+      job.status = 'cancelled';
+      job.finishedAt = new Date();
+      await job.save();
+      console.log(`🛑 Job ${job.jobId} cancelled`);
+      return;
+    }
+
+    job.lastError = error.message;
+    job.errorHistory.push({ attempt: job.attempts, stage: job.status, message: error.message });
+
+    const canRetry = !(error instanceof PermanentJobError) && job.attempts < job.maxAttempts;
+    if (canRetry) {
+      // Exponential backoff: base, 2x base, 4x base...
+      const delay = this.retryBaseDelayMs * Math.pow(2, job.attempts - 1);
+      job.status = 'queued';
+      job.nextRunAt = new Date(Date.now() + delay);
+      console.log(`🔁 Job ${job.jobId} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+    } else {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+      console.error(`❌ Job ${job.jobId} failed permanently:`, error.message);
+    }
+
+    await job.save();
+  }
+}
+
+const jobQueueService = new JobQueueService();
+jobQueueService.PermanentJobError = PermanentJobError;
+jobQueueService.JobCancelledError = JobCancelledError;
+
+module.exports = jobQueueService;
@@ -0,0 +1,89 @@
+const OpenAI = require('openai');
+
+/**
+ * DashScope (Qwen-VL) through its OpenAI-compatible endpoint.
+ * Handles text, vision and streaming with the same model.
+ */
+class DashScopeProvider {
+  constructor() {
+    this.name = 'dashscope';
+    this.apiKey = process.env.DASHSCOPE_API_KEY;
+    this.baseURL = 'https://dashscope-intl.aliyuncs.com/compatible-mode/v1';
+    this.model = 'qwen-vl-max';
+    this.capabilities = ['chat', 'vision', 'stream'];
+    this.requestsPerMinute = 60;
+
+    // Token limiting configuration
+    this.defaultMaxTokens = 2000;
+    this.minTokens = 10;
+    this.maxTokens = 8000;
+
+    this.client = this.apiKey
+      ? new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL, timeout: 60000, maxRetries: 0 })
+      : null;
+  }
+
+  /**
+   * DashScope keys start with 'sk-'; anything else is a misconfiguration
+   */
+  isConfigured() {
+    return !!this.client && this.apiKey.startsWith('sk-') && this.apiKey.length > 10;
+  }
+
+  /**
+   * Validate and normalize token limits
+   */
+  normalizeOptions(options = {}) {
+    const maxTokens = Math.max(this.minTokens, Math.min(this.maxTokens, options.maxTokens || this.defaultMaxTokens));
+
+    return {
+      max_tokens: maxTokens,
+      temperature: Math.max(0, Math.min(2, options.temperature ?? 0.7)),
+      top_p: Math.max(0, Math.min(1, options.topP ?? 0.8))
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      stream: false,
+      ...this.normalizeOptions(options)
+    });
+
+    const content = completion.choices?.[0]?.message?.content;
+    if (!content || !content.trim()) {
+      throw new Error('DashScope returned an empty response');
+    }
+
+    return {
+      content: content.trim(),
+      model: this.model,
+      usage: completion.usage
+    };
+  }
+
+  async chatStream(messages, options = {}) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      stream: true,
+      ...this.normalizeOptions(options)
+    });
+
+    async function* deltas() {
+      for await (const chunk of completion) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+
+    return {
+      model: this.model,
+      stream: deltas(),
+      abort: () => completion.controller?.abort()
+    };
+  }
+}
+
+module.exports = DashScopeProvider;
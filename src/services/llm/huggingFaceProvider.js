@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+/**
+ * Hugging Face Inference API: sentence-transformer embeddings and
+ * raw task models (summarization, text2text) used by nlpService
+ */
+class HuggingFaceProvider {
+  constructor() {
+    this.name = 'huggingface';
+    this.apiKey = process.env.HF_API_KEY;
+    this.apiUrl = 'https://api-inference.huggingface.co/models';
+    this.embeddingModel = process.env.EMBEDDING_MODEL || 'sentence-transformers/all-mpnet-base-v2';
+    this.capabilities = ['embedding', 'inference'];
+    this.requestsPerMinute = 60;
+    this.timeout = 30000;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async inference(model, payload, options = {}) {
+    const response = await axios.post(`${this.apiUrl}/${model}`, payload, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: options.timeout || this.timeout
+    });
+
+    return response.data;
+  }
+
+  async embed(text, options = {}) {
+    const model = options.model || this.embeddingModel;
+    const data = await this.inference(model, { inputs: text }, options);
+
+    // sentence-transformers return either [vector], [[vector]] or [{ embedding }]
+    let embedding = data;
+    if (Array.isArray(data) && Array.isArray(data[0])) {
+      embedding = data[0];
+    } else if (Array.isArray(data) && data[0]?.embedding) {
+      embedding = data[0].embedding;
+    } else if (data?.embedding) {
+      embedding = data.embedding;
+    }
+
+    if (!Array.isArray(embedding) || typeof embedding[0] !== 'number') {
+      throw new Error('Unexpected embedding response format');
+    }
+
+    return { embedding, model };
+  }
+}
+
+module.exports = HuggingFaceProvider;
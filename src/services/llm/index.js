@@ -0,0 +1,352 @@
+const OpenRouterProvider = require('./openRouterProvider');
+const DashScopeProvider = require('./dashscopeProvider');
+const HuggingFaceProvider = require('./huggingFaceProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * Default provider order per task. Override with LLM_CHAIN_<TASK>=a,b,c
+ * (e.g. LLM_CHAIN_QUIZ=openrouter,dashscope) or force every task onto the
+ * deterministic mock with LLM_PROVIDER=mock.
+ */
+const DEFAULT_CHAINS = {
+  chat: ['dashscope', 'openrouter'],
+  'chat-stream': ['dashscope'],
+  'chat-vision': ['openrouter', 'dashscope'],
+  quiz: ['dashscope', 'openrouter'],
+  mindmap: ['dashscope', 'openrouter'],
+  vision: ['openrouter', 'dashscope'],
+  ocr: ['openrouter', 'dashscope'],
+  'ocr-fallback': ['dashscope'],
+  summary: ['dashscope', 'openrouter'],
+  'query-rewrite': ['dashscope', 'openrouter'],
+  embedding: ['huggingface'],
+  inference: ['huggingface']
+};
+
+const RAG_SYSTEM_PROMPT = "You are an AI study assistant. Use the provided context to answer questions accurately and helpfully. If you don't know something, say so rather than making things up.";
+
+/**
+ * Raised when every provider in a task's chain failed or was unavailable
+ */
+class LLMGatewayError extends Error {
+  constructor(task, attempts) {
+    const summary = attempts.map(a => `${a.provider}: ${a.error}`).join('; ') || 'no providers configured';
+    super(`All providers failed for ${task} (${summary})`);
+    this.name = 'LLMGatewayError';
+    this.task = task;
+    this.attempts = attempts;
+  }
+}
+
+class LLMGateway {
+  constructor() {
+    this.providers = new Map();
+    [new DashScopeProvider(), new OpenRouterProvider(), new HuggingFaceProvider(), new MockProvider()]
+      .forEach(provider => this.providers.set(provider.name, provider));
+
+    this.maxRetries = parseInt(process.env.LLM_MAX_RETRIES, 10) || 1;
+    this.retryBaseDelayMs = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 500;
+    this.failureThreshold = parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 3;
+    this.cooldownMs = parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 10) || 60000;
+
+    this.health = new Map();
+    this.providers.forEach((provider, name) => this.health.set(name, this.createHealth()));
+
+    const configured = [...this.providers.values()].filter(p => p.name !== 'mock' && p.isConfigured()).map(p => p.name);
+    console.log(`🧭 LLM gateway providers: ${configured.join(', ') || 'none configured'}${this.isMockMode() ? ' (mock mode)' : ''}`);
+  }
+
+  createHealth() {
+    return {
+      state: 'closed',
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      openedAt: null,
+      lastError: null,
+      lastFailureAt: null,
+      lastSuccessAt: null,
+      averageLatencyMs: null,
+      requestCount: 0,
+      windowStartedAt: Date.now()
+    };
+  }
+
+  isMockMode() {
+    return (process.env.LLM_PROVIDER || '').toLowerCase() === 'mock';
+  }
+
+  /**
+   * Ordered provider names for a task
+   */
+  getChain(task) {
+    if (this.isMockMode()) return ['mock'];
+
+    const override = process.env[`LLM_CHAIN_${task.toUpperCase().replace(/-/g, '_')}`];
+    if (override) {
+      return override.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    }
+    return DEFAULT_CHAINS[task] || DEFAULT_CHAINS.chat;
+  }
+
+  /**
+   * Whether any provider in the task's chain could currently take a request
+   */
+  isTaskAvailable(task, capability = 'chat') {
+    return this.getChain(task).some(name => {
+      const provider = this.providers.get(name);
+      return provider && provider.capabilities.includes(capability) && provider.isConfigured();
+    });
+  }
+
+  // Circuit breaker: open after N consecutive failures, allow a trial call after the cooldown
+  isCircuitOpen(name) {
+    const health = this.health.get(name);
+    if (health.state !== 'open') return false;
+
+    if (Date.now() - health.openedAt >= this.cooldownMs) {
+      health.state = 'half-open';
+      return false;
+    }
+    return true;
+  }
+
+  checkRateLimit(provider) {
+    const health = this.health.get(provider.name);
+    const now = Date.now();
+
+    // Reset counter if a minute has passed
+    if (now - health.windowStartedAt > 60000) {
+      health.requestCount = 0;
+      health.windowStartedAt = now;
+    }
+
+    if (health.requestCount >= provider.requestsPerMinute) {
+      return false;
+    }
+
+    health.requestCount++;
+    return true;
+  }
+
+  recordSuccess(name, latencyMs) {
+    const health = this.health.get(name);
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.state = 'closed';
+    health.openedAt = null;
+    health.lastSuccessAt = new Date();
+    health.averageLatencyMs = health.averageLatencyMs === null
+      ? latencyMs
+      : Math.round(health.averageLatencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = new Date();
+
+    if (health.state === 'half-open' || health.consecutiveFailures >= this.failureThreshold) {
+      if (health.state !== 'open') {
+        console.warn(`⚡ Circuit opened for ${name} after ${health.consecutiveFailures} consecutive failures`);
+      }
+      health.state = 'open';
+      health.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Timeouts, rate limits and server errors are worth retrying; bad requests are not
+   */
+  isRetryable(error) {
+    const status = error.response?.status || error.status;
+    if (status) return status === 429 || status >= 500;
+    return ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code) ||
+      /timeout|timed out|network/i.test(error.message);
+  }
+
+  /**
+   * Run an operation against each provider in the task's chain until one succeeds.
+   * options.providers overrides the chain; options.validate(result) may throw to
+   * treat a response as a failure, and its return value is exposed as result.parsed.
+   */
+  async execute(task, capability, operation, options = {}) {
+    const chain = options.providers || this.getChain(task);
+    const attempts = [];
+
+    for (const name of chain) {
+      const provider = this.providers.get(name);
+
+      if (!provider) {
+        attempts.push({ provider: name, error: 'unknown provider' });
+        continue;
+      }
+      if (!provider.capabilities.includes(capability)) {
+        attempts.push({ provider: name, error: `does not support ${capability}` });
+        continue;
+      }
+      if (!provider.isConfigured()) {
+        attempts.push({ provider: name, error: 'not configured' });
+        continue;
+      }
+      if (this.isCircuitOpen(name)) {
+        attempts.push({ provider: name, error: 'circuit open' });
+        continue;
+      }
+      if (!this.checkRateLimit(provider)) {
+        attempts.push({ provider: name, error: 'rate limit exceeded' });
+        continue;
+      }
+
+      const retries = options.retries ?? this.maxRetries;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        const startTime = Date.now();
+        try {
+          const result = await operation(provider);
+          // validate() lets callers reject unusable output (e.g. malformed JSON) and move on
+          if (options.validate) {
+            result.parsed = options.validate(result);
+          }
+          this.recordSuccess(name, Date.now() - startTime);
+
+          return {
+            ...result,
+            provider: name,
+            fallbackUsed: name !== chain[0],
+            attempts
+          };
+        } catch (error) {
+          const retryable = this.isRetryable(error);
+          console.log(`❌ ${task} via ${name} failed (attempt ${attempt + 1}/${retries + 1}): ${error.message}`);
+
+          if (!retryable || attempt === retries) {
+            this.recordFailure(name, error);
+            attempts.push({ provider: name, error: error.message });
+            break;
+          }
+
+          await new Promise(resolve => setTimeout(resolve, this.retryBaseDelayMs * Math.pow(2, attempt)));
+        }
+      }
+    }
+
+    throw new LLMGatewayError(task, attempts);
+  }
+
+  /**
+   * Chat completion: messages in OpenAI format
+   * @returns {Promise<{content, model, usage, provider, fallbackUsed}>}
+   */
+  async chat(messages, options = {}) {
+    const task = options.task || 'chat';
+    return this.execute(task, 'chat', provider => provider.chat(messages, options), options);
+  }
+
+  /**
+   * Single-prompt completion with the study-assistant system prompt.
+   * contextTexts are prepended the same way for every provider.
+   */
+  async completeWithContext(query, contextTexts = [], options = {}) {
+    const contextText = contextTexts.filter(Boolean).join('\n\n');
+    const messages = [
+      { role: 'system', content: options.systemPrompt || RAG_SYSTEM_PROMPT },
+      { role: 'user', content: contextText ? `Context information:\n${contextText}\n\nQuestion: ${query}` : query }
+    ];
+    return this.chat(messages, options);
+  }
+
+  /**
+   * Vision completion over one or more image URLs (http(s) or data URLs)
+   */
+  async vision(prompt, imageUrls, options = {}) {
+    const task = options.task || 'vision';
+    const messages = [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...imageUrls.map(url => ({ type: 'image_url', image_url: { url } }))
+        ]
+      }
+    ];
+    if (options.systemPrompt) {
+      messages.unshift({ role: 'system', content: options.systemPrompt });
+    }
+
+    return this.execute(task, 'vision', provider => provider.chat(messages, { ...options, vision: true }), options);
+  }
+
+  /**
+   * Streaming chat. Falls through the chain only if a stream cannot be opened;
+   * once deltas flow the caller owns error handling.
+   * @returns {Promise<{stream: AsyncIterable<string>, abort: Function, model, provider}>}
+   */
+  async chatStream(messages, options = {}) {
+    const task = options.task || 'chat-stream';
+    return this.execute(task, 'stream', provider => provider.chatStream(messages, options), { retries: 0, ...options });
+  }
+
+  /**
+   * Text embedding
+   * @returns {Promise<{embedding: number[], model, provider}>}
+   */
+  async embed(text, options = {}) {
+    const task = options.task || 'embedding';
+    return this.execute(task, 'embedding', provider => provider.embed(text, options), options);
+  }
+
+  /**
+   * Raw model inference (Hugging Face task models)
+   */
+  async inference(model, payload, options = {}) {
+    const task = options.task || 'inference';
+    const result = await this.execute(task, 'inference', async provider => ({
+      data: await provider.inference(model, payload, options)
+    }), options);
+    return result.data;
+  }
+
+  /**
+   * Provider health and task chains for status endpoints
+   */
+  getStatus() {
+    const providers = {};
+    this.providers.forEach((provider, name) => {
+      const health = this.health.get(name);
+      providers[name] = {
+        configured: provider.isConfigured(),
+        capabilities: provider.capabilities,
+        circuit: health.state,
+        successes: health.successes,
+        failures: health.failures,
+        consecutiveFailures: health.consecutiveFailures,
+        averageLatencyMs: health.averageLatencyMs,
+        lastError: health.lastError,
+        lastFailureAt: health.lastFailureAt,
+        lastSuccessAt: health.lastSuccessAt,
+        retryAfterMs: health.state === 'open' ? Math.max(0, this.cooldownMs - (Date.now() - health.openedAt)) : 0
+      };
+    });
+
+    const chains = {};
+    Object.keys(DEFAULT_CHAINS).forEach(task => {
+      chains[task] = this.getChain(task);
+    });
+
+    return { mockMode: this.isMockMode(), providers, chains };
+  }
+
+  /**
+   * Close every circuit and clear counters
+   */
+  resetHealth() {
+    this.providers.forEach((provider, name) => this.health.set(name, this.createHealth()));
+  }
+}
+
+const llmGateway = new LLMGateway();
+llmGateway.LLMGatewayError = LLMGatewayError;
+
+module.exports = llmGateway;
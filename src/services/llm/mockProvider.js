@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'that', 'this', 'with', 'from', 'are', 'was', 'were', 'have', 'has',
+  'which', 'when', 'what', 'will', 'into', 'than', 'then', 'them', 'they', 'their', 'there',
+  'these', 'those', 'been', 'being', 'also', 'such', 'each', 'more', 'most', 'some', 'only',
+  'question', 'context', 'information', 'content', 'text', 'json', 'return', 'generate'
+]);
+
+const EMBEDDING_DIMENSION = 384;
+
+/**
+ * Deterministic offline provider. The same input always produces the same output,
+ * so quiz, mind map and chat flows can be exercised without network access.
+ * Enable with LLM_PROVIDER=mock or by listing "mock" in an LLM_CHAIN_* variable.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock-llm-1';
+    this.capabilities = ['chat', 'vision', 'stream', 'embedding', 'inference'];
+    this.requestsPerMinute = Infinity;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat(messages, options = {}) {
+    const prompt = this.flattenMessages(messages);
+    return {
+      content: this.respond(prompt, options),
+      model: this.model,
+      usage: { prompt_tokens: this.countTokens(prompt), completion_tokens: 0, total_tokens: this.countTokens(prompt) }
+    };
+  }
+
+  async chatStream(messages, options = {}) {
+    const { content } = await this.chat(messages, options);
+    const words = content.split(/(\s+)/);
+
+    async function* deltas() {
+      for (let i = 0; i < words.length; i += 8) {
+        yield words.slice(i, i + 8).join('');
+      }
+    }
+
+    return { model: this.model, stream: deltas(), abort: () => {} };
+  }
+
+  async embed(text) {
+    return { embedding: this.hashEmbedding(text), model: 'mock-embedding-384' };
+  }
+
+  async inference(model, payload = {}) {
+    const input = Array.isArray(payload.inputs) ? payload.inputs.join(' ') : String(payload.inputs || '');
+    const sentences = this.sentences(input);
+
+    if (/bart|summar/i.test(model)) {
+      return [{ summary_text: sentences.slice(0, 2).join(' ') || input.substring(0, 200) }];
+    }
+    return [{ generated_text: sentences[0] || input.substring(0, 200) }];
+  }
+
+  /**
+   * Pick a response shape from the prompt: quiz JSON, mind map JSON, OCR text or a plain answer
+   */
+  respond(prompt, options = {}) {
+    const lower = prompt.toLowerCase();
+    const material = this.extractMaterial(prompt);
+
+    if (lower.includes('quiz') && lower.includes('"questions"')) {
+      return JSON.stringify(this.buildQuiz(prompt, material), null, 2);
+    }
+
+    if (lower.includes('mindmap') && lower.includes('json')) {
+      return JSON.stringify(this.buildMindmap(material), null, 2);
+    }
+
+    if (lower.includes('standalone question:')) {
+      return this.rewriteFollowUp(prompt);
+    }
+
+    if (lower.includes('updated summary:')) {
+      const questions = (prompt.match(/^User: .*$/gm) || []).map(line => line.replace(/^User: /, ''));
+      return `The student asked about: ${questions.join('; ') || 'general study topics'}.`;
+    }
+
+    if (options.vision && lower.includes('extract')) {
+      return `Mock OCR text ${this.digest(prompt).substring(0, 8)}\nThe image contains study notes.`;
+    }
+
+    const sentences = this.sentences(material);
+    const summary = sentences.slice(0, 3).join(' ');
+    return summary
+      ? `Based on your study material: ${summary}`
+      : `Mock answer ${this.digest(prompt).substring(0, 8)}: no study material was provided for this question.`;
+  }
+
+  buildQuiz(prompt, material) {
+    const count = Math.max(1, Math.min(20, parseInt((prompt.match(/with (\d+) questions/) || [])[1], 10) || 5));
+    const difficulty = (prompt.match(/Generate a (\w+) difficulty/) || [])[1] || 'medium';
+    const keywords = this.keywords(material, count + 3);
+    const sentences = this.sentences(material);
+    const labels = ['A', 'B', 'C', 'D'];
+
+    const questions = [];
+    for (let i = 0; i < count; i++) {
+      const answer = keywords[i % keywords.length] || `concept ${i + 1}`;
+      const distractors = keywords.filter(word => word !== answer).slice(i % 3, (i % 3) + 3);
+      while (distractors.length < 3) distractors.push(`option ${distractors.length + 2}`);
+
+      // Rotate the correct answer through A-D so it is not always first
+      const choices = [...distractors];
+      choices.splice(i % 4, 0, answer);
+      const options = choices.map((choice, index) => `${labels[index]}) ${choice}`);
+
+      const sentence = sentences.find(s => s.toLowerCase().includes(answer.toLowerCase())) || `${answer} appears in the study material.`;
+      questions.push({
+        id: `q${i + 1}`,
+        type: 'multiple-choice',
+        question: `Which term completes the statement: "${sentence.replace(new RegExp(answer, 'i'), '____')}"?`,
+        options,
+        correctAnswer: options[i % 4],
+        explanation: `The material states: ${sentence}`,
+        topic: keywords[0] || 'General'
+      });
+    }
+
+    return {
+      title: `Quiz on ${keywords[0] || 'your study material'}`,
+      description: 'Generated by the offline mock provider',
+      difficulty,
+      questionCount: count,
+      questions
+    };
+  }
+
+  buildMindmap(material) {
+    const keywords = this.keywords(material, 20);
+    const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1);
+
+    return {
+      title: keywords[0] ? `${capitalize(keywords[0])} Overview` : 'Study Overview',
+      nodes: keywords.slice(0, 5).map((word, index) => ({
+        id: `main-${index + 1}`,
+        label: capitalize(word),
+        type: 'main',
+        description: `Main concept: ${word}`,
+        subNodes: keywords.slice(5 + index * 3, 8 + index * 3).map((subWord, subIndex) => ({
+          id: `sub-${index + 1}-${subIndex + 1}`,
+          label: capitalize(subWord),
+          type: 'sub',
+          description: `Related to ${word}`
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Follow-up plus the main keywords of the previous user question
+   */
+  rewriteFollowUp(prompt) {
+    const followUp = ((prompt.match(/Follow-up question: (.*)/) || [])[1] || '').trim();
+    const userTurns = prompt.match(/^User: .*$/gm) || [];
+    const previous = (userTurns[userTurns.length - 1] || '').replace(/^User: /, '');
+    const topic = this.keywords(previous, 4).join(' ');
+
+    return topic ? `${followUp.replace(/[?.!]+$/, '')} (regarding ${topic})?` : followUp;
+  }
+
+  /**
+   * Hashed bag-of-words vector: texts sharing words get similar vectors
+   */
+  hashEmbedding(text) {
+    const vector = new Array(EMBEDDING_DIMENSION).fill(0);
+    const tokens = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    tokens.forEach(token => {
+      const hash = crypto.createHash('md5').update(token).digest();
+      const index = hash.readUInt32BE(0) % EMBEDDING_DIMENSION;
+      vector[index] += hash[4] % 2 === 0 ? 1 : -1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+
+  flattenMessages(messages) {
+    return messages.map(message => {
+      if (typeof message.content === 'string') return message.content;
+      return (message.content || [])
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+    }).join('\n\n');
+  }
+
+  /**
+   * Use the context/content section of a prompt when present, otherwise the whole prompt
+   */
+  extractMaterial(prompt) {
+    const markers = ['Context information:', 'Content:', 'Text:', '**EXTRACTED CONTENT (numbered sources):**', '**CONTEXT FROM IMAGE (numbered sources):**'];
+    for (const marker of markers) {
+      const index = prompt.lastIndexOf(marker);
+      if (index !== -1) {
+        return prompt.substring(index + marker.length).split(/\n\nQuestion:|\*\*PREVIOUS STUDY SESSIONS/)[0].trim();
+      }
+    }
+    return prompt;
+  }
+
+  sentences(text) {
+    return String(text || '')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(sentence => sentence.replace(/^Evidence:\s*/, '').trim())
+      .filter(sentence => sentence.length > 10);
+  }
+
+  /**
+   * Most frequent non-trivial words, ties broken alphabetically for determinism
+   */
+  keywords(text, limit) {
+    const counts = new Map();
+    (String(text || '').toLowerCase().match(/[a-z][a-z-]{3,}/g) || [])
+      .filter(word => !STOP_WORDS.has(word))
+      .forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([word]) => word);
+  }
+
+  countTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+  }
+
+  digest(text) {
+    return crypto.createHash('sha1').update(String(text || '')).digest('hex');
+  }
+}
+
+module.exports = MockProvider;
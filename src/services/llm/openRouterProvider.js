@@ -0,0 +1,54 @@
+const axios = require('axios');
+
+/**
+ * OpenRouter chat completions (text and vision models)
+ */
+class OpenRouterProvider {
+  constructor() {
+    this.name = 'openrouter';
+    this.apiKey = process.env.OPENROUTER_API_KEY;
+    this.apiUrl = 'https://openrouter.ai/api/v1/chat/completions';
+    this.textModel = process.env.OPENROUTER_TEXT_MODEL || 'meta-llama/llama-3.2-11b-instruct:free';
+    this.visionModel = process.env.OPENROUTER_VISION_MODEL || 'qwen/qwen2.5-vl-32b-instruct:free';
+    this.capabilities = ['chat', 'vision'];
+    this.requestsPerMinute = 20; // free-tier models are heavily throttled
+    this.timeout = 30000;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async chat(messages, options = {}) {
+    const model = options.model || (options.vision ? this.visionModel : this.textModel);
+
+    const response = await axios.post(this.apiUrl, {
+      model,
+      messages,
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP ?? 0.9
+    }, {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'HTTP-Referer': 'https://your-app-domain.com',
+        'X-Title': 'AI Study Helper'
+      },
+      timeout: options.timeout || this.timeout
+    });
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content || !content.trim()) {
+      throw new Error('OpenRouter returned an empty response');
+    }
+
+    return {
+      content: content.trim(),
+      model,
+      usage: response.data.usage
+    };
+  }
+}
+
+module.exports = OpenRouterProvider;
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Prints messages to the server log. Default when no SMTP server is configured.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    console.log(`📨 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,27 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Writes each message to MAIL_OUTPUT_DIR as JSON instead of sending it, so verification
+ * and reset links can be picked up in local development and tests.
+ */
+class FileTransport {
+  constructor() {
+    this.name = 'file';
+    this.outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'data/mail');
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(this.outputDir, { recursive: true });
+
+    const filePath = path.join(this.outputDir, `${messageId}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ messageId, date: new Date(), ...message }, null, 2));
+
+    console.log(`📨 Mail to ${message.to} written to ${filePath}`);
+    return { messageId };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,68 @@
+const templates = require('./templates');
+
+/**
+ * Mail transport selection.
+ * MAIL_TRANSPORT=smtp | file | console. Defaults to smtp when SMTP_HOST is set, console otherwise.
+ */
+const TRANSPORTS = {
+  smtp: () => require('./smtpTransport'),
+  file: () => require('./fileTransport'),
+  console: () => require('./consoleTransport')
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.from = process.env.MAIL_FROM || 'AI Study Helper <no-reply@localhost>';
+  }
+
+  getTransportName() {
+    return (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  }
+
+  /**
+   * Get the configured transport (created once)
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name = this.getTransportName();
+      const loadTransport = TRANSPORTS[name];
+
+      if (!loadTransport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+      }
+
+      const Transport = loadTransport();
+      this.transport = new Transport();
+      console.log(`📮 Mail transport: ${this.transport.name}`);
+    }
+    return this.transport;
+  }
+
+  /**
+   * @param {{to: string, subject: string, text: string, html?: string}} message
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send(message) {
+    return this.getTransport().send({ from: this.from, ...message });
+  }
+
+  async sendTemplate(to, templateName, data) {
+    const template = templates[templateName];
+    if (!template) {
+      throw new Error(`Unknown mail template: ${templateName}`);
+    }
+    return this.send({ to, ...template(data) });
+  }
+
+  /**
+   * Send without blocking the request; failures are only logged
+   */
+  sendInBackground(to, templateName, data) {
+    this.sendTemplate(to, templateName, data).catch(error => {
+      console.error(`Failed to send ${templateName} mail to ${to}:`, error.message);
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,28 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS).
+ * Port 465 uses implicit TLS; other ports upgrade with STARTTLS when the server offers it.
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -0,0 +1,76 @@
+const APP_NAME = process.env.APP_NAME || 'AI Study Helper';
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const layout = (heading, body, actionText, actionUrl, footer) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2>${heading}</h2>
+    <p>${body}</p>
+    <p><a href="${actionUrl}" style="display: inline-block; padding: 10px 18px; background: #4f46e5; color: #ffffff; text-decoration: none; border-radius: 6px;">${actionText}</a></p>
+    <p style="font-size: 13px; color: #6b7280;">Or paste this link into your browser:<br>${actionUrl}</p>
+    <p style="font-size: 13px; color: #6b7280;">${footer}</p>
+  </body>
+</html>`;
+
+/**
+ * Email address confirmation sent after registration
+ */
+const emailVerification = ({ username, token, expiresInHours }) => {
+  const url = `${frontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  const footer = `This link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`;
+
+  return {
+    subject: `Verify your ${APP_NAME} email address`,
+    text: `Hi ${username},\n\nConfirm your email address to finish setting up your ${APP_NAME} account:\n${url}\n\n${footer}`,
+    html: layout('Confirm your email', `Hi ${escapeHtml(username)}, confirm your email address to finish setting up your ${APP_NAME} account.`, 'Verify email', url, footer)
+  };
+};
+
+/**
+ * Password reset link requested through /api/auth/forgot-password
+ */
+const passwordReset = ({ username, token, expiresInMinutes }) => {
+  const url = `${frontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  const footer = `This link expires in ${expiresInMinutes} minutes and can be used once. If you did not ask to reset your password, you can ignore this email.`;
+
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    text: `Hi ${username},\n\nSomeone asked to reset the password for your ${APP_NAME} account. Choose a new password here:\n${url}\n\n${footer}`,
+    html: layout('Reset your password', `Hi ${escapeHtml(username)}, someone asked to reset the password for your ${APP_NAME} account.`, 'Choose a new password', url, footer)
+  };
+};
+
+/**
+ * Confirmation that the password was changed and other devices were signed out
+ */
+const passwordChanged = ({ username }) => ({
+  subject: `Your ${APP_NAME} password was changed`,
+  text: `Hi ${username},\n\nThe password for your ${APP_NAME} account was just changed and all devices were signed out. If this wasn't you, reset your password immediately.`,
+  html: `<p>Hi ${escapeHtml(username)},</p><p>The password for your ${APP_NAME} account was just changed and all devices were signed out. If this wasn't you, reset your password immediately.</p>`
+});
+
+/**
+ * Calendar task reminder sent by the reminder scheduler
+ */
+const studyReminder = ({ username, title, message }) => {
+  const url = `${frontendUrl()}/calendar`;
+  const footer = `You are receiving this because the task has an email reminder. Change reminders in your ${APP_NAME} calendar.`;
+
+  return {
+    subject: `Reminder: ${title}`,
+    text: `Hi ${username},\n\n${title}\n${message}\n${url}\n\n${footer}`,
+    html: layout(`Reminder: ${escapeHtml(title)}`, `Hi ${escapeHtml(username)}, ${escapeHtml(message)}`, 'Open calendar', url, footer)
+  };
+};
+
+module.exports = {
+  emailVerification,
+  passwordReset,
+  passwordChanged,
+  studyReminder
+};
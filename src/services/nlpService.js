@@ -1,11 +1,9 @@
-const axios = require('axios');
+const llmGateway = require('./llm');
 
 class NLPService {
   constructor() {
     this.hfApiKey = process.env.HF_API_KEY;
     this.openRouterApiKey = process.env.OPENROUTER_API_KEY;
-    this.hfApiUrl = 'https://api-inference.huggingface.co/models';
-    this.openRouterApiUrl = 'https://openrouter.ai/api/v1/chat/completions';
     
          // Debug: Log API key status
      console.log('🔑 NLP Service - API Keys Status:', {
@@ -147,7 +145,7 @@ class NLPService {
        const combinedText = textChunks.join('\n\n');
        
        // Try to use HF inference for enhanced content generation
-       if (this.hfApiKey) {
+       if (this.canUseInference()) {
          console.log('🌐 Using HF inference for enhanced content generation...');
          
          try {
@@ -222,9 +220,9 @@ class NLPService {
       // Ensure textChunks is an array
       const chunksArray = Array.isArray(textChunks) ? textChunks : [textChunks || ''];
       
-      if (!this.openRouterApiKey) {
-        console.log('⚠️ OpenRouter API key not configured, falling back to text processing');
-        return { success: false, error: 'OpenRouter API key not configured' };
+      if (!llmGateway.isTaskAvailable('vision', 'vision')) {
+        console.log('⚠️ No vision provider configured, falling back to text processing');
+        return { success: false, error: 'No vision provider configured' };
       }
 
       const imageUrls = evidence
@@ -247,8 +245,8 @@ class NLPService {
       
       const response = await this.callOpenRouterVisionAPI(visionPrompt, imageUrls);
       
-      if (response && response.choices && response.choices[0]) {
-        const content = response.choices[0].message.content;
+      if (response && response.content) {
+        const content = response.content;
         
         // Parse the structured response
         const parsedContent = this.parseVisionResponseOptimized(content);
@@ -263,7 +261,7 @@ class NLPService {
           }],
           totalChunks: 1,
           method: 'qwen-vision-enhanced',
-          visionModel: this.visionModel
+          visionModel: response.model
         };
       }
       
@@ -621,8 +619,8 @@ EDUCATIONAL INSIGHTS: [What students should learn and how this fits into a broad
     */
    async generateEnhancedSummaryWithHF(text, evidence) {
      try {
-       if (!this.hfApiKey) {
-         throw new Error('HF API key not configured');
+       if (!this.canUseInference()) {
+         throw new Error('No inference provider configured');
        }
        
        const prompt = `Based on this text extracted from an image: "${text.substring(0, 500)}", provide a concise 2-3 sentence summary of the main concepts. Focus on educational value and key terms.`;
@@ -657,8 +655,8 @@ EDUCATIONAL INSIGHTS: [What students should learn and how this fits into a broad
     */
    async generateEnhancedExplanationWithHF(text, evidence) {
      try {
-       if (!this.hfApiKey) {
-         throw new Error('HF API key not configured');
+       if (!this.canUseInference()) {
+         throw new Error('No inference provider configured');
        }
        
        const prompt = `Explain this educational content in detail: "${text.substring(0, 400)}". Focus on key concepts, relationships, and educational value.`;
@@ -694,8 +692,8 @@ EDUCATIONAL INSIGHTS: [What students should learn and how this fits into a broad
     */
    async generateEnhancedMCQsWithHF(text, evidence) {
      try {
-       if (!this.hfApiKey) {
-         throw new Error('HF API key not configured');
+       if (!this.canUseInference()) {
+         throw new Error('No inference provider configured');
        }
        
        const concepts = this.extractKeyConcepts(text);
@@ -1001,7 +999,7 @@ EDUCATIONAL INSIGHTS: [What students should learn and how this fits into a broad
       const truncatedText = text.length > maxLength ? 
         text.substring(0, maxLength) + '...' : text;
       
-      if (this.hfApiKey) {
+      if (this.canUseInference()) {
       const response = await this.callHuggingFaceAPI(
         this.models.summarizer,
         {
@@ -1036,7 +1034,7 @@ EDUCATIONAL INSIGHTS: [What students should learn and how this fits into a broad
     try {
       const prompt = `Explain this in simple terms: ${text.substring(0, 400)}`;
       
-      if (this.hfApiKey) {
+      if (this.canUseInference()) {
       const response = await this.callHuggingFaceAPI(
         this.models.explanation,
         {
@@ -1070,7 +1068,7 @@ EDUCATIONAL INSIGHTS: [What students should learn and how this fits into a broad
    */
   async generateMCQsOptimized(text, evidence, options = {}) {
     try {
-      if (this.hfApiKey) {
+      if (this.canUseInference()) {
         const prompt = this.buildMCQPromptOptimized(text, evidence, options);
       
       const response = await this.callHuggingFaceAPI(
@@ -1187,95 +1185,35 @@ Generate questions now:`;
   }
 
   /**
-   * Call OpenRouter Vision API
+   * Call a vision model through the LLM gateway
    */
   async callOpenRouterVisionAPI(prompt, imageUrls) {
     try {
-      const messages = [
-        {
-          role: 'user',
-          content: [
-            { type: 'text', text: prompt },
-            ...imageUrls.map(url => ({ type: 'image_url', image_url: { url } }))
-          ]
-        }
-      ];
-
-      const response = await axios.post(this.openRouterApiUrl, {
-        model: this.visionModel,
-        messages: messages,
-        max_tokens: 2000,
+      return await llmGateway.vision(prompt, imageUrls, {
+        task: 'vision',
+        maxTokens: 2000,
         temperature: 0.7,
-        top_p: 0.9
-      }, {
-        headers: {
-          'Authorization': `Bearer ${this.openRouterApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://your-app-domain.com',
-          'X-Title': 'AI Study Helper'
-        },
         timeout: 60000
       });
-
-      return response.data;
-
     } catch (error) {
-      console.error('OpenRouter Vision API call failed:', error);
+      console.error('Vision API call failed:', error.message);
       throw new Error(`Vision API failed: ${error.message}`);
     }
   }
 
   /**
-   * Call Hugging Face API with retry logic
+   * Call a Hugging Face task model through the LLM gateway (retries and circuit breaking live there)
    */
   async callHuggingFaceAPI(model, payload, retries = 2) {
     console.log(`🌐 Calling HF API for model: ${model}`);
-    
-    if (!this.hfApiKey) {
-      throw new Error('Hugging Face API key not configured');
-    }
-    
-    for (let attempt = 0; attempt <= retries; attempt++) {
-      try {
-        // Use standard model endpoint - HF will auto-detect the task
-        const endpoint = `${this.hfApiUrl}/${model}`;
-        
-        console.log(`🔗 Using endpoint: ${endpoint}`);
-        
-        const response = await axios.post(
-          endpoint,
-          payload,
-          {
-            headers: {
-              'Authorization': `Bearer ${this.hfApiKey}`,
-              'Content-Type': 'application/json'
-            },
-            timeout: 30000
-          }
-        );
-        
-        return response.data;
-        
-      } catch (error) {
-        console.log(`API call failed, retrying... (${attempt + 1}/${retries})`);
-        
-        // Log detailed error information
-        if (error.response) {
-          console.log(`Error Status: ${error.response.status}`);
-          console.log(`Error Data:`, error.response.data);
-        } else if (error.request) {
-          console.log('No response received from API');
-        } else {
-          console.log('Error setting up request:', error.message);
-        }
-        
-        if (attempt === retries) {
-          throw error;
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
-      }
-    }
+    return llmGateway.inference(model, payload, { retries });
+  }
+
+  /**
+   * Whether a provider for raw model inference (HF or mock) is available
+   */
+  canUseInference() {
+    return llmGateway.isTaskAvailable('inference', 'inference');
   }
 
   /**
@@ -1393,64 +1331,13 @@ Generate questions now:`;
    */
   async generateEmbeddings(text) {
     try {
-      if (this.hfApiKey) {
-        // Try different text lengths if the first attempt fails
-        const textLengths = [500, 300, 200, 100];
-        
-        for (const maxLength of textLengths) {
-          try {
-            const truncatedText = text.length > maxLength ? 
-              text.substring(0, maxLength) + '...' : text;
-            
-            console.log(`📝 Trying with text length: ${truncatedText.length} chars (max: ${maxLength})`);
-            
-            // For sentence-transformers, send text as sentences array
-            const response = await this.callHuggingFaceAPI(
-              this.models.embeddings,
-              {
-                sentences: [truncatedText] // Send as array for sentence-transformers
-              }
-            );
-            
-            // Handle different response formats
-            if (response && Array.isArray(response)) {
-              if (Array.isArray(response[0])) {
-                console.log(`✅ Generated ${response[0].length}-dimensional embedding for image`);
-                return response[0];
-              } else if (typeof response[0] === 'object' && response[0].embedding) {
-                console.log(`✅ Generated ${response[0].embedding.length}-dimensional embedding for image`);
-                return response[0].embedding;
-              } else {
-                console.log(`✅ Generated embedding for image (format: ${typeof response[0]})`);
-                return response[0];
-              }
-            } else if (response && typeof response === 'object' && response.embedding) {
-              console.log(`✅ Generated ${response.embedding.length}-dimensional embedding for image`);
-              return response.embedding;
-            }
-            
-            // If we get here, the response format is unexpected
-            console.log('⚠️ Unexpected response format, trying next length...');
-            continue;
-            
-          } catch (lengthError) {
-            console.log(`❌ Failed with length ${maxLength}: ${lengthError.message}`);
-            if (maxLength === textLengths[textLengths.length - 1]) {
-              // This was the last attempt, throw the error
-              throw lengthError;
-            }
-            // Try the next shorter length
-            continue;
-          }
-        }
-      }
-      
-      // Fallback embedding
-      console.log('⚠️ Using fallback embedding generation');
-      return this.generateFallbackEmbedding(text);
+      const truncatedText = text.length > 500 ? text.substring(0, 500) + '...' : text;
+      const { embedding, provider } = await llmGateway.embed(truncatedText);
+      console.log(`✅ Generated ${embedding.length}-dimensional embedding via ${provider}`);
+      return embedding;
       
     } catch (error) {
-      console.error('Embedding generation failed:', error);
+      console.error('Embedding generation failed:', error.message);
       console.log('🔄 Falling back to local embedding generation');
       return this.generateFallbackEmbedding(text);
     }
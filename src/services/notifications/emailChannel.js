@@ -0,0 +1,25 @@
+const mailService = require('../mail');
+
+/**
+ * Sends reminders through the configured mail transport (see MAIL_TRANSPORT)
+ */
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  async deliver(notification, user) {
+    if (!user?.email) {
+      throw new Error('User has no email address');
+    }
+
+    const { messageId } = await mailService.sendTemplate(user.email, 'studyReminder', {
+      username: user.username,
+      title: notification.title,
+      message: notification.message
+    });
+    return { delivered: true, messageId };
+  }
+}
+
+module.exports = EmailChannel;
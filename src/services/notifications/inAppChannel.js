@@ -0,0 +1,14 @@
+/**
+ * The inbox itself: storing the notification is the delivery
+ */
+class InAppChannel {
+  constructor() {
+    this.name = 'in_app';
+  }
+
+  async deliver() {
+    return { delivered: true };
+  }
+}
+
+module.exports = InAppChannel;
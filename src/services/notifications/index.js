@@ -0,0 +1,128 @@
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+
+/**
+ * Delivery channels. Every notification lands in the in-app inbox; email and webhook
+ * notifications are additionally pushed out through their channel.
+ */
+const CHANNELS = {
+  in_app: () => require('./inAppChannel'),
+  email: () => require('./emailChannel'),
+  webhook: () => require('./webhookChannel')
+};
+
+// Calendar reminder types -> channel. SMS gateways are reached through the webhook.
+const REMINDER_CHANNELS = {
+  notification: 'in_app',
+  email: 'email',
+  webhook: 'webhook',
+  sms: 'webhook'
+};
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    this.maxAttempts = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+  }
+
+  getChannel(name) {
+    if (!this.channels.has(name)) {
+      const loadChannel = CHANNELS[name];
+      if (!loadChannel) {
+        throw new Error(`Unknown notification channel "${name}"`);
+      }
+      const Channel = loadChannel();
+      this.channels.set(name, new Channel());
+    }
+    return this.channels.get(name);
+  }
+
+  /**
+   * Replace a channel implementation (e.g. a different SMS or push provider behind the webhook name)
+   */
+  registerChannel(name, channel) {
+    this.channels.set(name, channel);
+  }
+
+  channelForReminder(type) {
+    return REMINDER_CHANNELS[type] || 'in_app';
+  }
+
+  /**
+   * Store a notification. With a dedupeKey, only the first call creates it;
+   * later calls return null, so callers can safely retry.
+   */
+  async create(userId, { type = 'system', title, message, data = {}, channel = 'in_app', dedupeKey }) {
+    try {
+      return await Notification.create({ userId, type, title, message, data, channel, dedupeKey });
+    } catch (error) {
+      if (error.code === 11000 && dedupeKey) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Push a stored notification through its channel and record the outcome
+   */
+  async deliver(notification) {
+    const attempts = notification.delivery.attempts + 1;
+
+    try {
+      const user = notification.channel === 'in_app'
+        ? null
+        : await User.findById(notification.userId).select('username email');
+      await this.getChannel(notification.channel).deliver(notification, user);
+
+      notification.delivery = { status: 'sent', attempts, lastError: null, sentAt: new Date() };
+    } catch (error) {
+      console.error(`❌ ${notification.channel} notification ${notification._id} failed (attempt ${attempts}):`, error.message);
+      notification.delivery = {
+        status: attempts >= this.maxAttempts ? 'failed' : 'pending',
+        attempts,
+        lastError: error.message,
+        sentAt: null
+      };
+    }
+
+    await notification.save();
+    return notification;
+  }
+
+  /**
+   * Create and deliver in one step; returns null when the dedupeKey was already used
+   */
+  async notify(userId, payload) {
+    const notification = await this.create(userId, payload);
+    if (!notification) return null;
+    return this.deliver(notification);
+  }
+
+  /**
+   * Retry deliveries that failed or were interrupted (e.g. by a restart)
+   */
+  async retryPending({ olderThanMs = 60 * 1000, limit = 50 } = {}) {
+    let retried = 0;
+
+    while (retried < limit) {
+      // Claiming bumps updatedAt, so other instances skip it while it is being delivered
+      const notification = await Notification.findOneAndUpdate(
+        {
+          'delivery.status': 'pending',
+          'delivery.attempts': { $lt: this.maxAttempts },
+          updatedAt: { $lt: new Date(Date.now() - olderThanMs) }
+        },
+        { $set: { 'delivery.status': 'pending' } },
+        { sort: { updatedAt: 1 }, new: true }
+      );
+      if (!notification) break;
+
+      await this.deliver(notification);
+      retried += 1;
+    }
+    return retried;
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * POSTs notifications as JSON to NOTIFICATION_WEBHOOK_URL (chat bots, SMS gateways).
+ * With NOTIFICATION_WEBHOOK_SECRET set, the body is signed in the X-Signature header
+ * as `sha256=<hex hmac>`.
+ */
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+    this.url = process.env.NOTIFICATION_WEBHOOK_URL || '';
+    this.secret = process.env.NOTIFICATION_WEBHOOK_SECRET || '';
+    this.timeoutMs = parseInt(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+  }
+
+  async deliver(notification, user) {
+    if (!this.url) {
+      throw new Error('NOTIFICATION_WEBHOOK_URL is not configured');
+    }
+
+    const body = JSON.stringify({
+      id: String(notification._id),
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data,
+      user: { id: String(user?._id || notification.userId), email: user?.email },
+      createdAt: notification.createdAt
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.secret) {
+      headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    const response = await axios.post(this.url, body, { headers, timeout: this.timeoutMs });
+    return { delivered: true, status: response.status };
+  }
+}
+
+module.exports = WebhookChannel;
@@ -1,7 +1,131 @@
+const crypto = require('crypto');
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
-const axios = require('axios');
 const dashscopeService = require('./dashscopeService');
+const llmGateway = require('./llm');
+const { getStorageProvider } = require('./storage');
+const { extractFormula, toLatex, latexToText, parseEquation } = require('../utils/latex');
+const imageFilters = require('../utils/imageFilters');
+
+// Vision lines are matched to Tesseract lines at most this far ahead of the last match
+const ALIGN_LOOKAHEAD = 8;
+const MIN_LINE_SIMILARITY = 0.3;
+// Tesseract-only paragraphs below this confidence are treated as noise
+const MIN_PARAGRAPH_CONFIDENCE = 0.6;
+
+const FORMULA_PROMPT = 'List every mathematical formula, equation and chemical equation in this image as LaTeX, one per line, in reading order. Return ONLY the LaTeX, without $ delimiters, numbering or explanations. Return NONE if there are no formulas.';
+
+/**
+ * Preprocessing per kind of image. Steps run in this order: perspective (flatten a
+ * photographed page), invert (light writing on a dark background), removeShadows, deskew,
+ * threshold (adaptive, to black and white); denoise is a median filter of that size,
+ * upscale enlarges small screenshots and tesseract holds the Tesseract parameters.
+ */
+const PREPROCESSING_PROFILES = {
+  printed: {
+    deskew: true,
+    sharpen: true,
+    tesseract: { tessedit_pageseg_mode: Tesseract.PSM.AUTO }
+  },
+  handwriting: {
+    perspective: true,
+    removeShadows: true,
+    deskew: true,
+    denoise: 3,
+    visionHint: 'The image shows handwritten notes; read the handwriting carefully.',
+    tesseract: { tessedit_pageseg_mode: Tesseract.PSM.SINGLE_COLUMN }
+  },
+  whiteboard: {
+    perspective: true,
+    invert: true,
+    removeShadows: true,
+    threshold: true,
+    denoise: 3,
+    visionHint: 'The image is a photo of a whiteboard or blackboard.',
+    tesseract: { tessedit_pageseg_mode: Tesseract.PSM.SPARSE_TEXT }
+  },
+  screenshot: {
+    upscale: true,
+    invert: true,
+    sharpen: true,
+    tesseract: { tessedit_pageseg_mode: Tesseract.PSM.AUTO }
+  },
+  'low-light': {
+    brighten: true,
+    removeShadows: true,
+    deskew: true,
+    threshold: true,
+    denoise: 5,
+    tesseract: { tessedit_pageseg_mode: Tesseract.PSM.AUTO }
+  }
+};
+
+// Auto-detection: flat screen backgrounds, dim photos, sparse board writing, uneven strokes
+const SCREENSHOT_MODE_FRACTION = 0.3;
+const LOW_LIGHT_MEAN = 90;
+const WHITEBOARD_INK_FRACTION = 0.04;
+const HANDWRITING_STROKE_VARIATION = 0.6;
+
+const MAX_PROCESSING_SIZE = 1500;
+// Screenshots narrower than this are enlarged 2x so small UI fonts are readable
+const MIN_SCREENSHOT_WIDTH = 1000;
+// Smaller skew is left alone
+const MIN_DESKEW_DEGREES = 0.5;
+
+const REGION_TYPES = {
+  HEADING_TEXT: 'header',
+  PULLOUT_TEXT: 'header',
+  CAPTION_TEXT: 'caption',
+  EQUATION: 'equation',
+  INLINE_EQUATION: 'equation'
+};
+
+// Tesseract {x0, y0, x1, y1} as {x, y, width, height}
+const toBbox = ({ x0, y0, x1, y1 }) => ({ x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+
+const unionBbox = (boxes) => {
+  const x0 = Math.min(...boxes.map(box => box.x));
+  const y0 = Math.min(...boxes.map(box => box.y));
+  const x1 = Math.max(...boxes.map(box => box.x + box.width));
+  const y1 = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+};
+
+// Box around the four corners of `bbox` after mapping them with `map(x, y)`
+const mapBbox = (bbox, map) => {
+  const corners = [
+    map(bbox.x, bbox.y),
+    map(bbox.x + bbox.width, bbox.y),
+    map(bbox.x, bbox.y + bbox.height),
+    map(bbox.x + bbox.width, bbox.y + bbox.height)
+  ];
+  const x0 = Math.min(...corners.map(point => point.x));
+  const y0 = Math.min(...corners.map(point => point.y));
+  return {
+    ...bbox,
+    x: Math.round(x0),
+    y: Math.round(y0),
+    width: Math.round(Math.max(...corners.map(point => point.x)) - x0),
+    height: Math.round(Math.max(...corners.map(point => point.y)) - y0)
+  };
+};
+
+const tokenize = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Dice coefficient of two token lists
+const tokenSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const counts = new Map();
+  a.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  let common = 0;
+  b.forEach(token => {
+    if (counts.get(token) > 0) {
+      common += 1;
+      counts.set(token, counts.get(token) - 1);
+    }
+  });
+  return (2 * common) / (a.length + b.length);
+};
 
 class OCRService {
   constructor() {
@@ -26,7 +150,7 @@ class OCRService {
     
     try {
       // Check cache first
-      const cacheKey = this.generateCacheKey(imageBuffer);
+      const cacheKey = this.generateCacheKey(imageBuffer, options.preprocessingProfile);
       const cachedResult = this.getFromCache(cacheKey);
       if (cachedResult) {
         console.log('📋 Using cached OCR result');
@@ -37,24 +161,40 @@ class OCRService {
         };
       }
 
-      // 1. Preprocess image (optimized)
-      const preprocessedBuffer = await this.preprocessImageOptimized(imageBuffer, options);
+      // 1. Preprocess image with the requested (or detected) profile
+      const preprocessing = await this.preprocessImageOptimized(imageBuffer, options);
+      const preprocessedBuffer = preprocessing.buffer;
+      const ocrOptions = { ...options, preprocessingProfile: preprocessing.profile };
       
       // 2. Run OCR with optimized settings
       console.log('🔍 Running optimized OCR...');
-      let ocrResult = await this.runOptimizedOCR(preprocessedBuffer, options);
+      let ocrResult = await this.runOptimizedOCR(preprocessedBuffer, ocrOptions);
       
       // 3. If OCR fails or has no evidence, try DashScope fallback
-      if ((!ocrResult.success || !ocrResult.evidence || ocrResult.evidence.length === 0) && dashscopeService.isAvailable()) {
+      if ((!ocrResult.results || ocrResult.results.length === 0) && llmGateway.isTaskAvailable('ocr-fallback', 'vision')) {
         console.log('🔄 Primary OCR failed or no evidence, trying DashScope fallback...');
-        ocrResult = await dashscopeService.processImageOCR(preprocessedBuffer, options);
+        ocrResult = await dashscopeService.processImageOCR(preprocessedBuffer, ocrOptions);
+      }
+      
+      // Equations become their own regions, with LaTeX
+      const formulas = await this.recognizeFormulas(preprocessedBuffer, ocrResult.results || []);
+      if (formulas.length > 0) {
+        ocrResult.results = [...(ocrResult.results || []), ...formulas];
       }
       
+      // Regions were found on the preprocessed (resized, flattened, deskewed) image; map them back onto the original
+      const sourceSize = await this.getImageSize(imageBuffer);
+      this.mapRegions(ocrResult, preprocessing.toSource);
+      
       // 4. Post-process and clean results
       const cleanedResults = await this.postProcessResultsOptimized(ocrResult);
       
       // 5. Generate evidence records
-      const evidenceRecords = await this.generateEvidenceRecordsOptimized(cleanedResults, options);
+      const evidenceRecords = await this.generateEvidenceRecordsOptimized(cleanedResults, {
+        ...options,
+        imageSize: sourceSize,
+        preprocessing
+      });
       
       const processingTime = Date.now() - startTime;
       
@@ -66,6 +206,8 @@ class OCRService {
         processingTime: Date.now() - startTime,
         totalRegions: evidenceRecords.length,
         averageConfidence: this.calculateAverageConfidence(evidenceRecords),
+        preprocessingProfile: preprocessing.profile,
+        profileDetected: preprocessing.detected,
         fallbackUsed: false
       };
 
@@ -85,122 +227,234 @@ class OCRService {
   }
 
   /**
-   * Optimized image preprocessing
+   * Preprocess an image for OCR with a profile: options.preprocessingProfile, or 'auto' (the
+   * default) to pick one from the image. Returns the processed JPEG, the profile, whether it
+   * was detected, the steps applied (as stored in Evidence metadata.preprocessing) and
+   * `toSource(x, y)`, which maps a point of the processed image onto the original.
    */
   async preprocessImageOptimized(imageBuffer, options = {}) {
+    const requested = options.preprocessingProfile || 'auto';
+
     try {
-      let processed = sharp(imageBuffer);
-      
-      // Auto-rotate based on EXIF data
-      processed = processed.rotate();
-      
-      // Optimize size for faster processing
-      const metadata = await processed.metadata();
-      if (metadata.width > 1500 || metadata.height > 1500) {
-        processed = processed.resize(1500, 1500, { fit: 'inside' });
+      if (requested !== 'auto' && !PREPROCESSING_PROFILES[requested]) {
+        throw new Error(`Unknown preprocessing profile: ${requested}`);
       }
-      
-      // Apply minimal enhancement for speed
-      processed = processed
-        .sharpen()
-        .normalize();
-      
-      // Convert to grayscale for better OCR
-      if (options.convertToGrayscale !== false) {
-        processed = processed.grayscale();
+
+      // Auto-rotate based on EXIF data, limit the size and convert to grayscale
+      const sourceSize = await this.getImageSize(imageBuffer);
+      let image = this.toGrayImage(await sharp(imageBuffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .resize(MAX_PROCESSING_SIZE, MAX_PROCESSING_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .grayscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true }));
+
+      const steps = [];
+      const scaleX = sourceSize.width / image.width;
+      const scaleY = sourceSize.height / image.height;
+      let toSource = (x, y) => ({ x: x * scaleX, y: y * scaleY });
+      const moveBy = (map) => {
+        const previous = toSource;
+        toSource = (x, y) => {
+          const point = map(x, y);
+          return previous(point.x, point.y);
+        };
+      };
+      if (scaleX !== 1) {
+        steps.push({ method: 'resize', parameters: { width: image.width, height: image.height } });
       }
-      
-      return await processed.toBuffer();
+
+      const detected = requested === 'auto';
+      const stats = detected ? imageFilters.analyze(image) : null;
+      const profile = detected ? this.detectProfile(stats) : requested;
+      const settings = PREPROCESSING_PROFILES[profile];
+      console.log(`🎛️ Preprocessing profile: ${profile}${detected ? ' (detected)' : ''}`);
+
+      // Native filters: enlarge small screenshots, median denoise, local contrast for dim photos
+      const upscale = settings.upscale && image.width < MIN_SCREENSHOT_WIDTH;
+      if (upscale || settings.denoise || settings.brighten) {
+        let pipeline = sharp(Buffer.from(image.data), { raw: { width: image.width, height: image.height, channels: 1 } });
+        if (upscale) {
+          pipeline = pipeline.resize(image.width * 2, image.height * 2, { kernel: 'lanczos3' });
+          moveBy((x, y) => ({ x: x / 2, y: y / 2 }));
+          steps.push({ method: 'upscale', parameters: { factor: 2 } });
+        }
+        if (settings.denoise) {
+          pipeline = pipeline.median(settings.denoise);
+          steps.push({ method: 'denoise', parameters: { median: settings.denoise } });
+        }
+        if (settings.brighten) {
+          pipeline = pipeline.clahe({ width: 64, height: 64, maxSlope: 3 });
+          steps.push({ method: 'brighten', parameters: { clahe: 64 } });
+        }
+        image = this.toGrayImage(await pipeline.raw().toBuffer({ resolveWithObject: true }));
+      }
+
+      if (settings.perspective) {
+        const corners = imageFilters.detectPage(image);
+        if (corners) {
+          const flattened = imageFilters.correctPerspective(image, corners);
+          image = flattened.image;
+          moveBy(flattened.map);
+        }
+        steps.push({ method: 'perspective', applied: Boolean(corners), parameters: corners ? { corners } : undefined });
+      }
+
+      if (settings.invert) {
+        const { darkBackground } = imageFilters.analyze(image);
+        if (darkBackground) image = imageFilters.invert(image);
+        steps.push({ method: 'invert', applied: darkBackground });
+      }
+
+      if (settings.removeShadows) {
+        image = imageFilters.removeShadows(image);
+        steps.push({ method: 'removeShadows' });
+      }
+
+      if (settings.deskew) {
+        const angle = imageFilters.estimateSkew(image);
+        const applied = Math.abs(angle) >= MIN_DESKEW_DEGREES;
+        if (applied) {
+          const rotated = imageFilters.rotate(image, angle);
+          image = rotated.image;
+          moveBy(rotated.map);
+        }
+        steps.push({ method: 'deskew', applied, parameters: { angle } });
+      }
+
+      if (settings.threshold) {
+        image = imageFilters.adaptiveThreshold(image);
+        steps.push({ method: 'adaptiveThreshold' });
+      }
+
+      let output = sharp(Buffer.from(image.data), { raw: { width: image.width, height: image.height, channels: 1 } });
+      if (!settings.threshold) {
+        output = output.normalize();
+        steps.push({ method: 'normalize' });
+        if (settings.sharpen) {
+          output = output.sharpen();
+          steps.push({ method: 'sharpen' });
+        }
+      }
+
+      return {
+        buffer: await output.jpeg({ quality: 95 }).toBuffer(),
+        profile,
+        detected,
+        steps: steps.map(step => ({ applied: true, ...step })),
+        toSource
+      };
       
     } catch (error) {
       console.error('Optimized image preprocessing failed:', error);
-      return imageBuffer; // Return original if preprocessing fails
+      // OCR the original; its boxes need no mapping
+      return { buffer: imageBuffer, profile: 'none', detected: false, steps: [], toSource: null };
     }
   }
 
   /**
-   * Optimized OCR using Llama Vision API
+   * Pick a preprocessing profile from imageFilters.analyze() measurements
+   */
+  detectProfile(stats) {
+    if (stats.modeFraction >= SCREENSHOT_MODE_FRACTION) return 'screenshot';
+    if (stats.darkBackground) return 'whiteboard'; // blackboards are inverted first
+    if (stats.mean < LOW_LIGHT_MEAN) return 'low-light';
+    if (stats.inkFraction < WHITEBOARD_INK_FRACTION) return 'whiteboard';
+    if (stats.strokeVariation !== null && stats.strokeVariation >= HANDWRITING_STROKE_VARIATION) return 'handwriting';
+    return 'printed';
+  }
+
+  /**
+   * Profile names accepted as options.preprocessingProfile
+   */
+  getPreprocessingProfiles() {
+    return ['auto', ...Object.keys(PREPROCESSING_PROFILES)];
+  }
+
+  // sharp raw output ({ data, info }) as a single-channel imageFilters image
+  toGrayImage({ data, info }) {
+    const { width, height, channels } = info;
+    const gray = new Uint8ClampedArray(width * height);
+    for (let index = 0; index < gray.length; index++) gray[index] = data[index * channels];
+    return { data: gray, width, height };
+  }
+
+  /**
+   * Optimized OCR: text from the vision model, placed on the page by aligning it with
+   * Tesseract's paragraph layout. Falls back to Tesseract text when the vision call fails.
    */
   async runOptimizedOCR(imageBuffer, options = {}) {
+    const profile = PREPROCESSING_PROFILES[options.preprocessingProfile] || PREPROCESSING_PROFILES.printed;
+    const layoutPromise = this.recognizeLayout(imageBuffer, profile.tesseract).catch(error => {
+      console.error('Tesseract layout analysis failed:', error.message);
+      return null;
+    });
+
     try {
-             console.log('🖼️ Using Qwen Vision API for OCR...');
+      console.log('🖼️ Using Qwen Vision API for OCR...');
       
       // Convert image buffer to base64
       const base64Image = imageBuffer.toString('base64');
       const dataUrl = `data:image/jpeg;base64,${base64Image}`;
       
       // Create OCR prompt for Llama
-      const ocrPrompt = `Please extract all text from this image. Return ONLY the text content, nothing else. If there are multiple lines, preserve the line breaks. If there are mathematical formulas, preserve them exactly as they appear.`;
+      const ocrPrompt = `Please extract all text from this image. Return ONLY the text content, nothing else. If there are multiple lines, preserve the line breaks. If there are mathematical formulas, preserve them exactly as they appear.${profile.visionHint ? ` ${profile.visionHint}` : ''}`;
 
-             // Call Qwen Vision API
-       const response = await this.callQwenVisionAPI(ocrPrompt, [dataUrl]);
-      
-      if (response && response.choices && response.choices[0]) {
-        const extractedText = response.choices[0].message.content.trim();
-        
-        // Calculate confidence based on text quality
-        let confidence = this.calculateTextConfidence(extractedText);
+      // Call Qwen Vision API while Tesseract finds the layout
+      const [response, layout] = await Promise.all([
+        this.callQwenVisionAPI(ocrPrompt, [dataUrl]),
+        layoutPromise
+      ]);
+      
+      if (response && response.content) {
+        const extractedText = response.content.trim();
+        const results = await this.alignTextToLayout(extractedText, layout, imageBuffer);
         
-                 console.log('✅ Qwen Vision OCR completed');
+        console.log(`✅ Qwen Vision OCR completed (${results.length} region(s))`);
         
-                 return {
-           method: 'qwen-vision-api',
-           results: [{
-             region: { x: 0, y: 0, width: 0, height: 0, confidence: confidence, type: 'text' },
-             text: extractedText,
-             confidence: confidence,
-             method: 'trocr',
-             fallbackUsed: false
-           }],
-           fallbackUsed: false
-         };
+        return {
+          method: 'qwen-vision-api',
+          results,
+          fallbackUsed: false
+        };
       }
       
-             throw new Error('Invalid response from Qwen Vision API');
+      throw new Error('Invalid response from Qwen Vision API');
       
     } catch (error) {
-             console.error('Qwen Vision OCR failed:', error);
+      console.error('Qwen Vision OCR failed:', error);
       
-             // Fallback to Tesseract if Qwen fails
+      // Fallback to Tesseract if Qwen fails
       console.log('🔄 Falling back to Tesseract OCR...');
-      return await this.runTesseractFallback(imageBuffer, options);
+      return await this.runTesseractFallback(imageBuffer, options, await layoutPromise);
     }
   }
 
   /**
-   * Fallback Tesseract OCR method
+   * Fallback Tesseract OCR method: one result per paragraph (`layout` when already recognized)
    */
-  async runTesseractFallback(imageBuffer, options = {}) {
+  async runTesseractFallback(imageBuffer, options = {}, layout = null) {
     try {
-      const { data } = await Tesseract.recognize(imageBuffer, 'eng', {
-        logger: m => {
-          if (m.status === 'recognizing text' && m.progress === 1) {
-            console.log('✅ Tesseract fallback completed');
-          }
-        },
-        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.,!?;:()[\\]{}+-*/=<>≤≥≠≈∞∑∏∫∂√∆∇∈∉⊂⊃∪∩∅∀∃',
-        tessedit_pageseg_mode: '6',
-        preserve_interword_spaces: '1',
-        tessedit_do_invert: '0',
-        textord_heavy_nr: '1',
-        textord_min_linesize: '2.5'
-      });
-      
-      let confidence = data.confidence / 100;
-      if (data.text.trim().length > 10) confidence *= 1.2;
-      if (data.text.match(/[0-9]/)) confidence *= 1.1;
-      confidence = Math.min(confidence, 1.0);
+      const profile = PREPROCESSING_PROFILES[options.preprocessingProfile] || PREPROCESSING_PROFILES.printed;
+      layout = layout || await this.recognizeLayout(imageBuffer, profile.tesseract);
+      
+      const results = layout.paragraphs
+        .filter(paragraph => paragraph.text)
+        .map(paragraph => ({
+          region: { ...paragraph.bbox, confidence: paragraph.confidence, type: paragraph.regionType },
+          text: paragraph.text,
+          confidence: paragraph.confidence,
+          regionType: paragraph.regionType,
+          lines: paragraph.lines,
+          method: 'tesseract',
+          fallbackUsed: true
+        }));
       
       return {
         success: true,
         method: 'tesseract-fallback',
-        results: [{
-          region: { x: 0, y: 0, width: 0, height: 0, confidence: 0.7, type: 'text' },
-          text: data.text.trim(),
-          confidence: confidence,
-          method: 'tesseract',
-          fallbackUsed: true
-        }],
+        results,
         fallbackUsed: true
       };
       
@@ -210,50 +464,298 @@ class OCRService {
     }
   }
 
-     /**
-    * Call Qwen Vision API for OCR
-    */
-   async callQwenVisionAPI(prompt, imageUrls) {
+  /**
+   * Tesseract layout: paragraphs with their lines and words, each with a bbox in pixels of
+   * `imageBuffer` and a 0-1 confidence. `parameters` come from the preprocessing profile;
+   * automatic page segmentation (the printed default) gives the richest block/paragraph
+   * structure, the handwriting and whiteboard modes trade some of it for recall.
+   */
+  async recognizeLayout(imageBuffer, parameters = {}) {
+    const worker = await Tesseract.createWorker({
+      logger: m => {
+        if (m.status === 'recognizing text' && m.progress === 1) {
+          console.log('✅ Tesseract layout analysis completed');
+        }
+      }
+    });
+
+    let data;
     try {
-      const openRouterApiKey = process.env.OPENROUTER_API_KEY;
-      const openRouterApiUrl = 'https://openrouter.ai/api/v1/chat/completions';
-      const visionModel = 'qwen/qwen2.5-vl-32b-instruct:free';
-      
-      if (!openRouterApiKey) {
-        throw new Error('OpenRouter API key not configured');
+      await worker.loadLanguage('eng');
+      await worker.initialize('eng');
+      await worker.setParameters(parameters);
+      ({ data } = await worker.recognize(imageBuffer));
+    } finally {
+      await worker.terminate();
+    }
+
+    const paragraphs = [];
+    (data.blocks || []).forEach(block => {
+      const regionType = REGION_TYPES[block.blocktype] || 'body';
+
+      block.paragraphs.forEach(paragraph => {
+        const lines = paragraph.lines
+          .map(line => ({
+            text: line.text.trim(),
+            bbox: toBbox(line.bbox),
+            confidence: line.confidence / 100,
+            words: line.words.map(word => ({
+              text: word.text,
+              bbox: toBbox(word.bbox),
+              confidence: word.confidence / 100
+            }))
+          }))
+          .filter(line => line.text);
+        if (lines.length === 0) return;
+
+        paragraphs.push({
+          text: lines.map(line => line.text).join('\n'),
+          bbox: toBbox(paragraph.bbox),
+          confidence: paragraph.confidence / 100,
+          regionType,
+          lines
+        });
+      });
+    });
+
+    return {
+      text: (data.text || '').trim(),
+      confidence: data.confidence / 100,
+      paragraphs
+    };
+  }
+
+  /**
+   * Split vision text into regions along Tesseract's paragraphs. Vision lines are matched
+   * in order to the most similar Tesseract line a few lines ahead; lines that match nothing
+   * stay with the paragraph before them. A region's confidence averages the text quality
+   * with how well the two engines agree on it.
+   */
+  async alignTextToLayout(text, layout, imageBuffer) {
+    const visionLines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const layoutLines = (layout?.paragraphs || []).flatMap((paragraph, paragraphIndex) =>
+      paragraph.lines.map(line => ({ paragraphIndex, tokens: tokenize(line.text) }))
+    );
+
+    const assigned = new Map();
+    const pending = [];
+    let cursor = 0;
+    let current = null;
+
+    visionLines.forEach(line => {
+      const tokens = tokenize(line);
+      let best = { index: -1, score: 0 };
+      for (let index = cursor; index < Math.min(layoutLines.length, cursor + ALIGN_LOOKAHEAD); index++) {
+        const score = tokenSimilarity(tokens, layoutLines[index].tokens);
+        if (score > best.score) best = { index, score };
       }
 
-      const messages = [
-        {
-          role: 'user',
-          content: [
-            { type: 'text', text: prompt },
-            ...imageUrls.map(url => ({ type: 'image_url', image_url: { url } }))
-          ]
-        }
-      ];
-
-      const response = await axios.post(openRouterApiUrl, {
-        model: visionModel,
-        messages: messages,
-        max_tokens: 2000,
-        temperature: 0.1, // Low temperature for more accurate OCR
-        top_p: 0.9
-      }, {
-        headers: {
-          'Authorization': `Bearer ${openRouterApiKey}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': 'https://your-app-domain.com',
-          'X-Title': 'AI Study Helper'
-        },
-        timeout: 30000
+      if (best.score >= MIN_LINE_SIMILARITY) {
+        cursor = best.index;
+        current = layoutLines[best.index].paragraphIndex;
+        if (!assigned.has(current)) assigned.set(current, { lines: [...pending], scores: [] });
+        pending.length = 0;
+        assigned.get(current).lines.push(line);
+        assigned.get(current).scores.push(best.score);
+      } else if (current !== null) {
+        assigned.get(current).lines.push(line);
+        assigned.get(current).scores.push(0);
+      } else {
+        pending.push(line);
+      }
+    });
+
+    // Nothing lined up (no layout, or handwriting Tesseract can't read): one region for all of it
+    if (assigned.size === 0) {
+      const paragraphs = layout?.paragraphs || [];
+      const size = paragraphs.length === 0 ? await this.getImageSize(imageBuffer) : null;
+      const bbox = paragraphs.length > 0
+        ? unionBbox(paragraphs.map(paragraph => paragraph.bbox))
+        : { x: 0, y: 0, width: size?.width || 0, height: size?.height || 0 };
+      const confidence = this.calculateTextConfidence(text);
+
+      return [{
+        region: { ...bbox, confidence, type: 'text' },
+        text,
+        confidence,
+        lines: paragraphs.flatMap(paragraph => paragraph.lines),
+        method: 'trocr',
+        fallbackUsed: false
+      }];
+    }
+
+    const results = [];
+    layout.paragraphs.forEach((paragraph, paragraphIndex) => {
+      const match = assigned.get(paragraphIndex);
+      let regionText;
+      let confidence;
+
+      if (match) {
+        regionText = match.lines.join('\n');
+        const agreement = match.scores.reduce((sum, score) => sum + score, 0) / match.scores.length;
+        confidence = (this.calculateTextConfidence(regionText) + agreement) / 2;
+      } else if (paragraph.confidence >= MIN_PARAGRAPH_CONFIDENCE) {
+        // Text the vision model left out but Tesseract read clearly
+        regionText = paragraph.text;
+        confidence = paragraph.confidence;
+      } else {
+        return;
+      }
+
+      results.push({
+        region: { ...paragraph.bbox, confidence, type: paragraph.regionType },
+        text: regionText,
+        confidence,
+        regionType: paragraph.regionType,
+        lines: paragraph.lines,
+        method: match ? 'trocr' : 'tesseract',
+        fallbackUsed: false
       });
+    });
+
+    return results;
+  }
+
+  /**
+   * Formula-aware pass over the OCR results. Formulas are found in the text (every line of a
+   * Tesseract equation block, and lines like "ΔTb = kb × m" elsewhere) and placed on the line
+   * Tesseract read them from. The vision model then transcribes the page's formulas to
+   * LaTeX; formulas it did not return are converted from their text.
+   */
+  async recognizeFormulas(imageBuffer, results = []) {
+    const candidates = [];
+    results.forEach(result => {
+      const region = result.region || result.bbox;
+      const isEquation = result.regionType === 'equation';
+
+      (result.text || '').split('\n').forEach(line => {
+        const text = isEquation ? extractFormula(line) || line.trim() : extractFormula(line);
+        if (!text) return;
+
+        const located = this.locateLine(text, result.lines);
+        candidates.push({
+          text,
+          bbox: { ...(located?.bbox || region || { x: 0, y: 0, width: 0, height: 0 }) },
+          confidence: result.confidence ?? result.ocrConfidence ?? 0.5
+        });
+      });
+    });
+
+    if (candidates.length === 0) return [];
+
+    let latexLines = [];
+    if (llmGateway.isTaskAvailable('ocr', 'vision')) {
+      try {
+        const dataUrl = `data:image/jpeg;base64,${imageBuffer.toString('base64')}`;
+        const response = await this.callQwenVisionAPI(FORMULA_PROMPT, [dataUrl]);
+        latexLines = (response?.content || '')
+          .split('\n')
+          .map(line => line
+            .replace(/^```\w*|```$/g, '')
+            .replace(/^\s*(\d+[.)]|[-*•])\s+/, '')
+            .replace(/^\s*(\$\$?|\\\[|\\\()|(\$\$?|\\\]|\\\))\s*$/g, '')
+            .trim())
+          .filter(line => line && line.toUpperCase() !== 'NONE');
+      } catch (error) {
+        console.error('Formula recognition failed:', error.message);
+      }
+    }
+
+    // Pair formulas with the model's LaTeX in reading order
+    const latexTokens = latexLines.map(latex => tokenize(latexToText(latex)));
+    let cursor = 0;
+
+    const formulas = candidates.map(candidate => {
+      const tokens = tokenize(candidate.text);
+      let best = { index: -1, score: 0 };
+      for (let index = cursor; index < Math.min(latexLines.length, cursor + ALIGN_LOOKAHEAD); index++) {
+        const score = tokenSimilarity(tokens, latexTokens[index]);
+        if (score > best.score) best = { index, score };
+      }
+
+      const matched = best.score >= MIN_LINE_SIMILARITY;
+      if (matched) cursor = best.index + 1;
+      const latex = matched ? latexLines[best.index] : toLatex(candidate.text);
+      const confidence = matched ? (candidate.confidence + best.score) / 2 : candidate.confidence;
+
+      return {
+        region: { ...candidate.bbox, confidence, type: 'equation' },
+        text: candidate.text,
+        latex,
+        variables: parseEquation(latex)?.variables || [],
+        confidence,
+        regionType: 'equation',
+        contentType: 'formula',
+        method: 'im2latex',
+        fallbackUsed: !matched
+      };
+    });
+
+    console.log(`🧮 Recognized ${formulas.length} formula(s), ${formulas.filter(formula => !formula.fallbackUsed).length} transcribed to LaTeX by the vision model`);
+    return formulas;
+  }
+
+  /**
+   * The OCR line that best matches `text`, if any is close enough
+   */
+  locateLine(text, lines = []) {
+    const tokens = tokenize(text);
+    let best = null;
+    let bestScore = MIN_LINE_SIMILARITY;
+    (lines || []).forEach(line => {
+      const score = tokenSimilarity(tokens, tokenize(line.text));
+      if (score >= bestScore) {
+        best = line;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Displayed size of an image (EXIF rotation applied)
+   */
+  async getImageSize(imageBuffer) {
+    try {
+      const { width, height, orientation } = await sharp(imageBuffer).metadata();
+      return orientation >= 5 ? { width: height, height: width } : { width, height };
+    } catch (error) {
+      return null;
+    }
+  }
 
-      return response.data;
+  /**
+   * Move result regions (and their line and word boxes) onto another image; `map(x, y)`
+   * takes a point of the processed image to the other one
+   */
+  mapRegions(ocrResult, map) {
+    if (!map) return ocrResult;
+
+    (ocrResult.results || []).forEach(result => {
+      if (result.region) result.region = mapBbox(result.region, map);
+      (result.lines || []).forEach(line => {
+        line.bbox = mapBbox(line.bbox, map);
+        line.words.forEach(word => {
+          word.bbox = mapBbox(word.bbox, map);
+        });
+      });
+    });
+    return ocrResult;
+  }
 
+  /**
+   * Call a vision model for OCR through the LLM gateway
+   */
+  async callQwenVisionAPI(prompt, imageUrls) {
+    try {
+      return await llmGateway.vision(prompt, imageUrls, {
+        task: 'ocr',
+        maxTokens: 2000,
+        temperature: 0.1 // Low temperature for more accurate OCR
+      });
     } catch (error) {
-             console.error('Qwen Vision API call failed:', error);
-             throw new Error(`Qwen Vision API failed: ${error.message}`);
+      console.error('Vision OCR call failed:', error.message);
+      throw new Error(`Qwen Vision API failed: ${error.message}`);
     }
   }
 
@@ -294,10 +796,13 @@ class OCRService {
     for (const result of resultsArray) {
       if (!result.text || result.text.trim().length === 0) continue;
       
-      let cleanedText = result.text
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .replace(/[^\w\s\-.,!?;:()[\]{}]/g, '') // Remove special characters
-        .trim();
+      // Formulas keep their symbols
+      let cleanedText = result.contentType === 'formula'
+        ? result.text.replace(/\s+/g, ' ').trim()
+        : result.text
+          .replace(/\s+/g, ' ') // Normalize whitespace
+          .replace(/[^\w\s\-.,!?;:()[\]{}]/g, '') // Remove special characters
+          .trim();
       
       // Skip very short text (likely noise)
       if (cleanedText.length < 3) continue;
@@ -350,12 +855,12 @@ class OCRService {
       let ocrMethod = result.method || 'tesseract';
       
       // If the overall method indicates Qwen vision, use that
-      if (ocrResults.method === 'qwen-vision-api') {
+      if (ocrResults.method === 'qwen-vision-api' && !['tesseract', 'im2latex'].includes(result.method)) {
         ocrMethod = 'trocr'; // Use trocr for Qwen vision results
       }
       
       // If the overall method indicates DashScope fallback, use that
-      if (ocrResults.method === 'qwen-vl-fallback') {
+      if (ocrResults.method === 'qwen-vl-fallback' && result.method !== 'im2latex') {
         ocrMethod = 'qwen-vl-fallback'; // Use the correct enum value
       }
       
@@ -368,27 +873,37 @@ class OCRService {
           ocrConfidence: result.ocrConfidence,
           ocrMethod: result.ocrMethod || ocrMethod,
           contentType: result.contentType || this.detectContentType(result.text),
-          metadata: result.metadata || {
-            language: 'en',
-            regionType: 'text',
-            lineCount: result.text.split('\n').length,
-            wordCount: result.text.split(/\s+/).length
+          metadata: {
+            ...(result.metadata || {
+              language: 'en',
+              regionType: 'text',
+              lineCount: result.text.split('\n').length,
+              wordCount: result.text.split(/\s+/).length
+            }),
+            ...this.preprocessingMetadata(options.preprocessing)
           }
         });
       } else {
         // Fallback for other OCR methods
+        const region = result.region || { x: 0, y: 0, width: 0, height: 0 };
         evidenceRecords.push({
           imageUrl: imageUrl,
-          bbox: result.region || { x: 0, y: 0, width: 0, height: 0 },
+          bbox: { x: region.x, y: region.y, width: region.width, height: region.height },
           text: result.text,
           ocrConfidence: result.confidence || 0.5,
           ocrMethod: ocrMethod,
-          contentType: this.detectContentType(result.text),
+          contentType: result.contentType || this.detectContentType(result.text),
+          latex: result.latex,
           metadata: {
             language: 'en',
-            regionType: 'text',
-            lineCount: result.text.split('\n').length,
-            wordCount: result.text.split(/\s+/).length
+            regionType: result.regionType || 'text',
+            variables: result.variables,
+            lineCount: result.lines?.length || result.text.split('\n').length,
+            wordCount: result.text.split(/\s+/).length,
+            lines: result.lines || [],
+            imageWidth: options.imageSize?.width,
+            imageHeight: options.imageSize?.height,
+            ...this.preprocessingMetadata(options.preprocessing)
           }
         });
       }
@@ -398,29 +913,23 @@ class OCRService {
     return evidenceRecords;
   }
 
+  /**
+   * Evidence metadata recording how the image was preprocessed, to compare profiles' accuracy
+   */
+  preprocessingMetadata(preprocessing) {
+    if (!preprocessing) return {};
+    return {
+      preprocessingProfile: preprocessing.profile,
+      profileDetected: preprocessing.detected,
+      preprocessing: preprocessing.steps
+    };
+  }
+
   /**
    * Get image URL without cropping (for speed)
    */
   async getImageUrl(originalImageId) {
-    try {
-      const cloudinary = require('cloudinary').v2;
-      
-      // Configure Cloudinary
-      cloudinary.config({
-        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-        api_key: process.env.CLOUDINARY_API_KEY,
-        api_secret: process.env.CLOUDINARY_API_SECRET
-      });
-      
-      // Get the original image URL
-      const result = await cloudinary.api.resource(`ai-study-helper/${originalImageId}`);
-      return result.secure_url;
-      
-    } catch (error) {
-      console.error('Failed to get Cloudinary URL:', error);
-      // Fallback to constructing URL manually
-      return `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/ai-study-helper/${originalImageId}`;
-    }
+    return getStorageProvider().getUrl(`ai-study-helper/${originalImageId}`);
   }
 
   /**
@@ -449,15 +958,9 @@ class OCRService {
   /**
    * Cache management
    */
-  generateCacheKey(imageBuffer) {
-    // Simple hash of buffer for caching
-    let hash = 0;
-    for (let i = 0; i < Math.min(imageBuffer.length, 1000); i++) {
-      const char = imageBuffer[i];
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash.toString();
+  generateCacheKey(imageBuffer, profile = 'auto') {
+    // Hash the whole buffer: rendered PDF pages often share their first kilobytes
+    return crypto.createHash('sha1').update(imageBuffer).update(profile).digest('hex');
   }
 
   getFromCache(key) {
@@ -1,12 +1,56 @@
 const pdfParse = require('pdf-parse');
+const { fromBuffer } = require('pdf2pic');
 const sharp = require('sharp');
 const axios = require('axios');
 const dashscopeService = require('./dashscopeService');
+const ocrService = require('./ocrService');
+
+// PDF user space is 72 points per inch
+const POINTS_PER_INCH = 72;
+
+const unionBbox = (boxes) => {
+  const x0 = Math.min(...boxes.map(box => box.x));
+  const y0 = Math.min(...boxes.map(box => box.y));
+  const x1 = Math.max(...boxes.map(box => box.x + box.width));
+  const y1 = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+};
+
+// Letters and digits only: chunking rewrites whitespace and sentence punctuation
+const normalizeForMatch = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+
+// A line this much larger than body text can be a heading
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LEVELS = 3;
+const MAX_HEADING_LENGTH = 120;
+const MAX_HEADING_WORDS = 15;
+
+/**
+ * Heading level from the wording alone: "Chapter 2", "1.2 Title", "UNIT THREE"; otherwise null
+ */
+const headingLevelFromText = (text) => {
+  const line = text.trim();
+  if (line.length === 0 || line.length > MAX_HEADING_LENGTH || line.split(/\s+/).length > MAX_HEADING_WORDS) return null;
+  if (/^(chapter|unit|part|module|lesson)\s+([0-9]+|[ivxlc]+|[a-z]+)\b/i.test(line)) return 1;
+
+  const numbered = line.match(/^(\d+(?:\.\d+){0,2})\.?\s+[A-Z]/);
+  if (numbered && !/[.;,]$/.test(line)) return numbered[1].split('.').length;
+
+  const letters = line.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase() && line.split(/\s+/).length <= 8) return 1;
+  return null;
+};
 
 class PDFService {
   constructor() {
     this.maxPages = 50; // Limit to prevent abuse
     this.maxFileSize = 50 * 1024 * 1024; // 50MB limit
+
+    // Pages with less extracted text than this are treated as scanned and OCR'd
+    this.minPageTextLength = parseInt(process.env.PDF_OCR_MIN_TEXT_LENGTH) || 30;
+    this.maxOcrPages = parseInt(process.env.PDF_OCR_MAX_PAGES) || 20;
+    // Rendering resolution for scanned pages; bboxes of every page use this scale
+    this.renderDensity = parseInt(process.env.PDF_OCR_DENSITY) || 200;
   }
 
   /**
@@ -23,42 +67,67 @@ class PDFService {
         throw new Error(`PDF file too large. Maximum size is ${this.maxFileSize / (1024 * 1024)}MB`);
       }
 
-      // Extract text from PDF
+      // Extract text from PDF, page by page
       let pdfData;
-      let processedText;
-      let evidenceRecords;
+      let pages;
+      let outline = [];
+      let sections = [];
+      let evidenceRecords = [];
+      let ocrPages = [];
       
       try {
-        pdfData = await pdfParse(pdfBuffer, {
-          max: this.maxPages,
-          version: 'v2.0.550'
-        });
+        ({ pdfData, pages, outline } = await this.extractPages(pdfBuffer));
+      } catch (pdfError) {
+        console.log(`📄 PDF parsing failed: ${pdfError.message}`);
+      }
 
-        if (!pdfData || !pdfData.text) {
-          throw new Error('No text content found in PDF');
+      if (pages) {
+        // Pages without a usable text layer are scanned; rasterise and OCR them
+        const scanned = pages.filter(page => page.text.length < this.minPageTextLength);
+        ocrPages = scanned.slice(0, this.maxOcrPages).map(page => page.page);
+        if (scanned.length > ocrPages.length) {
+          console.warn(`⚠️ Only the first ${this.maxOcrPages} of ${scanned.length} scanned pages will be OCR'd`);
         }
 
-        // Process the extracted text
-        processedText = this.cleanText(pdfData.text);
-        
-        // Generate evidence records from text
-        evidenceRecords = await this.generateEvidenceFromText(processedText, options);
-        
-      } catch (pdfError) {
-        console.log('📄 PDF parsing failed, trying DashScope fallback...');
+        const ocrEvidence = ocrPages.length > 0
+          ? await this.ocrPages(pdfBuffer, pages.filter(page => ocrPages.includes(page.page)), options)
+          : [];
+
+        let segments;
+        ({ sections, segments } = this.buildSections(pages, outline, ocrEvidence));
+
+        for (const segment of segments) {
+          const structure = { sectionPath: segment.sectionPath, headingLevel: segment.headingLevel };
+          if (segment.evidence) {
+            evidenceRecords.push({ ...segment.evidence, metadata: { ...segment.evidence.metadata, ...structure } });
+            continue;
+          }
+
+          const page = pages.find(item => item.page === segment.page);
+          const text = this.cleanText(segment.lines.map(line => line.text).join('\n'));
+          const records = await this.generateEvidenceFromText(text, {
+            ...options,
+            page: { ...page, items: segment.lines.flatMap(line => line.items) }
+          });
+          records.forEach(record => Object.assign(record.metadata, structure));
+          evidenceRecords.push(...records);
+        }
+      }
+
+      if (evidenceRecords.length === 0) {
+        console.log('📄 No text found in PDF, trying DashScope fallback...');
         
         // Try DashScope fallback if available
         if (dashscopeService.isAvailable()) {
           const fallbackResult = await dashscopeService.processPDFFallback(pdfBuffer, options);
           if (fallbackResult.success) {
             evidenceRecords = fallbackResult.evidence;
-            processedText = fallbackResult.extractedText || 'Text extracted via fallback method';
-            pdfData = { numpages: 1, info: { Title: 'PDF processed via fallback' } };
+            pdfData = pdfData || { numpages: 1, info: { Title: 'PDF processed via fallback' } };
           } else {
-            throw new Error(`PDF processing failed: ${pdfError.message}`);
+            throw new Error(`PDF processing failed: ${fallbackResult.error || 'No text content found in PDF'}`);
           }
         } else {
-          throw new Error(`PDF processing failed: ${pdfError.message}`);
+          throw new Error('PDF processing failed: No text content found in PDF');
         }
       }
 
@@ -70,6 +139,8 @@ class PDFService {
         evidence: evidenceRecords,
         processingTime,
         totalPages: pdfData.numpages,
+        ocrPages,
+        sections,
         totalRegions: evidenceRecords.length,
         averageConfidence: this.calculateAverageConfidence(evidenceRecords),
         metadata: {
@@ -94,19 +165,271 @@ class PDFService {
   }
 
   /**
-   * Convert PDF pages to images for OCR processing
+   * Extract each page's text lines with their font size and positioned text items, plus the
+   * document outline. Boxes are in pixels at `renderDensity`, top-left origin, so they line
+   * up with rasterised scanned pages.
+   * @returns {Promise<{pdfData, pages: Array<{page, text, width, height, lines}>, outline}>}
+   */
+  async extractPages(pdfBuffer) {
+    const pages = [];
+    const scale = this.renderDensity / POINTS_PER_INCH;
+    let outlinePromise = null;
+
+    const pdfData = await pdfParse(pdfBuffer, {
+      max: this.maxPages,
+      version: 'v2.0.550',
+      pagerender: async (pageData) => {
+        outlinePromise = outlinePromise || this.resolveOutline(pageData.transport);
+
+        const viewport = pageData.getViewport(1);
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+
+        let lastY;
+        const lines = [];
+        textContent.items.forEach(item => {
+          if (!item.str.trim()) return;
+
+          const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+          const positioned = {
+            str: item.str,
+            bbox: {
+              x: Math.round(item.transform[4] * scale),
+              y: Math.round((viewport.height - item.transform[5] - height) * scale),
+              width: Math.round(item.width * scale),
+              height: Math.round(height * scale)
+            }
+          };
+
+          // Same line joining as pdf-parse's default renderer
+          if (lastY === undefined || lastY !== item.transform[5]) {
+            lines.push({ text: '', fontSize: 0, items: [] });
+          }
+          const line = lines[lines.length - 1];
+          line.text += item.str;
+          line.fontSize = Math.max(line.fontSize, Math.round(height * 2) / 2);
+          line.items.push(positioned);
+          lastY = item.transform[5];
+        });
+
+        lines.forEach(line => {
+          line.text = line.text.trim();
+          line.bbox = unionBbox(line.items.map(item => item.bbox));
+        });
+
+        const text = lines.map(line => line.text).join('\n');
+        pages.push({
+          page: pageData.pageIndex + 1,
+          text: text.trim(),
+          width: Math.round(viewport.width * scale),
+          height: Math.round(viewport.height * scale),
+          lines
+        });
+        return text;
+      }
+    });
+
+    if (!pdfData) {
+      throw new Error('No text content found in PDF');
+    }
+
+    // Pages that failed to render are missing; treat them as scanned
+    for (let page = 1; page <= Math.min(pdfData.numpages, this.maxPages); page++) {
+      if (!pages.some(item => item.page === page)) {
+        pages.push({ page, text: '', width: null, height: null, lines: [] });
+      }
+    }
+    pages.sort((a, b) => a.page - b.page);
+
+    const outline = outlinePromise ? await outlinePromise : [];
+    return { pdfData, pages, outline };
+  }
+
+  /**
+   * The PDF outline (bookmarks) flattened to [{ title, level, page }] in document order.
+   * Entries whose destination can't be resolved keep `page: null`.
+   */
+  async resolveOutline(transport) {
+    try {
+      const outline = await transport.getOutline();
+      if (!outline) return [];
+
+      const entries = [];
+      const visit = async (items, level) => {
+        for (const item of items) {
+          let page = null;
+          try {
+            const dest = typeof item.dest === 'string' ? await transport.getDestination(item.dest) : item.dest;
+            if (Array.isArray(dest) && dest[0]) {
+              page = typeof dest[0] === 'number' ? dest[0] + 1 : (await transport.getPageIndex(dest[0])) + 1;
+            }
+          } catch (error) {
+            // Broken destinations still give the heading text
+          }
+
+          if (item.title?.trim()) entries.push({ title: item.title.trim(), level, page });
+          if (item.items?.length) await visit(item.items, level + 1);
+        }
+      };
+      await visit(outline, 1);
+      return entries;
+    } catch (error) {
+      console.error('Failed to read PDF outline:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Find headings and split the document into segments, one per section per page.
+   * Headings come from the outline when the PDF has one, otherwise from font sizes
+   * larger than the body text, otherwise from wording ("Chapter 2", "1.2 Title").
+   * OCR'd pages take part through their evidence; Tesseract header blocks can start sections.
+   * @returns {{ sections: Array<{title, level, page, children}>, segments: Array }}
+   */
+  buildSections(pages, outline = [], ocrEvidence = []) {
+    const typedLines = pages.flatMap(page => page.lines || []);
+
+    // Body text size: the font size covering the most characters
+    const sizeWeights = new Map();
+    typedLines.forEach(line => sizeWeights.set(line.fontSize, (sizeWeights.get(line.fontSize) || 0) + line.text.length));
+    const bodySize = [...sizeWeights.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+
+    const isShort = (text) => text.length <= MAX_HEADING_LENGTH && text.split(/\s+/).length <= MAX_HEADING_WORDS;
+    const headingSizes = [...new Set(typedLines
+      .filter(line => line.fontSize >= bodySize * HEADING_SIZE_RATIO && isShort(line.text))
+      .map(line => line.fontSize))]
+      .sort((a, b) => b - a)
+      .slice(0, MAX_HEADING_LEVELS);
+
+    const remainingOutline = [...outline];
+    const lineLevel = (line, page) => {
+      if (outline.length > 0) {
+        const text = normalizeForMatch(line.text);
+        const index = remainingOutline.findIndex(entry => (entry.page === null || entry.page === page)
+          && text.length > 0 && normalizeForMatch(entry.title) === text);
+        if (index === -1) return null;
+        return remainingOutline.splice(index, 1)[0].level;
+      }
+      if (headingSizes.length > 0) {
+        const level = headingSizes.indexOf(line.fontSize);
+        return level !== -1 && isShort(line.text) ? level + 1 : null;
+      }
+      return headingLevelFromText(line.text);
+    };
+
+    const sections = [];
+    const stack = [];
+    const segments = [];
+    let current = null;
+
+    const startSection = (title, level, page) => {
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+      const node = { title, level, page, children: [] };
+      (stack.length > 0 ? stack[stack.length - 1].children : sections).push(node);
+      stack.push(node);
+      current = null;
+    };
+    const structure = () => ({
+      sectionPath: stack.map(node => node.title),
+      headingLevel: stack.length > 0 ? stack[stack.length - 1].level : 0
+    });
+
+    pages.forEach(page => {
+      const evidence = ocrEvidence.filter(ev => ev.metadata?.page === page.page);
+      if (evidence.length > 0) {
+        evidence.forEach(ev => {
+          if (ev.metadata?.regionType === 'header' && isShort(ev.text)) {
+            startSection(ev.text.trim(), headingLevelFromText(ev.text) || 1, page.page);
+          }
+          segments.push({ page: page.page, evidence: ev, ...structure() });
+        });
+        current = null;
+        return;
+      }
+
+      (page.lines || []).forEach(line => {
+        const level = lineLevel(line, page.page);
+        if (level) startSection(line.text, level, page.page);
+
+        if (!current || current.page !== page.page) {
+          current = { page: page.page, lines: [], ...structure() };
+          segments.push(current);
+        }
+        current.lines.push(line);
+      });
+      current = null;
+    });
+
+    return { sections, segments };
+  }
+
+  /**
+   * Rasterise scanned pages and OCR them one by one. Evidence bboxes are in pixels of the
+   * rendered page and carry the page number.
+   */
+  async ocrPages(pdfBuffer, pages, options = {}) {
+    const evidenceRecords = [];
+    const { images } = await this.convertPDFToImages(pdfBuffer, { pages });
+
+    for (const image of images) {
+      console.log(`🔍 OCR on scanned page ${image.page}...`);
+      const ocrResult = await ocrService.processImageOptimized(image.buffer, options);
+      if (!ocrResult.success) {
+        console.error(`OCR failed for page ${image.page}:`, ocrResult.error);
+        continue;
+      }
+
+      ocrResult.evidence.forEach(ev => {
+        evidenceRecords.push({
+          ...ev,
+          metadata: {
+            ...ev.metadata,
+            page: image.page,
+            imageWidth: ev.metadata?.imageWidth || image.width,
+            imageHeight: ev.metadata?.imageHeight || image.height
+          }
+        });
+      });
+    }
+
+    return evidenceRecords;
+  }
+
+  /**
+   * Convert PDF pages to images for OCR processing (pdf2pic; needs GraphicsMagick and
+   * Ghostscript). `options.pages` lists the pages as returned by extractPages, or page numbers.
+   * @returns {Promise<{success, images: Array<{page, buffer, width, height}>, totalPages}>}
    */
   async convertPDFToImages(pdfBuffer, options = {}) {
     try {
       console.log('🖼️ Converting PDF pages to images...');
       
-      // For now, we'll use a simple approach
-      // In a production environment, you might want to use pdf2pic or similar
-      // This is a placeholder for the image conversion logic
-      
+      const pages = (options.pages || [1]).map(page => (typeof page === 'number' ? { page } : page));
       const images = [];
-      // TODO: Implement PDF to image conversion
-      // This would require additional dependencies like pdf2pic or puppeteer
+
+      // One converter per page so every page renders at its own size
+      for (const page of pages) {
+        try {
+          const converter = fromBuffer(pdfBuffer, {
+            density: this.renderDensity,
+            format: 'png',
+            width: page.width || undefined,
+            height: page.height || undefined,
+            preserveAspectRatio: true
+          });
+          const result = await converter(page.page, { responseType: 'buffer' });
+          if (!result.buffer || result.buffer.length === 0) continue;
+
+          const metadata = await sharp(result.buffer).metadata().catch(() => ({}));
+          images.push({
+            page: page.page,
+            buffer: result.buffer,
+            width: metadata.width || page.width,
+            height: metadata.height || page.height
+          });
+        } catch (pageError) {
+          console.error(`Failed to rasterise page ${page.page}:`, pageError.message);
+        }
+      }
       
       return {
         success: true,
@@ -118,7 +441,8 @@ class PDFService {
       console.error('PDF to image conversion failed:', error);
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        images: []
       };
     }
   }
@@ -148,6 +472,9 @@ class PDFService {
     // Split text into chunks for better processing
     const chunks = this.splitTextIntoChunks(text, options.chunkSize || 500);
     
+    const { page } = options;
+    const boxes = page ? this.locateChunks(chunks, page.items) : [];
+    
     chunks.forEach((chunk, index) => {
       if (chunk.trim().length === 0) return;
       
@@ -156,7 +483,7 @@ class PDFService {
         ocrConfidence: 1.0, // High confidence for direct text extraction
         ocrMethod: 'pdf-parse',
         contentType: this.detectContentType(chunk),
-        bbox: {
+        bbox: boxes[index] || {
           x: 0,
           y: index * 100, // Approximate position
           width: 800,
@@ -167,7 +494,8 @@ class PDFService {
           regionType: 'text',
           lineCount: chunk.split('\n').length,
           wordCount: chunk.split(/\s+/).length,
-          chunkIndex: index
+          chunkIndex: index,
+          ...(page ? { page: page.page, imageWidth: page.width, imageHeight: page.height } : {})
         }
       };
       
@@ -177,17 +505,46 @@ class PDFService {
     return evidenceRecords;
   }
 
+  /**
+   * Bbox of each chunk on its page: the union of the text items it contains, matched in
+   * reading order. Chunks with no matching items get null.
+   */
+  locateChunks(chunks, items = []) {
+    let cursor = 0;
+
+    return chunks.map(chunk => {
+      const text = normalizeForMatch(chunk);
+      const matched = [];
+      let position = 0;
+
+      while (cursor < items.length) {
+        const itemText = normalizeForMatch(items[cursor].str);
+        const found = text.indexOf(itemText, position);
+        // Items spanning a chunk boundary go with the chunk they start in
+        if (found === -1 && matched.length > 0) break;
+        if (found !== -1) {
+          matched.push(items[cursor].bbox);
+          position = found + itemText.length;
+        }
+        cursor += 1;
+      }
+
+      return matched.length > 0 ? unionBbox(matched) : null;
+    });
+  }
+
   /**
    * Split text into manageable chunks
    */
   splitTextIntoChunks(text, chunkSize = 500) {
     const chunks = [];
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+    // Split after sentence punctuation only, so "1.2 Membranes" and "3.14" stay whole
+    const sentences = text.split(/(?<=[.!?])\s+/).filter(s => s.trim().length > 0);
     
     let currentChunk = '';
     
     sentences.forEach(sentence => {
-      const sentenceWithPunctuation = sentence.trim() + '.';
+      const sentenceWithPunctuation = /[.!?]$/.test(sentence.trim()) ? sentence.trim() : sentence.trim() + '.';
       
       if ((currentChunk + sentenceWithPunctuation).length > chunkSize && currentChunk.length > 0) {
         chunks.push(currentChunk.trim());
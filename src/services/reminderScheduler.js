@@ -0,0 +1,154 @@
+const cron = require('node-cron');
+const Calendar = require('../models/Calendar');
+const notificationService = require('./notifications');
+
+// Reminders can be set up to 24 hours before a task
+const MAX_REMINDER_MINUTES = 1440;
+const ACTIVE_STATUSES = ['planned', 'in-progress'];
+
+/**
+ * Fires Calendar task reminders.
+ *
+ * Every tick looks for reminders that came due within the lookback window, so reminders
+ * missed while the server was down are still sent after a restart. Each firing creates one
+ * notification keyed by task, reminder and start time; the unique key makes firing
+ * idempotent across restarts and multiple instances. Moving a task to a new time fires
+ * its reminders again for the new time.
+ */
+class ReminderScheduler {
+  constructor() {
+    this.schedule = process.env.REMINDER_CRON || '* * * * *';
+    this.lookbackMinutes = parseInt(process.env.REMINDER_LOOKBACK_MINUTES, 10) || 60;
+    this.cronTask = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.cronTask) return;
+
+    if (!cron.validate(this.schedule)) {
+      console.error(`❌ Invalid REMINDER_CRON "${this.schedule}", reminder scheduler not started`);
+      return;
+    }
+
+    this.cronTask = cron.schedule(this.schedule, () => this.tick());
+    console.log(`⏰ Reminder scheduler started (${this.schedule}, lookback ${this.lookbackMinutes}m)`);
+  }
+
+  stop() {
+    if (this.cronTask) {
+      this.cronTask.stop();
+      this.cronTask = null;
+    }
+  }
+
+  async tick() {
+    // A slow run must not overlap the next one
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.runOnce();
+    } catch (error) {
+      console.error('❌ Reminder scheduler run failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Reminders whose fire time is within (now - lookback, now]
+   * @returns {Promise<Array<{task, occurrence, reminder}>>}
+   */
+  async findDueReminders(now = new Date()) {
+    const from = new Date(now.getTime() - this.lookbackMinutes * 60000);
+    const horizon = new Date(now.getTime() + MAX_REMINDER_MINUTES * 60000);
+
+    const [single, series] = await Promise.all([
+      Calendar.find({
+        'recurring.enabled': { $ne: true },
+        status: { $in: ACTIVE_STATUSES },
+        reminders: { $elemMatch: { sent: false } },
+        startDate: { $gte: from, $lte: horizon }
+      }),
+      Calendar.find({
+        'recurring.enabled': true,
+        status: { $in: ACTIVE_STATUSES },
+        'reminders.0': { $exists: true },
+        startDate: { $lte: horizon }
+      })
+    ]);
+
+    const due = [];
+    const collect = (task, occurrence) => {
+      task.reminders.forEach(reminder => {
+        if (reminder.sent && !task.recurring?.enabled) return;
+
+        const fireAt = occurrence.startDate.getTime() - reminder.time * 60000;
+        if (fireAt > from.getTime() && fireAt <= now.getTime()) {
+          due.push({ task, occurrence, reminder });
+        }
+      });
+    };
+
+    single.forEach(task => collect(task, task));
+    series.forEach(task => {
+      task.getOccurrences(from, horizon)
+        .filter(occurrence => ACTIVE_STATUSES.includes(occurrence.status))
+        .forEach(occurrence => collect(task, occurrence));
+    });
+
+    return due;
+  }
+
+  /**
+   * Send every due reminder, then retry interrupted deliveries
+   * @returns {Promise<number>} notifications created in this run
+   */
+  async runOnce(now = new Date()) {
+    const due = await this.findDueReminders(now);
+    let created = 0;
+
+    for (const { task, occurrence, reminder } of due) {
+      try {
+        const startDate = occurrence.startDate;
+        const lead = reminder.time > 0 ? `in ${reminder.time} minutes` : 'now';
+
+        const notification = await notificationService.notify(task.userId, {
+          type: 'reminder',
+          title: `${task.emoji} ${occurrence.title}`,
+          message: `${task.subject}: ${task.topic} starts ${lead} (${startDate.toUTCString()})`,
+          data: {
+            taskId: String(task._id),
+            occurrenceDate: occurrence.isOccurrence ? occurrence.occurrenceDate : null,
+            startDate,
+            reminderId: String(reminder._id)
+          },
+          channel: notificationService.channelForReminder(reminder.type),
+          dedupeKey: `reminder:${task._id}:${reminder._id}:${startDate.getTime()}`
+        });
+
+        // Recurring tasks rely on the notification key alone; their reminders repeat
+        if (!task.recurring?.enabled) {
+          await Calendar.updateOne(
+            { _id: task._id, 'reminders._id': reminder._id },
+            { $set: { 'reminders.$.sent': true } }
+          );
+        }
+
+        if (notification) created += 1;
+      } catch (error) {
+        console.error(`❌ Failed to send reminder for task ${task.id}:`, error.message);
+      }
+    }
+
+    if (created > 0) {
+      console.log(`⏰ Sent ${created} reminder(s)`);
+    }
+
+    await notificationService.retryPending();
+    return created;
+  }
+}
+
+module.exports = new ReminderScheduler();
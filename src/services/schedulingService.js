@@ -0,0 +1,212 @@
+const Calendar = require('../models/Calendar');
+const { isValidTimeZone, zonedDateParts, zonedTimeToDate } = require('../utils/timezone');
+
+const MINUTE = 60 * 1000;
+const STEP_MINUTES = 15;
+const MAX_WINDOW_DAYS = 31;
+const SHIFT_HORIZON_DAYS = 14;
+// Planned minutes that count as a full day when no daily maximum is set
+const FULL_DAY_MINUTES = 480;
+
+// How much each signal counts towards a slot's score
+const WEIGHTS = {
+  load: 0.35,
+  earliness: 0.25,
+  room: 0.2,
+  preferred: 0.2
+};
+
+const parseClock = (value) => String(value).split(':').map(Number);
+
+const ceilToStep = (time) => Math.ceil(time / (STEP_MINUTES * MINUTE)) * STEP_MINUTES * MINUTE;
+
+const addDays = ([year, month, day], days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+};
+
+/**
+ * Local calendar days overlapping [from, to) as { parts, start, end }
+ */
+const localDays = (from, to, timeZone) => {
+  const days = [];
+  const first = zonedDateParts(from, timeZone).slice(0, 3);
+
+  for (let offset = 0; offset <= MAX_WINDOW_DAYS + 1; offset++) {
+    const parts = addDays(first, offset);
+    const start = zonedTimeToDate(parts, timeZone);
+    if (start >= to) break;
+    days.push({ parts, start, end: zonedTimeToDate(addDays(parts, 1), timeZone) });
+  }
+  return days;
+};
+
+/**
+ * Wall-clock range ("HH:mm"-"HH:mm", may wrap past midnight) on each day, as instants
+ */
+const dailyIntervals = (days, range, timeZone) => {
+  if (!range?.start || !range?.end || range.start === range.end) return [];
+
+  const [startHour, startMinute] = parseClock(range.start);
+  const [endHour, endMinute] = parseClock(range.end);
+  const wraps = range.end < range.start;
+
+  // The day before the first one, in case its range wraps into the window
+  const allDays = [addDays(days[0].parts, -1), ...days.map(day => day.parts)];
+  return allDays.map(parts => ({
+    start: zonedTimeToDate([...parts, startHour, startMinute], timeZone).getTime(),
+    end: zonedTimeToDate([...(wraps ? addDays(parts, 1) : parts), endHour, endMinute], timeZone).getTime()
+  }));
+};
+
+/**
+ * Finds free time in a user's calendar: ranked suggestions for a new task, and the next
+ * free slot for moving a task off a conflict. Busy time is every task and recurring
+ * occurrence that is not cancelled (Calendar.findConflicts).
+ */
+class SchedulingService {
+  constructor() {
+    this.maxWindowDays = MAX_WINDOW_DAYS;
+  }
+
+  /**
+   * Scheduling preferences from the user's profile, with per-request overrides
+   */
+  preferencesFor(user, overrides = {}) {
+    const saved = user?.preferences?.scheduling || {};
+    const quietStart = overrides.quietStart ?? saved.quietHours?.start;
+    const quietEnd = overrides.quietEnd ?? saved.quietHours?.end;
+    const maxStudyMinutesPerDay = overrides.maxStudyMinutesPerDay ?? saved.maxStudyMinutesPerDay;
+
+    return {
+      timezone: overrides.timezone || saved.timezone || 'UTC',
+      quietHours: quietStart && quietEnd && quietStart !== quietEnd ? { start: quietStart, end: quietEnd } : null,
+      maxStudyMinutesPerDay: maxStudyMinutesPerDay ? Number(maxStudyMinutesPerDay) : null
+    };
+  }
+
+  /**
+   * Every free gap of at least `duration` minutes in [from, to), in time order.
+   * Days whose planned minutes would exceed the daily maximum are left out.
+   */
+  async scan(userId, { from, to, duration, preferences, excludeId = null, excludeOccurrence = null, bufferMinutes = 0 }) {
+    const timeZone = isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC';
+    const days = localDays(from, to, timeZone);
+    if (days.length === 0) return { days, busy: [], gaps: [] };
+
+    const entries = await Calendar.findConflicts(userId, days[0].start, days[days.length - 1].end, { excludeId, excludeOccurrence });
+    const busy = entries.map(entry => ({ start: entry.startDate.getTime(), end: entry.endDate.getTime() }));
+    const blocked = [
+      ...busy.map(interval => ({
+        start: interval.start - bufferMinutes * MINUTE,
+        end: interval.end + bufferMinutes * MINUTE
+      })),
+      ...dailyIntervals(days, preferences.quietHours, timeZone)
+    ].sort((a, b) => a.start - b.start);
+
+    const length = duration * MINUTE;
+    const gaps = [];
+
+    days.forEach((day, dayIndex) => {
+      const load = busy
+        .filter(interval => interval.start >= day.start.getTime() && interval.start < day.end.getTime())
+        .reduce((sum, interval) => sum + (interval.end - interval.start) / MINUTE, 0);
+      if (preferences.maxStudyMinutesPerDay && load + duration > preferences.maxStudyMinutesPerDay) return;
+
+      const windowEnd = Math.min(day.end.getTime(), to.getTime());
+      let cursor = Math.max(day.start.getTime(), from.getTime());
+
+      while (cursor + length <= windowEnd) {
+        const hit = blocked.find(interval => interval.start < cursor + length && interval.end > cursor);
+        if (hit) {
+          cursor = ceilToStep(hit.end);
+          continue;
+        }
+
+        const next = blocked.find(interval => interval.start >= cursor + length);
+        const gapEnd = Math.min(next ? next.start : windowEnd, windowEnd);
+        gaps.push({ start: cursor, end: gapEnd, dayIndex, load });
+        cursor = gapEnd;
+      }
+    });
+
+    return { days, busy, gaps };
+  }
+
+  /**
+   * Ranked free slots for a task of `duration` minutes between `from` and `to`.
+   * Slots on lighter days, earlier in the window, with room around them and inside the
+   * preferred hours (when given) rank first.
+   * @returns {Promise<Array<{startDate, endDate, score, dayLoadMinutes, gapMinutes}>>}
+   */
+  async findFreeSlots(userId, { duration, from, to, preferences, preferredHours = null, excludeId = null, bufferMinutes = 0, limit = 10 }) {
+    const start = new Date(ceilToStep(new Date(from).getTime()));
+    const { days, busy, gaps } = await this.scan(userId, { from: start, to: new Date(to), duration, preferences, excludeId, bufferMinutes });
+    if (gaps.length === 0) return [];
+
+    const timeZone = isValidTimeZone(preferences.timezone) ? preferences.timezone : 'UTC';
+    const preferred = dailyIntervals(days, preferredHours, timeZone);
+    const length = duration * MINUTE;
+    const weights = preferred.length > 0 ? WEIGHTS : { ...WEIGHTS, preferred: 0 };
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    const fullDay = preferences.maxStudyMinutesPerDay || FULL_DAY_MINUTES;
+
+    const candidates = [];
+    gaps.forEach(gap => {
+      const starts = [gap.start];
+
+      // Also offer the earliest start inside the preferred hours when the gap reaches them
+      preferred.forEach(interval => {
+        const candidate = ceilToStep(Math.max(gap.start, interval.start));
+        if (candidate > gap.start && candidate + length <= Math.min(gap.end, interval.end)) {
+          starts.push(candidate);
+        }
+      });
+
+      [...new Set(starts)].forEach(slotStart => {
+        const slotEnd = slotStart + length;
+        const before = Math.max(0, ...busy.filter(i => i.end <= slotStart).map(i => i.end));
+        const after = Math.min(Infinity, ...busy.filter(i => i.start >= slotEnd).map(i => i.start));
+        const room = Math.min(slotStart - before, after - slotEnd) / MINUTE;
+
+        const signals = {
+          load: 1 - Math.min(1, gap.load / fullDay),
+          earliness: days.length > 1 ? 1 - gap.dayIndex / (days.length - 1) : 1,
+          room: Math.min(1, room / 60),
+          preferred: preferred.some(interval => slotStart >= interval.start && slotEnd <= interval.end) ? 1 : 0
+        };
+        const score = Object.entries(weights)
+          .reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0) / totalWeight;
+
+        candidates.push({
+          startDate: new Date(slotStart),
+          endDate: new Date(slotEnd),
+          score: Math.round(score * 1000) / 1000,
+          dayLoadMinutes: Math.round(gap.load),
+          gapMinutes: Math.round((gap.end - gap.start) / MINUTE)
+        });
+      });
+    });
+
+    return candidates
+      .sort((a, b) => b.score - a.score || a.startDate - b.startDate)
+      .slice(0, limit);
+  }
+
+  /**
+   * Earliest free slot starting at or after `startDate` (within two weeks), or null
+   */
+  async nextFreeSlot(userId, { startDate, duration, preferences, excludeId = null, excludeOccurrence = null }) {
+    const from = new Date(startDate);
+    const to = new Date(from.getTime() + SHIFT_HORIZON_DAYS * 24 * 60 * MINUTE);
+    const { gaps } = await this.scan(userId, { from, to, duration, preferences, excludeId, excludeOccurrence });
+    if (gaps.length === 0) return null;
+
+    return {
+      startDate: new Date(gaps[0].start),
+      endDate: new Date(gaps[0].start + duration * MINUTE)
+    };
+  }
+}
+
+module.exports = new SchedulingService();
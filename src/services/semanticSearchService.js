@@ -1,256 +1,37 @@
-const axios = require('axios');
-const { Embedding } = require('../models/Embedding');
-const { Session } = require('../models/Session');
-const { Quiz } = require('../models/Quiz');
-const { MindMap } = require('../models/MindMap');
+const llmGateway = require('./llm');
+const vectorIndexService = require('./vector');
 
 class SemanticSearchService {
   constructor() {
-    this.hfApiKey = process.env.HF_API_KEY;
-    this.hfApiUrl = 'https://api-inference.huggingface.co/models';
-    this.embeddingModel = process.env.EMBEDDING_MODEL || 'sentence-transformers/all-MiniLM-L6-v2';
-    this.vectorDimension = parseInt(process.env.VECTOR_DIMENSION) || 384;
-    this.similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.7;
+    this.resultLimit = 10;
     
     console.log('🔍 Semantic Search Service initialized:', {
-      hasHfApiKey: !!this.hfApiKey,
-      embeddingModel: this.embeddingModel,
-      vectorDimension: this.vectorDimension,
-      similarityThreshold: this.similarityThreshold
+      hasEmbeddingProvider: llmGateway.isTaskAvailable('embedding', 'embedding'),
+      similarityThreshold: vectorIndexService.similarityThreshold
     });
   }
 
   /**
-   * Generate embeddings for text using Hugging Face
-   */
-  async generateEmbeddings(text) {
-    try {
-      if (!this.hfApiKey) {
-        throw new Error('Hugging Face API key not configured');
-      }
-
-      const response = await axios.post(
-        `${this.hfApiUrl}/${this.embeddingModel}`,
-        { inputs: text },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.hfApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-
-      if (response.data && Array.isArray(response.data)) {
-        return response.data[0];
-      }
-
-      throw new Error('Invalid response format from Hugging Face API');
-
-    } catch (error) {
-      console.error('Failed to generate embeddings:', error.message);
-      throw error;
-    }
-  }
-
-  /**
-   * Search for similar content using vector similarity
+   * Search the user's vector index (evidence, notes, quiz questions, mind map nodes, chat turns)
    */
   async searchSimilarContent(query, userId, options = {}) {
     try {
       console.log('🔍 Searching for similar content:', { query: query.substring(0, 100), userId });
 
-      // Generate embeddings for the query
-      const queryEmbeddings = await this.generateEmbeddings(query);
-
-      // Search in different content types
-      const searchResults = await Promise.all([
-        this.searchSessions(queryEmbeddings, userId, options),
-        this.searchQuizzes(queryEmbeddings, userId, options),
-        this.searchMindMaps(queryEmbeddings, userId, options)
-      ]);
-
-      // Combine and rank results
-      const allResults = searchResults.flat();
-      const rankedResults = this.rankResults(allResults, query);
-
-      console.log(`✅ Found ${rankedResults.length} relevant results`);
-      return rankedResults;
-
-    } catch (error) {
-      console.error('Semantic search failed:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Search sessions using vector similarity
-   */
-  async searchSessions(queryEmbeddings, userId, options) {
-    try {
-      // Get all sessions for the user
-      const sessions = await Session.find({ userId }).populate('nodes');
-      
-      const results = [];
-      for (const session of sessions) {
-        // Calculate similarity for session title and content
-        const titleSimilarity = this.calculateCosineSimilarity(
-          queryEmbeddings, 
-          session.title
-        );
-        
-        const contentSimilarity = this.calculateCosineSimilarity(
-          queryEmbeddings,
-          session.nodes.map(n => n.content).join(' ')
-        );
-
-        const maxSimilarity = Math.max(titleSimilarity, contentSimilarity);
-        
-        if (maxSimilarity >= this.similarityThreshold) {
-          results.push({
-            type: 'session',
-            id: session.sessionId,
-            title: session.title,
-            content: session.nodes.map(n => n.content).join(' '),
-            similarity: maxSimilarity,
-            metadata: {
-              nodeCount: session.nodes.length,
-              createdAt: session.createdAt,
-              subject: session.metadata?.subject,
-              difficulty: session.metadata?.difficulty
-            }
-          });
-        }
-      }
+      const results = await vectorIndexService.search(userId, query, {
+        limit: this.resultLimit,
+        ...options
+      });
 
+      console.log(`✅ Found ${results.length} relevant results`);
       return results;
 
     } catch (error) {
-      console.error('Session search failed:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Search quizzes using vector similarity
-   */
-  async searchQuizzes(queryEmbeddings, userId, options) {
-    try {
-      const quizzes = await Quiz.find({ userId });
-      
-      const results = [];
-      for (const quiz of quizzes) {
-        const titleSimilarity = this.calculateCosineSimilarity(
-          queryEmbeddings,
-          quiz.title
-        );
-        
-        const topicSimilarity = this.calculateCosineSimilarity(
-          queryEmbeddings,
-          quiz.topic
-        );
-
-        const maxSimilarity = Math.max(titleSimilarity, topicSimilarity);
-        
-        if (maxSimilarity >= this.similarityThreshold) {
-          results.push({
-            type: 'quiz',
-            id: quiz.quizId,
-            title: quiz.title,
-            topic: quiz.topic,
-            similarity: maxSimilarity,
-            metadata: {
-              questionCount: quiz.totalQuestions,
-              difficulty: quiz.difficulty,
-              subject: quiz.subject,
-              createdAt: quiz.createdAt
-            }
-          });
-        }
-      }
-
-      return results;
-
-    } catch (error) {
-      console.error('Quiz search failed:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Search mind maps using vector similarity
-   */
-  async searchMindMaps(queryEmbeddings, userId, options) {
-    try {
-      const mindMaps = await MindMap.find({ userId });
-      
-      const results = [];
-      for (const mindMap of mindMaps) {
-        const titleSimilarity = this.calculateCosineSimilarity(
-          queryEmbeddings,
-          mindMap.title
-        );
-        
-        const topicSimilarity = this.calculateCosineSimilarity(
-          queryEmbeddings,
-          mindMap.topic
-        );
-
-        const maxSimilarity = Math.max(titleSimilarity, topicSimilarity);
-        
-        if (maxSimilarity >= this.similarityThreshold) {
-          results.push({
-            type: 'mindmap',
-            id: mindMap.mindMapId,
-            title: mindMap.title,
-            topic: mindMap.topic,
-            similarity: maxSimilarity,
-            metadata: {
-              nodeCount: mindMap.statistics.totalNodes,
-              subject: mindMap.subject,
-              complexity: mindMap.statistics.complexity,
-              createdAt: mindMap.createdAt
-            }
-          });
-        }
-      }
-
-      return results;
-
-    } catch (error) {
-      console.error('Mind map search failed:', error.message);
+      console.error('Semantic search failed:', error.message);
       return [];
     }
   }
 
-  /**
-   * Calculate cosine similarity between two vectors
-   */
-  calculateCosineSimilarity(vectorA, textB) {
-    try {
-      // For now, using a simple text similarity
-      // In production, you'd want to compare actual vector embeddings
-      const wordsA = vectorA.toLowerCase().split(/\s+/);
-      const wordsB = textB.toLowerCase().split(/\s+/);
-      
-      const intersection = wordsA.filter(word => wordsB.includes(word));
-      const union = [...new Set([...wordsA, ...wordsB])];
-      
-      return intersection.length / union.length;
-    } catch (error) {
-      return 0;
-    }
-  }
-
-  /**
-   * Rank search results by relevance
-   */
-  rankResults(results, query) {
-    return results
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, 10); // Return top 10 results
-  }
-
   /**
    * Generate context-aware response using RAG
    */
@@ -315,8 +96,8 @@ class SemanticSearchService {
       if (item.content) {
         context += `Content: ${item.content.substring(0, 500)}...\n`;
       }
-      if (item.topic) {
-        context += `Topic: ${item.topic}\n`;
+      if (item.metadata?.topic) {
+        context += `Topic: ${item.metadata.topic}\n`;
       }
       context += `Relevance: ${(item.similarity * 100).toFixed(1)}%\n`;
     });
@@ -329,7 +110,7 @@ class SemanticSearchService {
    */
   async generateResponseWithContext(userQuery, context, options) {
     try {
-      if (!this.hfApiKey) {
+      if (!llmGateway.isTaskAvailable('inference', 'inference')) {
         // Fallback to simple response generation
         return this.generateSimpleResponse(userQuery, context);
       }
@@ -349,20 +130,10 @@ Please provide a comprehensive answer that:
 Answer:`;
 
       // Use Hugging Face for response generation
-      const response = await axios.post(
-        `${this.hfApiUrl}/google/flan-t5-large`,
-        { inputs: prompt },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.hfApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
+      const data = await llmGateway.inference('google/flan-t5-large', { inputs: prompt });
 
-      if (response.data && response.data[0] && response.data[0].generated_text) {
-        return response.data[0].generated_text;
+      if (data && data[0] && data[0].generated_text) {
+        return data[0].generated_text;
       }
 
       throw new Error('Invalid response from Hugging Face API');
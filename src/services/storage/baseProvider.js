@@ -0,0 +1,126 @@
+const path = require('path');
+const sharp = require('sharp');
+
+/**
+ * Base class for storage providers.
+ *
+ * Every provider stores files under a key such as `ai-study-helper/<id>` and implements:
+ *   put(buffer, options)          -> { key, url, size, width, height, format, resourceType, uploadedAt }
+ *   get(key)                      -> { buffer, resourceType, contentType, originalName, size } | null
+ *   stat(key)                     -> file info without the buffer | null
+ *   delete(key)                   -> true if something was removed
+ *   getUrl(key, options)          -> public URL
+ *   getSignedUrl(key, options)    -> time-limited URL
+ *   getUsage()                    -> provider usage statistics
+ *
+ * crop() and thumbnail() are implemented here with sharp on top of get/put;
+ * providers with server-side transformations may override them.
+ */
+class BaseStorageProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async put() {
+    throw new Error(`${this.name} storage provider does not implement put()`);
+  }
+
+  async get() {
+    throw new Error(`${this.name} storage provider does not implement get()`);
+  }
+
+  async stat() {
+    throw new Error(`${this.name} storage provider does not implement stat()`);
+  }
+
+  async delete() {
+    throw new Error(`${this.name} storage provider does not implement delete()`);
+  }
+
+  getUrl() {
+    throw new Error(`${this.name} storage provider does not implement getUrl()`);
+  }
+
+  async getSignedUrl() {
+    throw new Error(`${this.name} storage provider does not implement getSignedUrl()`);
+  }
+
+  async getUsage() {
+    return { provider: this.name };
+  }
+
+  /**
+   * Crop a region out of an image buffer and store it
+   * @param {Buffer} imageBuffer - Original image buffer
+   * @param {Object} bbox - Bounding box {x, y, width, height}
+   * @param {Object} options - { key, padding, tags }
+   */
+  async crop(imageBuffer, bbox, options = {}) {
+    const { key, padding = 10, tags = [] } = options;
+    const { width: imageWidth = 2048, height: imageHeight = 2048 } = await sharp(imageBuffer).metadata();
+
+    // Calculate crop dimensions with padding, clamped to the image
+    const { x, y, width, height } = bbox;
+    const paddedX = Math.max(0, Math.round(x - padding));
+    const paddedY = Math.max(0, Math.round(y - padding));
+    const paddedWidth = Math.min(imageWidth - paddedX, Math.round(width + 2 * padding));
+    const paddedHeight = Math.min(imageHeight - paddedY, Math.round(height + 2 * padding));
+
+    const croppedBuffer = await sharp(imageBuffer)
+      .extract({
+        left: paddedX,
+        top: paddedY,
+        width: paddedWidth,
+        height: paddedHeight
+      })
+      .png({ quality: 90 })
+      .toBuffer();
+
+    const stored = await this.put(croppedBuffer, {
+      key,
+      resourceType: 'image',
+      contentType: 'image/png',
+      tags: [...tags, 'cropped']
+    });
+
+    return {
+      ...stored,
+      bbox: { x, y, width, height },
+      paddedBbox: { x: paddedX, y: paddedY, width: paddedWidth, height: paddedHeight }
+    };
+  }
+
+  /**
+   * Create a thumbnail for a stored image and return its location
+   * @param {string} key - Key of the stored image
+   * @param {Object} options - { width, height }
+   */
+  async thumbnail(key, options = {}) {
+    const { width = 300, height = 300 } = options;
+
+    const file = await this.get(key);
+    if (!file || file.resourceType !== 'image') {
+      return null;
+    }
+
+    const thumbnailBuffer = await sharp(file.buffer)
+      .resize(width, height, { fit: 'cover', position: 'center' })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    const thumbnailKey = path.posix.join(
+      path.posix.dirname(key),
+      'thumbnails',
+      `${path.posix.basename(key)}_${width}x${height}.webp`
+    );
+
+    return this.put(thumbnailBuffer, {
+      key: thumbnailKey,
+      resourceType: 'image',
+      contentType: 'image/webp',
+      tags: ['thumbnail']
+    });
+  }
+}
+
+module.exports = BaseStorageProvider;
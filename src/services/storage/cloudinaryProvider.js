@@ -0,0 +1,219 @@
+const axios = require('axios');
+const BaseStorageProvider = require('./baseProvider');
+const { getCloudinary } = require('../cloudinaryService');
+
+/**
+ * Stores files in Cloudinary. Keys map directly to Cloudinary public IDs.
+ */
+class CloudinaryStorageProvider extends BaseStorageProvider {
+  constructor() {
+    super('cloudinary');
+    this.cloudinary = getCloudinary();
+  }
+
+  async put(buffer, options = {}) {
+    const {
+      key,
+      resourceType = 'image',
+      format,
+      tags = [],
+      transformation = []
+    } = options;
+
+    const uploadOptions = {
+      resource_type: resourceType,
+      public_id: key,
+      tags
+    };
+
+    if (resourceType === 'image') {
+      uploadOptions.transformation = [
+        { quality: 'auto:good' },
+        { fetch_format: 'auto' },
+        ...transformation
+      ];
+    } else if (format) {
+      uploadOptions.format = format;
+    }
+
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = this.cloudinary.uploader.upload_stream(uploadOptions, (error, uploaded) => {
+        if (error) reject(error);
+        else resolve(uploaded);
+      });
+
+      uploadStream.end(buffer);
+    });
+
+    return {
+      key: result.public_id,
+      url: result.secure_url,
+      size: result.bytes,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      resourceType,
+      uploadedAt: new Date()
+    };
+  }
+
+  /**
+   * Look up a resource, trying image first and then raw (PDF)
+   */
+  async findResource(key) {
+    for (const resourceType of ['image', 'raw']) {
+      try {
+        const result = await this.cloudinary.api.resource(key, { resource_type: resourceType });
+        return { result, resourceType };
+      } catch (error) {
+        continue;
+      }
+    }
+    return null;
+  }
+
+  async stat(key) {
+    const found = await this.findResource(key);
+    if (!found) return null;
+
+    const { result, resourceType } = found;
+    return {
+      key: result.public_id,
+      url: result.secure_url,
+      size: result.bytes,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      resourceType,
+      tags: result.tags || [],
+      originalName: result.original_filename,
+      uploadedAt: result.created_at
+    };
+  }
+
+  async get(key) {
+    const found = await this.findResource(key);
+    if (!found) return null;
+
+    const { result, resourceType } = found;
+    const buffer = await this.download(result.secure_url, key, resourceType);
+
+    return {
+      buffer,
+      resourceType,
+      contentType: resourceType === 'raw' ? 'application/pdf' : `image/${result.format}`,
+      originalName: result.original_filename || key,
+      size: buffer.length
+    };
+  }
+
+  /**
+   * Download a delivery URL, retrying with a signed URL when access is denied
+   */
+  async download(url, key, resourceType) {
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: 10000,
+        headers: { 'User-Agent': 'AI-Study-Helper/1.0' }
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (!error.response || ![401, 403].includes(error.response.status)) {
+        throw error;
+      }
+
+      console.log('🔄 Access denied, retrying download with a signed URL...');
+      const signedUrl = this.cloudinary.url(key, {
+        resource_type: resourceType,
+        sign_url: true,
+        type: 'upload',
+        secure: true
+      });
+
+      const signedResponse = await axios.get(signedUrl, {
+        responseType: 'arraybuffer',
+        timeout: 15000
+      });
+      return Buffer.from(signedResponse.data);
+    }
+  }
+
+  async delete(key) {
+    for (const resourceType of ['image', 'raw']) {
+      const result = await this.cloudinary.uploader.destroy(key, { resource_type: resourceType });
+      if (result.result === 'ok') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  getUrl(key, options = {}) {
+    const { resourceType = 'image', transformation } = options;
+    return this.cloudinary.url(key, {
+      resource_type: resourceType,
+      secure: true,
+      transformation
+    });
+  }
+
+  async getSignedUrl(key, options = {}) {
+    const {
+      resourceType = 'image',
+      expiresIn = 3600,
+      transformation = []
+    } = options;
+
+    return this.cloudinary.url(key, {
+      resource_type: resourceType,
+      sign_url: true,
+      type: 'upload',
+      secure: true,
+      expires_at: Math.round(Date.now() / 1000) + expiresIn,
+      transformation
+    });
+  }
+
+  /**
+   * Thumbnails are delivered through a Cloudinary transformation instead of a stored copy
+   */
+  async thumbnail(key, options = {}) {
+    const { width = 300, height = 300 } = options;
+    return {
+      key,
+      url: this.getUrl(key, {
+        transformation: [{ width, height, crop: 'fill', gravity: 'auto', fetch_format: 'auto' }]
+      }),
+      width,
+      height,
+      resourceType: 'image'
+    };
+  }
+
+  async getUsage() {
+    const result = await this.cloudinary.api.usage();
+
+    return {
+      provider: this.name,
+      plan: result.plan,
+      credits: {
+        used: result.credits.used,
+        limit: result.credits.limit,
+        remaining: result.credits.limit - result.credits.used
+      },
+      objects: {
+        used: result.objects.used,
+        limit: result.objects.limit,
+        remaining: result.objects.limit - result.objects.used
+      },
+      bandwidth: {
+        used: result.bandwidth.used,
+        limit: result.bandwidth.limit,
+        remaining: result.bandwidth.limit - result.bandwidth.used
+      }
+    };
+  }
+}
+
+module.exports = CloudinaryStorageProvider;
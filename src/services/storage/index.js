@@ -0,0 +1,36 @@
+/**
+ * Storage provider selection.
+ * STORAGE_PROVIDER=cloudinary (default) or STORAGE_PROVIDER=local
+ */
+const PROVIDERS = {
+  cloudinary: () => require('./cloudinaryProvider'),
+  local: () => require('./localProvider')
+};
+
+let provider = null;
+
+const getProviderName = () => (process.env.STORAGE_PROVIDER || 'cloudinary').toLowerCase();
+
+/**
+ * Get the configured storage provider (created once)
+ */
+const getStorageProvider = () => {
+  if (!provider) {
+    const name = getProviderName();
+    const loadProvider = PROVIDERS[name];
+
+    if (!loadProvider) {
+      throw new Error(`Unknown STORAGE_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const Provider = loadProvider();
+    provider = new Provider();
+    console.log(`🗄️ Storage provider: ${provider.name}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  getStorageProvider,
+  getProviderName
+};
@@ -0,0 +1,225 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const BaseStorageProvider = require('./baseProvider');
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Stores files on the local filesystem. Each file has a `<file>.meta.json`
+ * sidecar holding its content type, dimensions and tags.
+ * Files are served by the /files route (see routes/fileRoutes.js).
+ */
+class LocalStorageProvider extends BaseStorageProvider {
+  constructor() {
+    super('local');
+    this.rootDir = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+    this.baseUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    this.signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'local-storage-secret';
+    // When private, /files only serves URLs produced by getSignedUrl()
+    this.isPrivate = process.env.LOCAL_STORAGE_PRIVATE === 'true';
+  }
+
+  /**
+   * Resolve a key to a path inside the storage root, rejecting traversal
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async readMeta(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(`${filePath}.meta.json`, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async put(buffer, options = {}) {
+    const {
+      key,
+      resourceType = 'image',
+      contentType,
+      format,
+      tags = [],
+      originalName
+    } = options;
+
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    const meta = {
+      resourceType,
+      contentType: contentType || CONTENT_TYPES[path.extname(key).toLowerCase()] ||
+        (resourceType === 'raw' ? 'application/pdf' : 'application/octet-stream'),
+      format: format || path.extname(key).slice(1) || undefined,
+      size: buffer.length,
+      tags,
+      originalName: originalName || path.basename(key),
+      uploadedAt: new Date()
+    };
+
+    if (resourceType === 'image') {
+      try {
+        const { width, height, format: detectedFormat } = await sharp(buffer).metadata();
+        meta.width = width;
+        meta.height = height;
+        if (detectedFormat) {
+          meta.format = detectedFormat;
+          meta.contentType = contentType || `image/${detectedFormat}`;
+        }
+      } catch (error) {
+        console.warn(`Could not read image metadata for ${key}:`, error.message);
+      }
+    }
+
+    await fs.writeFile(`${filePath}.meta.json`, JSON.stringify(meta, null, 2));
+
+    return {
+      key,
+      url: this.getUrl(key),
+      size: meta.size,
+      width: meta.width,
+      height: meta.height,
+      format: meta.format,
+      resourceType,
+      uploadedAt: meta.uploadedAt
+    };
+  }
+
+  async stat(key) {
+    const filePath = this.resolvePath(key);
+
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    const meta = await this.readMeta(filePath);
+    return {
+      key,
+      url: this.getUrl(key),
+      size: stats.size,
+      width: meta.width,
+      height: meta.height,
+      format: meta.format,
+      resourceType: meta.resourceType || (path.extname(key).toLowerCase() === '.pdf' ? 'raw' : 'image'),
+      contentType: meta.contentType || CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+      tags: meta.tags || [],
+      originalName: meta.originalName || path.basename(key),
+      uploadedAt: meta.uploadedAt || stats.mtime
+    };
+  }
+
+  async get(key) {
+    const info = await this.stat(key);
+    if (!info) return null;
+
+    const buffer = await fs.readFile(this.resolvePath(key));
+    return {
+      buffer,
+      resourceType: info.resourceType,
+      contentType: info.contentType,
+      originalName: info.originalName,
+      size: buffer.length
+    };
+  }
+
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    await fs.rm(`${filePath}.meta.json`, { force: true });
+    return true;
+  }
+
+  getUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}/files/${encodedKey}`;
+  }
+
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  async getSignedUrl(key, options = {}) {
+    const { expiresIn = 3600 } = options;
+    const expires = Math.round(Date.now() / 1000) + expiresIn;
+    return `${this.getUrl(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  /**
+   * Check a signature produced by getSignedUrl()
+   */
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Number(expires) < Math.round(Date.now() / 1000)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const provided = Buffer.from(String(signature));
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  async getUsage() {
+    let objects = 0;
+    let bytes = 0;
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else if (!entry.name.endsWith('.meta.json')) {
+          objects += 1;
+          bytes += (await fs.stat(entryPath)).size;
+        }
+      }
+    };
+
+    await walk(this.rootDir);
+
+    return {
+      provider: this.name,
+      rootDir: this.rootDir,
+      objects: { used: objects },
+      storage: { used: bytes }
+    };
+  }
+}
+
+module.exports = LocalStorageProvider;
@@ -1,16 +1,9 @@
-const cloudinary = require('cloudinary').v2;
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const { getStorageProvider } = require('./storage');
 
 /**
- * Upload image to Cloudinary
+ * Upload image through the configured storage provider
  * @param {Buffer} imageBuffer - Image buffer
  * @param {Object} options - Upload options
  * @returns {Promise<Object>} Upload result
@@ -24,39 +17,22 @@ const uploadImage = async (imageBuffer, options = {}) => {
       transformation = []
     } = options;
 
-    // Create upload stream
-    const uploadResult = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          public_id: publicId,
-          folder,
-          tags,
-          transformation: [
-            { quality: 'auto:good' },
-            { fetch_format: 'auto' },
-            ...transformation
-          ]
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
-
-      // Pipe the buffer to the upload stream
-      uploadStream.end(imageBuffer);
+    const result = await getStorageProvider().put(imageBuffer, {
+      key: `${folder}/${publicId}`,
+      resourceType: 'image',
+      tags,
+      transformation
     });
 
     return {
       success: true,
-      publicId: uploadResult.public_id,
-      url: uploadResult.secure_url,
-      width: uploadResult.width,
-      height: uploadResult.height,
-      format: uploadResult.format,
-      size: uploadResult.bytes,
-      uploadedAt: new Date()
+      publicId: result.key,
+      url: result.url,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      size: result.size,
+      uploadedAt: result.uploadedAt
     };
   } catch (error) {
     console.error('Image upload error:', error);
@@ -82,45 +58,24 @@ const createCroppedImage = async (imageBuffer, bbox, options = {}) => {
       tags = ['crop', 'evidence']
     } = options;
 
-    // Calculate crop dimensions with padding
-    const { x, y, width, height } = bbox;
-    const paddedX = Math.max(0, x - padding);
-    const paddedY = Math.max(0, y - padding);
-    const paddedWidth = Math.min(imageBuffer.width || 2048, width + 2 * padding);
-    const paddedHeight = Math.min(imageBuffer.height || 2048, height + 2 * padding);
-
-    // Create cropped image
-    const croppedBuffer = await sharp(imageBuffer)
-      .extract({
-        left: paddedX,
-        top: paddedY,
-        width: paddedWidth,
-        height: paddedHeight
-      })
-      .png({ quality: 90 })
-      .toBuffer();
-
-    // Upload cropped image
-    const publicId = `crop_${uuidv4()}_${Date.now()}`;
-    const uploadResult = await uploadImage(croppedBuffer, {
-      folder,
-      publicId,
-      tags: [...tags, 'cropped'],
-      transformation: [
-        { quality: 'auto:good' },
-        { fetch_format: 'png' }
-      ]
+    const result = await getStorageProvider().crop(imageBuffer, bbox, {
+      key: `${folder}/crop_${uuidv4()}_${Date.now()}.png`,
+      padding,
+      tags
     });
 
-    if (uploadResult.success) {
-      return {
-        ...uploadResult,
-        bbox: { x, y, width, height },
-        paddedBbox: { x: paddedX, y: paddedY, width: paddedWidth, height: paddedHeight }
-      };
-    }
-
-    return uploadResult;
+    return {
+      success: true,
+      publicId: result.key,
+      url: result.url,
+      width: result.width,
+      height: result.height,
+      format: result.format,
+      size: result.size,
+      uploadedAt: result.uploadedAt,
+      bbox: result.bbox,
+      paddedBbox: result.paddedBbox
+    };
   } catch (error) {
     console.error('Create cropped image error:', error);
     return {
@@ -131,23 +86,29 @@ const createCroppedImage = async (imageBuffer, bbox, options = {}) => {
 };
 
 /**
- * Get image information from Cloudinary
- * @param {string} publicId - Cloudinary public ID
+ * Get image information from storage
+ * @param {string} publicId - Storage key
  * @returns {Promise<Object>} Image information
  */
 const getImageInfo = async (publicId) => {
   try {
-    const result = await cloudinary.api.resource(publicId);
-    
+    const result = await getStorageProvider().stat(publicId);
+    if (!result) {
+      return {
+        success: false,
+        error: 'Image not found'
+      };
+    }
+
     return {
       success: true,
-      publicId: result.public_id,
-      url: result.secure_url,
+      publicId: result.key,
+      url: result.url,
       width: result.width,
       height: result.height,
       format: result.format,
-      size: result.bytes,
-      uploadedAt: result.created_at,
+      size: result.size,
+      uploadedAt: result.uploadedAt,
       tags: result.tags || []
     };
   } catch (error) {
@@ -160,15 +121,15 @@ const getImageInfo = async (publicId) => {
 };
 
 /**
- * Delete image from Cloudinary
- * @param {string} publicId - Cloudinary public ID
+ * Delete image from storage
+ * @param {string} publicId - Storage key
  * @returns {Promise<Object>} Deletion result
  */
 const deleteImage = async (publicId) => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const deleted = await getStorageProvider().delete(publicId);
     
-    if (result.result === 'ok') {
+    if (deleted) {
       return {
         success: true,
         message: 'Image deleted successfully',
@@ -191,7 +152,7 @@ const deleteImage = async (publicId) => {
 
 /**
  * Generate signed URL for private images
- * @param {string} publicId - Cloudinary public ID
+ * @param {string} publicId - Storage key
  * @param {Object} options - URL options
  * @returns {Promise<string>} Signed URL
  */
@@ -202,20 +163,48 @@ const generateSignedUrl = async (publicId, options = {}) => {
       transformation = []
     } = options;
 
-    const url = cloudinary.url(publicId, {
-      sign_url: true,
-      type: 'upload',
-      expires_at: expiresAt,
+    return await getStorageProvider().getSignedUrl(publicId, {
+      expiresIn: Math.max(1, expiresAt - Math.round(Date.now() / 1000)),
       transformation
     });
-
-    return url;
   } catch (error) {
     console.error('Generate signed URL error:', error);
     throw error;
   }
 };
 
+/**
+ * Create a stored thumbnail for an image already in storage
+ * @param {string} publicId - Storage key of the source image
+ * @param {Object} options - Thumbnail options {width, height}
+ * @returns {Promise<Object>} Thumbnail location
+ */
+const createStoredThumbnail = async (publicId, options = {}) => {
+  try {
+    const result = await getStorageProvider().thumbnail(publicId, options);
+    if (!result) {
+      return {
+        success: false,
+        error: 'Image not found'
+      };
+    }
+
+    return {
+      success: true,
+      publicId: result.key,
+      url: result.url,
+      width: result.width,
+      height: result.height
+    };
+  } catch (error) {
+    console.error('Create stored thumbnail error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 /**
  * Optimize image for web delivery
  * @param {Buffer} imageBuffer - Image buffer
@@ -307,31 +296,16 @@ const createThumbnail = async (imageBuffer, options = {}) => {
 };
 
 /**
- * Get Cloudinary usage statistics
+ * Get storage usage statistics
  * @returns {Promise<Object>} Usage statistics
  */
 const getUsageStats = async () => {
   try {
-    const result = await cloudinary.api.usage();
+    const result = await getStorageProvider().getUsage();
     
     return {
       success: true,
-      plan: result.plan,
-      credits: {
-        used: result.credits.used,
-        limit: result.credits.limit,
-        remaining: result.credits.limit - result.credits.used
-      },
-      objects: {
-        used: result.objects.used,
-        limit: result.objects.limit,
-        remaining: result.objects.limit - result.objects.used
-      },
-      bandwidth: {
-        used: result.bandwidth.used,
-        limit: result.bandwidth.limit,
-        remaining: result.bandwidth.limit - result.bandwidth.used
-      }
+      ...result
     };
   } catch (error) {
     console.error('Get usage stats error:', error);
@@ -348,6 +322,7 @@ module.exports = {
   getImageInfo,
   deleteImage,
   generateSignedUrl,
+  createStoredThumbnail,
   optimizeImage,
   createThumbnail,
   getUsageStats
@@ -0,0 +1,544 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const Calendar = require('../models/Calendar');
+const StudyPlan = require('../models/StudyPlan');
+const Session = require('../models/Session');
+const MindMap = require('../models/MindMap');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const TitleGenerator = require('../utils/titleGenerator');
+const { imageIdVariants } = require('../utils/ownership');
+const { zonedDateParts, zonedTimeToDate } = require('../utils/timezone');
+
+// Days after a topic is learned when it comes back for review (spaced repetition)
+const REVIEW_INTERVALS = [1, 3, 7, 14];
+// Topics answered below this quiz accuracy get an extra learning block
+const WEAK_ACCURACY = 0.6;
+const SLOT_STEP_MINUTES = 15;
+const MAX_PLAN_DAYS = 180;
+const MAX_TOPICS = 60;
+const ACTIVE_STATUSES = ['planned', 'in-progress'];
+const BLOCK_ORDER = { learn: 0, review: 1, 'final-review': 2 };
+const PRIORITY_BUMP = { low: 'medium', medium: 'high', high: 'urgent', urgent: 'urgent' };
+
+const MINUTE = 60 * 1000;
+
+const parseClock = (value) => String(value).split(':').map(Number);
+
+const ceilToStep = (time) => Math.ceil(time / (SLOT_STEP_MINUTES * MINUTE)) * SLOT_STEP_MINUTES * MINUTE;
+
+const reviewMinutes = (plan) => Math.max(15, Math.round(plan.blockMinutes / 2 / SLOT_STEP_MINUTES) * SLOT_STEP_MINUTES);
+
+const normalizeTopic = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * Generates study plans: spreads the topics of a user's material over the days before an
+ * exam, adds spaced review blocks, and moves missed blocks into the time that is left.
+ *
+ * Blocks are placed inside a daily wall-clock window (in the plan's time zone), never over
+ * an existing task or recurring occurrence (Calendar#hasConflict), and never beyond
+ * hoursPerDay on one day.
+ */
+class StudyPlanService {
+  constructor() {
+    this.schedule = process.env.STUDY_PLAN_REBALANCE_CRON || '0 * * * *';
+    this.cronTask = null;
+    this.running = false;
+  }
+
+  /**
+   * Collect plan topics from sessions and images: mind map branches, quiz topics and
+   * quiz accuracy per topic. Extra topic names can be passed explicitly.
+   */
+  async collectTopics(userId, { sessionIds = [], imageIds = [], topics = [] } = {}) {
+    const sessions = sessionIds.length > 0
+      ? await Session.findOwned(userId, { sessionId: { $in: sessionIds } }).select('sessionId title sourceImages')
+      : [];
+    const imageToSession = new Map();
+    sessions.forEach(session => {
+      (session.sourceImages || []).forEach(image => imageToSession.set(image.imageId, session.sessionId));
+    });
+
+    const allImageIds = [...new Set([...imageIds, ...imageToSession.keys()])];
+    const imageVariants = allImageIds.flatMap(imageIdVariants);
+
+    const mindMapOr = [];
+    if (sessionIds.length > 0) mindMapOr.push({ sessionId: { $in: sessionIds } });
+    if (imageVariants.length > 0) mindMapOr.push({ imageId: { $in: imageVariants } });
+
+    const [mindMaps, quizzes] = await Promise.all([
+      mindMapOr.length > 0 ? MindMap.findOwned(userId, { $or: mindMapOr }).sort({ createdAt: 1 }) : [],
+      imageVariants.length > 0
+        ? Quiz.findOwned(userId, { imageId: { $in: imageVariants } }).sort({ createdAt: 1 })
+        : []
+    ]);
+
+    const byName = new Map();
+    const addTopic = (name, source) => {
+      const key = normalizeTopic(name);
+      if (!key) return;
+      const existing = byName.get(key);
+      if (existing) {
+        // Keep the first material's name but fill in links it was missing
+        Object.entries(source).forEach(([field, value]) => {
+          if (value && !existing[field]) existing[field] = value;
+        });
+        return;
+      }
+      byName.set(key, { name: String(name).trim(), ...source });
+    };
+
+    mindMaps.forEach(mindMap => {
+      const sessionId = mindMap.sessionId || imageToSession.get(mindMap.imageId) || undefined;
+      const source = { sessionId, mindMapId: mindMap.mindMapId, imageId: mindMap.imageId };
+
+      // Branches under the root are the topics; a flat map contributes its top-level nodes
+      const roots = mindMap.nodes.filter(node => node.parents.length === 0);
+      const branches = roots.length === 1 && roots[0].children.length > 0
+        ? roots[0].children.map(id => mindMap.nodes.find(node => node.id === id)).filter(Boolean)
+        : roots;
+
+      if (branches.length === 0) {
+        addTopic(mindMap.topic, source);
+      } else {
+        branches.forEach(node => addTopic(node.title, source));
+      }
+    });
+
+    quizzes.forEach(quiz => {
+      const source = { quizId: quiz.id, imageId: quiz.imageId, sessionId: imageToSession.get(quiz.imageId) };
+      const names = quiz.topics.length > 0 ? quiz.topics : [...new Set(quiz.questions.map(q => q.topic))];
+      names.forEach(name => addTopic(name, source));
+    });
+
+    // Sessions without a mind map or quiz are studied as one topic
+    sessions.forEach(session => {
+      const covered = [...byName.values()].some(topic => topic.sessionId === session.sessionId);
+      if (!covered) addTopic(session.title, { sessionId: session.sessionId });
+    });
+
+    topics.forEach(name => addTopic(name, {}));
+
+    const accuracy = await this.topicAccuracy(userId, quizzes);
+    return [...byName.entries()].slice(0, MAX_TOPICS).map(([key, topic]) => {
+      const score = accuracy.has(key) ? accuracy.get(key) : null;
+      return {
+        ...topic,
+        accuracy: score,
+        blocks: score !== null && score < WEAK_ACCURACY ? 2 : 1
+      };
+    });
+  }
+
+  /**
+   * Share of correct answers per question topic over the user's latest attempt at each quiz
+   * @returns {Promise<Map<string, number>>} normalized topic -> accuracy (0-1)
+   */
+  async topicAccuracy(userId, quizzes) {
+    const result = new Map();
+    if (quizzes.length === 0) return result;
+
+    const attempts = await QuizAttempt.findOwned(userId, { quizId: { $in: quizzes.map(quiz => quiz.id) } })
+      .sort({ submittedAt: -1 });
+    const latest = new Map();
+    attempts.forEach(attempt => {
+      if (!latest.has(attempt.quizId)) latest.set(attempt.quizId, attempt);
+    });
+
+    const totals = new Map();
+    quizzes.forEach(quiz => {
+      const attempt = latest.get(quiz.id);
+      if (!attempt) return;
+
+      const questionTopics = new Map(quiz.questions.map(question => [question.id, normalizeTopic(question.topic)]));
+      attempt.answers.forEach(answer => {
+        const topic = questionTopics.get(answer.questionId);
+        if (!topic) return;
+        const total = totals.get(topic) || { correct: 0, answered: 0 };
+        total.answered += 1;
+        if (answer.isCorrect) total.correct += 1;
+        totals.set(topic, total);
+      });
+    });
+
+    totals.forEach(({ correct, answered }, topic) => result.set(topic, correct / answered));
+    return result;
+  }
+
+  /**
+   * Study windows from `from` up to the day before the exam, in the plan's time zone
+   */
+  buildDays(plan, from) {
+    const days = [];
+    const [year, month, day] = zonedDateParts(from, plan.timezone);
+    const [startHour, startMinute] = parseClock(plan.dayStart);
+    const [endHour, endMinute] = parseClock(plan.dayEnd);
+    const budget = Math.round(plan.hoursPerDay * 60);
+
+    for (let offset = 0; offset < MAX_PLAN_DAYS; offset++) {
+      // Step through calendar dates in UTC so DST never skips or repeats a day
+      const date = new Date(Date.UTC(year, month - 1, day + offset));
+      const parts = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+      const windowStart = zonedTimeToDate([...parts, startHour, startMinute], plan.timezone);
+      const windowEnd = zonedTimeToDate([...parts, endHour, endMinute], plan.timezone);
+
+      if (windowStart >= plan.examDate) break;
+      if (windowEnd <= from) continue;
+
+      days.push({
+        opensAt: windowStart,
+        windowStart: new Date(Math.max(windowStart.getTime(), ceilToStep(from.getTime()))),
+        windowEnd: new Date(Math.min(windowEnd.getTime(), plan.examDate.getTime())),
+        budget,
+        used: 0
+      });
+    }
+    return days;
+  }
+
+  /**
+   * Put `task` at the first free slot of `day` (not before `notBefore`).
+   * Sets the task's dates and returns true when a slot was found.
+   */
+  async place(task, day, minutes, busy, notBefore = null) {
+    if (day.used + minutes > day.budget) return false;
+
+    const windowEnd = day.windowEnd.getTime();
+    let start = Math.max(day.windowStart.getTime(), notBefore ? ceilToStep(notBefore.getTime()) : 0);
+
+    while (start + minutes * MINUTE <= windowEnd) {
+      const end = start + minutes * MINUTE;
+
+      const overlap = busy.find(interval => interval.start < end && interval.end > start);
+      if (overlap) {
+        start = ceilToStep(overlap.end);
+        continue;
+      }
+
+      task.startDate = new Date(start);
+      task.endDate = new Date(end);
+      task.duration = minutes;
+
+      const conflict = await task.hasConflict();
+      if (conflict) {
+        start = ceilToStep(Math.max(conflict.endDate.getTime(), start + SLOT_STEP_MINUTES * MINUTE));
+        continue;
+      }
+
+      busy.push({ start, end });
+      day.used += minutes;
+      return true;
+    }
+    return false;
+  }
+
+  buildTask(plan, topic, planBlock, minutes, label) {
+    const weak = topic.accuracy !== null && topic.accuracy < WEAK_ACCURACY;
+    const titles = {
+      learn: topic.name,
+      review: `Review: ${topic.name}`,
+      'final-review': `Final review: ${topic.name}`
+    };
+    const priorities = {
+      learn: weak ? 'high' : 'medium',
+      review: 'medium',
+      'final-review': 'high'
+    };
+
+    return new Calendar({
+      id: `task_${uuidv4()}`,
+      title: label ? `${titles[planBlock]} (${label})` : titles[planBlock],
+      subject: plan.subject,
+      topic: topic.name,
+      startDate: plan.startDate,
+      endDate: plan.startDate,
+      duration: minutes,
+      priority: priorities[planBlock],
+      emoji: planBlock === 'learn' ? '📚' : '🔁',
+      notes: `${plan.title} - exam on ${plan.examDate.toDateString()}`,
+      userId: plan.userId,
+      sessionId: topic.sessionId,
+      mindMapId: topic.mindMapId,
+      quizId: topic.quizId,
+      studyPlanId: plan.planId,
+      planBlock,
+      tags: ['study-plan', planBlock],
+      metadata: { estimatedStudyTime: minutes }
+    });
+  }
+
+  /**
+   * Lay out the whole plan. Tasks are returned unsaved.
+   * @returns {Promise<{tasks: Array, unscheduled: Array<{topic, kind}>}>}
+   */
+  async generate(plan, from = new Date()) {
+    const days = this.buildDays(plan, from);
+    const unscheduled = [];
+    const tasks = [];
+    if (days.length === 0) {
+      return { tasks, unscheduled: plan.topics.map(topic => ({ topic: topic.name, kind: 'learn' })) };
+    }
+
+    // Blocks placed in this run are not saved yet, so hasConflict can't see them
+    const busy = [];
+    const shortBlock = reviewMinutes(plan);
+
+    // The last day before the exam is kept for a final review when there is more than one day
+    const finalDay = days.length > 1 ? days[days.length - 1] : null;
+    const learningDays = finalDay ? days.slice(0, -1) : days;
+
+    // First pass covers every topic once; weak topics get their extra block in a second pass
+    const learnQueue = [];
+    const maxBlocks = Math.max(...plan.topics.map(topic => topic.blocks));
+    for (let part = 1; part <= maxBlocks; part++) {
+      plan.topics.forEach(topic => {
+        if (topic.blocks >= part) learnQueue.push({ topic, part });
+      });
+    }
+
+    let reviews = [];
+    for (let i = 0; i < learningDays.length; i++) {
+      const day = learningDays[i];
+
+      // Due reviews first; ones that do not fit slide to the next day
+      const due = reviews.filter(review => review.dueDay <= i);
+      for (const review of due) {
+        const task = this.buildTask(plan, review.topic, 'review', shortBlock, `round ${review.round}`);
+        if (await this.place(task, day, shortBlock, busy)) {
+          tasks.push(task);
+          reviews = reviews.filter(item => item !== review);
+        }
+      }
+
+      // Spread the remaining learning evenly over the remaining days
+      const target = Math.ceil(learnQueue.length / (learningDays.length - i));
+      for (let placed = 0; placed < target && learnQueue.length > 0; placed++) {
+        const { topic, part } = learnQueue[0];
+        const task = this.buildTask(plan, topic, 'learn', plan.blockMinutes, topic.blocks > 1 ? `part ${part}/${topic.blocks}` : null);
+        if (!(await this.place(task, day, plan.blockMinutes, busy))) break;
+
+        tasks.push(task);
+        learnQueue.shift();
+        if (part === topic.blocks) {
+          REVIEW_INTERVALS.forEach((interval, index) => {
+            if (i + interval < learningDays.length) {
+              reviews.push({ topic, round: index + 1, dueDay: i + interval });
+            }
+          });
+        }
+      }
+    }
+
+    if (finalDay) {
+      // Weakest topics first, in case the day runs out
+      const ordered = [...plan.topics].sort((a, b) => (a.accuracy ?? 1) - (b.accuracy ?? 1));
+      for (const topic of ordered) {
+        const task = this.buildTask(plan, topic, 'final-review', shortBlock);
+        if (await this.place(task, finalDay, shortBlock, busy)) {
+          tasks.push(task);
+        } else {
+          unscheduled.push({ topic: topic.name, kind: 'final-review' });
+        }
+      }
+    }
+
+    learnQueue.forEach(({ topic }) => unscheduled.push({ topic: topic.name, kind: 'learn' }));
+    reviews.forEach(({ topic }) => unscheduled.push({ topic: topic.name, kind: 'review' }));
+
+    tasks.sort((a, b) => a.startDate - b.startDate);
+    return { tasks, unscheduled };
+  }
+
+  /**
+   * Create a plan and its Calendar tasks (or only lay it out when `preview` is set)
+   */
+  async createPlan(userId, options) {
+    const topics = await this.collectTopics(userId, options);
+    if (topics.length === 0) {
+      const error = new Error('No topics found in the given sessions or images; pass topics explicitly');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const plan = new StudyPlan({
+      userId,
+      title: options.title || TitleGenerator.generateStudyPlanTitle(options.subject),
+      subject: options.subject,
+      examDate: options.examDate,
+      startDate: options.startDate,
+      hoursPerDay: options.hoursPerDay,
+      blockMinutes: options.blockMinutes,
+      dayStart: options.dayStart,
+      dayEnd: options.dayEnd,
+      timezone: options.timezone,
+      sessionIds: options.sessionIds,
+      imageIds: options.imageIds,
+      topics
+    });
+    await plan.validate();
+
+    const { tasks, unscheduled } = await this.generate(plan, plan.startDate);
+    plan.unscheduled = unscheduled;
+
+    if (!options.preview) {
+      await plan.save();
+      await Calendar.insertMany(tasks);
+      console.log(`🗓️ Created study plan ${plan.planId} for user ${userId}: ${tasks.length} tasks, ${unscheduled.length} unscheduled`);
+    }
+
+    return { plan, tasks, unscheduled };
+  }
+
+  /**
+   * Move missed blocks (past, not completed) into free time before the exam. Reviews that
+   * would now come before the learning block they review are moved along with it; reviews
+   * that no longer fit are cancelled.
+   * @returns {Promise<{moved: number, unscheduled: Array}>}
+   */
+  async rebalance(plan, now = new Date()) {
+    if (plan.examDate <= now) {
+      if (plan.status === 'active') {
+        plan.status = 'completed';
+        await plan.save();
+      }
+      return { moved: 0, unscheduled: [] };
+    }
+
+    const tasks = await Calendar.find({ studyPlanId: plan.planId, userId: plan.userId }).sort({ startDate: 1 });
+    const open = tasks.filter(task => !task.isCompleted && ACTIVE_STATUSES.includes(task.status));
+    const missed = new Set(open.filter(task => task.endDate <= now));
+    if (missed.size === 0) return { moved: 0, unscheduled: [] };
+
+    const days = this.buildDays(plan, now);
+    const busy = [];
+
+    const dayOf = (task) => days.find(d => task.startDate >= d.opensAt && task.startDate < d.windowEnd);
+
+    // Blocks that stay put still count against their day's hours
+    tasks.forEach(task => {
+      if (missed.has(task) || task.status === 'cancelled') return;
+      const day = dayOf(task);
+      if (day) day.used += task.duration;
+    });
+
+    const learnedAt = new Map();
+    const markLearned = (task) => {
+      const key = normalizeTopic(task.topic);
+      learnedAt.set(key, Math.max(learnedAt.get(key) || 0, task.endDate.getTime()));
+    };
+    open.filter(task => task.planBlock === 'learn' && !missed.has(task)).forEach(markLearned);
+
+    let moved = 0;
+    const unscheduled = [];
+    const reschedule = async (task, notBefore) => {
+      for (const day of days) {
+        if (day.windowEnd <= notBefore) continue;
+        if (await this.place(task, day, task.duration, busy, notBefore)) {
+          task.priority = PRIORITY_BUMP[task.priority];
+          if (!task.tags.includes('rescheduled')) task.tags.push('rescheduled');
+          await task.save();
+          moved += 1;
+          return true;
+        }
+      }
+
+      // Missed learning stays visible as missed; a review without room is dropped
+      unscheduled.push({ topic: task.topic, kind: task.planBlock });
+      if (task.planBlock !== 'learn') {
+        task.status = 'cancelled';
+        await task.save();
+      }
+      return false;
+    };
+
+    const missedLearning = [...missed]
+      .filter(task => task.planBlock === 'learn')
+      .sort((a, b) => a.startDate - b.startDate);
+    for (const task of missedLearning) {
+      if (await reschedule(task, now)) markLearned(task);
+    }
+
+    // Missed reviews, and upcoming ones that now come before the learning they review
+    const reviews = open
+      .filter(task => task.planBlock !== 'learn' && (missed.has(task) ||
+        (task.planBlock === 'review' && task.startDate.getTime() < (learnedAt.get(normalizeTopic(task.topic)) || 0))))
+      .sort((a, b) => BLOCK_ORDER[a.planBlock] - BLOCK_ORDER[b.planBlock] || a.startDate - b.startDate);
+    const reviewedAt = new Map();
+    for (const task of reviews) {
+      if (!missed.has(task)) {
+        const day = dayOf(task);
+        if (day) day.used -= task.duration;
+      }
+
+      // Later rounds keep their order after earlier ones
+      const key = normalizeTopic(task.topic);
+      const notBefore = new Date(Math.max(now.getTime(), learnedAt.get(key) || 0, reviewedAt.get(key) || 0));
+      if (await reschedule(task, notBefore)) {
+        reviewedAt.set(key, task.endDate.getTime());
+      }
+    }
+
+    plan.unscheduled = unscheduled;
+    plan.lastRebalancedAt = now;
+    await plan.save();
+
+    console.log(`🗓️ Rebalanced study plan ${plan.planId}: ${moved} block(s) moved, ${unscheduled.length} without room`);
+    return { moved, unscheduled };
+  }
+
+  /**
+   * Rebalance every active plan with missed blocks
+   */
+  async rebalanceMissed(now = new Date()) {
+    const planIds = await Calendar.distinct('studyPlanId', {
+      studyPlanId: { $ne: null },
+      isCompleted: false,
+      status: { $in: ACTIVE_STATUSES },
+      endDate: { $lte: now }
+    });
+    if (planIds.length === 0) return 0;
+
+    const plans = await StudyPlan.find({ planId: { $in: planIds }, status: 'active' });
+    let rebalanced = 0;
+    for (const plan of plans) {
+      try {
+        const { moved } = await this.rebalance(plan, now);
+        if (moved > 0) rebalanced += 1;
+      } catch (error) {
+        console.error(`❌ Failed to rebalance study plan ${plan.planId}:`, error.message);
+      }
+    }
+    return rebalanced;
+  }
+
+  start() {
+    if (this.cronTask) return;
+
+    if (!cron.validate(this.schedule)) {
+      console.error(`❌ Invalid STUDY_PLAN_REBALANCE_CRON "${this.schedule}", study plans will only rebalance on request`);
+      return;
+    }
+
+    this.cronTask = cron.schedule(this.schedule, async () => {
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.rebalanceMissed();
+      } catch (error) {
+        console.error('❌ Study plan rebalance run failed:', error.message);
+      } finally {
+        this.running = false;
+      }
+    });
+    console.log(`🗓️ Study plan rebalancing scheduled (${this.schedule})`);
+  }
+
+  stop() {
+    if (this.cronTask) {
+      this.cronTask.stop();
+      this.cronTask = null;
+    }
+  }
+}
+
+module.exports = new StudyPlanService();
@@ -0,0 +1,231 @@
+const Calendar = require('../models/Calendar');
+const Session = require('../models/Session');
+const Quiz = require('../models/Quiz');
+const TimeEntry = require('../models/TimeEntry');
+
+const POMODORO_FIELDS = ['focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'cyclesBeforeLongBreak', 'targetCycles'];
+
+const httpError = (statusCode, message, extra = {}) => Object.assign(new Error(message), { statusCode, ...extra });
+
+/**
+ * Study timers. One timer per user runs (or is paused) at a time; stopping it stores the
+ * entry and adds its study minutes to the task it was started for.
+ */
+class TimerService {
+  /**
+   * The user's running or paused timer. A Pomodoro timer that reached its cycle target is
+   * stopped at the moment it finished.
+   */
+  async getActive(userId, now = new Date()) {
+    const entry = await TimeEntry.findOneOwned(userId, { status: { $in: ['running', 'paused'] } });
+    if (!entry) return null;
+
+    await this.refresh(entry, now);
+    return entry.status === 'stopped' ? null : entry;
+  }
+
+  /**
+   * Stop a Pomodoro timer that reached its cycle target
+   */
+  async refresh(entry, now = new Date()) {
+    if (entry.finishedAt(now)) {
+      await this.stop(entry, now);
+    }
+    return entry;
+  }
+
+  /**
+   * Resolve what a timer is for; the subject and topic come from the task unless given
+   */
+  async resolveTarget(userId, { taskId, occurrenceDate, sessionId, quizId, subject, topic }) {
+    const target = { taskId: null, occurrenceDate: null, sessionId: sessionId || null, quizId: quizId || null, subject, topic };
+
+    if (taskId) {
+      const task = await Calendar.findOneOwned(userId, { _id: taskId });
+      if (!task) throw httpError(404, 'Task not found');
+
+      if (occurrenceDate) {
+        if (!task.isOccurrenceStart(occurrenceDate)) {
+          throw httpError(400, 'occurrenceDate must be the original start of one of the task\'s occurrences');
+        }
+        target.occurrenceDate = new Date(occurrenceDate);
+      }
+
+      target.taskId = task._id;
+      target.sessionId = target.sessionId || task.sessionId || null;
+      target.quizId = target.quizId || task.quizId || null;
+      target.subject = subject || task.subject;
+      target.topic = topic || task.topic;
+      target.task = task;
+    }
+
+    if (sessionId) {
+      const session = await Session.findOneOwned(userId, { sessionId });
+      if (!session) throw httpError(404, 'Session not found');
+      target.topic = target.topic || session.title;
+    }
+
+    if (quizId) {
+      const quiz = await Quiz.findOneOwned(userId, { $or: [{ id: quizId }, { quizId }] });
+      if (!quiz) throw httpError(404, 'Quiz not found');
+      target.topic = target.topic || quiz.title;
+    }
+
+    target.subject = target.subject || 'General';
+    return target;
+  }
+
+  async start(userId, options = {}) {
+    const active = await this.getActive(userId);
+    if (active) {
+      if (!options.stopActive) {
+        throw httpError(409, 'Another timer is already running', { timer: active });
+      }
+      await this.stop(active);
+    }
+
+    const { task, ...target } = await this.resolveTarget(userId, options);
+    const now = new Date();
+    const pomodoro = {};
+    POMODORO_FIELDS.forEach(field => {
+      if (options.pomodoro?.[field] !== undefined) pomodoro[field] = options.pomodoro[field];
+    });
+
+    const entry = new TimeEntry({
+      userId,
+      ...target,
+      mode: options.mode || 'stopwatch',
+      pomodoro,
+      notes: options.notes,
+      startedAt: now,
+      segments: [{ start: now }]
+    });
+    try {
+      await entry.save();
+    } catch (error) {
+      // A concurrent start got there first
+      if (error.code === 11000) {
+        const timer = await TimeEntry.findOneOwned(userId, { status: { $in: ['running', 'paused'] } });
+        throw httpError(409, 'Another timer is already running', timer ? { timer } : {});
+      }
+      throw error;
+    }
+
+    // Starting work on a planned task puts it in progress
+    if (task && !task.recurring?.enabled && task.status === 'planned') {
+      task.status = 'in-progress';
+      await task.save();
+    }
+
+    console.log(`⏱️ Timer ${entry._id} started for user ${userId} (${entry.mode}, ${entry.subject})`);
+    return entry;
+  }
+
+  async pause(entry, now = new Date()) {
+    if (entry.status !== 'running') throw httpError(400, 'Only a running timer can be paused');
+    entry.pause(now);
+    return entry.save();
+  }
+
+  async resume(entry, now = new Date()) {
+    if (entry.status !== 'paused') throw httpError(400, 'Only a paused timer can be resumed');
+    entry.resume(now);
+    return entry.save();
+  }
+
+  /**
+   * Stop a timer and add its study minutes to its task. A Pomodoro timer past its cycle
+   * target stops at the moment it finished.
+   */
+  async stop(entry, now = new Date()) {
+    if (entry.status === 'stopped') throw httpError(400, 'Timer is already stopped');
+
+    const end = entry.finishedAt(now) || now;
+    entry.stop(end);
+    const minutes = Math.round(entry.focusSeconds / 60);
+
+    // Only the request that actually stops the timer rolls its minutes up
+    const { status, stoppedAt, segments, activeSeconds, focusSeconds, completedCycles } = entry.toObject();
+    const stopped = await TimeEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $ne: 'stopped' } },
+      { $set: { status, stoppedAt, segments, activeSeconds, focusSeconds, completedCycles } }
+    );
+    if (!stopped) throw httpError(400, 'Timer is already stopped');
+
+    if (entry.taskId && minutes > 0) {
+      const task = await Calendar.findById(entry.taskId);
+      if (task) {
+        await task.addActualTime(minutes, entry.occurrenceDate);
+        entry.rolledUpMinutes = minutes;
+      }
+    }
+
+    if (entry.sessionId) {
+      await Session.updateOne(
+        Session.ownerFilter(entry.userId, { sessionId: entry.sessionId }),
+        { $set: { 'studyProgress.lastStudied': end } }
+      );
+    }
+
+    await entry.save();
+    console.log(`⏱️ Timer ${entry._id} stopped: ${minutes} study minute(s)`);
+    return entry;
+  }
+
+  /**
+   * Delete an entry; minutes it added to a task are taken off again
+   */
+  async remove(entry) {
+    if (entry.rolledUpMinutes > 0) {
+      const task = await Calendar.findById(entry.taskId);
+      if (task) {
+        await task.addActualTime(-entry.rolledUpMinutes, entry.occurrenceDate);
+      }
+    }
+    await entry.deleteOne();
+  }
+
+  /**
+   * Planned vs actual study time per subject for a period (all time without a range).
+   * `actualMinutes` is what tasks recorded; `trackedMinutes` is all timer time, including
+   * timers for sessions and quizzes that have no task.
+   */
+  async plannedVsActual(userId, from = null, to = null) {
+    const [planned, tracked] = await Promise.all([
+      Calendar.getSubjectTime(userId, from, to),
+      TimeEntry.trackedBySubject(userId, from, to)
+    ]);
+
+    const bySubject = new Map();
+    const row = (subject) => {
+      if (!bySubject.has(subject)) {
+        bySubject.set(subject, { subject, plannedMinutes: 0, actualMinutes: 0, trackedMinutes: 0, tasks: 0 });
+      }
+      return bySubject.get(subject);
+    };
+
+    planned.forEach(({ subject, plannedMinutes, actualMinutes, tasks }) => {
+      Object.assign(row(subject), { plannedMinutes, actualMinutes, tasks });
+    });
+    tracked.forEach(({ subject, trackedMinutes }) => {
+      row(subject).trackedMinutes = trackedMinutes;
+    });
+
+    const subjects = [...bySubject.values()]
+      .map(item => ({
+        ...item,
+        differenceMinutes: item.actualMinutes - item.plannedMinutes,
+        actualPercentage: item.plannedMinutes ? Math.round((item.actualMinutes / item.plannedMinutes) * 100) : null
+      }))
+      .sort((a, b) => b.plannedMinutes - a.plannedMinutes || b.trackedMinutes - a.trackedMinutes);
+
+    return {
+      plannedMinutes: subjects.reduce((sum, item) => sum + item.plannedMinutes, 0),
+      actualMinutes: subjects.reduce((sum, item) => sum + item.actualMinutes, 0),
+      trackedMinutes: subjects.reduce((sum, item) => sum + item.trackedMinutes, 0),
+      bySubject: subjects
+    };
+  }
+}
+
+module.exports = new TimerService();
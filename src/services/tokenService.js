@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Raised when a refresh token cannot be used; `reason` is safe to return to the client
+ */
+class TokenError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'TokenError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Short-lived access tokens plus rotating refresh tokens.
+ *
+ * Access tokens carry the session (refresh token family) id as `sid`, so revoking a
+ * session cuts off its access tokens immediately rather than when they expire.
+ * Presenting an already-rotated refresh token means it was copied; the whole family is
+ * revoked so neither the thief nor the victim can keep using it.
+ */
+class TokenService {
+  constructor() {
+    this.secret = process.env.JWT_SECRET || 'fallback-secret';
+    this.accessExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  signAccessToken(userId, sessionId) {
+    return jwt.sign({ userId: String(userId), sid: sessionId }, this.secret, { expiresIn: this.accessExpiresIn });
+  }
+
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.secret);
+  }
+
+  getClientInfo(req) {
+    return {
+      userAgent: (req?.headers?.['user-agent'] || '').substring(0, 500),
+      ipAddress: req?.ip || req?.connection?.remoteAddress
+    };
+  }
+
+  async createRefreshToken(userId, familyId, sessionStartedAt, clientInfo) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const record = await RefreshToken.create({
+      tokenHash: this.hashToken(token),
+      userId,
+      familyId,
+      sessionStartedAt,
+      ...clientInfo,
+      expiresAt: new Date(Date.now() + this.refreshTtlDays * 24 * 60 * 60 * 1000)
+    });
+    return { token, record };
+  }
+
+  /**
+   * Token pair returned to the client
+   */
+  buildTokens(userId, familyId, refresh) {
+    const accessToken = this.signAccessToken(userId, familyId);
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      token: accessToken,
+      accessToken,
+      refreshToken: refresh.token,
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshExpiresAt: refresh.record.expiresAt,
+      sessionId: familyId
+    };
+  }
+
+  /**
+   * Start a new session (login, register) for a user
+   */
+  async issueTokens(user, req) {
+    const familyId = crypto.randomUUID();
+    const refresh = await this.createRefreshToken(user._id, familyId, new Date(), this.getClientInfo(req));
+    return this.buildTokens(user._id, familyId, refresh);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair, revoking the presented one
+   * @returns {Promise<{userId, tokens}>}
+   */
+  async rotate(refreshToken, req) {
+    const tokenHash = this.hashToken(refreshToken);
+    const now = new Date();
+
+    // Claim the token atomically so two concurrent refreshes cannot both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'rotated', lastUsedAt: now } },
+      { new: true }
+    );
+
+    if (!current) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+      if (!existing) {
+        throw new TokenError('Invalid refresh token', 'invalid');
+      }
+      if (existing.revokedReason === 'rotated') {
+        await this.revokeFamily(existing.familyId, 'reuse_detected');
+        console.warn(`🚨 Refresh token reuse detected for user ${existing.userId}, session ${existing.familyId} revoked`);
+        throw new TokenError('Refresh token has already been used; session revoked', 'reuse_detected');
+      }
+      if (existing.revokedAt) {
+        throw new TokenError('Session has been revoked', 'revoked');
+      }
+      throw new TokenError('Refresh token expired', 'expired');
+    }
+
+    const refresh = await this.createRefreshToken(current.userId, current.familyId, current.sessionStartedAt, this.getClientInfo(req));
+    current.replacedBy = refresh.record.tokenHash;
+    await current.save();
+
+    return {
+      userId: current.userId,
+      tokens: this.buildTokens(current.userId, current.familyId, refresh)
+    };
+  }
+
+  /**
+   * Whether a session still has a usable refresh token
+   */
+  async isSessionActive(familyId) {
+    if (!familyId) return false;
+    const active = await RefreshToken.exists({ familyId, revokedAt: null, expiresAt: { $gt: new Date() } });
+    return Boolean(active);
+  }
+
+  async revokeFamily(familyId, reason) {
+    const result = await RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout without a valid access token)
+   * @returns {Promise<boolean>} false when the token is unknown
+   */
+  async revokeByRefreshToken(refreshToken, reason = 'logout') {
+    const record = await RefreshToken.findOne({ tokenHash: this.hashToken(refreshToken) });
+    if (!record) return false;
+    await this.revokeFamily(record.familyId, reason);
+    return true;
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @returns {Promise<boolean>} false when the session does not belong to the user or is already gone
+   */
+  async revokeSession(userId, familyId, reason = 'revoked') {
+    const owned = await RefreshToken.exists({ userId, familyId, revokedAt: null });
+    if (!owned) return false;
+    await this.revokeFamily(familyId, reason);
+    return true;
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping the current one
+   */
+  async revokeAllSessions(userId, { exceptSessionId, reason = 'logout_all' } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter.familyId = { $ne: exceptSessionId };
+    }
+
+    const familyIds = await RefreshToken.distinct('familyId', filter);
+    await RefreshToken.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return familyIds.length;
+  }
+
+  /**
+   * Signed-in devices for a user, most recently used first
+   */
+  async listSessions(userId, currentSessionId) {
+    const tokens = await RefreshToken.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return tokens.map(token => ({
+      id: token.familyId,
+      userAgent: token.userAgent,
+      ipAddress: token.ipAddress,
+      createdAt: token.sessionStartedAt,
+      lastUsedAt: token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: token.familyId === currentSessionId
+    }));
+  }
+}
+
+const tokenService = new TokenService();
+tokenService.TokenError = TokenError;
+
+module.exports = tokenService;
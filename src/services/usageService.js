@@ -0,0 +1,116 @@
+const ProcessingJob = require('../models/ProcessingJob');
+const Evidence = require('../models/Evidence');
+const Note = require('../models/Note');
+const Quiz = require('../models/Quiz');
+const MindMap = require('../models/MindMap');
+const Flashcard = require('../models/Flashcard');
+const ChatHistoryEntry = require('../models/ChatHistoryEntry');
+const VectorEntry = require('../models/VectorEntry');
+const { getStorageProvider } = require('./storage');
+const { evidenceOwnerFilter } = require('../utils/ownership');
+
+/**
+ * Per-user resource usage for the admin API.
+ *
+ * Storage has no per-user ledger, so it is measured by looking up each file the user
+ * is known to own (processed uploads and note images) in the storage provider.
+ * AI usage is counted from the artifacts model calls produced.
+ */
+class UsageService {
+  constructor() {
+    this.maxStoredFilesChecked = 500;
+  }
+
+  async getUserUsage(userId) {
+    const [storage, ai, content] = await Promise.all([
+      this.getStorageUsage(userId),
+      this.getAiUsage(userId),
+      this.getContentCounts(userId)
+    ]);
+
+    return { userId: String(userId), storage, ai, content };
+  }
+
+  /**
+   * Storage keys of every file the user uploaded or attached to a note
+   */
+  async getStorageKeys(userId) {
+    const [imageIds, notes] = await Promise.all([
+      ProcessingJob.distinct('imageId', { userId: String(userId) }),
+      Note.find({ userId, 'image.publicId': { $ne: null } }).select('image.publicId').lean()
+    ]);
+
+    const keys = imageIds.map(imageId => `ai-study-helper/${imageId.replace('ai-study-helper/', '')}`);
+    notes.forEach(note => keys.push(note.image.publicId));
+    return [...new Set(keys)];
+  }
+
+  async getStorageUsage(userId) {
+    const keys = await this.getStorageKeys(userId);
+    const checked = keys.slice(0, this.maxStoredFilesChecked);
+    const storage = getStorageProvider();
+
+    let files = 0;
+    let bytes = 0;
+    for (const key of checked) {
+      try {
+        const info = await storage.stat(key);
+        if (info) {
+          files += 1;
+          bytes += info.size || 0;
+        }
+      } catch (error) {
+        console.error(`Failed to stat ${key}:`, error.message);
+      }
+    }
+
+    return {
+      provider: storage.name,
+      files,
+      bytes,
+      truncated: keys.length > checked.length
+    };
+  }
+
+  async getAiUsage(userId) {
+    const [jobsByStatus, chatResponses, quizzes, mindMaps, embeddings] = await Promise.all([
+      ProcessingJob.aggregate([
+        { $match: { userId: String(userId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      ChatHistoryEntry.countDocuments({ userId, role: 'assistant' }),
+      Quiz.countDocuments({ userId: String(userId) }),
+      MindMap.countDocuments({ userId }),
+      VectorEntry.countByType(userId)
+    ]);
+
+    const jobs = jobsByStatus.reduce((counts, row) => {
+      counts[row._id] = row.count;
+      return counts;
+    }, {});
+
+    return {
+      processingJobs: {
+        total: jobsByStatus.reduce((sum, row) => sum + row.count, 0),
+        ...jobs
+      },
+      chatResponses,
+      quizzesGenerated: quizzes,
+      mindMapsGenerated: mindMaps,
+      embeddings: Object.values(embeddings).reduce((sum, count) => sum + count, 0)
+    };
+  }
+
+  async getContentCounts(userId) {
+    const [evidence, notes, publicNotes, flashcards] = await Promise.all([
+      Evidence.countDocuments(await evidenceOwnerFilter(userId)),
+      Note.countDocuments({ userId }),
+      Note.countDocuments({ userId, isPublic: true }),
+      Flashcard.countDocuments({ userId })
+    ]);
+
+    return { evidence, notes, publicNotes, flashcards };
+  }
+}
+
+module.exports = new UsageService();
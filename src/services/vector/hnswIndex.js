@@ -0,0 +1,316 @@
+/**
+ * In-process HNSW (Hierarchical Navigable Small World) graph for approximate
+ * nearest-neighbour search over unit-normalised vectors using cosine distance.
+ * See Malkov & Yashunin, "Efficient and robust approximate nearest neighbor search
+ * using Hierarchical Navigable Small World graphs".
+ */
+class HNSWIndex {
+  constructor({ dimension = null, m = 16, efConstruction = 100, efSearch = 64 } = {}) {
+    this.dimension = dimension;
+    this.m = m;
+    this.maxM0 = m * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(m);
+
+    this.nodes = new Map(); // id -> { vector, level, neighbors: [[ids per level]] }
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  /**
+   * Insert or replace a vector
+   */
+  add(id, vector) {
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    }
+    if (vector.length !== this.dimension) {
+      throw new Error(`Vector dimension ${vector.length} does not match index dimension ${this.dimension}`);
+    }
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+
+    const level = this.randomLevel();
+    const node = {
+      vector: this.normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => [])
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through the layers above the new node's level
+    let current = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      current = this.greedyClosest(node.vector, current, l);
+    }
+
+    let entryIds = [current];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(node.vector, entryIds, this.efConstruction, l);
+      const selected = this.selectNeighbors(candidates, this.m);
+
+      node.neighbors[l] = selected.map(c => c.id);
+      selected.forEach(c => this.connect(c.id, id, l));
+      entryIds = candidates.map(c => c.id);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+  }
+
+  /**
+   * Remove a vector and repair the links of every node that pointed at it
+   */
+  remove(id) {
+    const removed = this.nodes.get(id);
+    if (!removed) return false;
+    this.nodes.delete(id);
+
+    for (let l = 0; l <= removed.level; l++) {
+      const maxConn = l === 0 ? this.maxM0 : this.m;
+
+      this.nodes.forEach((node, nodeId) => {
+        if (node.level < l || !node.neighbors[l].includes(id)) return;
+
+        // Reconnect through the removed node's neighbours so the graph stays navigable
+        const candidateIds = new Set([...node.neighbors[l], ...removed.neighbors[l]]);
+        candidateIds.delete(id);
+        candidateIds.delete(nodeId);
+
+        const candidates = [...candidateIds]
+          .filter(candidateId => this.nodes.has(candidateId) && this.nodes.get(candidateId).level >= l)
+          .map(candidateId => ({ id: candidateId, distance: this.distance(node.vector, this.nodes.get(candidateId).vector) }))
+          .sort((a, b) => a.distance - b.distance);
+
+        node.neighbors[l] = this.selectNeighbors(candidates, maxConn).map(c => c.id);
+      });
+    }
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      this.nodes.forEach((node, nodeId) => {
+        if (node.level > this.maxLevel) {
+          this.maxLevel = node.level;
+          this.entryPoint = nodeId;
+        }
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * k approximate nearest neighbours, most similar first
+   * @returns {Array<{id, similarity}>}
+   */
+  search(vector, k = 10, { ef } = {}) {
+    if (this.entryPoint === null) return [];
+    if (vector.length !== this.dimension) {
+      throw new Error(`Query dimension ${vector.length} does not match index dimension ${this.dimension}`);
+    }
+
+    const query = this.normalize(vector);
+    let current = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      current = this.greedyClosest(query, current, l);
+    }
+
+    return this.searchLayer(query, [current], Math.max(ef || this.efSearch, k), 0)
+      .slice(0, k)
+      .map(c => ({ id: c.id, similarity: 1 - c.distance }));
+  }
+
+  // Link fromId -> toId, pruning fromId's list when it exceeds the layer's connection limit
+  connect(fromId, toId, level) {
+    const node = this.nodes.get(fromId);
+    const neighbors = node.neighbors[level];
+    if (neighbors.includes(toId)) return;
+
+    neighbors.push(toId);
+
+    const maxConn = level === 0 ? this.maxM0 : this.m;
+    if (neighbors.length > maxConn) {
+      const candidates = neighbors
+        .map(id => ({ id, distance: this.distance(node.vector, this.nodes.get(id).vector) }))
+        .sort((a, b) => a.distance - b.distance);
+      node.neighbors[level] = this.selectNeighbors(candidates, maxConn).map(c => c.id);
+    }
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the base
+   * than to any neighbour already chosen, then top up with the closest leftovers.
+   * Candidates must be sorted by distance to the base.
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+
+      const vector = this.nodes.get(candidate.id).vector;
+      const diverse = selected.every(s => this.distance(vector, this.nodes.get(s.id).vector) > candidate.distance);
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  greedyClosest(vector, startId, level) {
+    let current = startId;
+    let currentDistance = this.distance(vector, this.nodes.get(current).vector);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighborId of this.nodes.get(current).neighbors[level] || []) {
+        const distance = this.distance(vector, this.nodes.get(neighborId).vector);
+        if (distance < currentDistance) {
+          currentDistance = distance;
+          current = neighborId;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Best-first search of one layer, returning up to ef candidates sorted by distance
+   */
+  searchLayer(vector, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = entryIds
+      .map(id => ({ id, distance: this.distance(vector, this.nodes.get(id).vector) }))
+      .sort((a, b) => a.distance - b.distance);
+    const results = candidates.slice(0, ef);
+
+    while (candidates.length > 0) {
+      const closest = candidates.shift();
+      if (results.length >= ef && closest.distance > results[results.length - 1].distance) break;
+
+      for (const neighborId of this.nodes.get(closest.id).neighbors[level] || []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const distance = this.distance(vector, this.nodes.get(neighborId).vector);
+        if (results.length < ef || distance < results[results.length - 1].distance) {
+          const candidate = { id: neighborId, distance };
+          insertSorted(candidates, candidate);
+          insertSorted(results, candidate);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+  }
+
+  normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) norm += normalized[i] * normalized[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < normalized.length; i++) normalized[i] /= norm;
+    return normalized;
+  }
+
+  // Cosine distance between unit vectors
+  distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return 1 - dot;
+  }
+
+  toJSON() {
+    const nodes = [];
+    this.nodes.forEach((node, id) => {
+      nodes.push({
+        id,
+        level: node.level,
+        vector: Array.from(node.vector, value => Math.round(value * 1e6) / 1e6),
+        neighbors: node.neighbors
+      });
+    });
+
+    return {
+      version: 1,
+      dimension: this.dimension,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes
+    };
+  }
+
+  static fromJSON(data) {
+    if (data.version !== 1) {
+      throw new Error(`Unsupported index version: ${data.version}`);
+    }
+
+    const index = new HNSWIndex({
+      dimension: data.dimension,
+      m: data.m,
+      efConstruction: data.efConstruction,
+      efSearch: data.efSearch
+    });
+
+    data.nodes.forEach(node => {
+      index.nodes.set(node.id, {
+        vector: Float32Array.from(node.vector),
+        level: node.level,
+        neighbors: node.neighbors
+      });
+    });
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+
+    return index;
+  }
+}
+
+// Insert into an array kept sorted by ascending distance
+function insertSorted(list, item) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (list[mid].distance < item.distance) low = mid + 1;
+    else high = mid;
+  }
+  list.splice(low, 0, item);
+}
+
+module.exports = HNSWIndex;
@@ -0,0 +1,443 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const llmGateway = require('../llm');
+const VectorEntry = require('../../models/VectorEntry');
+const HNSWIndex = require('./hnswIndex');
+const { getSource } = require('./sources');
+
+const MAX_STORED_TEXT = 2000;
+
+// Aliases accepted in search filters
+const TYPE_ALIASES = {
+  quiz: 'quiz_question',
+  question: 'quiz_question',
+  mindmap: 'mindmap_node',
+  node: 'mindmap_node',
+  notes: 'note'
+};
+
+/**
+ * Vector index over a user's evidence, notes, quiz questions, mind map nodes and chat turns.
+ *
+ * Embeddings are stored in Mongo (VectorEntry) and each user gets an HNSW graph that is
+ * persisted to VECTOR_INDEX_DIR. A missing or stale index file is rebuilt from the stored
+ * embeddings, so the files can be deleted at any time. Content is re-embedded only when
+ * its text changes.
+ */
+class VectorIndexService {
+  constructor() {
+    this.indexDir = path.resolve(process.env.VECTOR_INDEX_DIR || path.join('data', 'vector-index'));
+    this.hnswOptions = {
+      m: parseInt(process.env.HNSW_M, 10) || 16,
+      efConstruction: parseInt(process.env.HNSW_EF_CONSTRUCTION, 10) || 100,
+      efSearch: parseInt(process.env.HNSW_EF_SEARCH, 10) || 64
+    };
+    this.similarityThreshold = parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.7;
+    this.maxLoadedIndexes = parseInt(process.env.VECTOR_INDEX_CACHE_SIZE, 10) || 50;
+    this.saveDelayMs = 2000;
+
+    this.indexes = new Map(); // userId -> Promise<HNSWIndex>
+    this.saveTimers = new Map();
+    this.reindexing = new Map(); // userId -> Promise of a running full reindex
+  }
+
+  /**
+   * Normalise a type filter (array or comma-separated string) to source types
+   */
+  parseTypes(types) {
+    if (!types) return [];
+    const list = Array.isArray(types) ? types : String(types).split(',');
+    return [...new Set(list
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean)
+      .map(type => TYPE_ALIASES[type] || type))];
+  }
+
+  getEntryId(sourceType, sourceId, chunkKey) {
+    return `${sourceType}:${sourceId}:${chunkKey}`;
+  }
+
+  hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  getIndexPath(userId) {
+    return path.join(this.indexDir, `${String(userId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  /**
+   * Load (or rebuild) a user's index, keeping at most maxLoadedIndexes in memory
+   */
+  async getIndex(userId) {
+    const key = String(userId);
+
+    if (this.indexes.has(key)) {
+      // Re-insert to keep the map in least-recently-used order
+      const pending = this.indexes.get(key);
+      this.indexes.delete(key);
+      this.indexes.set(key, pending);
+      return pending;
+    }
+
+    const pending = this.loadIndex(key).catch(error => {
+      this.indexes.delete(key);
+      throw error;
+    });
+    this.indexes.set(key, pending);
+    await this.evictIndexes();
+
+    return pending;
+  }
+
+  async loadIndex(userId) {
+    const storedCount = await VectorEntry.countDocuments({ userId });
+
+    try {
+      const index = HNSWIndex.fromJSON(JSON.parse(await fs.readFile(this.getIndexPath(userId), 'utf8')));
+      if (index.size === storedCount) {
+        return index;
+      }
+      console.log(`🔁 Vector index for ${userId} is out of date (${index.size}/${storedCount} entries), rebuilding`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read vector index for ${userId}, rebuilding:`, error.message);
+      }
+    }
+
+    return this.buildIndex(userId);
+  }
+
+  /**
+   * Build a fresh HNSW graph from the stored embeddings. Entries whose dimension does not
+   * match (left over from a different embedding model) are skipped until they are re-embedded.
+   */
+  async buildIndex(userId, dimension = null) {
+    const entries = await VectorEntry.find({ userId }).select('entryId vector').lean();
+    const index = new HNSWIndex({ ...this.hnswOptions, dimension: dimension || entries[0]?.vector.length || null });
+
+    entries
+      .filter(entry => entry.vector.length === index.dimension)
+      .forEach(entry => index.add(entry.entryId, entry.vector));
+
+    if (entries.length > 0) {
+      console.log(`🧮 Built vector index for ${userId}: ${index.size} entries`);
+    }
+    this.scheduleSave(userId);
+
+    return index;
+  }
+
+  async addToIndex(userId, entryId, vector) {
+    const key = String(userId);
+    let index = await this.getIndex(key);
+
+    if (index.dimension !== null && index.dimension !== vector.length) {
+      console.warn(`⚠️ Embedding dimension changed for ${key} (${index.dimension} → ${vector.length}), rebuilding vector index`);
+      index = await this.buildIndex(key, vector.length);
+      this.indexes.set(key, Promise.resolve(index));
+    }
+
+    index.add(entryId, vector);
+    this.scheduleSave(key);
+  }
+
+  async removeFromIndex(userId, entryIds) {
+    if (entryIds.length === 0) return;
+    const index = await this.getIndex(userId);
+    entryIds.forEach(entryId => index.remove(entryId));
+    this.scheduleSave(userId);
+  }
+
+  scheduleSave(userId) {
+    const key = String(userId);
+    if (this.saveTimers.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.saveTimers.delete(key);
+      this.saveIndex(key).catch(error => console.error(`Failed to save vector index for ${key}:`, error.message));
+    }, this.saveDelayMs);
+    timer.unref();
+    this.saveTimers.set(key, timer);
+  }
+
+  async saveIndex(userId) {
+    const pending = this.indexes.get(String(userId));
+    if (!pending) return;
+
+    const index = await pending;
+    const filePath = this.getIndexPath(userId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    // Write then rename so a crash never leaves a truncated index behind
+    await fs.mkdir(this.indexDir, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(index.toJSON()));
+    await fs.rename(tempPath, filePath);
+  }
+
+  async evictIndexes() {
+    while (this.indexes.size > this.maxLoadedIndexes) {
+      const [oldest] = this.indexes.keys();
+      if (this.saveTimers.has(oldest)) {
+        clearTimeout(this.saveTimers.get(oldest));
+        this.saveTimers.delete(oldest);
+        await this.saveIndex(oldest).catch(error => console.error(`Failed to save vector index for ${oldest}:`, error.message));
+      }
+      this.indexes.delete(oldest);
+    }
+  }
+
+  /**
+   * Write every pending index to disk (used on shutdown)
+   */
+  async flush() {
+    const pending = [...this.saveTimers.keys()];
+    pending.forEach(userId => clearTimeout(this.saveTimers.get(userId)));
+    this.saveTimers.clear();
+    await Promise.all(pending.map(userId => this.saveIndex(userId)));
+  }
+
+  /**
+   * Bring the stored embeddings for one document in line with its current content.
+   * Unchanged chunks are kept, changed or new chunks are re-embedded and chunks that
+   * no longer exist are removed.
+   */
+  async indexSource(sourceType, doc, userId = null, options = {}) {
+    const { sourceId, userId: ownerId, chunks } = getSource(sourceType).build(doc, userId);
+    if (!ownerId) {
+      console.warn(`⚠️ Skipping ${sourceType} ${sourceId}: no owner to index it under`);
+      return null;
+    }
+
+    const existing = await VectorEntry.find({ sourceType, sourceId }).lean();
+    const existingById = new Map(existing.map(entry => [entry.entryId, entry]));
+    const keep = new Set();
+    const stats = { sourceType, sourceId, chunks: 0, embedded: 0, removed: 0, failed: 0 };
+
+    for (const chunk of chunks) {
+      const text = String(chunk.text || '').trim().substring(0, MAX_STORED_TEXT);
+      if (!text) continue;
+
+      const entryId = this.getEntryId(sourceType, sourceId, chunk.key);
+      const contentHash = this.hashText(text);
+      const current = existingById.get(entryId);
+      keep.add(entryId);
+      stats.chunks++;
+
+      if (current && current.contentHash === contentHash && !options.force) {
+        // Titles and other metadata can change without the text changing
+        if (JSON.stringify(current.metadata) !== JSON.stringify(chunk.metadata)) {
+          await VectorEntry.updateOne({ entryId }, { metadata: chunk.metadata });
+        }
+        if (!(await this.getIndex(ownerId)).has(entryId)) {
+          await this.addToIndex(ownerId, entryId, current.vector);
+        }
+        continue;
+      }
+
+      let embedding;
+      let model;
+      try {
+        ({ embedding, model } = await llmGateway.embed(text));
+      } catch (error) {
+        // Leave the previous entry in place; the next reindex retries because the hash still differs
+        console.error(`Failed to embed ${entryId}:`, error.message);
+        stats.failed++;
+        continue;
+      }
+
+      await VectorEntry.findOneAndUpdate(
+        { entryId },
+        {
+          entryId,
+          userId: ownerId,
+          sourceType,
+          sourceId,
+          chunkKey: chunk.key,
+          text,
+          contentHash,
+          vector: embedding,
+          model,
+          metadata: chunk.metadata
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+      await this.addToIndex(ownerId, entryId, embedding);
+      stats.embedded++;
+    }
+
+    const stale = existing.filter(entry => !keep.has(entry.entryId)).map(entry => entry.entryId);
+    if (stale.length > 0) {
+      await VectorEntry.deleteMany({ entryId: { $in: stale } });
+      await this.removeFromIndex(ownerId, stale);
+      stats.removed = stale.length;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Drop every stored embedding for a document
+   */
+  async removeSource(sourceType, sourceId) {
+    const entries = await VectorEntry.find({ sourceType, sourceId: String(sourceId) }).select('entryId userId').lean();
+    if (entries.length === 0) return 0;
+
+    await VectorEntry.deleteMany({ _id: { $in: entries.map(entry => entry._id) } });
+
+    const byUser = new Map();
+    entries.forEach(entry => {
+      byUser.set(entry.userId, [...(byUser.get(entry.userId) || []), entry.entryId]);
+    });
+    for (const [userId, entryIds] of byUser) {
+      await this.removeFromIndex(userId, entryIds);
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Remove embeddings whose source document has been deleted
+   */
+  async pruneOrphans(userId, sourceType) {
+    const sourceIds = await VectorEntry.distinct('sourceId', { userId: String(userId), sourceType });
+    if (sourceIds.length === 0) return 0;
+
+    const existing = new Set(await getSource(sourceType).existingIds(sourceIds));
+    let removed = 0;
+    for (const sourceId of sourceIds.filter(id => !existing.has(id))) {
+      removed += await this.removeSource(sourceType, sourceId);
+    }
+    return removed;
+  }
+
+  /**
+   * Index everything a user owns. Only changed content is re-embedded unless options.force is set.
+   */
+  async reindexUser(userId, options = {}) {
+    const key = String(userId);
+    if (this.reindexing.has(key)) {
+      return this.reindexing.get(key);
+    }
+
+    const run = async () => {
+      const types = options.types?.length ? options.types : VectorEntry.SOURCE_TYPES;
+      const summary = {};
+
+      for (const sourceType of types) {
+        const totals = { documents: 0, chunks: 0, embedded: 0, removed: 0, failed: 0 };
+        try {
+          const docs = await getSource(sourceType).findByUser(key);
+          for (const doc of docs) {
+            const stats = await this.indexSource(sourceType, doc, key, options);
+            if (!stats) continue;
+            totals.documents++;
+            ['chunks', 'embedded', 'removed', 'failed'].forEach(field => { totals[field] += stats[field]; });
+          }
+          totals.removed += await this.pruneOrphans(key, sourceType);
+        } catch (error) {
+          console.error(`Reindexing ${sourceType} for ${key} failed:`, error.message);
+          totals.error = error.message;
+        }
+        summary[sourceType] = totals;
+      }
+
+      console.log(`✅ Reindexed vector content for ${key}:`, summary);
+      return summary;
+    };
+
+    const pending = run().finally(() => this.reindexing.delete(key));
+    this.reindexing.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Fire-and-forget variants for controllers; indexing never fails the request
+   */
+  indexInBackground(sourceType, doc, userId = null) {
+    this.indexSource(sourceType, doc, userId)
+      .catch(error => console.error(`Failed to index ${sourceType}:`, error.message));
+  }
+
+  removeInBackground(sourceType, sourceId) {
+    this.removeSource(sourceType, sourceId)
+      .catch(error => console.error(`Failed to remove ${sourceType} ${sourceId} from vector index:`, error.message));
+  }
+
+  pruneInBackground(userId, sourceType) {
+    this.pruneOrphans(userId, sourceType)
+      .catch(error => console.error(`Failed to prune ${sourceType} vectors for ${userId}:`, error.message));
+  }
+
+  /**
+   * Approximate nearest-neighbour search over one user's content
+   * @param {Object} options - types (source types), imageId, limit, threshold
+   * @returns {Promise<Array<{type, id, chunkKey, title, content, similarity, metadata}>>}
+   */
+  async search(userId, query, options = {}) {
+    const key = String(userId);
+    const limit = Math.max(1, Math.min(100, parseInt(options.limit, 10) || 10));
+    const threshold = Number.isFinite(parseFloat(options.threshold)) ? parseFloat(options.threshold) : this.similarityThreshold;
+    const types = this.parseTypes(options.types);
+
+    const index = await this.getIndex(key);
+    if (index.size === 0) return [];
+
+    const { embedding } = await llmGateway.embed(query);
+    if (embedding.length !== index.dimension) {
+      console.warn(`⚠️ Query embedding has ${embedding.length} dimensions but the index for ${key} has ${index.dimension}; reindex required`);
+      return [];
+    }
+
+    const typeSet = types.length > 0 ? new Set(types) : null;
+    const matchesType = id => !typeSet || typeSet.has(id.split(':')[0]);
+
+    // Type filters are applied after the graph search, so widen the beam until enough
+    // matches are found or the remaining candidates fall below the threshold
+    let ef = Math.max(this.hnswOptions.efSearch, limit * 4);
+    let hits;
+    for (;;) {
+      const candidates = index.search(embedding, ef, { ef });
+      hits = candidates.filter(hit => hit.similarity >= threshold && matchesType(hit.id));
+
+      const exhausted = ef >= index.size || candidates.length < ef;
+      const worst = candidates[candidates.length - 1];
+      if (hits.length >= limit || exhausted || !worst || worst.similarity < threshold) break;
+      ef = Math.min(index.size, ef * 4);
+    }
+
+    const entries = await VectorEntry.find({ entryId: { $in: hits.map(hit => hit.id) } })
+      .select('entryId sourceType sourceId chunkKey text metadata')
+      .lean();
+    const entriesById = new Map(entries.map(entry => [entry.entryId, entry]));
+
+    return hits
+      .map(hit => ({ hit, entry: entriesById.get(hit.id) }))
+      .filter(({ entry }) => entry && (!options.imageId || entry.metadata?.imageId === options.imageId))
+      .slice(0, limit)
+      .map(({ hit, entry }) => ({
+        type: entry.sourceType,
+        id: entry.sourceId,
+        chunkKey: entry.chunkKey,
+        title: entry.metadata?.title,
+        content: entry.text.substring(0, 200),
+        similarity: hit.similarity,
+        metadata: entry.metadata
+      }));
+  }
+
+  /**
+   * Index size and per-type counts for a user
+   */
+  async getStatus(userId) {
+    const index = await this.getIndex(userId);
+    return {
+      entries: index.size,
+      dimension: index.dimension,
+      byType: await VectorEntry.countByType(userId),
+      reindexing: this.reindexing.has(String(userId))
+    };
+  }
+}
+
+module.exports = new VectorIndexService();
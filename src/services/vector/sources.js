@@ -0,0 +1,209 @@
+const Evidence = require('../../models/Evidence');
+const Note = require('../../models/Note');
+const Quiz = require('../../models/Quiz');
+const MindMap = require('../../models/MindMap');
+const ChatHistoryEntry = require('../../models/ChatHistoryEntry');
+const { evidenceOwnerFilter } = require('../../utils/ownership');
+
+const MAX_CHUNK_LENGTH = 1000;
+
+// userId may be a raw id or a populated user document
+const ownerId = (value) => {
+  if (!value) return null;
+  return String(value._id || value);
+};
+
+/**
+ * Split long text on paragraph and sentence boundaries into chunks of at most maxLength characters
+ */
+const chunkText = (text, maxLength = MAX_CHUNK_LENGTH) => {
+  const chunks = [];
+  let current = '';
+
+  const pieces = String(text || '')
+    .split(/\n\s*\n|(?<=[.!?])\s+/)
+    .map(piece => piece.trim())
+    .filter(Boolean);
+
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 1 > maxLength) {
+      chunks.push(current);
+      current = '';
+    }
+    // A single oversized piece is hard-split
+    while (piece.length > maxLength) {
+      chunks.push(piece.substring(0, maxLength));
+      piece = piece.substring(maxLength);
+    }
+    current = current ? `${current} ${piece}` : piece;
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+/**
+ * Each source type knows how to turn a document into embeddable chunks,
+ * how to list a user's documents for a full reindex, and which ids still exist.
+ */
+const SOURCES = {
+  evidence: {
+    build(evidence, userId) {
+      return {
+        sourceId: String(evidence._id),
+        userId: ownerId(evidence.userId || userId),
+        chunks: evidence.status === 'archived' ? [] : [{
+          key: 'text',
+          text: evidence.text,
+          metadata: {
+            title: `Evidence: ${evidence.contentType}`,
+            imageId: evidence.originalImageId,
+            contentType: evidence.contentType,
+            ocrConfidence: evidence.ocrConfidence,
+            createdAt: evidence.createdAt
+          }
+        }]
+      };
+    },
+
+    async findByUser(userId) {
+      return Evidence.find(await evidenceOwnerFilter(userId, { status: { $ne: 'archived' } }));
+    },
+
+    async existingIds(ids) {
+      const docs = await Evidence.find({ _id: { $in: ids }, status: { $ne: 'archived' } }).select('_id').lean();
+      return docs.map(doc => String(doc._id));
+    }
+  },
+
+  note: {
+    build(note) {
+      return {
+        sourceId: note.noteId,
+        userId: ownerId(note.userId),
+        chunks: chunkText(note.content).map((text, index) => ({
+          key: `chunk-${index}`,
+          text: index === 0 ? `${note.title}\n${text}` : text,
+          metadata: {
+            title: note.title,
+            tags: note.tags,
+            category: note.category,
+            createdAt: note.createdAt
+          }
+        }))
+      };
+    },
+
+    findByUser(userId) {
+      return Note.find({ userId });
+    },
+
+    async existingIds(ids) {
+      return Note.distinct('noteId', { noteId: { $in: ids } });
+    }
+  },
+
+  quiz_question: {
+    build(quiz) {
+      return {
+        sourceId: quiz.quizId || quiz.id,
+        userId: ownerId(quiz.userId),
+        chunks: (quiz.questions || []).map((question, index) => ({
+          key: question.id || `q${index + 1}`,
+          text: [question.question, question.explanation].filter(Boolean).join('\n'),
+          metadata: {
+            title: quiz.title,
+            imageId: quiz.imageId,
+            questionId: question.id,
+            question: question.question,
+            topic: question.topic,
+            difficulty: question.difficulty || quiz.difficulty,
+            createdAt: quiz.createdAt
+          }
+        }))
+      };
+    },
+
+    findByUser(userId) {
+      return Quiz.find({ userId: String(userId), status: { $ne: 'archived' } });
+    },
+
+    async existingIds(ids) {
+      const quizzes = await Quiz.find({ $or: [{ quizId: { $in: ids } }, { id: { $in: ids } }] }).select('id quizId').lean();
+      return quizzes.map(quiz => quiz.quizId || quiz.id);
+    }
+  },
+
+  mindmap_node: {
+    build(mindMap) {
+      return {
+        sourceId: mindMap.mindMapId,
+        userId: ownerId(mindMap.userId),
+        chunks: (mindMap.nodes || []).map(node => ({
+          key: node.id,
+          text: [node.title, node.description, node.content].filter(Boolean).join('\n'),
+          metadata: {
+            title: node.title,
+            mindMapTitle: mindMap.title,
+            imageId: mindMap.imageId,
+            nodeId: node.id,
+            nodeType: node.type,
+            createdAt: mindMap.createdAt
+          }
+        }))
+      };
+    },
+
+    findByUser(userId) {
+      return MindMap.find({ userId });
+    },
+
+    async existingIds(ids) {
+      return MindMap.distinct('mindMapId', { mindMapId: { $in: ids } });
+    }
+  },
+
+  chat: {
+    build(entry) {
+      return {
+        sourceId: String(entry._id),
+        userId: ownerId(entry.userId),
+        chunks: [{
+          key: 'text',
+          text: entry.text,
+          metadata: {
+            title: `Chat: ${entry.messageType}`,
+            role: entry.role,
+            messageType: entry.messageType,
+            sessionId: entry.sessionId,
+            createdAt: entry.createdAt
+          }
+        }]
+      };
+    },
+
+    findByUser(userId) {
+      return ChatHistoryEntry.find({ userId });
+    },
+
+    async existingIds(ids) {
+      const entries = await ChatHistoryEntry.find({ _id: { $in: ids } }).select('_id').lean();
+      return entries.map(entry => String(entry._id));
+    }
+  }
+};
+
+const getSource = (sourceType) => {
+  const source = SOURCES[sourceType];
+  if (!source) {
+    throw new Error(`Unknown vector source type: ${sourceType}`);
+  }
+  return source;
+};
+
+module.exports = {
+  SOURCES,
+  getSource,
+  chunkText,
+  ownerId
+};
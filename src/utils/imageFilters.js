@@ -0,0 +1,422 @@
+/**
+ * Pixel filters for OCR preprocessing that sharp has no operation for: page detection and
+ * perspective correction, shadow removal, deskew and adaptive thresholding.
+ *
+ * Images are single-channel: { data, width, height } with one byte per pixel, row by row.
+ * Filters that move pixels also return `map(x, y)`, which takes a point of the output back
+ * to the input, so OCR boxes can be placed on the original photo.
+ */
+
+const WHITE = 255;
+
+// Longest side of the copies used for measuring (skew, page outline)
+const ANALYSIS_SIZE = 600;
+const PAGE_ANALYSIS_SIZE = 300;
+
+// A detected page must cover this share of the photo; above the upper bound it already fills the frame
+const MIN_PAGE_AREA = 0.25;
+const MAX_PAGE_AREA = 0.92;
+// Share of the page outline the bright region has to fill to count as a sheet of paper
+const MIN_PAGE_FILL = 0.85;
+
+const MAX_SKEW_DEGREES = 15;
+const SKEW_STEP_DEGREES = 0.5;
+
+// Horizontal ink runs longer than this are rules, underlines or shading, not strokes
+const MAX_STROKE_RUN = 30;
+const MIN_STROKE_RUNS = 200;
+
+const createImage = (width, height, fill = WHITE) => ({
+  data: new Uint8ClampedArray(width * height).fill(fill),
+  width,
+  height
+});
+
+const histogramOf = (image) => {
+  const histogram = new Array(256).fill(0);
+  for (let index = 0; index < image.data.length; index++) histogram[image.data[index]]++;
+  return histogram;
+};
+
+/**
+ * Otsu's threshold: the gray level that best separates ink from background
+ */
+const otsuThreshold = (histogram) => {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  const weightedTotal = histogram.reduce((sum, count, level) => sum + count * level, 0);
+
+  let best = { level: 127, variance: -1 };
+  let background = 0;
+  let weightedBackground = 0;
+  for (let level = 0; level < 256; level++) {
+    background += histogram[level];
+    weightedBackground += histogram[level] * level;
+    const foreground = total - background;
+    if (background === 0 || foreground === 0) continue;
+
+    const meanBackground = weightedBackground / background;
+    const meanForeground = (weightedTotal - weightedBackground) / foreground;
+    const variance = background * foreground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { level, variance };
+  }
+  return best.level;
+};
+
+/**
+ * Every `step`-th pixel in both directions, for cheap measurements on large images
+ */
+const downsample = (image, maxSize) => {
+  const step = Math.max(1, Math.ceil(Math.max(image.width, image.height) / maxSize));
+  if (step === 1) return { image, step };
+
+  const width = Math.floor(image.width / step);
+  const height = Math.floor(image.height / step);
+  const small = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      small.data[y * width + x] = image.data[y * step * image.width + x * step];
+    }
+  }
+  return { image: small, step };
+};
+
+/**
+ * Bilinear sample of the input at a fractional position (white outside the image)
+ */
+const sample = (image, x, y) => {
+  if (x < 0 || y < 0 || x > image.width - 1 || y > image.height - 1) return WHITE;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, image.width - 1);
+  const y1 = Math.min(y0 + 1, image.height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+  const top = image.data[y0 * image.width + x0] * (1 - fx) + image.data[y0 * image.width + x1] * fx;
+  const bottom = image.data[y1 * image.width + x0] * (1 - fx) + image.data[y1 * image.width + x1] * fx;
+  return top * (1 - fy) + bottom * fy;
+};
+
+/**
+ * Build an output image by looking up each of its pixels in the input through `map`
+ */
+const warp = (image, map, width, height) => {
+  const output = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = map(x, y);
+      output.data[y * width + x] = sample(image, source.x, source.y);
+    }
+  }
+  return output;
+};
+
+/**
+ * Measurements used to pick a preprocessing profile:
+ * - modeFraction: share of pixels at the most common gray level (flat, noise-free backgrounds)
+ * - darkBackground: light writing on a dark background (blackboards, dark mode)
+ * - inkFraction: share of pixels on the writing side of the Otsu threshold
+ * - unevenness: how much the background brightness varies across the image (shadows, lighting)
+ * - strokeVariation: coefficient of variation of horizontal stroke widths, higher for handwriting
+ */
+const analyze = (image) => {
+  const histogram = histogramOf(image);
+  const total = image.data.length;
+  const mean = histogram.reduce((sum, count, level) => sum + count * level, 0) / total;
+  const variance = histogram.reduce((sum, count, level) => sum + count * (level - mean) ** 2, 0) / total;
+  const mode = histogram.indexOf(Math.max(...histogram));
+  const threshold = otsuThreshold(histogram);
+  const darkBackground = mode <= threshold;
+
+  const isInk = (value) => (darkBackground ? value > threshold : value <= threshold);
+  let ink = 0;
+  for (let index = 0; index < total; index++) {
+    if (isInk(image.data[index])) ink++;
+  }
+
+  // Background brightness per cell of an 8x8 grid
+  const cells = [];
+  const cellWidth = Math.ceil(image.width / 8);
+  const cellHeight = Math.ceil(image.height / 8);
+  for (let cellY = 0; cellY < image.height; cellY += cellHeight) {
+    for (let cellX = 0; cellX < image.width; cellX += cellWidth) {
+      let sum = 0;
+      let count = 0;
+      for (let y = cellY; y < Math.min(cellY + cellHeight, image.height); y += 2) {
+        for (let x = cellX; x < Math.min(cellX + cellWidth, image.width); x += 2) {
+          const value = image.data[y * image.width + x];
+          if (!isInk(value)) {
+            sum += value;
+            count++;
+          }
+        }
+      }
+      if (count > 0) cells.push(sum / count);
+    }
+  }
+  const cellMean = cells.reduce((sum, value) => sum + value, 0) / (cells.length || 1);
+  const cellDeviation = Math.sqrt(cells.reduce((sum, value) => sum + (value - cellMean) ** 2, 0) / (cells.length || 1));
+
+  const runs = [];
+  for (let y = 0; y < image.height; y += 2) {
+    let length = 0;
+    for (let x = 0; x <= image.width; x++) {
+      if (x < image.width && isInk(image.data[y * image.width + x])) {
+        length++;
+      } else if (length > 0) {
+        if (length <= MAX_STROKE_RUN) runs.push(length);
+        length = 0;
+      }
+    }
+  }
+  const runMean = runs.reduce((sum, value) => sum + value, 0) / (runs.length || 1);
+  const runDeviation = Math.sqrt(runs.reduce((sum, value) => sum + (value - runMean) ** 2, 0) / (runs.length || 1));
+
+  return {
+    mean,
+    stdDev: Math.sqrt(variance),
+    modeFraction: histogram[mode] / total,
+    darkBackground,
+    inkFraction: ink / total,
+    unevenness: cellMean ? cellDeviation / cellMean : 0,
+    strokeVariation: runs.length >= MIN_STROKE_RUNS ? runDeviation / runMean : null
+  };
+};
+
+const invert = (image) => ({
+  ...image,
+  data: image.data.map(value => WHITE - value)
+});
+
+/**
+ * Even out shadows and uneven lighting: each pixel is divided by the local background
+ * brightness (the brightest values around it, smoothed), so paper becomes white everywhere
+ */
+const removeShadows = (image) => {
+  const block = Math.max(8, Math.round(Math.min(image.width, image.height) / 30));
+  const gridWidth = Math.ceil(image.width / block);
+  const gridHeight = Math.ceil(image.height / block);
+
+  let grid = new Float64Array(gridWidth * gridHeight);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const cell = Math.floor(y / block) * gridWidth + Math.floor(x / block);
+      grid[cell] = Math.max(grid[cell], image.data[y * image.width + x]);
+    }
+  }
+
+  // Two 3x3 box blurs so the background has no block edges
+  for (let pass = 0; pass < 2; pass++) {
+    const blurred = new Float64Array(grid.length);
+    for (let gy = 0; gy < gridHeight; gy++) {
+      for (let gx = 0; gx < gridWidth; gx++) {
+        let sum = 0;
+        let count = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = gx + dx;
+            const ny = gy + dy;
+            if (nx >= 0 && ny >= 0 && nx < gridWidth && ny < gridHeight) {
+              sum += grid[ny * gridWidth + nx];
+              count++;
+            }
+          }
+        }
+        blurred[gy * gridWidth + gx] = sum / count;
+      }
+    }
+    grid = blurred;
+  }
+
+  const background = { data: grid, width: gridWidth, height: gridHeight };
+  const output = createImage(image.width, image.height);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const level = Math.max(1, sample(background, (x + 0.5) / block - 0.5, (y + 0.5) / block - 0.5));
+      output.data[y * image.width + x] = Math.min(WHITE, Math.round((image.data[y * image.width + x] / level) * WHITE));
+    }
+  }
+  return output;
+};
+
+/**
+ * Bradley adaptive threshold: a pixel is ink when it is `sensitivity` darker than the mean
+ * of the window around it, so faint strokes survive next to shadows
+ */
+const adaptiveThreshold = (image, { windowSize = Math.max(15, Math.round(image.width / 40)), sensitivity = 0.15 } = {}) => {
+  const { width, height } = image;
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += image.data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.floor(windowSize / 2);
+  const output = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - half);
+    const bottom = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - half);
+      const right = Math.min(width, x + half + 1);
+      const count = (bottom - top) * (right - left);
+      const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right]
+        - integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+      output.data[y * width + x] = image.data[y * width + x] * count <= sum * (1 - sensitivity) ? 0 : WHITE;
+    }
+  }
+  return output;
+};
+
+/**
+ * Angle of the text lines in degrees (positive when they run downhill to the right), found
+ * by projecting the ink onto rotated axes and keeping the angle with the sharpest rows
+ */
+const estimateSkew = (image) => {
+  const { image: small } = downsample(image, ANALYSIS_SIZE);
+  const threshold = otsuThreshold(histogramOf(small));
+  const points = [];
+  for (let y = 0; y < small.height; y++) {
+    for (let x = 0; x < small.width; x++) {
+      if (small.data[y * small.width + x] <= threshold) points.push([x, y]);
+    }
+  }
+  if (points.length < 50) return 0;
+
+  const diagonal = Math.ceil(Math.hypot(small.width, small.height));
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Float64Array(diagonal * 2 + 1);
+    points.forEach(([x, y]) => {
+      rows[Math.round(y * cos - x * sin) + diagonal]++;
+    });
+    const score = rows.reduce((sum, count) => sum + count * count, 0);
+    if (score > best.score) best = { angle, score };
+  }
+  return best.angle;
+};
+
+/**
+ * Rotate the image about its centre so text at `angle` degrees becomes horizontal
+ */
+const rotate = (image, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const centerX = image.width / 2;
+  const centerY = image.height / 2;
+  const map = (x, y) => ({
+    x: centerX + (x - centerX) * cos - (y - centerY) * sin,
+    y: centerY + (x - centerX) * sin + (y - centerY) * cos
+  });
+  return { image: warp(image, map, image.width, image.height), map };
+};
+
+/**
+ * Corners of a photographed sheet of paper (the largest bright region, when it looks like a
+ * page and does not already fill the photo) as { topLeft, topRight, bottomRight, bottomLeft }
+ */
+const detectPage = (image) => {
+  const { image: small, step } = downsample(image, PAGE_ANALYSIS_SIZE);
+  const threshold = otsuThreshold(histogramOf(small));
+  const { width, height } = small;
+  const labels = new Int32Array(width * height);
+
+  let largest = { label: 0, size: 0 };
+  let label = 0;
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] || small.data[start] <= threshold) continue;
+    label++;
+    let size = 0;
+    const stack = [start];
+    labels[start] = label;
+    while (stack.length > 0) {
+      const index = stack.pop();
+      size++;
+      const x = index % width;
+      const y = Math.floor(index / width);
+      [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+        const neighbour = ny * width + nx;
+        if (nx >= 0 && ny >= 0 && nx < width && ny < height && !labels[neighbour] && small.data[neighbour] > threshold) {
+          labels[neighbour] = label;
+          stack.push(neighbour);
+        }
+      });
+    }
+    if (size > largest.size) largest = { label, size };
+  }
+  if (!largest.label) return null;
+
+  const corners = {};
+  const extremes = { topLeft: Infinity, topRight: -Infinity, bottomRight: -Infinity, bottomLeft: -Infinity };
+  for (let index = 0; index < labels.length; index++) {
+    if (labels[index] !== largest.label) continue;
+    const x = index % width;
+    const y = Math.floor(index / width);
+    if (x + y < extremes.topLeft) { extremes.topLeft = x + y; corners.topLeft = { x, y }; }
+    if (x - y > extremes.topRight) { extremes.topRight = x - y; corners.topRight = { x, y }; }
+    if (x + y > extremes.bottomRight) { extremes.bottomRight = x + y; corners.bottomRight = { x, y }; }
+    if (y - x > extremes.bottomLeft) { extremes.bottomLeft = y - x; corners.bottomLeft = { x, y }; }
+  }
+
+  const outline = [corners.topLeft, corners.topRight, corners.bottomRight, corners.bottomLeft];
+  const area = Math.abs(outline.reduce((sum, point, index) => {
+    const next = outline[(index + 1) % outline.length];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0)) / 2;
+  const share = area / (width * height);
+  if (share < MIN_PAGE_AREA || share > MAX_PAGE_AREA || largest.size / area < MIN_PAGE_FILL) return null;
+
+  return Object.fromEntries(Object.entries(corners).map(([name, { x, y }]) => [name, { x: x * step, y: y * step }]));
+};
+
+/**
+ * Flatten a photographed page: the quadrilateral `corners` becomes an upright rectangle
+ */
+const correctPerspective = (image, { topLeft, topRight, bottomRight, bottomLeft }) => {
+  const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+  const width = Math.round(Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight)));
+  const height = Math.round(Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight)));
+
+  // Homography from the unit square onto the page outline (Heckbert's square-to-quad)
+  const dx1 = topRight.x - bottomRight.x;
+  const dx2 = bottomLeft.x - bottomRight.x;
+  const dx3 = topLeft.x - topRight.x + bottomRight.x - bottomLeft.x;
+  const dy1 = topRight.y - bottomRight.y;
+  const dy2 = bottomLeft.y - bottomRight.y;
+  const dy3 = topLeft.y - topRight.y + bottomRight.y - bottomLeft.y;
+  const determinant = dx1 * dy2 - dx2 * dy1;
+  const g = determinant ? (dx3 * dy2 - dx2 * dy3) / determinant : 0;
+  const h = determinant ? (dx1 * dy3 - dx3 * dy1) / determinant : 0;
+  const a = topRight.x - topLeft.x + g * topRight.x;
+  const b = bottomLeft.x - topLeft.x + h * bottomLeft.x;
+  const d = topRight.y - topLeft.y + g * topRight.y;
+  const e = bottomLeft.y - topLeft.y + h * bottomLeft.y;
+
+  const map = (x, y) => {
+    const u = x / width;
+    const v = y / height;
+    const w = g * u + h * v + 1;
+    return {
+      x: (a * u + b * v + topLeft.x) / w,
+      y: (d * u + e * v + topLeft.y) / w
+    };
+  };
+  return { image: warp(image, map, width, height), map };
+};
+
+module.exports = {
+  analyze,
+  invert,
+  removeShadows,
+  adaptiveThreshold,
+  estimateSkew,
+  rotate,
+  detectPage,
+  correctPerspective
+};
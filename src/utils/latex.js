@@ -0,0 +1,428 @@
+/**
+ * Formulas in study notes: spotting them in OCR text, converting them to LaTeX and
+ * evaluating LaTeX equations so numerical questions can substitute values into them.
+ *
+ * Only the LaTeX that shows up in notes is understood: + - \times \cdot / \frac \sqrt ^,
+ * subscripts, Greek letters and the common functions. As in LaTeX, adjacent letters are a
+ * product ("cST" is c·S·T); \Delta in front of a variable is part of its name.
+ */
+
+const GREEK = {
+  α: 'alpha', β: 'beta', γ: 'gamma', δ: 'delta', ε: 'epsilon', ζ: 'zeta', η: 'eta', θ: 'theta',
+  κ: 'kappa', λ: 'lambda', μ: 'mu', ν: 'nu', ξ: 'xi', π: 'pi', ρ: 'rho', σ: 'sigma', τ: 'tau',
+  φ: 'phi', χ: 'chi', ψ: 'psi', ω: 'omega', Γ: 'Gamma', Δ: 'Delta', Θ: 'Theta', Λ: 'Lambda',
+  Π: 'Pi', Σ: 'Sigma', Φ: 'Phi', Ψ: 'Psi', Ω: 'Omega'
+};
+const GREEK_COMMANDS = Object.fromEntries(Object.entries(GREEK).map(([char, name]) => [name, char]));
+
+const FUNCTIONS = ['sin', 'cos', 'tan', 'log', 'ln', 'exp'];
+
+const TEXT_OPERATORS = { '×': '\\times', '·': '\\cdot', '*': '\\cdot', '÷': '\\div', '−': '-', '→': '\\rightarrow', '⇌': '\\rightleftharpoons' };
+const TEXT_SYMBOLS = { '∫': '\\int', '∑': '\\sum', '∞': '\\infty', '≈': '\\approx', '≠': '\\neq', '≤': '\\leq', '≥': '\\geq', '∝': '\\propto' };
+const LATEX_OPERATORS = {
+  times: '×', cdot: '·', div: '÷', rightarrow: '→', rightleftharpoons: '⇌',
+  int: '∫', sum: '∑', infty: '∞', approx: '≈', neq: '≠', leq: '≤', geq: '≥', propto: '∝'
+};
+
+// Short words that end a formula when they follow it in a sentence
+const STOPWORDS = new Set(['is', 'of', 'in', 'on', 'to', 'as', 'by', 'the', 'and', 'for', 'are', 'or', 'if', 'it', 'be', 'we', 'so', 'its', 'was', 'has', 'can', 'you', 'all', 'not', 'but']);
+
+const MAX_FORMULA_LENGTH = 120;
+const RELATION = /[=→⇌]/;
+
+/**
+ * Whether a whitespace-separated token can be part of a formula: numbers, operators,
+ * Greek letters, function names and short symbols like "kb" or "cST", but not words
+ */
+const isSymbolic = (token) => {
+  const bare = token.replace(/^[,;:]+|[,.;:]+$/g, '');
+  if (!bare) return false;
+  if (!/^[\p{L}\p{N}_^.'()[\]{}+\-*/×·÷−=→⇌√²³%]+$/u.test(bare)) return false;
+  if (/^\p{L}+(-\p{L}+)+$/u.test(bare)) return false; // hyphenated word
+
+  const word = bare.replace(/[()[\]{}]/g, '');
+  if (/^[A-Za-z]+$/.test(word)) {
+    return FUNCTIONS.includes(word.toLowerCase()) || (word.length <= 3 && !STOPWORDS.has(word.toLowerCase()));
+  }
+  return word.length > 0;
+};
+
+/**
+ * The formula in a line of text ("Osmotic pressure π = cST" → "π = cST"), or null
+ */
+const extractFormula = (line) => {
+  if (!line || !RELATION.test(line)) return null;
+
+  const tokens = line.trim().split(/\s+/);
+  const relationIndex = tokens.findIndex(token => RELATION.test(token));
+  if (!isSymbolic(tokens[relationIndex])) return null;
+
+  let start = relationIndex;
+  let end = relationIndex;
+  while (start > 0 && isSymbolic(tokens[start - 1])) start--;
+  while (end < tokens.length - 1 && isSymbolic(tokens[end + 1])) end++;
+
+  const formula = tokens.slice(start, end + 1).join(' ')
+    .replace(/^(\(?\d+[.)]|\(?[ivx]+\))\s+/, '') // list numbering
+    .replace(/^[,;:]+|[,.;:]+$/g, '')
+    .trim();
+
+  const sides = formula.split(RELATION).map(side => side.trim());
+  if (sides.length < 2 || sides.some(side => !side)) return null;
+  if (!/\p{L}/u.test(formula) || formula.length > MAX_FORMULA_LENGTH) return null;
+  return formula;
+};
+
+/**
+ * Plain-text formula to LaTeX: "ΔTb = kb × m" → "\Delta T_{b} = k_{b} \times m".
+ * Two-letter names like Tb, Kf or kb become a letter with a subscript, and digits after a
+ * letter are subscripts (H2O, v0).
+ */
+const toLatex = (text) => text.trim()
+  .replace(/(?:√|\bsqrt)\(([^()]*)\)/g, '\\sqrt{$1}')
+  .replace(/√([\p{L}\p{N}.]+)/gu, '\\sqrt{$1}')
+  .replace(/\^\(([^()]*)\)/g, '^{$1}')
+  .replace(/\^(-?[\p{L}\p{N}.]+)/gu, '^{$1}')
+  .replace(/²/g, '^{2}')
+  .replace(/³/g, '^{3}')
+  .replace(/(?<![\\A-Za-z])[A-Za-z]+/g, run => {
+    if (FUNCTIONS.includes(run)) return `\\${run}`;
+    if (/^([A-Z][a-z]|k[a-z])$/.test(run)) return `${run[0]}_{${run[1]}}`;
+    return run;
+  })
+  .replace(/([A-Za-z])(\d+)/g, '$1_{$2}')
+  .replace(/\p{Script=Greek}/gu, (char, offset, source) => {
+    const name = GREEK[char];
+    if (!name) return char;
+    return /[A-Za-z]/.test(source[offset + 1] || '') ? `\\${name} ` : `\\${name}`;
+  })
+  .replace(/[×·*÷−→⇌]/g, op => ` ${TEXT_OPERATORS[op]} `)
+  .replace(/[∫∑∞≈≠≤≥∝]/g, symbol => ` ${TEXT_SYMBOLS[symbol]} `)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * LaTeX back to readable text for questions and explanations: "\Delta T_{b}" → "ΔTb"
+ */
+const latexToText = (latex) => {
+  let text = latex;
+  let previous;
+  do {
+    previous = text;
+    text = text
+      .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, '($1)/($2)')
+      .replace(/\\sqrt\{([^{}]*)\}/g, '√($1)')
+      .replace(/\\(?:text|mathrm|mathit|operatorname)\{([^{}]*)\}/g, '$1')
+      .replace(/\^\{([^{}]*)\}/g, (match, exponent) => (/^-?(\d+(\.\d+)?|[A-Za-z])$/.test(exponent) ? `^${exponent}` : `^(${exponent})`))
+      .replace(/_\{([^{}]*)\}/g, '$1');
+  } while (text !== previous);
+
+  return text
+    .replace(/\\(left|right)\b/g, '')
+    .replace(/\\([A-Za-z]+)/g, (match, name) => GREEK_COMMANDS[name] || LATEX_OPERATORS[name] || name)
+    .replace(/_/g, '')
+    .replace(/[{}]/g, '')
+    .replace(/\\[,;! ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/(\p{Script=Greek}) (?=[A-Za-z])/gu, '$1')
+    .trim();
+};
+
+/**
+ * Key that treats "T_b", "T_{b}" and "T_{\text{b}}" as the same variable
+ */
+const variableKey = (name) => name
+  .replace(/\\(?:text|mathrm)\{([^{}]*)\}/g, '$1')
+  .replace(/[{}\s]/g, '');
+
+// Contents of a {...} group starting at `index` (which holds the "{"), and where it ends
+const readGroup = (latex, index) => {
+  let depth = 0;
+  for (let end = index; end < latex.length; end++) {
+    if (latex[end] === '{') depth++;
+    if (latex[end] === '}' && --depth === 0) {
+      return { content: latex.slice(index + 1, end), end: end + 1 };
+    }
+  }
+  throw new Error('Unbalanced braces');
+};
+
+const tokenizeLatex = (latex) => {
+  const tokens = [];
+  let index = 0;
+
+  const lastVariable = () => {
+    const last = tokens[tokens.length - 1];
+    if (!last || last.type !== 'var') throw new Error('Subscript without a variable');
+    return last;
+  };
+
+  while (index < latex.length) {
+    const char = latex[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (/[\d.]/.test(char)) {
+      // A bare exponent is a single digit: x^23 is x²·3
+      const pattern = tokens[tokens.length - 1]?.type === '^' ? /^\d/ : /^(\d+(\.\d+)?|\.\d+)/;
+      const match = latex.slice(index).match(pattern);
+      if (!match) throw new Error(`Unexpected "${char}"`);
+      tokens.push({ type: 'num', value: parseFloat(match[0]) });
+      index += match[0].length;
+    } else if (/[A-Za-z]/.test(char)) {
+      tokens.push({ type: 'var', name: char });
+      index++;
+    } else if (char === '_') {
+      const variable = lastVariable();
+      let subscript;
+      if (latex[index + 1] === '{') {
+        const group = readGroup(latex, index + 1);
+        subscript = group.content;
+        index = group.end;
+      } else {
+        subscript = latex[index + 1] || '';
+        index += 2;
+      }
+      variable.name += `_{${subscript.trim()}}`;
+    } else if (char === "'") {
+      lastVariable().name += "'";
+      index++;
+    } else if (char === '\\') {
+      const match = latex.slice(index).match(/^\\([A-Za-z]+|.)/);
+      const command = match[1];
+      index += match[0].length;
+
+      if ([',', ';', '!', ' ', ':'].includes(command) || command === 'left' || command === 'right') continue;
+      if (command === '{' || command === '}') {
+        tokens.push({ type: command === '{' ? '(' : ')', value: command });
+      } else if (['times', 'cdot', 'ast'].includes(command)) {
+        tokens.push({ type: '*' });
+      } else if (command === 'div') {
+        tokens.push({ type: '/' });
+      } else if (['frac', 'dfrac', 'tfrac'].includes(command)) {
+        tokens.push({ type: 'frac' });
+      } else if (command === 'sqrt') {
+        tokens.push({ type: 'sqrt' });
+      } else if (FUNCTIONS.includes(command)) {
+        tokens.push({ type: 'func', name: command });
+      } else if (['text', 'mathrm', 'mathit', 'operatorname'].includes(command)) {
+        const group = readGroup(latex, latex.indexOf('{', index));
+        const name = group.content.trim();
+        tokens.push(FUNCTIONS.includes(name) ? { type: 'func', name } : { type: 'var', name });
+        index = group.end;
+      } else if (GREEK_COMMANDS[command]) {
+        tokens.push({ type: 'var', name: `\\${command}` });
+      } else {
+        throw new Error(`Unsupported LaTeX command \\${command}`);
+      }
+    } else if ('([{'.includes(char)) {
+      tokens.push({ type: '(', value: char });
+      index++;
+    } else if (')]}'.includes(char)) {
+      tokens.push({ type: ')', value: char });
+      index++;
+    } else if ('+-*/^='.includes(char)) {
+      tokens.push({ type: char });
+      index++;
+    } else if (TEXT_OPERATORS[char]) {
+      tokens.push({ type: char === '÷' ? '/' : char === '−' ? '-' : '*' });
+      index++;
+    } else {
+      throw new Error(`Unexpected "${char}"`);
+    }
+  }
+
+  // ΔT is one quantity ("change in T"), not Δ times T
+  return tokens.reduce((merged, token) => {
+    const last = merged[merged.length - 1];
+    if (token.type === 'var' && last?.type === 'var' && last.name === '\\Delta') {
+      last.name = `\\Delta ${token.name}`;
+    } else {
+      merged.push(token);
+    }
+    return merged;
+  }, []);
+};
+
+const STARTS_FACTOR = ['num', 'var', '(', 'frac', 'sqrt', 'func'];
+
+/**
+ * Parse a LaTeX expression into a tree of
+ * { type: 'num' | 'var' | 'neg' | 'bin' | 'func' | 'sqrt', ... } nodes
+ */
+const parseLatex = (latex) => {
+  const tokens = typeof latex === 'string' ? tokenizeLatex(latex) : latex;
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) throw new Error(`Expected ${type}`);
+    return token;
+  };
+
+  const group = () => {
+    expect('(');
+    const node = expression();
+    expect(')');
+    return node;
+  };
+
+  const primary = () => {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of formula');
+
+    switch (token.type) {
+      case 'num':
+        return { type: 'num', value: token.value };
+      case 'var':
+        return { type: 'var', name: token.name };
+      case '(': {
+        const node = expression();
+        expect(')');
+        return node;
+      }
+      case 'frac':
+        return { type: 'bin', op: '/', left: group(), right: group() };
+      case 'sqrt': {
+        let index = null;
+        if (peek()?.type === '(' && peek().value === '[') {
+          index = group();
+        }
+        return { type: 'sqrt', arg: peek()?.type === '(' ? group() : power(), index };
+      }
+      case 'func':
+        return { type: 'func', name: token.name, arg: peek()?.type === '(' ? group() : power() };
+      default:
+        throw new Error(`Unexpected ${token.type}`);
+    }
+  };
+
+  const power = () => {
+    const base = primary();
+    if (peek()?.type === '^') {
+      next();
+      return { type: 'bin', op: '^', left: base, right: unary() };
+    }
+    return base;
+  };
+
+  const unary = () => {
+    if (peek()?.type === '-') {
+      next();
+      return { type: 'neg', arg: unary() };
+    }
+    if (peek()?.type === '+') {
+      next();
+      return unary();
+    }
+    return power();
+  };
+
+  const term = () => {
+    let node = unary();
+    while (peek() && (['*', '/'].includes(peek().type) || STARTS_FACTOR.includes(peek().type))) {
+      const op = ['*', '/'].includes(peek().type) ? next().type : '*';
+      node = { type: 'bin', op, left: node, right: unary() };
+    }
+    return node;
+  };
+
+  const expression = () => {
+    let node = term();
+    while (peek() && ['+', '-'].includes(peek().type)) {
+      const op = next().type;
+      node = { type: 'bin', op, left: node, right: term() };
+    }
+    return node;
+  };
+
+  const tree = expression();
+  if (position < tokens.length) throw new Error(`Unexpected ${tokens[position].type}`);
+  return tree;
+};
+
+/**
+ * Value of a parsed expression. `values` maps variable keys (see variableKey) to numbers;
+ * \pi is the constant unless a value is given for it.
+ */
+const evaluate = (node, values = {}) => {
+  switch (node.type) {
+    case 'num':
+      return node.value;
+    case 'var': {
+      const key = variableKey(node.name);
+      if (values[key] !== undefined) return values[key];
+      if (key === '\\pi') return Math.PI;
+      throw new Error(`No value for ${node.name}`);
+    }
+    case 'neg':
+      return -evaluate(node.arg, values);
+    case 'sqrt': {
+      const index = node.index ? evaluate(node.index, values) : 2;
+      return Math.pow(evaluate(node.arg, values), 1 / index);
+    }
+    case 'func': {
+      const arg = evaluate(node.arg, values);
+      if (node.name === 'log') return Math.log10(arg);
+      if (node.name === 'ln') return Math.log(arg);
+      return Math[node.name](arg);
+    }
+    case 'bin': {
+      const left = evaluate(node.left, values);
+      const right = evaluate(node.right, values);
+      if (node.op === '+') return left + right;
+      if (node.op === '-') return left - right;
+      if (node.op === '*') return left * right;
+      if (node.op === '/') return left / right;
+      return Math.pow(left, right);
+    }
+    default:
+      throw new Error(`Unknown node ${node.type}`);
+  }
+};
+
+const variablesOf = (node, names = []) => {
+  if (node.type === 'var' && !names.includes(node.name)) names.push(node.name);
+  ['arg', 'index', 'left', 'right'].forEach(child => {
+    if (node[child]) variablesOf(node[child], names);
+  });
+  return names;
+};
+
+/**
+ * Split a LaTeX equation into its sides. Returns null for anything that is not exactly one
+ * "=" between two expressions we can evaluate (reactions, inequalities, prose).
+ * `target` is the left-hand side when it is a single variable; `variables` lists every
+ * variable, the target first (\pi only counts as a variable when it is the target).
+ */
+const parseEquation = (latex) => {
+  try {
+    const tokens = tokenizeLatex(latex);
+    const relations = tokens.filter(token => token.type === '=');
+    if (relations.length !== 1) return null;
+
+    const split = tokens.findIndex(token => token.type === '=');
+    const lhs = parseLatex(tokens.slice(0, split));
+    const rhs = parseLatex(tokens.slice(split + 1));
+    const target = lhs.type === 'var' ? lhs.name : null;
+    const variables = [...variablesOf(lhs), ...variablesOf(rhs)]
+      .filter((name, index, all) => all.indexOf(name) === index)
+      .filter(name => name === target || variableKey(name) !== '\\pi');
+
+    return { lhs, rhs, target, variables };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  extractFormula,
+  toLatex,
+  latexToText,
+  variableKey,
+  parseLatex,
+  parseEquation,
+  evaluate
+};
@@ -0,0 +1,66 @@
+const ProcessingJob = require('../models/ProcessingJob');
+const Evidence = require('../models/Evidence');
+
+const STORAGE_FOLDER = 'ai-study-helper/';
+
+/**
+ * Image ids arrive both bare and with the storage folder prefix
+ */
+const normalizeImageId = (imageId) => String(imageId || '').replace(STORAGE_FOLDER, '');
+
+const imageIdVariants = (imageId) => {
+  const id = normalizeImageId(imageId);
+  return [id, `${STORAGE_FOLDER}${id}`];
+};
+
+/**
+ * Whether the user may read or process an uploaded file.
+ * Uploads are stored as `<userId>_<file>`; files uploaded under other names are
+ * matched through the user's processing jobs and evidence.
+ */
+const canAccessImage = async (userId, imageId) => {
+  const owner = String(userId?._id || userId || '');
+  const id = normalizeImageId(imageId);
+  if (!owner || !id) return false;
+
+  if (id.startsWith(`${owner}_`)) return true;
+
+  const variants = imageIdVariants(id);
+  const [job, evidence] = await Promise.all([
+    ProcessingJob.exists({ userId: owner, imageId: { $in: variants } }),
+    Evidence.exists({ userId: owner, originalImageId: { $in: variants } })
+  ]);
+  return Boolean(job || evidence);
+};
+
+/**
+ * Evidence filter scoped to the user. Evidence saved before it carried a userId
+ * is matched through the user's processing jobs.
+ */
+const evidenceOwnerFilter = async (userId, filter = {}) => {
+  const owner = String(userId?._id || userId);
+  const imageIds = await ProcessingJob.distinct('imageId', { userId: owner });
+
+  return {
+    $and: [
+      filter,
+      { $or: [{ userId: owner }, { originalImageId: { $in: imageIds } }] }
+    ]
+  };
+};
+
+/**
+ * Evidence for one of the user's images, newest first; null when the image isn't theirs
+ */
+const findImageEvidence = async (userId, imageId) => {
+  if (!(await canAccessImage(userId, imageId))) return null;
+  return Evidence.find({ originalImageId: { $in: imageIdVariants(imageId) } }).sort({ createdAt: -1 });
+};
+
+module.exports = {
+  normalizeImageId,
+  imageIdVariants,
+  canAccessImage,
+  evidenceOwnerFilter,
+  findImageEvidence
+};
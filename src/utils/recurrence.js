@@ -0,0 +1,98 @@
+/**
+ * Recurrence rules for calendar tasks.
+ *
+ * Occurrence n of a series is always computed from the series start (never from the previous
+ * occurrence), so monthly series keep their day of month and daily/weekly series keep their
+ * wall-clock time across DST changes.
+ */
+
+// Hard cap on occurrences expanded from one series in a single read
+const MAX_OCCURRENCES = 1000;
+
+// Longest possible length of one step, used to jump close to a range start without overshooting
+const MAX_STEP_MS = {
+  daily: 25 * 60 * 60 * 1000,
+  weekly: (7 * 24 + 1) * 60 * 60 * 1000,
+  monthly: 31 * 24 * 60 * 60 * 1000
+};
+
+const addSteps = (start, pattern, steps) => {
+  const date = new Date(start);
+
+  if (pattern === 'daily') {
+    date.setDate(date.getDate() + steps);
+  } else if (pattern === 'weekly') {
+    date.setDate(date.getDate() + steps * 7);
+  } else if (pattern === 'monthly') {
+    // The 31st falls on the last day of shorter months
+    const day = date.getDate();
+    date.setDate(1);
+    date.setMonth(date.getMonth() + steps);
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(day, lastDay));
+  } else {
+    throw new Error(`Unknown recurrence pattern: ${pattern}`);
+  }
+
+  return date;
+};
+
+const getInterval = (recurring) => Math.max(1, parseInt(recurring.interval, 10) || 1);
+
+/**
+ * Start of occurrence `index` (0 = the series start)
+ */
+const nthOccurrence = (seriesStart, recurring, index) => {
+  return addSteps(seriesStart, recurring.pattern, index * getInterval(recurring));
+};
+
+/**
+ * Occurrence start times of a series that fall in [from, to), oldest first.
+ * Either bound may be null; an unbounded series stops at `limit`.
+ * @returns {Array<{index: number, start: Date}>}
+ */
+const occurrenceStarts = (seriesStart, recurring, from = null, to = null, limit = MAX_OCCURRENCES) => {
+  const start = new Date(seriesStart);
+  const endAfter = recurring.endAfter || null;
+  const endDate = recurring.endDate ? new Date(recurring.endDate) : null;
+  const max = Math.min(limit, MAX_OCCURRENCES);
+
+  let index = 0;
+  if (from && from > start) {
+    index = Math.floor((from - start) / (MAX_STEP_MS[recurring.pattern] * getInterval(recurring)));
+  }
+
+  const occurrences = [];
+  while (occurrences.length < max) {
+    if (endAfter && index >= endAfter) break;
+
+    const occurrence = nthOccurrence(start, recurring, index);
+    if (endDate && occurrence > endDate) break;
+    if (to && occurrence >= to) break;
+
+    if (!from || occurrence >= from) {
+      occurrences.push({ index, start: occurrence });
+    }
+    index += 1;
+  }
+
+  return occurrences;
+};
+
+/**
+ * Index of the occurrence starting exactly at `date`, or -1 when the series has none
+ */
+const occurrenceIndex = (seriesStart, recurring, date) => {
+  const time = new Date(date).getTime();
+  if (isNaN(time)) return -1;
+
+  const [match] = occurrenceStarts(seriesStart, recurring, new Date(time), new Date(time + 1), 1);
+  return match ? match.index : -1;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  nthOccurrence,
+  occurrenceStarts,
+  occurrenceIndex
+};
@@ -0,0 +1,68 @@
+/**
+ * Wall-clock time helpers for IANA time zones (no tz database dependency; uses Intl).
+ * Unknown zones (e.g. Windows names written by Outlook) fall back to server local time.
+ */
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock [year, month, day, hour, minute, second] of `date` in `timeZone`
+ */
+const zonedDateParts = (date, timeZone) => {
+  const d = new Date(date);
+  if (!timeZone || !isValidTimeZone(timeZone)) {
+    return [d.getFullYear(), d.getMonth() + 1, d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds()];
+  }
+
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(d).map(part => [part.type, part.value]));
+  return [parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second].map(Number);
+};
+
+/**
+ * Convert a wall-clock time in an IANA time zone to a Date
+ */
+const zonedTimeToDate = ([year, month, day, hour = 0, minute = 0, second = 0], timeZone) => {
+  if (!timeZone || !isValidTimeZone(timeZone)) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+
+  const offsetAt = (date) => {
+    const [y, mo, d, h, mi, s] = zonedDateParts(date, timeZone);
+    return Date.UTC(y, mo - 1, d, h, mi, s) - date.getTime();
+  };
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstGuess = wallClock - offsetAt(new Date(wallClock));
+  return new Date(wallClock - offsetAt(new Date(firstGuess)));
+};
+
+module.exports = {
+  isValidTimeZone,
+  zonedDateParts,
+  zonedTimeToDate
+};
@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const sift = require('sift');
+
+/**
+ * In-memory stand-in for the MongoDB driver, so route tests run without a database.
+ *
+ * Mongoose still casts queries, applies defaults and hydrates documents; only the
+ * collection calls it ends up making are answered here. Filters are matched with sift,
+ * the same query matcher Mongoose uses for populate. Aggregations are not supported.
+ */
+
+// Copy plain objects and arrays; ObjectIds are immutable and shared. Mongoose arrays and
+// subdocuments are serialized the way the driver would, through toBSON()
+const clone = (value) => {
+  if (value && typeof value.toBSON === 'function' && !(value instanceof mongoose.Types.ObjectId)) return clone(value.toBSON());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    return target[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join('.')) ?? (keys.length ? undefined : doc);
+  if (parent) delete parent[last];
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const applyUpdate = (doc, update, isInsert) => {
+  if (Array.isArray(update)) {
+    throw new Error('memoryMongo does not support pipeline updates');
+  }
+
+  const operators = Object.keys(update).filter(key => key.startsWith('$'));
+  if (operators.length === 0) {
+    return { _id: doc._id, ...clone(update) };
+  }
+
+  Object.entries(update.$set || {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+  if (isInsert) {
+    Object.entries(update.$setOnInsert || {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+  }
+  Object.keys(update.$unset || {}).forEach(path => unsetPath(doc, path));
+  Object.entries(update.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+  Object.entries(update.$push || {}).forEach(([path, value]) => {
+    const items = value && value.$each ? value.$each : [value];
+    setPath(doc, path, [...(getPath(doc, path) || []), ...clone(items)]);
+  });
+  Object.entries(update.$addToSet || {}).forEach(([path, value]) => {
+    const current = getPath(doc, path) || [];
+    const items = (value && value.$each ? value.$each : [value]).filter(item => !current.some(existing => sameValue(existing, item)));
+    setPath(doc, path, [...current, ...clone(items)]);
+  });
+  Object.entries(update.$pull || {}).forEach(([path, condition]) => {
+    const matches = condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)
+      ? sift(condition)
+      : item => sameValue(item, condition);
+    setPath(doc, path, (getPath(doc, path) || []).filter(item => !matches(item)));
+  });
+  return doc;
+};
+
+const compareBy = (sort) => {
+  const fields = Array.isArray(sort) ? sort : Object.entries(sort || {});
+  return (a, b) => {
+    for (const [field, direction] of fields) {
+      const left = getPath(a, field);
+      const right = getPath(b, field);
+      if (left === right) continue;
+      if (left == null) return -direction;
+      if (right == null) return direction;
+      return (left > right ? 1 : -1) * direction;
+    }
+    return 0;
+  };
+};
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+  }
+
+  match(filter = {}) {
+    const test = sift(filter);
+    return this.docs.filter(doc => test(doc));
+  }
+
+  query(filter, options = {}) {
+    let docs = this.match(filter);
+    if (options.sort) docs = [...docs].sort(compareBy(options.sort));
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    return docs.map(clone);
+  }
+
+  find(filter, options) {
+    const docs = this.query(filter, options);
+    return { toArray: async () => docs };
+  }
+
+  async findOne(filter, options = {}) {
+    return this.query(filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  async countDocuments(filter) {
+    return this.match(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter) {
+    const values = this.match(filter).flatMap(doc => [].concat(getPath(doc, field) ?? []));
+    return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index);
+  }
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (!stored._id) stored._id = new mongoose.Types.ObjectId();
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  upsert(filter, update) {
+    const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof mongoose.Types.ObjectId)));
+    const doc = applyUpdate({ _id: new mongoose.Types.ObjectId(), ...clone(seed) }, update, true);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  replace(target, updated) {
+    this.docs[this.docs.indexOf(target)] = updated;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [target] = this.match(filter);
+    if (!target) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const doc = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    this.replace(target, applyUpdate(target, update, false));
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update) {
+    const targets = this.match(filter);
+    targets.forEach(target => this.replace(target, applyUpdate(target, update, false)));
+    return { acknowledged: true, matchedCount: targets.length, modifiedCount: targets.length, upsertedCount: 0 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const returnNew = options.returnDocument === 'after' || options.returnOriginal === false;
+    const [target] = this.query(filter, { sort: options.sort, limit: 1 });
+    const stored = target && this.docs.find(doc => sameValue(doc._id, target._id));
+
+    let value = null;
+    if (stored) {
+      const updated = applyUpdate(stored, update, false);
+      this.replace(stored, updated);
+      value = returnNew ? clone(updated) : target;
+    } else if (options.upsert) {
+      const doc = this.upsert(filter, update);
+      value = returnNew ? clone(doc) : null;
+    }
+    return options.includeResultMetadata === false ? value : { ok: 1, value };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [target] = this.match(filter);
+    if (target) this.docs.splice(this.docs.indexOf(target), 1);
+    const value = target ? clone(target) : null;
+    return options.includeResultMetadata === false ? value : { ok: 1, value };
+  }
+
+  async deleteOne(filter) {
+    const [target] = this.match(filter);
+    if (target) this.docs.splice(this.docs.indexOf(target), 1);
+    return { acknowledged: true, deletedCount: target ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    const targets = this.match(filter);
+    this.docs = this.docs.filter(doc => !targets.includes(doc));
+    return { acknowledged: true, deletedCount: targets.length };
+  }
+
+  aggregate() {
+    throw new Error(`memoryMongo does not support aggregate() on ${this.collectionName}`);
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+}
+
+const collections = new Map();
+
+const memoryDb = {
+  collection(name) {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+    return collections.get(name);
+  }
+};
+
+module.exports = {
+  /**
+   * Answer every model's collection calls from memory instead of a server
+   */
+  connect() {
+    mongoose.set('bufferCommands', false);
+    mongoose.set('autoIndex', false);
+    mongoose.connection.db = memoryDb;
+  },
+
+  /**
+   * Drop all stored documents
+   */
+  clear() {
+    collections.forEach(collection => {
+      collection.docs = [];
+    });
+  },
+
+  collection: (name) => memoryDb.collection(name)
+};
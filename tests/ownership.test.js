@@ -0,0 +1,214 @@
+process.env.JWT_SECRET = 'ownership-test-secret';
+process.env.STORAGE_PROVIDER = 'local';
+process.env.LLM_PROVIDER = 'mock';
+
+const express = require('express');
+const request = require('supertest');
+const memoryMongo = require('./helpers/memoryMongo');
+
+// OCR is not exercised here, so sharp's native binary is not needed
+jest.mock('sharp', () => jest.fn());
+
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const Quiz = require('../src/models/Quiz');
+const Evidence = require('../src/models/Evidence');
+const ProcessingJob = require('../src/models/ProcessingJob');
+const Session = require('../src/models/Session');
+const ChatHistoryEntry = require('../src/models/ChatHistoryEntry');
+const MindMap = require('../src/models/MindMap');
+const Calendar = require('../src/models/Calendar');
+const tokenService = require('../src/services/tokenService');
+
+const app = express();
+app.use(express.json());
+app.use('/api/process', require('../src/routes/processRoutes'));
+app.use('/api/chat', require('../src/routes/chatRoutes'));
+app.use('/api/mindmap', require('../src/routes/mindmapRoutes'));
+app.use('/api/quiz', require('../src/routes/quizRoutes'));
+app.use('/api/calendar', require('../src/routes/calendarRoutes'));
+app.use('/api/sessions', require('../src/routes/sessionRoutes'));
+app.use('/api/evidence', require('../src/routes/evidenceRoutes'));
+
+// Signed-in user with an active login session
+const createUser = async (name) => {
+  const user = await User.create({ username: name, email: `${name}@example.com`, password: 'password123' });
+  const familyId = `family-${name}`;
+  await RefreshToken.create({
+    tokenHash: `hash-${name}`,
+    userId: user._id,
+    familyId,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  return { user, auth: `Bearer ${tokenService.signAccessToken(user._id, familyId)}` };
+};
+
+describe('per-user data isolation', () => {
+  let alice;
+  let bob;
+  let imageId;
+  let job;
+  let task;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    memoryMongo.connect();
+
+    alice = await createUser('alice');
+    bob = await createUser('bob');
+    imageId = `${alice.user._id}_notes.jpg`;
+
+    await Evidence.create({
+      userId: String(alice.user._id),
+      fileUrl: `/files/${imageId}`,
+      originalImageId: imageId,
+      bbox: { x: 0, y: 0, width: 100, height: 20 },
+      text: 'Osmosis moves water across a membrane',
+      ocrConfidence: 0.9,
+      ocrMethod: 'tesseract'
+    });
+
+    job = await ProcessingJob.create({ type: 'process-file', imageId, userId: String(alice.user._id) });
+
+    await Quiz.create({
+      id: 'quiz-alice',
+      imageId,
+      title: 'Membranes',
+      description: 'Quiz on membranes',
+      questionCount: 1,
+      userId: String(alice.user._id),
+      questions: [{
+        id: 'q1',
+        question: 'What moves across the membrane in osmosis?',
+        options: ['A) Water', 'B) Salt'],
+        correctAnswer: 'A) Water',
+        explanation: 'Osmosis is the movement of water',
+        topic: 'Membranes'
+      }]
+    });
+
+    await Session.create({ sessionId: 'session-alice', userId: alice.user._id, title: 'Biology revision' });
+    await ChatHistoryEntry.create({
+      userId: alice.user._id,
+      sessionId: 'session-alice',
+      role: 'user',
+      text: 'What is osmosis?',
+      content: 'What is osmosis?'
+    });
+
+    await MindMap.create({
+      mindMapId: 'mindmap-alice',
+      imageId,
+      title: 'Membranes',
+      topic: 'Membranes',
+      subject: 'Biology',
+      userId: alice.user._id,
+      metadata: { createdBy: String(alice.user._id) }
+    });
+
+    const startDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    task = await Calendar.create({
+      id: 'task-alice',
+      title: 'Revise membranes',
+      subject: 'Biology',
+      topic: 'Membranes',
+      startDate,
+      endDate: new Date(startDate.getTime() + 60 * 60 * 1000),
+      duration: 60,
+      userId: alice.user._id
+    });
+  });
+
+  afterAll(() => {
+    memoryMongo.clear();
+    jest.restoreAllMocks();
+  });
+
+  describe('owner', () => {
+    it('can read their own quiz, evidence, job, session, chat history, mind map and task', async () => {
+      const paths = [
+        '/api/quiz/quiz-alice',
+        `/api/evidence/${imageId}`,
+        `/api/process/jobs/${job.jobId}`,
+        `/api/process/status/${imageId}`,
+        '/api/sessions/session-alice',
+        `/api/mindmap/${imageId}`,
+        `/api/calendar/${task._id}`
+      ];
+
+      for (const path of paths) {
+        const res = await request(app).get(path).set('Authorization', alice.auth);
+        expect(`GET ${path} -> ${res.status}`).toBe(`GET ${path} -> 200`);
+      }
+
+      const history = await request(app)
+        .get('/api/chat/history/session/session-alice')
+        .set('Authorization', alice.auth);
+      expect(history.body.summary.totalMessages).toBe(1);
+    });
+  });
+
+  describe('another user', () => {
+    // Other users' records are hidden rather than forbidden, so every route answers 404
+    const expectNotFound = async (method, path, body) => {
+      const res = await request(app)[method](path).set('Authorization', bob.auth).send(body);
+      expect(`${method.toUpperCase()} ${path} -> ${res.status}`).toBe(`${method.toUpperCase()} ${path} -> 404`);
+    };
+
+    it('cannot read, submit or analyse the quiz', async () => {
+      await expectNotFound('get', '/api/quiz/quiz-alice');
+      await expectNotFound('get', '/api/quiz/detail/quiz-alice');
+      await expectNotFound('post', '/api/quiz/quiz-alice/submit', { answers: ['A'], startedAt: new Date().toISOString() });
+      await expectNotFound('get', '/api/quiz/quiz-alice/analytics');
+    });
+
+    it('cannot read the evidence', async () => {
+      await expectNotFound('get', `/api/evidence/${imageId}`);
+    });
+
+    it('cannot read, process or cancel the processing job', async () => {
+      await expectNotFound('get', `/api/process/jobs/${job.jobId}`);
+      await expectNotFound('get', `/api/process/status/${imageId}`);
+      await expectNotFound('post', '/api/process', { imageId });
+      await expectNotFound('post', `/api/process/jobs/${job.jobId}/cancel`);
+
+      const stored = await ProcessingJob.findById(job._id);
+      expect(stored.cancelRequested).toBe(false);
+    });
+
+    it('cannot read or change the chat session', async () => {
+      await expectNotFound('get', '/api/sessions/session-alice');
+      await expectNotFound('get', '/api/sessions/session-alice/reopen');
+      await expectNotFound('put', '/api/sessions/session-alice', { title: 'Taken over' });
+
+      const history = await request(app)
+        .get('/api/chat/history/session/session-alice')
+        .set('Authorization', bob.auth);
+      expect(history.status).toBe(200);
+      expect(history.body.summary.totalMessages).toBe(0);
+
+      const stored = await Session.findOne({ sessionId: 'session-alice' });
+      expect(stored.title).toBe('Biology revision');
+    });
+
+    it('cannot read or edit the mind map', async () => {
+      await expectNotFound('get', `/api/mindmap/${imageId}`);
+      await expectNotFound('get', `/api/mindmap/${imageId}/versions`);
+      await expectNotFound('post', `/api/mindmap/${imageId}/node`, { label: 'Injected' });
+
+      const latest = await request(app).get('/api/sessions/mindmap/latest').set('Authorization', bob.auth);
+      expect(latest.body).toEqual([]);
+    });
+
+    it('cannot read, edit or delete the calendar task', async () => {
+      await expectNotFound('get', `/api/calendar/${task._id}`);
+      await expectNotFound('put', `/api/calendar/${task._id}`, { title: 'Taken over' });
+      await expectNotFound('delete', `/api/calendar/${task._id}`);
+      await expectNotFound('patch', `/api/calendar/${task._id}/complete`);
+
+      const stored = await Calendar.findById(task._id);
+      expect(stored.title).toBe('Revise membranes');
+      expect(stored.status).toBe(task.status);
+    });
+  });
+});